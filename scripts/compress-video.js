@@ -3,6 +3,7 @@
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs');
+const renditionConfig = require('../src/config/renditions');
 
 /**
  * Video compression script using FFmpeg
@@ -11,52 +12,19 @@ const fs = require('fs');
 
 const inputFile = process.argv[2];
 const outputFile = process.argv[3];
-const quality = process.argv[4] || '360p';
+const quality = process.argv[4] || renditionConfig.defaultQuality;
 
 if (!inputFile || !outputFile) {
   console.error('Usage: node scripts/compress-video.js <input-file> <output-file> [quality]');
-  console.error('Quality options: 240p, 360p, 480p, 720p, 1080p');
+  console.error(`Quality options: ${renditionConfig.allQualities.join(', ')}`);
   process.exit(1);
 }
 
-// Quality settings
-const qualitySettings = {
-  '240p': {
-    resolution: '426x240',
-    videoBitrate: '400k',
-    audioBitrate: '64k',
-    fps: 24
-  },
-  '360p': {
-    resolution: '640x360',
-    videoBitrate: '800k',
-    audioBitrate: '96k',
-    fps: 24
-  },
-  '480p': {
-    resolution: '854x480',
-    videoBitrate: '1200k',
-    audioBitrate: '128k',
-    fps: 30
-  },
-  '720p': {
-    resolution: '1280x720',
-    videoBitrate: '2500k',
-    audioBitrate: '192k',
-    fps: 30
-  },
-  '1080p': {
-    resolution: '1920x1080',
-    videoBitrate: '5000k',
-    audioBitrate: '256k',
-    fps: 30
-  }
-};
-
-const settings = qualitySettings[quality];
+// Quality settings come from the rendition ladder (src/config/renditions.js)
+const settings = renditionConfig.getRendition(quality);
 if (!settings) {
   console.error(`Invalid quality: ${quality}`);
-  console.error('Available qualities: 240p, 360p, 480p, 720p, 1080p');
+  console.error(`Available qualities: ${renditionConfig.allQualities.join(', ')}`);
   process.exit(1);
 }
 
@@ -92,10 +60,10 @@ ffmpeg(inputFile)
   .audioBitrate(settings.audioBitrate)
   .fps(settings.fps)
   .outputOptions([
-    '-preset fast',
-    '-crf 23',
-    '-maxrate ' + settings.videoBitrate,
-    '-bufsize ' + (parseInt(settings.videoBitrate) * 2) + 'k'
+    '-preset ' + settings.preset,
+    '-crf ' + settings.crf,
+    '-maxrate ' + settings.maxrate,
+    '-bufsize ' + settings.bufsize
   ])
   .output(outputFile)
   .on('start', (commandLine) => {
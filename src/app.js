@@ -12,6 +12,7 @@ const WebSocket = require("ws"); // <--- NEW
 // Import configurations
 const connectDB = require("./config/db");
 const { JWT_SECRET } = require("./config/jwt");
+const { createSocketAdapter } = require("./config/socketAdapter");
 
 // Import middleware
 const {
@@ -21,17 +22,28 @@ const {
 const { authenticateToken } = require("./middleware/authMiddleware");
 const { requestLogger } = require("./utils/logger");
 
+// Import background processing
+const jobQueue = require("./services/jobQueue");
+const mediaProcessingService = require("./services/mediaProcessingService");
+const resumableUploadService = require("./services/resumableUploadService");
+const sessionScheduler = require("./services/sessionScheduler");
+
 // Import routes
 const authRoutes = require("./routes/authRoutes");
 const sessionRoutes = require("./routes/sessionRoutes");
+const courseRoutes = require("./routes/courseRoutes");
 const quizRoutes = require("./routes/quizRoutes");
 const enhancedUploadRoutes = require("./routes/enhancedUploadRoutes");
+const resumableUploadRoutes = require("./routes/resumableUploadRoutes");
+const storageRoutes = require("./routes/storageRoutes");
 
 // Import socket handlers
 const AudioSocketHandler = require("./sockets/audioSocket");
 const ChatSocketHandler = require("./sockets/chatSocket");
 const QuizSocketHandler = require("./sockets/quizSocket");
 const SlideSocketHandler = require("./sockets/slideSocket");
+const SessionSocketHandler = require("./sockets/sessionSocket");
+const WebRTCSocketHandler = require("./sockets/webrtcSocket");
 
 // Import models
 const User = require("./models/User");
@@ -75,7 +87,7 @@ class RemoteClassroomApp {
         origin: process.env.CLIENT_URL || "http://localhost:3000",
         credentials: true,
         methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-        allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+        allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "X-Chunk-Checksum"],
       })
     );
 
@@ -94,6 +106,11 @@ class RemoteClassroomApp {
       },
       standardHeaders: true,
       legacyHeaders: false,
+      // A large resumable upload is hundreds of chunk requests, and HLS
+      // playback fetches a segment every few seconds from signed URLs
+      skip: (req) =>
+        (req.method === "PUT" && req.path.startsWith("/api/upload/resumable/")) ||
+        (req.method === "GET" && req.path.startsWith("/api/storage/")),
     });
     this.app.use(limiter);
 
@@ -110,8 +127,11 @@ class RemoteClassroomApp {
   setupRoutes() {
     this.app.use("/api/auth", authRoutes);
     this.app.use("/api/sessions", sessionRoutes);
+    this.app.use("/api/courses", courseRoutes);
     this.app.use("/api/quizzes", quizRoutes);
+    this.app.use("/api/upload/resumable", resumableUploadRoutes);
     this.app.use("/api/upload", enhancedUploadRoutes);
+    this.app.use("/api/storage", storageRoutes);
 
     this.app.get("/", (req, res) => {
       res.status(200).json({
@@ -121,8 +141,11 @@ class RemoteClassroomApp {
         endpoints: {
           auth: "/api/auth",
           sessions: "/api/sessions",
+          courses: "/api/courses",
           quizzes: "/api/quizzes",
           enhancedUploads: "/api/upload",
+          resumableUploads: "/api/upload/resumable",
+          storage: "/api/storage",
           health: "/health",
         },
       });
@@ -153,16 +176,23 @@ class RemoteClassroomApp {
       }
     });
 
-    new AudioSocketHandler(this.io);
-    new ChatSocketHandler(this.io);
-    new QuizSocketHandler(this.io);
-    new SlideSocketHandler(this.io);
+    this.socketHandlers = {
+      audio: new AudioSocketHandler(this.io),
+      chat: new ChatSocketHandler(this.io),
+      quiz: new QuizSocketHandler(this.io),
+      slide: new SlideSocketHandler(this.io),
+      session: new SessionSocketHandler(this.io),
+      webrtc: new WebRTCSocketHandler(this.io),
+    };
 
     this.io.on("connection", (socket) => {
       console.log(
         `User connected: ${socket.userName} (${socket.userRole}) - Socket ID: ${socket.id}`
       );
 
+      // Personal room for notifications outside any session room (e.g. waitlist promotions)
+      socket.join(`user_${socket.userId}`);
+
       socket.on("disconnect", (reason) => {
         console.log(
           `User disconnected: ${socket.userName} - Reason: ${reason}`
@@ -174,8 +204,9 @@ class RemoteClassroomApp {
       });
     });
 
+    // Every process pings its own clients; a cluster-wide emit would repeat it per process
     setInterval(() => {
-      this.io.emit("ping");
+      this.io.local.emit("ping");
     }, 30000);
   }
 
@@ -231,6 +262,21 @@ class RemoteClassroomApp {
   async start(port = process.env.PORT || 5000) {
     try {
       await connectDB();
+
+      // Share Socket.IO rooms with the other server processes before accepting connections
+      await this.setupSocketAdapter();
+
+      // Pick up running classes (slide positions, quizzes, audio streams) from before a restart
+      await this.restoreLiveState();
+
+      // Media compression runs in the background job queue
+      mediaProcessingService.registerHandlers();
+      await jobQueue.start();
+      resumableUploadService.startCleanup();
+
+      // Auto-start, auto-end and expire sessions
+      sessionScheduler.start();
+
       this.server.listen(port, () => {
         console.log(`🚀 Remote Classroom Backend running on port ${port}`);
         console.log(`📚 API Documentation: http://localhost:${port}/api`);
@@ -245,6 +291,34 @@ class RemoteClassroomApp {
     }
   }
 
+  // Replace the in-memory adapter with the one selected by SOCKET_ADAPTER
+  async setupSocketAdapter() {
+    const adapter = await createSocketAdapter();
+    if (adapter) {
+      this.io.adapter(adapter);
+    }
+  }
+
+  // Load live classroom state into the socket handlers that keep it
+  // A failure is logged and the server starts with empty state
+  async restoreLiveState() {
+    for (const [name, handler] of Object.entries(this.socketHandlers)) {
+      if (typeof handler.rehydrate !== "function") continue;
+
+      try {
+        await handler.rehydrate();
+      } catch (error) {
+        console.error(`Failed to restore ${name} live state:`, error);
+      }
+    }
+  }
+
+  // Stop the session scheduler and new background jobs; running jobs finish
+  async stopBackgroundJobs() {
+    sessionScheduler.stop();
+    await jobQueue.stop();
+  }
+
   getApp() {
     return this.app;
   }
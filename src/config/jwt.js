@@ -20,6 +20,24 @@ const verifyToken = (token) => {
   }
 };
 
+// Short-lived token embedded in HLS playlist and seek-preview VTT URLs, where players cannot send headers.
+// It has no userId, so authenticateToken never accepts it as an access token.
+const generatePlaybackToken = ({ sessionId, videoId, userId }, expiresInMinutes) => {
+  return jwt.sign(
+    { purpose: 'hls_playback', sessionId, videoId, viewerId: userId },
+    JWT_SECRET,
+    { expiresIn: expiresInMinutes * 60 }
+  );
+};
+
+const verifyPlaybackToken = (token) => {
+  const decoded = verifyToken(token);
+  if (decoded.purpose !== 'hls_playback') {
+    throw new Error('Invalid token');
+  }
+  return decoded;
+};
+
 const generateTokens = (user) => {
   const payload = {
     userId: user._id,
@@ -39,6 +57,8 @@ module.exports = {
   generateRefreshToken,
   verifyToken,
   generateTokens,
+  generatePlaybackToken,
+  verifyPlaybackToken,
   JWT_SECRET,
   JWT_EXPIRES_IN
 };
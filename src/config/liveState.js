@@ -0,0 +1,24 @@
+/**
+ * Live state store selection
+ * LIVE_STATE_STORE=mongodb (default) persists live classroom state in MongoDB,
+ * LIVE_STATE_STORE=memory keeps it in process (lost on restart).
+ */
+
+const LIVE_STATE_STORE = (process.env.LIVE_STATE_STORE || 'mongodb').toLowerCase();
+
+const createLiveStateStore = (store = LIVE_STATE_STORE) => {
+  switch (store) {
+    case 'mongodb': {
+      const MongoLiveStateStore = require('../services/liveState/mongoLiveStateStore');
+      return new MongoLiveStateStore();
+    }
+    case 'memory': {
+      const MemoryLiveStateStore = require('../services/liveState/memoryLiveStateStore');
+      return new MemoryLiveStateStore();
+    }
+    default:
+      throw new Error(`Unknown LIVE_STATE_STORE "${store}". Use "mongodb" or "memory".`);
+  }
+};
+
+module.exports = createLiveStateStore();
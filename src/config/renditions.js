@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Video rendition ladder
+ * Every place that deals with video qualities (processing, the Session model,
+ * quality validation, streaming fallback, HLS) reads it from here.
+ *
+ * Admins can adjust it without code changes:
+ * - VIDEO_RENDITIONS: comma-separated renditions to produce, e.g. "144p,240p,360p"
+ * - VIDEO_RENDITIONS_FILE: JSON file with { "enabled": [...], "renditions": { "<name>": { ...settings } } };
+ *   settings are merged over the built-in profile of the same name, new names add profiles
+ *
+ * A profile has resolution, videoBitrate, maxrate, bufsize, audioBitrate, fps, crf and
+ * optionally preset (default 'fast') and level (default: lowest H.264 level for the resolution).
+ */
+
+// Built-in profiles, tuned for rural/low-bandwidth connections
+const DEFAULT_RENDITIONS = {
+  '144p': {
+    resolution: '256x144',
+    videoBitrate: '100k',
+    maxrate: '150k',
+    bufsize: '300k',
+    audioBitrate: '48k',
+    fps: 15,
+    crf: 32,
+    preset: 'fast'
+  },
+  '240p': {
+    resolution: '426x240',
+    videoBitrate: '300k',
+    maxrate: '400k',
+    bufsize: '800k',
+    audioBitrate: '64k',
+    fps: 24,
+    crf: 28,
+    preset: 'fast'
+  },
+  '360p': {
+    resolution: '640x360',
+    videoBitrate: '600k',
+    maxrate: '800k',
+    bufsize: '1200k',
+    audioBitrate: '96k',
+    fps: 24,
+    crf: 26,
+    preset: 'fast'
+  },
+  '480p': {
+    resolution: '854x480',
+    videoBitrate: '1000k',
+    maxrate: '1200k',
+    bufsize: '2400k',
+    audioBitrate: '128k',
+    fps: 30,
+    crf: 24,
+    preset: 'fast'
+  },
+  '720p': {
+    resolution: '1280x720',
+    videoBitrate: '2500k',
+    maxrate: '3000k',
+    bufsize: '6000k',
+    audioBitrate: '128k',
+    fps: 30,
+    crf: 23,
+    preset: 'fast'
+  },
+  '1080p': {
+    resolution: '1920x1080',
+    videoBitrate: '5000k',
+    maxrate: '6000k',
+    bufsize: '12000k',
+    audioBitrate: '192k',
+    fps: 30,
+    crf: 23,
+    preset: 'fast'
+  }
+};
+
+const DEFAULT_ENABLED = ['144p', '240p', '360p'];
+
+const BITRATE_PATTERN = /^\d+(\.\d+)?[km]?$/i;
+const RESOLUTION_PATTERN = /^\d+x\d+$/;
+
+// Lowest H.264 level whose frame size limit fits the resolution
+const getLevelForResolution = (resolution) => {
+  const [width, height] = resolution.split('x').map(Number);
+  const macroblocks = Math.ceil(width / 16) * Math.ceil(height / 16);
+  if (macroblocks <= 1620) return '3.0';
+  if (macroblocks <= 3600) return '3.1';
+  if (macroblocks <= 5120) return '3.2';
+  if (macroblocks <= 8192) return '4.0';
+  return '5.1';
+};
+
+const loadFileConfig = () => {
+  const filePath = process.env.VIDEO_RENDITIONS_FILE;
+  if (!filePath) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read VIDEO_RENDITIONS_FILE "${filePath}": ${error.message}`);
+  }
+};
+
+const validateRendition = (name, settings) => {
+  const errors = [];
+
+  if (!RESOLUTION_PATTERN.test(settings.resolution || '')) {
+    errors.push('resolution must look like 640x360');
+  }
+  ['videoBitrate', 'maxrate', 'bufsize', 'audioBitrate'].forEach(key => {
+    if (!BITRATE_PATTERN.test(String(settings[key] || ''))) {
+      errors.push(`${key} must look like 600k`);
+    }
+  });
+  if (!(settings.fps > 0)) {
+    errors.push('fps must be greater than 0');
+  }
+  if (!(settings.crf >= 0 && settings.crf <= 51)) {
+    errors.push('crf must be between 0 and 51');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid video rendition "${name}": ${errors.join(', ')}`);
+  }
+};
+
+const buildLadder = () => {
+  const fileConfig = loadFileConfig();
+
+  const profiles = { ...DEFAULT_RENDITIONS };
+  Object.entries(fileConfig.renditions || {}).forEach(([name, settings]) => {
+    profiles[name] = { preset: 'fast', ...profiles[name], ...settings };
+  });
+
+  const definitions = Object.entries(profiles).map(([name, settings]) => {
+    validateRendition(name, settings);
+    return {
+      name,
+      level: getLevelForResolution(settings.resolution),
+      ...settings,
+      height: parseInt(settings.resolution.split('x')[1])
+    };
+  }).sort((a, b) => a.height - b.height);
+
+  const enabledNames = process.env.VIDEO_RENDITIONS
+    ? process.env.VIDEO_RENDITIONS.split(',').map(name => name.trim()).filter(Boolean)
+    : fileConfig.enabled || DEFAULT_ENABLED;
+
+  const unknown = enabledNames.filter(name => !profiles[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown video rendition(s): ${unknown.join(', ')}. Defined: ${Object.keys(profiles).join(', ')}`);
+  }
+  if (enabledNames.length === 0) {
+    throw new Error('At least one video rendition must be enabled');
+  }
+
+  return {
+    definitions,
+    enabled: definitions.filter(rendition => enabledNames.includes(rendition.name))
+  };
+};
+
+const { definitions, enabled } = buildLadder();
+
+// Renditions produced for new uploads, lowest first
+const renditions = enabled;
+
+// Every defined quality; stored versions from an earlier ladder stay valid
+const allQualities = definitions.map(rendition => rendition.name);
+
+const qualities = renditions.map(rendition => rendition.name);
+
+// Quality served when the client does not ask for one
+const defaultQuality = qualities.includes('360p') ? '360p' : qualities[qualities.length - 1];
+
+const getRendition = (name) => definitions.find(rendition => rendition.name === name) || null;
+
+const isValidQuality = (name) => allQualities.includes(name);
+
+/**
+ * Pick the version to stream when the requested one does not exist:
+ * the highest available rendition not above the request, else the lowest available
+ * @param {string} requested - Requested quality
+ * @param {Array<string>} available - Qualities the video has
+ * @returns {string|null} Quality to serve, null if none are available
+ */
+const selectFallbackQuality = (requested, available) => {
+  const availableRenditions = definitions.filter(rendition => available.includes(rendition.name));
+  if (availableRenditions.length === 0) return null;
+
+  const requestedRendition = getRendition(requested) || getRendition(defaultQuality);
+  const notAbove = availableRenditions.filter(rendition => rendition.height <= requestedRendition.height);
+
+  return notAbove.length > 0
+    ? notAbove[notAbove.length - 1].name
+    : availableRenditions[0].name;
+};
+
+module.exports = {
+  renditions,
+  qualities,
+  allQualities,
+  defaultQuality,
+  getRendition,
+  isValidQuality,
+  selectFallbackQuality
+};
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { logInfo, logError } = require('../utils/logger');
+
+/**
+ * Socket.IO adapter selection
+ * The adapter carries room broadcasts (audio_<session>, quiz_<session>, ...)
+ * between server processes, so participants of one class can be spread over
+ * several workers behind a load balancer.
+ * SOCKET_ADAPTER=memory (default) keeps rooms in process (single server),
+ * SOCKET_ADAPTER=redis uses Redis pub/sub (REDIS_URL),
+ * SOCKET_ADAPTER=mongodb uses a change stream on the application database
+ * (needs a replica set; a single local mongod started with --replSet works).
+ */
+
+const SOCKET_ADAPTER = (process.env.SOCKET_ADAPTER || 'memory').toLowerCase();
+
+const createRedisAdapter = async () => {
+  const { createAdapter } = require('@socket.io/redis-adapter');
+  const { createClient } = require('redis');
+
+  const pubClient = createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+  const subClient = pubClient.duplicate();
+
+  // Without listeners a dropped connection would crash the process; the clients reconnect on their own
+  pubClient.on('error', error => logError('Socket.IO Redis publisher error', error));
+  subClient.on('error', error => logError('Socket.IO Redis subscriber error', error));
+
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  return createAdapter(pubClient, subClient, {
+    key: process.env.SOCKET_ADAPTER_KEY || 'socket.io'
+  });
+};
+
+// Uses the mongoose connection, so call it after connectDB()
+const createMongoAdapter = async () => {
+  const { createAdapter } = require('@socket.io/mongo-adapter');
+
+  const collection = mongoose.connection.db.collection(
+    process.env.SOCKET_ADAPTER_COLLECTION || 'socket.io-adapter-events'
+  );
+
+  // Events are only needed while they are being delivered; MongoDB removes them after an hour
+  await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: 3600 });
+
+  return createAdapter(collection, { addCreatedAtField: true });
+};
+
+/**
+ * Build the configured adapter
+ * @param {string} adapter - 'memory', 'redis' or 'mongodb'
+ * @returns {Promise<Function|null>} Adapter for io.adapter(), null for the built-in in-memory adapter
+ */
+const createSocketAdapter = async (adapter = SOCKET_ADAPTER) => {
+  let socketAdapter;
+  switch (adapter) {
+    case 'memory':
+      return null;
+    case 'redis':
+      socketAdapter = await createRedisAdapter();
+      break;
+    case 'mongodb':
+      socketAdapter = await createMongoAdapter();
+      break;
+    default:
+      throw new Error(`Unknown SOCKET_ADAPTER "${adapter}". Use "memory", "redis" or "mongodb".`);
+  }
+
+  logInfo('Socket.IO adapter ready', { adapter });
+  return socketAdapter;
+};
+
+module.exports = {
+  SOCKET_ADAPTER,
+  createSocketAdapter
+};
@@ -0,0 +1,35 @@
+const path = require('path');
+const { JWT_SECRET } = require('./jwt');
+
+/**
+ * Storage provider selection
+ * STORAGE_PROVIDER=azure (default) uses Azure Blob Storage,
+ * STORAGE_PROVIDER=local keeps files on disk under LOCAL_STORAGE_PATH.
+ */
+
+const STORAGE_PROVIDER = (process.env.STORAGE_PROVIDER || 'azure').toLowerCase();
+
+const createStorageProvider = (provider = STORAGE_PROVIDER) => {
+  switch (provider) {
+    case 'azure': {
+      const AzureStorageProvider = require('../services/storage/azureStorageProvider');
+      return new AzureStorageProvider({
+        accountName: process.env.AZURE_STORAGE_ACCOUNT_NAME,
+        containerName: process.env.AZURE_STORAGE_CONTAINER_NAME,
+        accountKey: process.env.AZURE_STORAGE_ACCOUNT_KEY
+      });
+    }
+    case 'local': {
+      const LocalStorageProvider = require('../services/storage/localStorageProvider');
+      return new LocalStorageProvider({
+        rootDir: process.env.LOCAL_STORAGE_PATH || path.join(__dirname, '../../storage'),
+        publicBaseUrl: process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`,
+        signingSecret: process.env.STORAGE_SIGNING_SECRET || JWT_SECRET
+      });
+    }
+    default:
+      throw new Error(`Unknown STORAGE_PROVIDER "${provider}". Use "azure" or "local".`);
+  }
+};
+
+module.exports = createStorageProvider();
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+/**
+ * WebRTC ICE servers
+ * Clients get STUN servers to find a direct path and, when TURN is set up,
+ * TURN servers to relay media when no direct path exists (strict NATs,
+ * mobile networks). TURN credentials follow the TURN REST API scheme used by
+ * coturn's static-auth-secret: the username is "<expiry>:<userId>" and the
+ * password is base64(HMAC-SHA1(TURN_SECRET, username)), so the TURN server
+ * can check them without calling back into this server.
+ *
+ * - STUN_URLS: comma-separated STUN URLs
+ * - TURN_URLS: comma-separated TURN URLs, e.g. "turn:turn.example.org:3478,turns:turn.example.org:5349"
+ * - TURN_SECRET: shared secret configured on the TURN server
+ * - TURN_CREDENTIAL_TTL: seconds a credential stays valid
+ */
+
+const splitUrls = (value) => (value || '')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean);
+
+const STUN_URLS = splitUrls(process.env.STUN_URLS || 'stun:stun.l.google.com:19302');
+const TURN_URLS = splitUrls(process.env.TURN_URLS);
+const TURN_SECRET = process.env.TURN_SECRET || null;
+const TURN_CREDENTIAL_TTL = parseInt(process.env.TURN_CREDENTIAL_TTL) || 3600; // 1 hour
+
+const isTurnConfigured = () => TURN_URLS.length > 0 && Boolean(TURN_SECRET);
+
+/**
+ * Time-limited TURN credentials for a user
+ * @param {string} userId - User the credentials are issued to
+ * @param {number} ttlSeconds - Validity in seconds
+ * @returns {Object} { username, credential, expiresAt }
+ */
+const generateTurnCredentials = (userId, ttlSeconds = TURN_CREDENTIAL_TTL) => {
+  const expiry = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const username = `${expiry}:${userId}`;
+  const credential = crypto.createHmac('sha1', TURN_SECRET).update(username).digest('base64');
+
+  return { username, credential, expiresAt: new Date(expiry * 1000) };
+};
+
+/**
+ * ICE server list for RTCPeerConnection, with fresh TURN credentials when TURN is configured
+ * @param {string} userId - User the TURN credentials are issued to
+ * @returns {Object} { iceServers, turnEnabled, expiresAt, ttl }
+ */
+const getIceServers = (userId) => {
+  const iceServers = [];
+  if (STUN_URLS.length > 0) {
+    iceServers.push({ urls: STUN_URLS });
+  }
+
+  if (!isTurnConfigured()) {
+    return { iceServers, turnEnabled: false, expiresAt: null, ttl: null };
+  }
+
+  const { username, credential, expiresAt } = generateTurnCredentials(userId);
+  iceServers.push({ urls: TURN_URLS, username, credential });
+
+  return { iceServers, turnEnabled: true, expiresAt, ttl: TURN_CREDENTIAL_TTL };
+};
+
+module.exports = {
+  STUN_URLS,
+  TURN_URLS,
+  TURN_CREDENTIAL_TTL,
+  isTurnConfigured,
+  generateTurnCredentials,
+  getIceServers
+};
@@ -0,0 +1,215 @@
+const multer = require('multer');
+const path = require('path');
+const Session = require('../models/Session');
+const storageUtils = require('../utils/storageUtils');
+const captionUtils = require('../utils/captionUtils');
+const hlsUtils = require('../utils/hlsUtils');
+const mediaProcessingService = require('../services/mediaProcessingService');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const {
+  sendSuccess,
+  sendError,
+  sendNotFound,
+  validateRequired
+} = require('../utils/response');
+const { logInfo, logError } = require('../utils/logger');
+
+/**
+ * Caption Controller
+ * Teachers attach SRT or WebVTT tracks to video and audio entries, one per
+ * language and kind. Everything is stored as WebVTT so the tracks work in
+ * <track> elements and HLS players alike.
+ */
+
+// Caption files are small text files, so they are parsed straight from memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: captionUtils.maxFileSize
+  }
+});
+
+// Multer rejections (e.g. file too large) are the client's fault
+const captionUploadMiddleware = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(new AppError(`Caption upload error: ${error.message}`, 400));
+    }
+    next(error);
+  });
+};
+
+// Storage name for a track: next to the media file, e.g. <session>/video/<id>_captions/en_subtitles_<time>.vtt
+const buildCaptionFileName = (entry, language, kind) => {
+  const base = entry.fileName.slice(0, entry.fileName.length - path.extname(entry.fileName).length);
+  return `${base}_captions/${language}_${kind}_${Date.now()}.vtt`;
+};
+
+/**
+ * Upload a caption track for a video or audio entry
+ * SRT is converted to WebVTT; a track with the same language and kind is replaced
+ * Only the session teacher can upload captions
+ */
+const uploadCaption = catchAsync(async (req, res) => {
+  const { sessionId, fileType, fileId } = req.params;
+  const { language, label, kind = 'subtitles' } = req.body;
+  const isDefault = req.body.isDefault === true || req.body.isDefault === 'true';
+  const userId = req.user._id;
+
+  if (!req.file) {
+    return sendError(res, 'No caption file provided', 400);
+  }
+
+  const validationErrors = validateRequired(['language'], req.body);
+  if (validationErrors.length > 0) {
+    return sendError(res, validationErrors.join(', '), 400);
+  }
+
+  if (!captionUtils.isValidLanguage(language)) {
+    return sendError(res, 'Language must be a language tag such as "en", "sw" or "pt-BR"', 400);
+  }
+
+  if (!captionUtils.kinds.includes(kind)) {
+    return sendError(res, `Kind must be one of: ${captionUtils.kinds.join(', ')}`, 400);
+  }
+
+  // Session and teacher access already validated by middleware
+  const entry = mediaProcessingService.findFile(req.session, fileType, fileId);
+  if (!entry) {
+    return sendNotFound(res, 'File not found');
+  }
+
+  // Video tracks may be served through HLS, where cue times are mapped onto the segment timestamps
+  const conversion = captionUtils.convertToVtt(
+    req.file.buffer,
+    req.file.originalname,
+    fileType === 'video' ? [hlsUtils.subtitleTimestampMap] : []
+  );
+  if (!conversion.success) {
+    return sendError(res, 'Invalid caption file', 400, { errors: conversion.errors });
+  }
+
+  const captionFileName = buildCaptionFileName(entry, language, kind);
+  const vttBuffer = Buffer.from(conversion.vtt, 'utf8');
+  const uploadResult = await storageUtils.uploadFileWithRetry(captionFileName, vttBuffer, captionUtils.contentType);
+  if (!uploadResult.success) {
+    return sendError(res, 'Caption upload failed: ' + uploadResult.error, 500);
+  }
+
+  const arrayField = mediaProcessingService.sessionFields[fileType];
+  const entryFilter = { _id: sessionId, [`${arrayField}._id`]: fileId };
+  const replaced = (entry.captions || []).filter(caption => caption.language === language && caption.kind === kind);
+
+  try {
+    if (replaced.length > 0) {
+      await Session.updateOne(entryFilter, {
+        $pull: { [`${arrayField}.$.captions`]: { language, kind } }
+      });
+    }
+    if (isDefault) {
+      await Session.updateOne(entryFilter, {
+        $set: { [`${arrayField}.$.captions.$[].isDefault`]: false }
+      });
+    }
+
+    const caption = {
+      language,
+      label: label || captionUtils.getLanguageLabel(language),
+      kind,
+      isDefault,
+      fileName: captionFileName,
+      url: uploadResult.url,
+      originalFormat: conversion.format,
+      originalName: req.file.originalname,
+      cueCount: conversion.cueCount,
+      fileSize: vttBuffer.length,
+      uploadedBy: userId,
+      uploadedAt: new Date()
+    };
+
+    const result = await Session.updateOne(entryFilter, {
+      $push: { [`${arrayField}.$.captions`]: caption }
+    });
+
+    // The entry was deleted while the caption was being stored
+    if (result.matchedCount === 0) {
+      await storageUtils.deleteMultipleFiles([captionFileName]);
+      return sendNotFound(res, 'File not found');
+    }
+
+    if (replaced.length > 0) {
+      await storageUtils.deleteMultipleFiles(replaced.map(caption => caption.fileName));
+    }
+
+    const session = await Session.findById(sessionId);
+    const saved = mediaProcessingService.findFile(session, fileType, fileId).captions
+      .find(track => track.fileName === captionFileName);
+    const signedUrl = await storageUtils.generateSignedUrlWithExpiry(captionFileName, 'download');
+
+    logInfo('Caption track uploaded', {
+      sessionId,
+      userId,
+      fileType,
+      fileId,
+      language,
+      kind,
+      originalFormat: conversion.format,
+      cueCount: conversion.cueCount,
+      replaced: replaced.length > 0
+    });
+
+    sendSuccess(res, replaced.length > 0 ? 'Caption track replaced' : 'Caption track uploaded', {
+      caption: {
+        ...saved.toObject(),
+        downloadUrl: signedUrl.success ? signedUrl.url : null
+      },
+      mediaDuration: entry.duration || null,
+      captionDuration: conversion.duration
+    }, null, 201);
+
+  } catch (error) {
+    logError('Caption upload error', error, { sessionId, fileType, fileId, language });
+    await storageUtils.deleteMultipleFiles([captionFileName]);
+    return sendError(res, 'Caption upload failed: ' + error.message, 500);
+  }
+});
+
+/**
+ * Delete a caption track
+ * Only the session teacher can delete captions
+ */
+const deleteCaption = catchAsync(async (req, res) => {
+  const { sessionId, fileType, fileId, captionId } = req.params;
+
+  // Session and teacher access already validated by middleware
+  const entry = mediaProcessingService.findFile(req.session, fileType, fileId);
+  const caption = entry && entry.captions
+    ? entry.captions.find(track => track._id.toString() === captionId)
+    : null;
+  if (!caption) {
+    return sendNotFound(res, 'Caption track not found');
+  }
+
+  const arrayField = mediaProcessingService.sessionFields[fileType];
+  await Session.updateOne(
+    { _id: sessionId, [`${arrayField}._id`]: fileId },
+    { $pull: { [`${arrayField}.$.captions`]: { _id: caption._id } } }
+  );
+  await storageUtils.deleteMultipleFiles([caption.fileName]);
+
+  logInfo('Caption track deleted', {
+    sessionId,
+    userId: req.user._id,
+    fileType,
+    fileId,
+    language: caption.language
+  });
+
+  sendSuccess(res, 'Caption track deleted');
+});
+
+module.exports = {
+  uploadCaption,
+  deleteCaption,
+  captionUploadMiddleware
+};
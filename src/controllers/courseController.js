@@ -0,0 +1,470 @@
+const Course = require('../models/Course');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const waitlistService = require('../services/waitlistService');
+const { catchAsync } = require('../middleware/errorHandler');
+const {
+  sendSuccess,
+  sendError,
+  sendValidationError,
+  sendNotFound,
+  sendPaginatedResponse,
+  validateRequired,
+  sanitizeInput,
+  generatePagination
+} = require('../utils/response');
+const { logInfo, logError } = require('../utils/logger');
+
+const memberFields = 'name email profilePicture';
+
+// Users of a role given by IDs and/or emails; returns { users, missing }
+const resolveUsers = async ({ ids = [], emails = [] }, role) => {
+  const normalizedEmails = emails.map(email => String(email).trim().toLowerCase());
+  const users = await User.find({
+    role,
+    isActive: true,
+    $or: [
+      { _id: { $in: ids } },
+      { email: { $in: normalizedEmails } }
+    ]
+  }).select(memberFields);
+
+  const missing = [
+    ...ids.filter(id => !users.some(user => user._id.toString() === String(id))),
+    ...normalizedEmails.filter(email => !users.some(user => user.email === email))
+  ];
+
+  return { users, missing };
+};
+
+// Check a schedule from the request; returns an error message or null
+const validateSchedule = (schedule) => {
+  if (!schedule) return null;
+
+  const startDate = schedule.startDate ? new Date(schedule.startDate) : null;
+  const endDate = schedule.endDate ? new Date(schedule.endDate) : null;
+  if ((startDate && isNaN(startDate)) || (endDate && isNaN(endDate))) {
+    return 'Schedule dates must be valid ISO 8601 dates';
+  }
+  if (startDate && endDate && endDate <= startDate) {
+    return 'Schedule end date must be after the start date';
+  }
+  if (schedule.timezone && !isValidTimezone(schedule.timezone)) {
+    return 'Schedule timezone must be an IANA time zone, e.g. Europe/Berlin';
+  }
+  if (schedule.meetings !== undefined && !Array.isArray(schedule.meetings)) {
+    return 'Schedule meetings must be an array';
+  }
+  return null;
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Load a course and check that the user teaches it; sends the error response otherwise
+const findTeacherCourse = async (req, res) => {
+  const course = await Course.findById(req.params.courseId);
+
+  if (!course) {
+    sendNotFound(res, 'Course not found');
+    return null;
+  }
+
+  if (!course.isTeacher(req.user._id)) {
+    sendError(res, 'Access denied: You are not a teacher of this course', 403);
+    return null;
+  }
+
+  return course;
+};
+
+const populateCourse = (query) => query
+  .populate('owner', memberFields)
+  .populate('teachers', memberFields)
+  .populate('students', memberFields);
+
+// Create course
+const createCourse = catchAsync(async (req, res) => {
+  const { title, code, description, maxStudents, schedule } = req.body;
+  const teacherId = req.user._id;
+
+  const validationErrors = validateRequired(['title'], req.body);
+  if (validationErrors.length > 0) {
+    return sendValidationError(res, validationErrors);
+  }
+
+  if (maxStudents && (maxStudents < 1 || maxStudents > 500)) {
+    return sendError(res, 'Max students must be between 1 and 500', 400);
+  }
+
+  const scheduleError = validateSchedule(schedule);
+  if (scheduleError) {
+    return sendError(res, scheduleError, 400);
+  }
+
+  const course = await Course.create({
+    title: sanitizeInput(title),
+    code: code ? sanitizeInput(code) : undefined,
+    description: description ? sanitizeInput(description) : '',
+    owner: teacherId,
+    teachers: [teacherId],
+    maxStudents: maxStudents || 100,
+    schedule: schedule || {}
+  });
+
+  logInfo('Course created successfully', { courseId: course._id, teacherId, title: course.title });
+
+  sendSuccess(res, 'Course created successfully', { course }, null, 201);
+});
+
+// List courses of the requesting teacher or student
+const listCourses = (memberField) => catchAsync(async (req, res) => {
+  const { page = 1, limit = 10, status } = req.query;
+
+  const pagination = generatePagination(page, limit, 0);
+
+  const query = { [memberField]: req.user._id };
+  if (status) {
+    query.status = status;
+  }
+
+  pagination.total = await Course.countDocuments(query);
+
+  const courses = await Course.find(query)
+    .select('-students')
+    .populate('teachers', memberFields)
+    .sort({ createdAt: -1 })
+    .skip(pagination.skip)
+    .limit(pagination.limit);
+
+  sendPaginatedResponse(res, 'Courses retrieved successfully', courses, pagination);
+});
+
+const getTeacherCourses = listCourses('teachers');
+const getStudentCourses = listCourses('students');
+
+// Get course by ID
+const getCourseById = catchAsync(async (req, res) => {
+  const { courseId } = req.params;
+  const userId = req.user._id;
+
+  const course = await populateCourse(Course.findById(courseId));
+
+  if (!course) {
+    return sendNotFound(res, 'Course not found');
+  }
+
+  if (!course.isTeacher(userId) && !course.isStudent(userId)) {
+    return sendError(res, 'Access denied: You are not a member of this course', 403);
+  }
+
+  const upcomingSessions = await Session.find({
+    course: courseId,
+    status: { $in: ['scheduled', 'live'] }
+  })
+    .select('title status startTime teacher')
+    .sort({ startTime: 1 })
+    .limit(5);
+
+  sendSuccess(res, 'Course retrieved successfully', { course, upcomingSessions });
+});
+
+// Update course
+const updateCourse = catchAsync(async (req, res) => {
+  const course = await findTeacherCourse(req, res);
+  if (!course) return;
+
+  const { title, code, description, maxStudents, schedule, status } = req.body;
+
+  if (title) {
+    course.title = sanitizeInput(title);
+  }
+
+  if (code !== undefined) {
+    course.code = sanitizeInput(code);
+  }
+
+  if (description !== undefined) {
+    course.description = sanitizeInput(description);
+  }
+
+  if (maxStudents) {
+    if (maxStudents < 1 || maxStudents > 500) {
+      return sendError(res, 'Max students must be between 1 and 500', 400);
+    }
+    if (maxStudents < course.students.length) {
+      return sendError(res, 'Max students cannot be less than current enrolled students', 400);
+    }
+    course.maxStudents = maxStudents;
+  }
+
+  if (schedule) {
+    const scheduleError = validateSchedule(schedule);
+    if (scheduleError) {
+      return sendError(res, scheduleError, 400);
+    }
+    ['startDate', 'endDate', 'timezone', 'meetings'].forEach(field => {
+      if (schedule[field] !== undefined) {
+        course.schedule[field] = schedule[field];
+      }
+    });
+  }
+
+  if (status) {
+    if (!['active', 'archived'].includes(status)) {
+      return sendError(res, 'Status must be active or archived', 400);
+    }
+    course.status = status;
+  }
+
+  await course.save();
+
+  logInfo('Course updated successfully', {
+    courseId: course._id,
+    teacherId: req.user._id,
+    updates: Object.keys(req.body)
+  });
+
+  sendSuccess(res, 'Course updated successfully', { course });
+});
+
+// Delete course (owner); its sessions stay, without the course link
+const deleteCourse = catchAsync(async (req, res) => {
+  const course = await findTeacherCourse(req, res);
+  if (!course) return;
+
+  if (!course.owner.equals(req.user._id)) {
+    return sendError(res, 'Access denied: Only the course owner can delete it', 403);
+  }
+
+  if (await Session.exists({ course: course._id, status: 'live' })) {
+    return sendError(res, 'Cannot delete a course while one of its sessions is live', 400);
+  }
+
+  await Session.updateMany({ course: course._id }, { $set: { course: null } });
+  await Course.findByIdAndDelete(course._id);
+
+  logInfo('Course deleted successfully', { courseId: course._id, teacherId: req.user._id });
+
+  sendSuccess(res, 'Course deleted successfully');
+});
+
+// Enroll students by ID or email; they are added to the course's scheduled and live sessions
+const addStudents = catchAsync(async (req, res) => {
+  const course = await findTeacherCourse(req, res);
+  if (!course) return;
+
+  const { studentIds = [], emails = [] } = req.body;
+  if (!Array.isArray(studentIds) || !Array.isArray(emails) || studentIds.length + emails.length === 0) {
+    return sendError(res, 'Provide studentIds or emails to enroll', 400);
+  }
+
+  const { users, missing } = await resolveUsers({ ids: studentIds, emails }, 'student');
+  const newStudents = users.filter(user => !course.isStudent(user._id));
+
+  if (course.students.length + newStudents.length > course.maxStudents) {
+    return sendError(res, `Course is limited to ${course.maxStudents} students`, 400);
+  }
+
+  const added = newStudents.map(user => user._id);
+  if (added.length > 0) {
+    await Course.updateOne({ _id: course._id }, { $addToSet: { students: { $each: added } } });
+    await Session.syncCourseRoster(course._id, { add: added });
+  }
+
+  logInfo('Students enrolled in course', {
+    courseId: course._id,
+    teacherId: req.user._id,
+    added: added.length,
+    notFound: missing.length
+  });
+
+  sendSuccess(res, 'Students enrolled successfully', {
+    added: newStudents,
+    alreadyEnrolled: users.length - newStudents.length,
+    notFound: missing
+  });
+});
+
+// Remove a student from the course and its scheduled and live sessions
+const removeStudent = catchAsync(async (req, res) => {
+  const course = await findTeacherCourse(req, res);
+  if (!course) return;
+
+  const { studentId } = req.params;
+  if (!course.isStudent(studentId)) {
+    return sendError(res, 'Student is not enrolled in this course', 400);
+  }
+
+  await Course.updateOne({ _id: course._id }, { $pull: { students: studentId } });
+  await Session.syncCourseRoster(course._id, { remove: [studentId] });
+
+  // The freed seats go to students waiting in the course's sessions
+  waitlistService.promoteCourseSessions(course._id).catch(error => {
+    logError('Course waitlist promotion error', error, { courseId: course._id });
+  });
+
+  logInfo('Student removed from course', { courseId: course._id, studentId, teacherId: req.user._id });
+
+  sendSuccess(res, 'Student removed successfully');
+});
+
+// Add a co-teacher by ID or email
+const addTeacher = catchAsync(async (req, res) => {
+  const course = await findTeacherCourse(req, res);
+  if (!course) return;
+
+  const { teacherId, email } = req.body;
+  if (!teacherId && !email) {
+    return sendError(res, 'Provide teacherId or email', 400);
+  }
+
+  const { users } = await resolveUsers({
+    ids: teacherId ? [teacherId] : [],
+    emails: email ? [email] : []
+  }, 'teacher');
+  if (users.length === 0) {
+    return sendNotFound(res, 'Teacher not found');
+  }
+
+  const teacher = users[0];
+  if (course.isTeacher(teacher._id)) {
+    return sendError(res, 'User already teaches this course', 400);
+  }
+
+  await Course.updateOne({ _id: course._id }, { $addToSet: { teachers: teacher._id } });
+
+  logInfo('Teacher added to course', { courseId: course._id, addedTeacherId: teacher._id, teacherId: req.user._id });
+
+  sendSuccess(res, 'Teacher added successfully', { teacher });
+});
+
+// Remove a co-teacher (owner, or a co-teacher removing themselves)
+const removeTeacher = catchAsync(async (req, res) => {
+  const course = await findTeacherCourse(req, res);
+  if (!course) return;
+
+  const { teacherId } = req.params;
+
+  if (course.owner.equals(teacherId)) {
+    return sendError(res, 'The course owner cannot be removed', 400);
+  }
+
+  if (!course.owner.equals(req.user._id) && !req.user._id.equals(teacherId)) {
+    return sendError(res, 'Access denied: Only the course owner can remove other teachers', 403);
+  }
+
+  if (!course.isTeacher(teacherId)) {
+    return sendError(res, 'User does not teach this course', 400);
+  }
+
+  await Course.updateOne({ _id: course._id }, { $pull: { teachers: teacherId } });
+
+  logInfo('Teacher removed from course', { courseId: course._id, removedTeacherId: teacherId, teacherId: req.user._id });
+
+  sendSuccess(res, 'Teacher removed successfully');
+});
+
+// Add a course material (link to a document, reading, uploaded file, ...)
+const addMaterial = catchAsync(async (req, res) => {
+  const course = await findTeacherCourse(req, res);
+  if (!course) return;
+
+  const { title, url, description } = req.body;
+
+  const validationErrors = validateRequired(['title', 'url'], req.body);
+  if (validationErrors.length > 0) {
+    return sendValidationError(res, validationErrors);
+  }
+
+  course.materials.push({
+    title: sanitizeInput(title),
+    url: url.trim(),
+    description: description ? sanitizeInput(description) : '',
+    addedBy: req.user._id
+  });
+  await course.save();
+
+  const material = course.materials[course.materials.length - 1];
+
+  logInfo('Course material added', { courseId: course._id, materialId: material._id, teacherId: req.user._id });
+
+  sendSuccess(res, 'Material added successfully', { material }, null, 201);
+});
+
+// Remove a course material
+const removeMaterial = catchAsync(async (req, res) => {
+  const course = await findTeacherCourse(req, res);
+  if (!course) return;
+
+  const { materialId } = req.params;
+  const material = course.materials.id(materialId);
+  if (!material) {
+    return sendNotFound(res, 'Material not found');
+  }
+
+  material.deleteOne();
+  await course.save();
+
+  logInfo('Course material removed', { courseId: course._id, materialId, teacherId: req.user._id });
+
+  sendSuccess(res, 'Material removed successfully');
+});
+
+// Sessions of a course, for its teachers and students
+const getCourseSessions = catchAsync(async (req, res) => {
+  const { courseId } = req.params;
+  const userId = req.user._id;
+  const { page = 1, limit = 10, status } = req.query;
+
+  const course = await Course.findById(courseId).select('teachers students');
+
+  if (!course) {
+    return sendNotFound(res, 'Course not found');
+  }
+
+  if (!course.isTeacher(userId) && !course.isStudent(userId)) {
+    return sendError(res, 'Access denied: You are not a member of this course', 403);
+  }
+
+  const pagination = generatePagination(page, limit, 0);
+
+  const query = { course: courseId };
+  if (status) {
+    query.status = status;
+  }
+
+  pagination.total = await Session.countDocuments(query);
+
+  // The roster is on the course; sessions are listed without it
+  const sessions = await Session.find(query)
+    .select('-students')
+    .populate('teacher', memberFields)
+    .sort({ startTime: 1 })
+    .skip(pagination.skip)
+    .limit(pagination.limit);
+
+  sendPaginatedResponse(res, 'Sessions retrieved successfully', sessions, pagination);
+});
+
+module.exports = {
+  createCourse,
+  getTeacherCourses,
+  getStudentCourses,
+  getCourseById,
+  updateCourse,
+  deleteCourse,
+  addStudents,
+  removeStudent,
+  addTeacher,
+  removeTeacher,
+  addMaterial,
+  removeMaterial,
+  getCourseSessions
+};
@@ -1,12 +1,16 @@
 const multer = require('multer');
+const crypto = require('crypto');
+const fs = require('fs');
 const path = require('path');
+const mongoose = require('mongoose');
 const Session = require('../models/Session');
-const compressionUtils = require('../utils/compressionUtils');
-const azureUtils = require('../utils/azureUtils');
-const slideCompressionUtils = require('../utils/slideCompressionUtils');
-const audioCompressionUtils = require('../utils/audioCompressionUtils');
-const pdfCompressionUtils = require('../utils/pdfCompressionUtils');
-const videoToAudioUtils = require('../utils/videoToAudioUtils');
+const storageUtils = require('../utils/storageUtils');
+const mediaProcessingService = require('../services/mediaProcessingService');
+const hlsUtils = require('../utils/hlsUtils');
+const previewUtils = require('../utils/previewUtils');
+const documentConversionUtils = require('../utils/documentConversionUtils');
+const { generatePlaybackToken, verifyPlaybackToken } = require('../config/jwt');
+const renditionConfig = require('../config/renditions');
 const { catchAsync, AppError } = require('../middleware/errorHandler');
 const { 
   sendSuccess, 
@@ -22,7 +26,17 @@ const { logInfo, logError } = require('../utils/logger');
  */
 
 // Configure multer for file uploads
-const storage = multer.memoryStorage();
+// Files are streamed to disk so a 500MB video never sits in memory
+const incomingDir = path.join(__dirname, '../../temp/incoming');
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdir(incomingDir, { recursive: true }, (error) => cb(error, incomingDir));
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${path.extname(file.originalname)}`);
+  }
+});
 
 const fileFilter = (req, file, cb) => {
   const allowedTypes = {
@@ -62,7 +76,8 @@ const upload = multer({
 });
 
 /**
- * Enhanced file upload with automatic compression and processing
+ * Enhanced file upload with background compression and processing
+ * Stores the original and returns 202 with the id of the processing job
  * Only teachers can upload files
  */
 const uploadFile = catchAsync(async (req, res) => {
@@ -102,7 +117,7 @@ const uploadFile = catchAsync(async (req, res) => {
   }
 
   // Validate file for upload
-  const fileValidation = azureUtils.validateFileForUpload(req.file, fileType);
+  const fileValidation = storageUtils.validateFileForUpload(req.file, fileType);
   if (!fileValidation.valid) {
     return sendError(res, fileValidation.errors.join(', '), 400);
   }
@@ -114,20 +129,21 @@ const uploadFile = catchAsync(async (req, res) => {
       return sendError(res, result.error, 500);
     }
 
-    logInfo('File uploaded and processed successfully', {
+    logInfo('File uploaded and queued for processing', {
       sessionId,
       userId,
       fileType,
       fileName: result.fileName,
       fileSize: req.file.size,
-      processedFiles: result.processedFiles?.length || 0
+      jobId: result.jobId
     });
 
-    sendSuccess(res, 'File uploaded and processed successfully', {
+    sendSuccess(res, 'File uploaded successfully, processing has been queued', {
       file: result.fileInfo,
-      processedFiles: result.processedFiles,
+      jobId: result.jobId,
+      processingStatus: 'queued',
       downloadUrls: result.downloadUrls
-    });
+    }, null, 202);
 
   } catch (error) {
     logError('File upload error', error, { sessionId, userId, fileType });
@@ -136,448 +152,162 @@ const uploadFile = catchAsync(async (req, res) => {
 });
 
 /**
- * Process file upload based on type
+ * Store the original file, add it to the session and queue its processing
+ * Compression and audio extraction run in mediaProcessingService
  */
 async function processFileUpload(file, fileType, sessionId, session, req) {
+  // file: { path, size, originalname, mimetype } as produced by multer disk storage
   const timestamp = Date.now();
   const randomId = Math.random().toString(36).substring(7);
   const fileExtension = path.extname(file.originalname);
   const baseFileName = `${sessionId}/${fileType}/${timestamp}-${randomId}`;
-
-  switch (fileType) {
-    case 'video':
-      return await processVideoUpload(file, baseFileName, sessionId, session);
-    case 'audio':
-      return await processAudioUpload(file, baseFileName, sessionId, session);
-    case 'slide':
-      return await processSlideUpload(file, baseFileName, sessionId, session, req);
-    default:
-      throw new Error('Unsupported file type');
-  }
-}
-
-/**
- * Process video upload with automatic compression and audio extraction
- */
-async function processVideoUpload(file, baseFileName, sessionId, session) {
-  const fileExtension = path.extname(file.originalname);
   const originalFileName = `${baseFileName}${fileExtension}`;
-  
-  // Upload original video
-  const originalUpload = await azureUtils.uploadFileWithRetry(
+
+  // Upload original file straight from disk
+  const originalUpload = await storageUtils.uploadFileFromPathWithRetry(
     originalFileName,
-    file.buffer,
+    file.path,
     file.mimetype
   );
 
   if (!originalUpload.success) {
-    throw new Error('Failed to upload original video: ' + originalUpload.error);
+    throw new Error(`Failed to upload original ${fileType} file: ` + originalUpload.error);
   }
 
-  // Get video metadata
-  const tempPath = path.join(__dirname, '../../temp', `temp_${Date.now()}.mp4`);
-  require('fs').writeFileSync(tempPath, file.buffer);
-  
-  const metadata = await compressionUtils.getVideoMetadata(tempPath);
-  require('fs').unlinkSync(tempPath);
-
-  // Compress to 240p and 360p
-  const compressionResults = await Promise.allSettled([
-    compressionUtils.compressVideo(file.buffer, '240p'),
-    compressionUtils.compressVideo(file.buffer, '360p')
-  ]);
-
-  // Extract audio from video using proper MP3 extraction
-  const audioResult = await videoToAudioUtils.extractAudioFromVideo(
-    file.buffer, 
-    file.originalname, 
-    '128k'
-  );
-
-  // Upload compressed versions
-  const versions = [];
-  const processedFiles = [];
-
-  // Upload 240p version
-  if (compressionResults[0].status === 'fulfilled' && compressionResults[0].value.success) {
-    const compressed240p = compressionResults[0].value;
-    const fileName240p = `${baseFileName}_240p.mp4`;
-    
-    const upload240p = await azureUtils.uploadFileWithRetry(
-      fileName240p,
-      compressed240p.buffer,
-      'video/mp4'
-    );
-
-    if (upload240p.success) {
-      versions.push({
-        quality: '240p',
-        fileName: fileName240p,
-        url: upload240p.url,
-        fileSize: compressed240p.buffer.length,
-        compressed: true
-      });
-      processedFiles.push(fileName240p);
+  const fileId = new mongoose.Types.ObjectId();
+  const fileInfo = {
+    _id: fileId,
+    ...buildFileEntry(fileType, file, originalFileName, originalUpload.url, session, req),
+    processing: {
+      status: 'queued',
+      jobId: null,
+      attempts: 0,
+      error: null
     }
-  }
+  };
 
-  // Upload 360p version
-  if (compressionResults[1].status === 'fulfilled' && compressionResults[1].value.success) {
-    const compressed360p = compressionResults[1].value;
-    const fileName360p = `${baseFileName}_360p.mp4`;
-    
-    const upload360p = await azureUtils.uploadFileWithRetry(
-      fileName360p,
-      compressed360p.buffer,
-      'video/mp4'
-    );
+  await Session.findByIdAndUpdate(sessionId, {
+    $push: { [mediaProcessingService.sessionFields[fileType]]: fileInfo }
+  });
 
-    if (upload360p.success) {
-      versions.push({
-        quality: '360p',
-        fileName: fileName360p,
-        url: upload360p.url,
-        fileSize: compressed360p.buffer.length,
-        compressed: true
-      });
-      processedFiles.push(fileName360p);
-    }
+  let job;
+  try {
+    job = await mediaProcessingService.enqueue(fileType, {
+      sessionId,
+      fileId,
+      fileName: originalFileName,
+      baseFileName,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      fileSize: file.size
+    });
+  } catch (error) {
+    // Without a job the entry would stay 'queued' forever
+    await Session.findByIdAndUpdate(sessionId, {
+      $pull: { [mediaProcessingService.sessionFields[fileType]]: { _id: fileId } }
+    });
+    await storageUtils.deleteMultipleFiles([originalFileName]);
+    throw error;
   }
 
-  // Upload audio version (true MP3 audio-only)
-  let audioVersion = null;
-  if (audioResult.success) {
-    const audioFileName = `${baseFileName}_audio.mp3`;
-    
-    const audioUpload = await azureUtils.uploadFileWithRetry(
-      audioFileName,
-      audioResult.buffer,
-      'audio/mpeg'
-    );
-
-    if (audioUpload.success) {
-      audioVersion = {
-        fileName: audioFileName,
-        url: audioUpload.url,
-        duration: audioResult.metadata.duration,
-        fileSize: audioResult.audioSize,
-        bitrate: audioResult.metadata.bitrate,
-        sampleRate: audioResult.metadata.sampleRate,
-        channels: audioResult.metadata.channels,
-        isAudioOnly: true,
-        compressionRatio: audioResult.compressionRatio
-      };
-      processedFiles.push(audioFileName);
-    }
-  }
+  fileInfo.processing.jobId = job._id;
 
-  // Generate signed URLs for all files
-  const allFileNames = [
-    { fileName: originalFileName, quality: 'original', type: 'video' },
-    ...versions.map(v => ({ fileName: v.fileName, quality: v.quality, type: 'video' })),
-    ...(audioVersion ? [{ fileName: audioVersion.fileName, type: 'audio' }] : [])
-  ];
-
-  const signedUrls = await azureUtils.generateMultipleSignedUrls(
-    allFileNames,
-    'download',
-    metadata.duration
+  const signedUrls = await storageUtils.generateMultipleSignedUrls(
+    [{ fileName: originalFileName, quality: 'original', type: fileType }],
+    fileType === 'video' ? 'download' : fileType,
+    0
   );
 
-  // Create video file info
-  const videoFileInfo = {
-    fileName: originalFileName,
-    url: originalUpload.url,
-    duration: metadata.duration,
-    quality: 'original',
-    compressed: false,
-    versions: versions,
-    audioVersion: audioVersion,
-    fileSize: file.size,
-    originalName: file.originalname,
-    mimeType: file.mimetype,
-    uploadedAt: new Date()
-  };
-
-  // Update session with video file
-  const updateOperations = {
-    $push: { videoFiles: videoFileInfo }
-  };
-
-  // If audio was extracted, also add it to audioFiles array
-  if (audioVersion) {
-    const audioFileInfo = {
-      fileName: audioVersion.fileName,
-      url: audioVersion.url,
-      duration: audioVersion.duration,
-      fileSize: audioVersion.fileSize,
-      originalName: `${file.originalname} (extracted audio)`,
-      mimeType: 'audio/mpeg',
-      compressed: false, // This is the extracted version
-      compressionRatio: audioResult.compressionRatio,
-      compressionMetadata: {
-        bitrate: audioResult.metadata.bitrate + ' bps',
-        sampleRate: audioResult.metadata.sampleRate,
-        channels: audioResult.metadata.channels,
-        optimizedFor: 'speech'
-      },
-      uploadedAt: new Date()
-    };
-    
-    updateOperations.$push.audioFiles = audioFileInfo;
-  }
-
-  await Session.findByIdAndUpdate(sessionId, updateOperations);
-
   return {
     success: true,
     fileName: originalFileName,
-    fileInfo: videoFileInfo,
-    processedFiles: processedFiles,
+    fileInfo,
+    jobId: job._id,
     downloadUrls: signedUrls.success ? signedUrls.urls : {}
   };
 }
 
 /**
- * Process audio upload with compression
+ * Session entry for a freshly uploaded file
+ * Compressed versions are filled in by the processing job
  */
-async function processAudioUpload(file, baseFileName, sessionId, session) {
-  const fileExtension = path.extname(file.originalname);
-  const originalFileName = `${baseFileName}${fileExtension}`;
-  
-  // Upload original audio file
-  const originalUpload = await azureUtils.uploadFileWithRetry(
-    originalFileName,
-    file.buffer,
-    file.mimetype
-  );
-
-  if (!originalUpload.success) {
-    throw new Error('Failed to upload original audio file: ' + originalUpload.error);
-  }
-
-  // Compress audio file for speech
-  const compressionResult = await audioCompressionUtils.compressForSpeech(
-    file.buffer,
-    file.originalname,
-    file.mimetype
-  );
-
-  let compressedFileName = null;
-  let compressedUpload = null;
-  let processedFiles = [originalFileName];
-
-  if (compressionResult.success && compressionResult.compressed) {
-    // Upload compressed version
-    compressedFileName = `${baseFileName}_compressed.mp3`;
-    compressedUpload = await azureUtils.uploadFileWithRetry(
-      compressedFileName,
-      compressionResult.buffer,
-      'audio/mpeg'
-    );
-
-    if (compressedUpload.success) {
-      processedFiles.push(compressedFileName);
-    }
-  }
-
-  // Generate signed URLs for all files
-  const allFileNames = [
-    { fileName: originalFileName, quality: 'original', type: 'audio' }
-  ];
-
-  if (compressedFileName) {
-    allFileNames.push({ fileName: compressedFileName, quality: 'compressed', type: 'audio' });
-  }
-
-  const signedUrls = await azureUtils.generateMultipleSignedUrls(
-    allFileNames,
-    'audio',
-    0
-  );
-
-  // Create audio file info
-  const audioFileInfo = {
-    fileName: originalFileName,
-    url: originalUpload.url,
-    duration: compressionResult.metadata?.duration || 0,
+function buildFileEntry(fileType, file, fileName, url, session, req) {
+  const common = {
+    fileName,
+    url,
     fileSize: file.size,
     originalName: file.originalname,
     mimeType: file.mimetype,
-    // Add compressed version info
-    compressed: compressionResult.success && compressionResult.compressed,
-    compressedFileName: compressedFileName,
-    compressedUrl: compressedUpload?.url,
-    compressedFileSize: compressionResult.compressedSize,
-    compressionRatio: compressionResult.compressionRatio,
-    compressionMetadata: compressionResult.metadata,
     uploadedAt: new Date()
   };
 
-  // Update session with audio file
-  await Session.findByIdAndUpdate(sessionId, {
-    $push: { audioFiles: audioFileInfo }
-  });
-
-  return {
-    success: true,
-    fileName: originalFileName,
-    fileInfo: audioFileInfo,
-    processedFiles: processedFiles,
-    downloadUrls: signedUrls.success ? signedUrls.urls : {}
-  };
-}
-
-/**
- * Process slide upload with compression
- */
-async function processSlideUpload(file, baseFileName, sessionId, session, req) {
-  const fileExtension = path.extname(file.originalname);
-  const originalFileName = `${baseFileName}${fileExtension}`;
-  
-  // Upload original slide file
-  const originalUpload = await azureUtils.uploadFileWithRetry(
-    originalFileName,
-    file.buffer,
-    file.mimetype
-  );
-
-  if (!originalUpload.success) {
-    throw new Error('Failed to upload original slide file: ' + originalUpload.error);
-  }
-
-  // Handle PDF compression with dedicated utility
-  let compressionResult = { success: false, compressed: false };
-  
-  if (file.mimetype === 'application/pdf') {
-    try {
-      // Use dedicated PDF compression utility
-      compressionResult = await pdfCompressionUtils.compressPDF(
-        file.buffer,
-        file.originalname
-      );
-      
-      logInfo('PDF compression processing completed', {
-        originalName: file.originalname,
-        originalSize: pdfCompressionUtils.formatFileSize(file.size),
-        compressed: compressionResult.compressed,
-        compressionRatio: compressionResult.compressionRatio,
-        skipped: compressionResult.skipped,
-        reason: compressionResult.reason || compressionResult.error
-      });
-    } catch (compressionError) {
-      logError('PDF compression error', compressionError, {
-        originalName: file.originalname,
-        originalSize: file.size
-      });
-      // Continue with original file if compression fails
-      compressionResult = {
-        success: true,
+  switch (fileType) {
+    case 'video':
+      return {
+        ...common,
+        quality: 'original',
         compressed: false,
-        buffer: file.buffer,
-        originalSize: file.size,
-        compressedSize: file.size,
-        compressionRatio: 0,
-        error: compressionError.message
+        versions: []
       };
-    }
-  } else {
-    // Use existing slide compression for non-PDF files
-    try {
-      compressionResult = await slideCompressionUtils.compressSlide(
-        file.buffer,
-        file.originalname,
-        file.mimetype
-      );
-    } catch (compressionError) {
-      logError('Slide compression error', compressionError, {
-        mimeType: file.mimetype,
-        originalName: file.originalname
-      });
-      // Continue with original file if compression fails
-      compressionResult = {
-        success: true,
+    case 'audio':
+      return {
+        ...common,
+        compressed: false
+      };
+    case 'slide':
+      return {
+        ...common,
+        title: req.body.title || `Slide ${session.slides.length + 1}`,
+        order: session.slides.length,
         compressed: false,
-        buffer: file.buffer,
+        originalUrl: url,
         originalSize: file.size,
-        compressedSize: file.size,
-        compressionRatio: 0
+        processedAt: null
       };
-    }
+    default:
+      throw new Error('Unsupported file type');
   }
+}
 
-  let compressedFileName = null;
-  let compressedUpload = null;
-  let processedFiles = [originalFileName];
-
-  if (compressionResult.success && compressionResult.compressed) {
-    // Upload compressed version
-    compressedFileName = `${baseFileName}_compressed${fileExtension}`;
-    compressedUpload = await azureUtils.uploadFileWithRetry(
-      compressedFileName,
-      compressionResult.buffer,
-      file.mimetype
-    );
-
-    if (compressedUpload.success) {
-      processedFiles.push(compressedFileName);
-    }
-  }
+// Caption tracks of a video or audio entry, to be signed with the other files
+function addCaptionFiles(allFiles, entry) {
+  (entry.captions || []).forEach(caption => {
+    allFiles.push({ fileName: caption.fileName, type: 'caption', quality: caption.language });
+  });
+}
 
-  // Generate signed URLs for all files
-  const allFileNames = [
-    { fileName: originalFileName, quality: 'original', type: 'slide' }
-  ];
+function formatCaptions(entry, signedUrls) {
+  return (entry.captions || []).map(caption => ({
+    ...caption.toObject(),
+    downloadUrl: signedUrls.urlsByFileName[caption.fileName]?.url || null
+  }));
+}
 
-  if (compressedFileName) {
-    allFileNames.push({ fileName: compressedFileName, quality: 'compressed', type: 'slide' });
-  }
+function hasPreviews(videoFile) {
+  return !!(videoFile.previews && videoFile.previews.posterFileName);
+}
 
-  const signedUrls = await azureUtils.generateMultipleSignedUrls(
-    allFileNames,
-    'slide',
-    0
+// Signed preview images of a video, plus the seek-preview VTT URL carrying a playback token
+function formatPreviews(req, sessionId, video, signedUrls) {
+  const { previews } = video;
+  const token = generatePlaybackToken(
+    { sessionId, videoId: video._id.toString(), userId: req.user._id },
+    signedUrls.expiryMinutes
   );
 
-  // Create slide file info with enhanced PDF metadata
-  const slideFileInfo = {
-    title: req.body.title || `Slide ${session.slides.length + 1}`,
-    url: originalUpload.url,
-    order: session.slides.length,
-    fileName: originalFileName,
-    fileSize: file.size,
-    originalName: file.originalname,
-    mimeType: file.mimetype,
-    // Enhanced compression info for PDFs
-    compressed: compressionResult.success && compressionResult.compressed,
-    compressedFileName: compressedFileName,
-    compressedUrl: compressedUpload?.url,
-    compressedFileSize: compressionResult.compressedSize,
-    compressionRatio: compressionResult.compressionRatio,
-    compressionMetadata: compressionResult.metadata,
-    // PDF-specific metadata
-    originalUrl: originalUpload.url,
-    originalSize: file.size,
-    compressedSize: compressionResult.compressedSize || file.size,
-    compressionSkipped: compressionResult.skipped || false,
-    compressionError: compressionResult.error || null,
-    compressionStats: file.mimetype === 'application/pdf' ? 
-      pdfCompressionUtils.getCompressionStats(compressionResult) : null,
-    uploadedAt: new Date(),
-    processedAt: new Date()
-  };
-
-  // Update session with slide file
-  await Session.findByIdAndUpdate(sessionId, {
-    $push: { slides: slideFileInfo }
-  });
-
   return {
-    success: true,
-    fileName: originalFileName,
-    fileInfo: slideFileInfo,
-    processedFiles: processedFiles,
-    downloadUrls: signedUrls.success ? signedUrls.urls : {}
+    posterUrl: signedUrls.urlsByFileName[previews.posterFileName]?.url || null,
+    thumbnails: previews.thumbnails.map(thumbnail => ({
+      time: thumbnail.time,
+      url: signedUrls.urlsByFileName[thumbnail.fileName]?.url || null
+    })),
+    seekPreview: previews.sprite && previews.sprite.sheets.length > 0 ? {
+      vttUrl: `${req.baseUrl}/session/${sessionId}/video/${video._id}/previews/thumbnails.vtt?token=${token}`,
+      interval: previews.sprite.interval,
+      tileWidth: previews.sprite.tileWidth,
+      tileHeight: previews.sprite.tileHeight
+    } : null,
+    generatedAt: previews.generatedAt
   };
 }
 
@@ -629,6 +359,17 @@ const getSessionFiles = catchAsync(async (req, res) => {
           order: slide.order
         });
       }
+
+      // PDF converted from a Word or PowerPoint upload (page images are signed per page)
+      if (slide.convertedFileName) {
+        allFiles.push({
+          fileName: slide.convertedFileName,
+          type: 'slide',
+          quality: 'converted',
+          title: slide.title,
+          order: slide.order
+        });
+      }
     });
 
     // Add audio files (original and compressed)
@@ -650,6 +391,8 @@ const getSessionFiles = catchAsync(async (req, res) => {
           duration: audio.duration
         });
       }
+
+      addCaptionFiles(allFiles, audio);
     });
 
     // Add video files (original and compressed versions)
@@ -681,10 +424,21 @@ const getSessionFiles = catchAsync(async (req, res) => {
           duration: video.audioVersion.duration
         });
       }
+
+      addCaptionFiles(allFiles, video);
+
+      // Poster and thumbnails (sprite sheets are signed in the seek-preview VTT)
+      if (hasPreviews(video)) {
+        [video.previews.posterFileName, ...video.previews.thumbnails.map(t => t.fileName)]
+          .filter(Boolean)
+          .forEach(fileName => {
+            allFiles.push({ fileName, type: 'image', quality: 'preview' });
+          });
+      }
     });
 
     // Generate signed URLs for all files
-    const signedUrls = await azureUtils.generateMultipleSignedUrls(
+    const signedUrls = await storageUtils.generateMultipleSignedUrls(
       allFiles,
       'download',
       0
@@ -698,29 +452,36 @@ const getSessionFiles = catchAsync(async (req, res) => {
     const organizedFiles = {
       slides: session.slides.map(slide => ({
         ...slide.toObject(),
-        downloadUrl: signedUrls.urls[slide.fileName]?.url || null,
+        downloadUrl: signedUrls.urlsByFileName[slide.fileName]?.url || null,
         compressedDownloadUrl: slide.compressedFileName ? 
-          signedUrls.urls[slide.compressedFileName]?.url || null : null,
+          signedUrls.urlsByFileName[slide.compressedFileName]?.url || null : null,
+        convertedDownloadUrl: slide.convertedFileName ?
+          signedUrls.urlsByFileName[slide.convertedFileName]?.url || null : null,
         expiresAt: signedUrls.expiresAt
       })),
       audioFiles: session.audioFiles.map(audio => ({
         ...audio.toObject(),
-        downloadUrl: signedUrls.urls[audio.fileName]?.url || null,
+        downloadUrl: signedUrls.urlsByFileName[audio.fileName]?.url || null,
         compressedDownloadUrl: audio.compressedFileName ? 
-          signedUrls.urls[audio.compressedFileName]?.url || null : null,
+          signedUrls.urlsByFileName[audio.compressedFileName]?.url || null : null,
+        captions: formatCaptions(audio, signedUrls),
         expiresAt: signedUrls.expiresAt
       })),
       videoFiles: session.videoFiles.map(video => ({
         ...video.toObject(),
-        downloadUrl: signedUrls.urls[video.fileName]?.url || null,
+        downloadUrl: signedUrls.urlsByFileName[video.fileName]?.url || null,
         versions: video.versions.map(version => ({
           ...version.toObject(),
-          downloadUrl: signedUrls.urls[version.fileName]?.url || null
+          downloadUrl: signedUrls.urlsByFileName[version.fileName]?.url || null
         })),
         audioVersion: video.audioVersion ? {
           ...video.audioVersion.toObject(),
-          downloadUrl: signedUrls.urls[video.audioVersion.fileName]?.url || null
+          downloadUrl: signedUrls.urlsByFileName[video.audioVersion.fileName]?.url || null
         } : null,
+        captions: formatCaptions(video, signedUrls),
+        previews: hasPreviews(video)
+          ? formatPreviews(req, sessionId, video, signedUrls)
+          : null,
         expiresAt: signedUrls.expiresAt
       }))
     };
@@ -751,7 +512,7 @@ const getSessionFiles = catchAsync(async (req, res) => {
  * Returns appropriate quality based on request
  */
 const getAdaptiveStreamingUrl = catchAsync(async (req, res) => {
-  const { sessionId, videoId, quality = '360p' } = req.params;
+  const { sessionId, videoId, quality = renditionConfig.defaultQuality } = req.params;
   const userId = req.user._id;
 
   // Validate session exists and user has access
@@ -783,10 +544,9 @@ const getAdaptiveStreamingUrl = catchAsync(async (req, res) => {
       if (version) {
         targetFileName = version.fileName;
       } else {
-        // Fallback to available quality
+        // Fallback to the closest available quality at or below the request
         const availableQualities = videoFile.versions.map(v => v.quality);
-        targetQuality = availableQualities.includes('360p') ? '360p' : 
-                       availableQualities.includes('240p') ? '240p' : 'original';
+        targetQuality = renditionConfig.selectFallbackQuality(quality, availableQualities) || 'original';
         
         if (targetQuality === 'original') {
           targetFileName = videoFile.fileName;
@@ -798,7 +558,7 @@ const getAdaptiveStreamingUrl = catchAsync(async (req, res) => {
     }
 
     // Generate streaming URL with appropriate expiry
-    const streamingUrl = await azureUtils.generateSignedUrlWithExpiry(
+    const streamingUrl = await storageUtils.generateSignedUrlWithExpiry(
       targetFileName,
       'streaming',
       videoFile.duration
@@ -822,7 +582,11 @@ const getAdaptiveStreamingUrl = catchAsync(async (req, res) => {
       quality: targetQuality,
       duration: videoFile.duration,
       expiresAt: streamingUrl.expiresAt,
-      expiryMinutes: streamingUrl.expiryMinutes
+      expiryMinutes: streamingUrl.expiryMinutes,
+      // Adaptive (HLS) playback, when the video has been packaged
+      hlsPlaylistUrl: hasHlsPackage(videoFile)
+        ? `${req.baseUrl}/session/${sessionId}/video/${videoId}/hls/master.m3u8`
+        : null
     });
 
   } catch (error) {
@@ -831,6 +595,220 @@ const getAdaptiveStreamingUrl = catchAsync(async (req, res) => {
   }
 });
 
+function hasHlsPackage(videoFile) {
+  return !!(videoFile.hls && videoFile.hls.renditions && videoFile.hls.renditions.length > 0);
+}
+
+/**
+ * Get HLS master playlist for a video
+ * Each variant points at a media playlist URL carrying a playback token for the
+ * requesting user, so players can fetch it without an Authorization header
+ */
+const getHlsMasterPlaylist = catchAsync(async (req, res) => {
+  const { sessionId, videoId } = req.params;
+  const userId = req.user._id;
+
+  // Session and access already validated by middleware
+  const session = req.session;
+
+  const videoFile = session.videoFiles.find(video => video._id.toString() === videoId);
+  if (!videoFile) {
+    return sendNotFound(res, 'Video file not found');
+  }
+
+  if (!hasHlsPackage(videoFile)) {
+    return sendNotFound(res, 'Adaptive streaming is not available for this video');
+  }
+
+  const expiryMinutes = storageUtils.calculateExpiryTime('streaming', videoFile.duration);
+  const token = generatePlaybackToken({ sessionId, videoId, userId }, expiryMinutes);
+
+  // Relative URIs resolve against this playlist's URL
+  const playlist = hlsUtils.buildMasterPlaylist(
+    videoFile.hls.renditions,
+    rendition => `renditions/${encodeURIComponent(rendition.name)}.m3u8?token=${token}`,
+    (videoFile.captions || []).map(caption => ({
+      label: caption.label || caption.language,
+      language: caption.language,
+      isDefault: caption.isDefault,
+      uri: `captions/${caption._id}.m3u8?token=${token}`
+    }))
+  );
+
+  logInfo('HLS master playlist generated', {
+    sessionId,
+    userId,
+    videoId,
+    renditions: videoFile.hls.renditions.map(r => r.name),
+    expiryMinutes
+  });
+
+  res.set('Content-Type', hlsUtils.playlistContentType);
+  res.set('Cache-Control', 'private, no-store');
+  res.send(playlist);
+});
+
+/**
+ * Check the playback token of a request made by a player without auth headers
+ * @returns {Object|null} Decoded token, or null once an error response has been sent
+ */
+function verifyPlaybackRequest(req, res) {
+  const { sessionId, videoId } = req.params;
+
+  let playback;
+  try {
+    playback = verifyPlaybackToken(req.query.token);
+  } catch (error) {
+    sendError(res, 'Invalid or expired playback token', 403);
+    return null;
+  }
+
+  if (playback.sessionId !== sessionId || playback.videoId !== videoId) {
+    sendError(res, 'Playback token does not match this video', 403);
+    return null;
+  }
+
+  return playback;
+}
+
+// Minutes until a playback token expires; URLs signed for it live as long
+function getPlaybackExpiryMinutes(playback) {
+  return Math.max(1, Math.ceil((playback.exp * 1000 - Date.now()) / 60000));
+}
+
+/**
+ * Get HLS media playlist with every segment URL signed
+ * Authenticated by the playback token from the master playlist
+ */
+const getHlsMediaPlaylist = catchAsync(async (req, res) => {
+  const { sessionId, videoId, rendition: renditionName } = req.params;
+
+  const playback = verifyPlaybackRequest(req, res);
+  if (!playback) return;
+
+  const session = await Session.findById(sessionId);
+  if (!session) {
+    return sendNotFound(res, 'Session not found');
+  }
+
+  const videoFile = session.videoFiles.find(video => video._id.toString() === videoId);
+  const rendition = videoFile && hasHlsPackage(videoFile)
+    ? videoFile.hls.renditions.find(r => r.name === renditionName)
+    : null;
+  if (!rendition) {
+    return sendNotFound(res, 'Rendition not found');
+  }
+
+  try {
+    const download = await storageUtils.storage.downloadFile(rendition.playlistFileName);
+    if (!download.success) {
+      return sendError(res, 'Failed to load playlist: ' + download.error, 500);
+    }
+
+    const expiryMinutes = getPlaybackExpiryMinutes(playback);
+    const storageDir = rendition.playlistFileName.substring(0, rendition.playlistFileName.lastIndexOf('/'));
+
+    const playlist = await hlsUtils.rewriteSegmentUris(download.buffer.toString('utf8'), async (segment) => {
+      const signed = await storageUtils.storage.generateSignedUrl(`${storageDir}/${segment}`, expiryMinutes);
+      if (!signed.success) {
+        throw new Error(signed.error);
+      }
+      return signed.url;
+    });
+
+    logInfo('HLS media playlist generated', {
+      sessionId,
+      userId: playback.viewerId,
+      videoId,
+      rendition: renditionName,
+      segments: rendition.segmentCount
+    });
+
+    res.set('Content-Type', hlsUtils.playlistContentType);
+    res.set('Cache-Control', 'private, no-store');
+    res.send(playlist);
+
+  } catch (error) {
+    logError('HLS media playlist error', error, { sessionId, videoId, rendition: renditionName });
+    return sendError(res, 'Failed to generate playlist: ' + error.message, 500);
+  }
+});
+
+/**
+ * Get the HLS subtitle playlist of a caption track, pointing at its signed WebVTT file
+ * Authenticated by the playback token from the master playlist
+ */
+const getHlsCaptionPlaylist = catchAsync(async (req, res) => {
+  const { sessionId, videoId, captionId } = req.params;
+
+  const playback = verifyPlaybackRequest(req, res);
+  if (!playback) return;
+
+  const session = await Session.findById(sessionId);
+  if (!session) {
+    return sendNotFound(res, 'Session not found');
+  }
+
+  const videoFile = session.videoFiles.find(video => video._id.toString() === videoId);
+  const caption = videoFile && videoFile.captions
+    ? videoFile.captions.find(track => track._id.toString() === captionId)
+    : null;
+  if (!caption) {
+    return sendNotFound(res, 'Caption track not found');
+  }
+
+  const signed = await storageUtils.storage.generateSignedUrl(caption.fileName, getPlaybackExpiryMinutes(playback));
+  if (!signed.success) {
+    return sendError(res, 'Failed to generate caption URL: ' + signed.error, 500);
+  }
+
+  res.set('Content-Type', hlsUtils.playlistContentType);
+  res.set('Cache-Control', 'private, no-store');
+  res.send(hlsUtils.buildSubtitlePlaylist(signed.url, videoFile.duration));
+});
+
+/**
+ * Get the seek-preview WebVTT of a video with every sprite sheet URL signed
+ * Authenticated by the playback token from the session file listing
+ */
+const getSeekPreviewVtt = catchAsync(async (req, res) => {
+  const { sessionId, videoId } = req.params;
+
+  const playback = verifyPlaybackRequest(req, res);
+  if (!playback) return;
+
+  const session = await Session.findById(sessionId);
+  if (!session) {
+    return sendNotFound(res, 'Session not found');
+  }
+
+  const videoFile = session.videoFiles.find(video => video._id.toString() === videoId);
+  if (!videoFile || !hasPreviews(videoFile) || videoFile.previews.sprite.sheets.length === 0) {
+    return sendNotFound(res, 'Seek preview not found');
+  }
+
+  try {
+    const expiryMinutes = getPlaybackExpiryMinutes(playback);
+    const { sprite } = videoFile.previews;
+
+    const sheetUrls = await Promise.all(sprite.sheets.map(async (sheet) => {
+      const signed = await storageUtils.storage.generateSignedUrl(sheet, expiryMinutes);
+      if (!signed.success) {
+        throw new Error(signed.error);
+      }
+      return signed.url;
+    }));
+
+    res.set('Content-Type', previewUtils.vttContentType);
+    res.set('Cache-Control', 'private, no-store');
+    res.send(previewUtils.buildSpriteVtt(sprite, videoFile.duration, sheetUrls));
+
+  } catch (error) {
+    logError('Seek preview VTT error', error, { sessionId, videoId });
+    return sendError(res, 'Failed to generate seek preview: ' + error.message, 500);
+  }
+});
+
 /**
  * Get slide download URL (original or compressed)
  * Students and teachers can access files for their sessions
@@ -862,7 +840,7 @@ const getSlideDownloadUrl = catchAsync(async (req, res) => {
     }
 
     // Generate download URL with appropriate expiry
-    const downloadUrl = await azureUtils.generateSignedUrlWithExpiry(
+    const downloadUrl = await storageUtils.generateSignedUrlWithExpiry(
       targetFileName,
       'slide',
       0
@@ -897,6 +875,77 @@ const getSlideDownloadUrl = catchAsync(async (req, res) => {
   }
 });
 
+/**
+ * Get signed URLs for the images of one slide page
+ * Lets clients show a single page of a PDF or Office deck without downloading it
+ * Students and teachers can access files for their sessions
+ */
+const getSlidePage = catchAsync(async (req, res) => {
+  const { sessionId, slideId } = req.params;
+  const pageNumber = parseInt(req.params.pageNumber);
+  const userId = req.user._id;
+
+  // Session and access already validated by middleware
+  const slideFile = req.session.slides.find(slide => slide._id.toString() === slideId);
+  if (!slideFile) {
+    return sendNotFound(res, 'Slide file not found');
+  }
+
+  if (!slideFile.pages || slideFile.pages.length === 0) {
+    return sendNotFound(res, 'Slide has no rendered pages');
+  }
+
+  const page = slideFile.pages.find(entry => entry.pageNumber === pageNumber);
+  if (!page) {
+    return sendNotFound(res, `Page ${req.params.pageNumber} not found (slide has ${slideFile.pageCount} pages)`);
+  }
+
+  try {
+    const signedUrls = await storageUtils.generateMultipleSignedUrls(
+      page.images.map(image => ({ fileName: image.fileName, type: 'image', quality: `${image.resolution}_${image.format}` })),
+      'slide'
+    );
+
+    if (!signedUrls.success) {
+      return sendError(res, 'Failed to generate page URLs: ' + signedUrls.error, 500);
+    }
+
+    // { low: { webp: {...}, jpeg: {...} }, medium: { ... } }
+    const images = {};
+    page.images.forEach(image => {
+      images[image.resolution] = images[image.resolution] || {};
+      images[image.resolution][image.format] = {
+        url: signedUrls.urlsByFileName[image.fileName]?.url || null,
+        width: image.width,
+        height: image.height,
+        fileSize: image.fileSize
+      };
+    });
+
+    logInfo('Slide page URLs generated', {
+      sessionId,
+      userId,
+      slideId,
+      pageNumber
+    });
+
+    sendSuccess(res, 'Slide page URLs generated successfully', {
+      slideId,
+      pageNumber,
+      pageCount: slideFile.pageCount,
+      width: page.width,
+      height: page.height,
+      images,
+      expiresAt: signedUrls.expiresAt,
+      expiryMinutes: signedUrls.expiryMinutes
+    });
+
+  } catch (error) {
+    logError('Slide page URL error', error, { sessionId, userId, slideId, pageNumber });
+    return sendError(res, 'Failed to generate page URLs: ' + error.message, 500);
+  }
+});
+
 /**
  * Get audio download URL (original or compressed)
  * Students and teachers can access files for their sessions
@@ -928,7 +977,7 @@ const getAudioDownloadUrl = catchAsync(async (req, res) => {
     }
 
     // Generate download URL with appropriate expiry
-    const downloadUrl = await azureUtils.generateSignedUrlWithExpiry(
+    const downloadUrl = await storageUtils.generateSignedUrlWithExpiry(
       targetFileName,
       'audio',
       audioFile.duration
@@ -967,6 +1016,40 @@ const getAudioDownloadUrl = catchAsync(async (req, res) => {
   }
 });
 
+/**
+ * Get background processing status of an uploaded file
+ * Students and teachers can access files for their sessions
+ */
+const getProcessingStatus = catchAsync(async (req, res) => {
+  const { sessionId, fileType, fileId } = req.params;
+  const userId = req.user._id;
+
+  // Session and access already validated by middleware
+  const session = req.session;
+
+  const file = mediaProcessingService.findFile(session, fileType, fileId);
+  if (!file) {
+    return sendNotFound(res, 'File not found');
+  }
+
+  try {
+    const status = await mediaProcessingService.getStatus(file);
+
+    sendSuccess(res, 'Processing status retrieved successfully', {
+      sessionId,
+      fileType,
+      fileId,
+      fileName: file.fileName,
+      originalName: file.originalName,
+      ...status
+    });
+
+  } catch (error) {
+    logError('Processing status error', error, { sessionId, userId, fileType, fileId });
+    return sendError(res, 'Failed to retrieve processing status: ' + error.message, 500);
+  }
+});
+
 /**
  * Delete file from session
  * Only teachers can delete files
@@ -1027,6 +1110,17 @@ const deleteFile = catchAsync(async (req, res) => {
       if (fileToDelete.audioVersion) {
         filesToDelete.push(fileToDelete.audioVersion.fileName);
       }
+      if (hasHlsPackage(fileToDelete)) {
+        filesToDelete.push(...hlsUtils.getStorageFileNames(fileToDelete.hls));
+      }
+      if (hasPreviews(fileToDelete)) {
+        filesToDelete.push(...previewUtils.getStorageFileNames(fileToDelete.previews));
+      }
+    }
+
+    // Caption tracks of videos and audio
+    if (fileToDelete.captions) {
+      filesToDelete.push(...fileToDelete.captions.map(caption => caption.fileName));
     }
 
     // For slides and audio, also delete compressed versions
@@ -1034,11 +1128,19 @@ const deleteFile = catchAsync(async (req, res) => {
       filesToDelete.push(fileToDelete.compressedFileName);
     }
 
-    // Delete files from Azure
-    const deleteResult = await azureUtils.deleteMultipleFiles(filesToDelete);
+    // Converted PDF and page images of slides
+    if (fileType === 'slide') {
+      filesToDelete.push(...documentConversionUtils.getStorageFileNames(fileToDelete));
+    }
+
+    // Stop queued processing so it does not recreate the deleted versions
+    await mediaProcessingService.cancel(fileToDelete);
+
+    // Delete files from storage
+    const deleteResult = await storageUtils.deleteMultipleFiles(filesToDelete);
     
     if (deleteResult.failedCount > 0) {
-      logError('Some files could not be deleted from Azure', null, {
+      logError('Some files could not be deleted from storage', null, {
         failedFiles: deleteResult.results.failed
       });
     }
@@ -1069,14 +1171,32 @@ const deleteFile = catchAsync(async (req, res) => {
 });
 
 // Configure multer middleware
-const uploadMiddleware = upload.single('file');
+// The temp file is removed once the response is done, whatever the outcome
+const uploadMiddleware = (req, res, next) => {
+  res.once('close', () => {
+    if (req.file && req.file.path) {
+      fs.promises.rm(req.file.path, { force: true }).catch((error) => {
+        logError('Incoming upload cleanup error', error, { filePath: req.file.path });
+      });
+    }
+  });
+
+  upload.single('file')(req, res, next);
+};
 
 module.exports = {
   uploadFile,
   getSessionFiles,
   getAdaptiveStreamingUrl,
+  getHlsMasterPlaylist,
+  getHlsMediaPlaylist,
+  getHlsCaptionPlaylist,
+  getSeekPreviewVtt,
   getSlideDownloadUrl,
+  getSlidePage,
   getAudioDownloadUrl,
+  getProcessingStatus,
   deleteFile,
-  uploadMiddleware
+  uploadMiddleware,
+  processFileUpload
 };
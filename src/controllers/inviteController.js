@@ -0,0 +1,435 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const SessionInvite = require('../models/SessionInvite');
+const waitlistService = require('../services/waitlistService');
+const { catchAsync } = require('../middleware/errorHandler');
+const {
+  sendSuccess,
+  sendError,
+  sendNotFound
+} = require('../utils/response');
+const { logInfo } = require('../utils/logger');
+
+// No 0/O or 1/I, so a code read out loud or copied from a slide still works;
+// 32 characters, so every random byte maps to one without bias
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const DEFAULT_TTL_HOURS = parseInt(process.env.INVITE_TTL_HOURS) || 7 * 24;
+const MAX_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+const OPEN_STATUSES = ['scheduled', 'live'];
+
+const generateCode = () => Array.from(crypto.randomBytes(CODE_LENGTH))
+  .map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length])
+  .join('');
+
+// Codes are shown as 'K7QM-2XPD' and typed in any case
+const normalizeCode = (code) => String(code || '').toUpperCase().replace(/[\s-]/g, '');
+
+const getInviteUrl = (code) => `${process.env.CLIENT_URL || 'http://localhost:3000'}/join/${code}`;
+
+// Save with a fresh code, drawing again on the unlikely duplicate
+const saveWithNewCode = async (invite, attempts = 3) => {
+  invite.code = generateCode();
+  try {
+    return await invite.save();
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.code && attempts > 1) {
+      return saveWithNewCode(invite, attempts - 1);
+    }
+    throw error;
+  }
+};
+
+const formatInvite = (invite) => {
+  const { requests, ...data } = invite.toObject();
+  return {
+    ...data,
+    url: getInviteUrl(invite.code),
+    usable: invite.isUsable(),
+    pendingRequests: requests.filter(request => request.status === 'pending').length
+  };
+};
+
+// Why a code cannot be redeemed, or null if it can
+const getInviteError = (invite) => {
+  if (invite.status === 'revoked') return 'Invite code has been revoked';
+  if (invite.expiresAt <= new Date()) return 'Invite code has expired';
+  if (invite.maxUses !== null && invite.uses >= invite.maxUses) return 'Invite code has been used up';
+  return null;
+};
+
+// Filter matching the invite only while it can still be redeemed, for atomic use counting
+const usableFilter = (inviteId) => ({
+  _id: inviteId,
+  status: 'active',
+  expiresAt: { $gt: new Date() },
+  $or: [
+    { maxUses: null },
+    { $expr: { $lt: ['$uses', '$maxUses'] } }
+  ]
+});
+
+// Add a student unless the session is closed, full or already has them; while
+// others are waiting, a free seat is theirs and the student has to queue too
+const enrollStudent = (sessionId, studentId) => Session.findOneAndUpdate(
+  {
+    _id: sessionId,
+    status: { $in: OPEN_STATUSES },
+    students: { $ne: studentId },
+    'waitlist.0': { $exists: false },
+    $expr: { $lt: [{ $size: '$students' }, '$maxStudents'] }
+  },
+  {
+    $push: { students: studentId },
+    $inc: { 'metadata.totalParticipants': 1 }
+  },
+  { new: true }
+);
+
+// Load a session and check that the user teaches it; sends the error response otherwise
+const findTeacherSession = async (req, res) => {
+  const session = await Session.findById(req.params.sessionId).select('teacher course status title');
+
+  if (!session) {
+    sendNotFound(res, 'Session not found');
+    return null;
+  }
+
+  if (!(await session.isTaughtBy(req.user._id))) {
+    sendError(res, 'Access denied: You can only manage invites of your own sessions', 403);
+    return null;
+  }
+
+  return session;
+};
+
+// Load an invite of the session in the URL
+const findSessionInvite = async (req, res) => {
+  const invite = await SessionInvite.findOne({ _id: req.params.inviteId, session: req.params.sessionId });
+  if (!invite) {
+    sendNotFound(res, 'Invite not found');
+    return null;
+  }
+  return invite;
+};
+
+// Create invite (teacher)
+const createInvite = catchAsync(async (req, res) => {
+  const session = await findTeacherSession(req, res);
+  if (!session) return;
+
+  const { expiresAt, maxUses, requiresApproval } = req.body;
+
+  if (!OPEN_STATUSES.includes(session.status)) {
+    return sendError(res, 'Invites can only be created for scheduled or live sessions', 400);
+  }
+
+  const expiry = expiresAt ? new Date(expiresAt) : new Date(Date.now() + DEFAULT_TTL_HOURS * 60 * 60 * 1000);
+  if (isNaN(expiry) || expiry <= new Date()) {
+    return sendError(res, 'Expiry must be in the future', 400);
+  }
+  if (expiry - Date.now() > MAX_TTL_MS) {
+    return sendError(res, 'An invite cannot stay valid for more than a year', 400);
+  }
+
+  if (maxUses !== undefined && maxUses !== null && (!Number.isInteger(Number(maxUses)) || maxUses < 1 || maxUses > 1000)) {
+    return sendError(res, 'Max uses must be between 1 and 1000', 400);
+  }
+
+  const invite = await saveWithNewCode(new SessionInvite({
+    session: session._id,
+    createdBy: req.user._id,
+    expiresAt: expiry,
+    maxUses: maxUses ? Number(maxUses) : null,
+    requiresApproval: requiresApproval === true
+  }));
+
+  logInfo('Session invite created', {
+    sessionId: session._id,
+    inviteId: invite._id,
+    teacherId: req.user._id,
+    requiresApproval: invite.requiresApproval
+  });
+
+  sendSuccess(res, 'Invite created successfully', { invite: formatInvite(invite) }, null, 201);
+});
+
+// List a session's invites (teacher)
+const getInvites = catchAsync(async (req, res) => {
+  const session = await findTeacherSession(req, res);
+  if (!session) return;
+
+  const invites = await SessionInvite.find({ session: session._id }).sort({ createdAt: -1 });
+
+  sendSuccess(res, 'Invites retrieved successfully', { invites: invites.map(formatInvite) });
+});
+
+// Replace an invite's code; the old code and link stop working (teacher)
+const rotateInvite = catchAsync(async (req, res) => {
+  const session = await findTeacherSession(req, res);
+  if (!session) return;
+
+  const invite = await findSessionInvite(req, res);
+  if (!invite) return;
+
+  if (invite.status === 'revoked') {
+    return sendError(res, 'A revoked invite cannot be rotated', 400);
+  }
+
+  invite.rotatedAt = new Date();
+  await saveWithNewCode(invite);
+
+  logInfo('Session invite rotated', { sessionId: session._id, inviteId: invite._id, teacherId: req.user._id });
+
+  sendSuccess(res, 'Invite code rotated successfully', { invite: formatInvite(invite) });
+});
+
+// Revoke an invite; its pending requests can still be decided (teacher)
+const revokeInvite = catchAsync(async (req, res) => {
+  const session = await findTeacherSession(req, res);
+  if (!session) return;
+
+  const invite = await findSessionInvite(req, res);
+  if (!invite) return;
+
+  if (invite.status !== 'revoked') {
+    invite.status = 'revoked';
+    invite.revokedAt = new Date();
+    await invite.save();
+
+    logInfo('Session invite revoked', { sessionId: session._id, inviteId: invite._id, teacherId: req.user._id });
+  }
+
+  sendSuccess(res, 'Invite revoked successfully', { invite: formatInvite(invite) });
+});
+
+// Session behind a code, for the join link's landing page
+const getInviteByCode = catchAsync(async (req, res) => {
+  const invite = await SessionInvite.findOne({ code: normalizeCode(req.params.code) })
+    .populate({
+      path: 'session',
+      select: 'title description startTime status teacher',
+      populate: { path: 'teacher', select: 'name profilePicture' }
+    });
+
+  if (!invite || !invite.session) {
+    return sendNotFound(res, 'Invite code not found');
+  }
+
+  const inviteError = getInviteError(invite);
+  if (inviteError) {
+    return sendError(res, inviteError, 400);
+  }
+
+  sendSuccess(res, 'Invite retrieved successfully', {
+    session: invite.session,
+    requiresApproval: invite.requiresApproval,
+    expiresAt: invite.expiresAt
+  });
+});
+
+// Redeem a code: enroll, or ask to be enrolled when the invite requires approval
+const redeemInvite = catchAsync(async (req, res) => {
+  const studentId = req.user._id;
+  const code = normalizeCode(req.body.code);
+
+  if (!code) {
+    return sendError(res, 'Invite code is required', 400);
+  }
+
+  const invite = await SessionInvite.findOne({ code });
+  if (!invite) {
+    return sendNotFound(res, 'Invite code not found');
+  }
+
+  const inviteError = getInviteError(invite);
+  if (inviteError) {
+    return sendError(res, inviteError, 400);
+  }
+
+  const session = await Session.findById(invite.session).select('teacher students maxStudents status waitlist');
+  if (!session) {
+    return sendNotFound(res, 'Session not found');
+  }
+
+  if (!OPEN_STATUSES.includes(session.status)) {
+    return sendError(res, 'Session is not available for joining', 400);
+  }
+
+  if (session.teacher.equals(studentId)) {
+    return sendError(res, 'You are the teacher of this session', 400);
+  }
+
+  if (session.students.some(id => id.equals(studentId))) {
+    return sendError(res, 'You are already enrolled in this session', 400);
+  }
+
+  if (waitlistService.getPosition(session, studentId)) {
+    return sendError(res, 'You are already on the waitlist of this session', 400);
+  }
+
+  if (invite.requiresApproval) {
+    const pending = await SessionInvite.exists({
+      session: session._id,
+      requests: { $elemMatch: { student: studentId, status: 'pending' } }
+    });
+    if (pending) {
+      return sendError(res, 'Your join request is already waiting for approval', 400);
+    }
+
+    const updated = await SessionInvite.findOneAndUpdate(
+      usableFilter(invite._id),
+      {
+        $inc: { uses: 1 },
+        $push: { requests: { student: studentId } }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return sendError(res, 'Invite code can no longer be used', 400);
+    }
+
+    const request = updated.requests[updated.requests.length - 1];
+
+    logInfo('Session join requested', { sessionId: session._id, inviteId: invite._id, studentId, requestId: request._id });
+
+    return sendSuccess(res, 'Join request sent; waiting for the teacher\'s approval', {
+      sessionId: session._id,
+      requestId: request._id,
+      status: request.status
+    }, null, 202);
+  }
+
+  // Count the use first, so a code with one use left admits one student
+  const claimed = await SessionInvite.findOneAndUpdate(usableFilter(invite._id), { $inc: { uses: 1 } });
+  if (!claimed) {
+    return sendError(res, 'Invite code can no longer be used', 400);
+  }
+
+  const enrolled = await enrollStudent(session._id, studentId);
+  if (enrolled) {
+    logInfo('Student joined session with invite', { sessionId: session._id, inviteId: invite._id, studentId });
+
+    return sendSuccess(res, 'Successfully joined session', { session: enrolled });
+  }
+
+  // Full: the code still holds a seat for them, the next one that frees up
+  const waitlisted = await waitlistService.add(session._id, studentId);
+  if (!waitlisted.success) {
+    await SessionInvite.updateOne({ _id: invite._id }, { $inc: { uses: -1 } });
+    return sendError(res, waitlisted.error, 400);
+  }
+
+  logInfo('Student waitlisted with invite', { sessionId: session._id, inviteId: invite._id, studentId, position: waitlisted.position });
+
+  sendSuccess(res, 'Session is full; you have been added to the waitlist', {
+    sessionId: session._id,
+    position: waitlisted.position,
+    total: waitlisted.total
+  }, null, 202);
+});
+
+// List join requests of a session, pending ones by default (teacher)
+const getJoinRequests = catchAsync(async (req, res) => {
+  const session = await findTeacherSession(req, res);
+  if (!session) return;
+
+  const { status = 'pending' } = req.query;
+
+  const invites = await SessionInvite.find({ session: session._id, 'requests.status': status })
+    .select('code requests')
+    .populate('requests.student', 'name email profilePicture');
+
+  const requests = invites
+    .flatMap(invite => invite.requests
+      .filter(request => request.status === status)
+      .map(request => ({
+        _id: request._id,
+        inviteId: invite._id,
+        code: invite.code,
+        student: request.student,
+        status: request.status,
+        requestedAt: request.requestedAt,
+        decidedAt: request.decidedAt || null
+      })))
+    .sort((a, b) => a.requestedAt - b.requestedAt);
+
+  sendSuccess(res, 'Join requests retrieved successfully', { requests });
+});
+
+// Approve or reject a pending join request (teacher)
+const decideJoinRequest = (decision) => catchAsync(async (req, res) => {
+  const session = await findTeacherSession(req, res);
+  if (!session) return;
+
+  const { requestId } = req.params;
+  const invite = await SessionInvite.findOne({ session: session._id, 'requests._id': requestId });
+  const request = invite && invite.requests.id(requestId);
+
+  if (!request) {
+    return sendNotFound(res, 'Join request not found');
+  }
+
+  if (request.status !== 'pending') {
+    return sendError(res, `Join request has already been ${request.status}`, 400);
+  }
+
+  let waitlistPosition = null;
+  if (decision === 'approved') {
+    const enrolled = await enrollStudent(session._id, request.student);
+    if (!enrolled) {
+      const current = await Session.findById(session._id).select('students');
+      // Already enrolled some other way: approving just closes the request
+      if (!current.students.some(id => id.equals(request.student))) {
+        const waitlisted = await waitlistService.add(session._id, request.student);
+        if (!waitlisted.success) {
+          return sendError(res, waitlisted.error, 400);
+        }
+        waitlistPosition = waitlisted.position;
+      }
+    }
+  }
+
+  request.status = decision;
+  request.decidedAt = new Date();
+  request.decidedBy = req.user._id;
+  await invite.save();
+
+  logInfo(`Session join request ${decision}`, {
+    sessionId: session._id,
+    requestId,
+    studentId: request.student,
+    teacherId: req.user._id
+  });
+
+  const message = waitlistPosition
+    ? 'Join request approved; the session is full, so the student is on the waitlist'
+    : `Join request ${decision} successfully`;
+
+  sendSuccess(res, message, {
+    waitlistPosition,
+    request: {
+      _id: request._id,
+      inviteId: invite._id,
+      student: request.student,
+      status: request.status,
+      requestedAt: request.requestedAt,
+      decidedAt: request.decidedAt
+    }
+  });
+});
+
+const approveJoinRequest = decideJoinRequest('approved');
+const rejectJoinRequest = decideJoinRequest('rejected');
+
+module.exports = {
+  createInvite,
+  getInvites,
+  rotateInvite,
+  revokeInvite,
+  getInviteByCode,
+  redeemInvite,
+  getJoinRequests,
+  approveJoinRequest,
+  rejectJoinRequest
+};
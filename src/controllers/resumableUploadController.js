@@ -0,0 +1,246 @@
+const Session = require('../models/Session');
+const ResumableUpload = require('../models/ResumableUpload');
+const resumableUploadService = require('../services/resumableUploadService');
+const storageUtils = require('../utils/storageUtils');
+const { processFileUpload } = require('./enhancedUploadController');
+const { catchAsync } = require('../middleware/errorHandler');
+const {
+  sendSuccess,
+  sendError,
+  sendNotFound,
+  validateRequired
+} = require('../utils/response');
+const { logInfo, logError } = require('../utils/logger');
+
+/**
+ * Resumable Upload Controller
+ * init -> PUT chunks (any order, retry freely) -> GET status to find gaps -> complete
+ */
+
+// Upload progress details returned by every endpoint
+const formatUpload = (upload) => {
+  const missingChunks = upload.getMissingChunks();
+  const bytesReceived = upload.receivedChunks.reduce((total, chunk) => total + chunk.size, 0);
+
+  return {
+    uploadId: upload._id,
+    sessionId: upload.session,
+    fileType: upload.fileType,
+    fileName: upload.originalName,
+    mimeType: upload.mimeType,
+    status: upload.status,
+    totalSize: upload.totalSize,
+    chunkSize: upload.chunkSize,
+    totalChunks: upload.totalChunks,
+    receivedChunks: upload.receivedChunks.map(chunk => chunk.index).sort((a, b) => a - b),
+    missingChunks,
+    receivedRanges: upload.getReceivedRanges(),
+    bytesReceived,
+    percent: Math.round(bytesReceived / upload.totalSize * 100),
+    expiresAt: upload.expiresAt,
+    error: upload.error,
+    result: upload.status === 'completed' ? upload.result : null
+  };
+};
+
+// Load an upload owned by the current user
+const findOwnUpload = async (req, res) => {
+  const upload = await ResumableUpload.findById(req.params.uploadId);
+  if (!upload || !upload.uploader.equals(req.user._id)) {
+    sendNotFound(res, 'Upload not found');
+    return null;
+  }
+  return upload;
+};
+
+/**
+ * Start a resumable upload
+ * Only teachers can upload files
+ */
+const createUpload = catchAsync(async (req, res) => {
+  const { sessionId, fileType, fileName, mimeType, fileSize, chunkSize, checksum, title } = req.body;
+  const userId = req.user._id;
+
+  const validationErrors = validateRequired(['sessionId', 'fileType', 'fileName', 'mimeType', 'fileSize'], req.body);
+  if (validationErrors.length > 0) {
+    return sendError(res, validationErrors.join(', '), 400);
+  }
+
+  // Same limits as a single-request upload, checked before any data is sent
+  const fileValidation = storageUtils.validateFileForUpload(
+    { size: parseInt(fileSize), mimetype: mimeType, originalname: fileName },
+    fileType
+  );
+  if (!fileValidation.valid) {
+    return sendError(res, fileValidation.errors.join(', '), 400);
+  }
+
+  const upload = await resumableUploadService.createUpload({
+    sessionId,
+    uploaderId: userId,
+    fileType,
+    title,
+    fileName,
+    mimeType,
+    fileSize,
+    chunkSize,
+    checksum
+  });
+
+  sendSuccess(res, 'Resumable upload created', formatUpload(upload), null, 201);
+});
+
+/**
+ * Upload one chunk
+ * Body is the raw chunk; X-Chunk-Checksum carries its SHA-256 (hex)
+ */
+const uploadChunk = catchAsync(async (req, res) => {
+  const upload = await findOwnUpload(req, res);
+  if (!upload) return;
+
+  if (upload.status !== 'uploading') {
+    return sendError(res, `Upload is ${upload.status}`, 409);
+  }
+
+  if (upload.expiresAt < new Date()) {
+    return sendError(res, 'Upload has expired', 410);
+  }
+
+  const index = parseInt(req.params.index);
+  const data = Buffer.isBuffer(req.body) ? req.body : null;
+  const result = await resumableUploadService.saveChunk(upload, index, data, req.get('X-Chunk-Checksum'));
+
+  if (!result.success) {
+    return sendError(res, result.error, result.statusCode);
+  }
+
+  sendSuccess(res, `Chunk ${index} received`, formatUpload(result.upload));
+});
+
+/**
+ * Get received chunks and byte ranges so the client knows what to resend
+ */
+const getUploadStatus = catchAsync(async (req, res) => {
+  const upload = await findOwnUpload(req, res);
+  if (!upload) return;
+
+  sendSuccess(res, 'Upload status retrieved successfully', formatUpload(upload));
+});
+
+/**
+ * Assemble the chunks and hand the file to the normal upload pipeline
+ */
+const completeUpload = catchAsync(async (req, res) => {
+  const existing = await findOwnUpload(req, res);
+  if (!existing) return;
+
+  if (existing.status === 'completed') {
+    return sendSuccess(res, 'Upload already completed', formatUpload(existing), null, 202);
+  }
+
+  if (existing.expiresAt < new Date()) {
+    return sendError(res, 'Upload has expired', 410);
+  }
+
+  if (!existing.isComplete()) {
+    return sendError(res, 'Upload is missing chunks', 409, formatUpload(existing));
+  }
+
+  // Only one completion request may assemble the file
+  const upload = await ResumableUpload.findOneAndUpdate(
+    { _id: existing._id, status: 'uploading' },
+    { $set: { status: 'assembling', error: null } },
+    { new: true }
+  );
+  if (!upload) {
+    return sendError(res, `Upload is ${existing.status}`, 409);
+  }
+
+  const session = await Session.findById(upload.session);
+  if (!session) {
+    await ResumableUpload.updateOne({ _id: upload._id }, { $set: { status: 'aborted' } });
+    await resumableUploadService.removeChunks(upload._id);
+    return sendNotFound(res, 'Session not found');
+  }
+
+  try {
+    const assembledPath = await resumableUploadService.assemble(upload);
+
+    const file = {
+      path: assembledPath,
+      size: upload.totalSize,
+      originalname: upload.originalName,
+      mimetype: upload.mimeType
+    };
+
+    const result = await processFileUpload(
+      file,
+      upload.fileType,
+      upload.session.toString(),
+      session,
+      { body: { title: upload.title } }
+    );
+
+    upload.status = 'completed';
+    upload.completedAt = new Date();
+    upload.result = {
+      fileId: result.fileInfo._id,
+      jobId: result.jobId,
+      fileName: result.fileName
+    };
+    await upload.save();
+    await resumableUploadService.removeChunks(upload._id);
+
+    logInfo('Resumable upload completed and queued for processing', {
+      uploadId: upload._id,
+      sessionId: upload.session,
+      fileType: upload.fileType,
+      fileSize: upload.totalSize,
+      jobId: result.jobId
+    });
+
+    sendSuccess(res, 'File uploaded successfully, processing has been queued', {
+      ...formatUpload(upload),
+      file: result.fileInfo,
+      jobId: result.jobId,
+      processingStatus: 'queued',
+      downloadUrls: result.downloadUrls
+    }, null, 202);
+
+  } catch (error) {
+    // Keep the chunks so completion can be retried
+    await ResumableUpload.updateOne(
+      { _id: upload._id },
+      { $set: { status: 'uploading', error: error.message } }
+    );
+
+    logError('Resumable upload completion error', error, { uploadId: upload._id });
+    return sendError(res, 'Upload completion failed: ' + error.message, 500);
+  }
+});
+
+/**
+ * Abort an upload and delete its chunks
+ */
+const abortUpload = catchAsync(async (req, res) => {
+  const upload = await findOwnUpload(req, res);
+  if (!upload) return;
+
+  if (upload.status !== 'uploading') {
+    return sendError(res, `Upload is ${upload.status}`, 409);
+  }
+
+  upload.status = 'aborted';
+  await upload.save();
+  await resumableUploadService.removeChunks(upload._id);
+
+  sendSuccess(res, 'Upload aborted');
+});
+
+module.exports = {
+  createUpload,
+  uploadChunk,
+  getUploadStatus,
+  completeUpload,
+  abortUpload
+};
@@ -1,5 +1,15 @@
 const Session = require('../models/Session');
+const Course = require('../models/Course');
+const SessionSeries = require('../models/SessionSeries');
+const SessionInvite = require('../models/SessionInvite');
+const Quiz = require('../models/Quiz');
 const User = require('../models/User');
+const recurrenceUtils = require('../utils/recurrenceUtils');
+const webrtcConfig = require('../config/webrtc');
+const sessionScheduler = require('../services/sessionScheduler');
+const waitlistService = require('../services/waitlistService');
+const audioQualityService = require('../services/audioQualityService');
+const attendanceService = require('../services/attendanceService');
 const { catchAsync, AppError } = require('../middleware/errorHandler');
 const { 
   sendSuccess, 
@@ -13,9 +23,50 @@ const {
 } = require('../utils/response');
 const { logInfo, logError } = require('../utils/logger');
 
+// Create a series and one session per occurrence of its rule
+const createSeriesSessions = async (sessionData, rule) => {
+  const generated = recurrenceUtils.generate(sessionData.startTime, rule);
+  if (!generated.success) {
+    return generated;
+  }
+  if (generated.occurrences.length === 0) {
+    return { success: false, error: 'Recurrence produces no sessions' };
+  }
+
+  const series = await SessionSeries.create({
+    teacher: sessionData.teacher,
+    course: sessionData.course || null,
+    title: sessionData.title,
+    startTime: sessionData.startTime,
+    recurrence: rule
+  });
+
+  const sessions = await Session.insertMany(generated.occurrences.map(occurrence => ({
+    ...sessionData,
+    startTime: occurrence.startTime,
+    originalStartTime: occurrence.startTime,
+    series: series._id,
+    seriesIndex: occurrence.index
+  })));
+
+  return { success: true, series, sessions };
+};
+
+const formatSeries = (series) => ({
+  ...series.toObject(),
+  rrule: recurrenceUtils.format(series.recurrence)
+});
+
+// Scheduled occurrences of a series from the given one on
+const findFutureOccurrences = (session) => Session.find({
+  series: session.series,
+  status: 'scheduled',
+  originalStartTime: { $gte: session.originalStartTime }
+}).sort({ originalStartTime: 1 });
+
 // Create new session
 const createSession = catchAsync(async (req, res) => {
-  const { title, description, startTime, maxStudents } = req.body;
+  const { title, description, startTime, maxStudents, courseId, recurrence, autoStart, enrollment } = req.body;
   const teacherId = req.user._id;
 
   // Validate required fields
@@ -40,14 +91,64 @@ const createSession = catchAsync(async (req, res) => {
     description: description ? sanitizeInput(description) : '',
     teacher: teacherId,
     startTime: sessionStartTime,
-    maxStudents: maxStudents || 50
+    maxStudents: maxStudents || 50,
+    autoStart: autoStart === true,
+    enrollment: enrollment || 'open'
   };
 
+  // A course session starts with the course roster enrolled
+  let course = null;
+  if (courseId) {
+    course = await Course.findById(courseId).select('teachers students status schedule.timezone');
+    if (!course) {
+      return sendNotFound(res, 'Course not found');
+    }
+    if (!course.isTeacher(teacherId)) {
+      return sendError(res, 'Access denied: You are not a teacher of this course', 403);
+    }
+    if (course.status !== 'active') {
+      return sendError(res, 'Cannot add sessions to an archived course', 400);
+    }
+
+    sessionData.course = course._id;
+    sessionData.students = course.students;
+    sessionData.maxStudents = Math.max(sessionData.maxStudents, course.students.length);
+    sessionData.metadata = { totalParticipants: course.students.length };
+  }
+
+  // A recurrence rule creates every occurrence at once
+  if (recurrence) {
+    const parsed = recurrenceUtils.parseRule(recurrence, {
+      timezone: course && course.schedule ? course.schedule.timezone : undefined
+    });
+    if (!parsed.success) {
+      return sendError(res, parsed.error, 400);
+    }
+
+    const result = await createSeriesSessions(sessionData, parsed.rule);
+    if (!result.success) {
+      return sendError(res, result.error, 400);
+    }
+
+    logInfo('Recurring sessions created successfully', {
+      seriesId: result.series._id,
+      teacherId,
+      courseId: sessionData.course,
+      occurrences: result.sessions.length
+    });
+
+    return sendSuccess(res, 'Recurring sessions created successfully', {
+      series: formatSeries(result.series),
+      sessions: result.sessions
+    }, null, 201);
+  }
+
   const session = await Session.create(sessionData);
 
   logInfo('Session created successfully', { 
     sessionId: session._id, 
     teacherId, 
+    courseId: session.course,
     title: session.title 
   });
 
@@ -121,18 +222,139 @@ const getSessionById = catchAsync(async (req, res) => {
     return sendError(res, 'Access denied: You are not enrolled in this session', 403);
   }
 
-  if (userRole === 'teacher' && !session.teacher._id.equals(userId)) {
+  if (userRole === 'teacher' && !(await session.isTaughtBy(userId))) {
     return sendError(res, 'Access denied: You are not the teacher of this session', 403);
   }
 
   sendSuccess(res, 'Session retrieved successfully', { session });
 });
 
-// Update session
+// Apply an edit to an occurrence and all later scheduled ones of its series.
+// A new start time moves each of them by the same days to the same local time;
+// a new recurrence rule ends the series before this occurrence and continues
+// it as a new series.
+const updateFutureOccurrences = async (res, session, updateData, recurrence, teacherId) => {
+  if (!session.series) {
+    return sendError(res, 'Session is not part of a recurring series', 400);
+  }
+
+  if (session.status !== 'scheduled') {
+    return sendError(res, 'Only scheduled occurrences can be edited', 400);
+  }
+
+  const series = await SessionSeries.findById(session.series);
+  if (!series) {
+    return sendNotFound(res, 'Session series not found');
+  }
+
+  const occurrences = await findFutureOccurrences(session);
+
+  if (updateData.maxStudents && occurrences.some(occurrence => occurrence.students.length > updateData.maxStudents)) {
+    return sendError(res, 'Max students cannot be less than current enrolled students', 400);
+  }
+
+  if (recurrence) {
+    const parsed = recurrenceUtils.parseRule(recurrence, {
+      timezone: series.recurrence.timezone,
+      exceptions: series.recurrence.exceptions
+    });
+    if (!parsed.success) {
+      return sendError(res, parsed.error, 400);
+    }
+
+    const startTime = updateData.startTime || session.startTime;
+    if (startTime <= new Date()) {
+      return sendError(res, 'Start time must be in the future', 400);
+    }
+
+    // The occurrences are replaced; do not throw away what was prepared for them
+    const occurrenceIds = occurrences.map(occurrence => occurrence._id);
+    const hasContent = occurrences.some(occurrence =>
+      occurrence.slides.length > 0 || occurrence.audioFiles.length > 0 || occurrence.videoFiles.length > 0
+    ) || await Quiz.exists({ session: { $in: occurrenceIds } });
+    if (hasContent) {
+      return sendError(res, 'Some future occurrences already have files or quizzes; edit them one by one', 400);
+    }
+
+    const result = await createSeriesSessions({
+      title: updateData.title || session.title,
+      description: updateData.description !== undefined ? updateData.description : session.description,
+      teacher: session.teacher,
+      course: session.course,
+      startTime,
+      maxStudents: updateData.maxStudents || session.maxStudents,
+      autoStart: updateData.autoStart !== undefined ? updateData.autoStart : session.autoStart,
+      enrollment: updateData.enrollment || session.enrollment,
+      students: session.students,
+      metadata: { totalParticipants: session.students.length }
+    }, parsed.rule);
+    if (!result.success) {
+      return sendError(res, result.error, 400);
+    }
+
+    await Session.deleteMany({ _id: { $in: occurrenceIds } });
+    await SessionInvite.deleteMany({ session: { $in: occurrenceIds } });
+
+    series.recurrence.until = new Date(session.originalStartTime.getTime() - 1000);
+    series.recurrence.count = null;
+    series.continuedBy = result.series._id;
+    await series.save();
+
+    logInfo('Session series continued with a new rule', {
+      seriesId: series._id,
+      newSeriesId: result.series._id,
+      teacherId,
+      replaced: occurrences.length,
+      occurrences: result.sessions.length
+    });
+
+    return sendSuccess(res, 'Future sessions updated successfully', {
+      series: formatSeries(result.series),
+      sessions: result.sessions
+    });
+  }
+
+  const { startTime, ...fields } = updateData;
+  const operations = occurrences.map(occurrence => {
+    const $set = { ...fields };
+    if (startTime) {
+      $set.startTime = recurrenceUtils.shift(occurrence.startTime, session.startTime, startTime, series.recurrence.timezone);
+    }
+    return { updateOne: { filter: { _id: occurrence._id }, update: { $set } } };
+  });
+
+  if (startTime && operations.some(operation => operation.updateOne.update.$set.startTime <= new Date())) {
+    return sendError(res, 'Start time must be in the future', 400);
+  }
+
+  if (operations.length > 0) {
+    await Session.bulkWrite(operations);
+  }
+
+  // More seats let waiting students in
+  if (fields.maxStudents) {
+    occurrences.forEach(occurrence => waitlistService.promoteInBackground(occurrence._id));
+  }
+
+  const sessions = await findFutureOccurrences(session)
+    .populate('teacher', 'name email profilePicture');
+
+  logInfo('Future sessions updated successfully', {
+    seriesId: series._id,
+    sessionId: session._id,
+    teacherId,
+    updated: operations.length,
+    updates: Object.keys(updateData)
+  });
+
+  sendSuccess(res, 'Future sessions updated successfully', { sessions });
+};
+
+// Update session (scope: 'this' occurrence, the default, or 'future' ones of its series)
 const updateSession = catchAsync(async (req, res) => {
   const { sessionId } = req.params;
   const teacherId = req.user._id;
-  const { title, description, startTime, maxStudents } = req.body;
+  const { title, description, startTime, maxStudents, autoStart, enrollment, scope = 'this', recurrence } = req.body;
 
   const session = await Session.findById(sessionId);
 
@@ -140,7 +362,7 @@ const updateSession = catchAsync(async (req, res) => {
     return sendNotFound(res, 'Session not found');
   }
 
-  if (!session.teacher.equals(teacherId)) {
+  if (!(await session.isTaughtBy(teacherId))) {
     return sendError(res, 'Access denied: You can only update your own sessions', 403);
   }
 
@@ -176,6 +398,25 @@ const updateSession = catchAsync(async (req, res) => {
     updateData.maxStudents = maxStudents;
   }
 
+  if (autoStart !== undefined) {
+    updateData.autoStart = autoStart === true;
+  }
+
+  if (enrollment !== undefined) {
+    if (!['open', 'invite'].includes(enrollment)) {
+      return sendError(res, 'Enrollment must be open or invite', 400);
+    }
+    updateData.enrollment = enrollment;
+  }
+
+  if (scope === 'future') {
+    return updateFutureOccurrences(res, session, updateData, recurrence, teacherId);
+  }
+
+  if (recurrence) {
+    return sendError(res, 'The recurrence can only be changed for all future occurrences (scope: future)', 400);
+  }
+
   const updatedSession = await Session.findByIdAndUpdate(
     sessionId,
     updateData,
@@ -183,6 +424,11 @@ const updateSession = catchAsync(async (req, res) => {
   ).populate('teacher', 'name email profilePicture')
    .populate('students', 'name email profilePicture');
 
+  // More seats let waiting students in
+  if (updateData.maxStudents) {
+    waitlistService.promoteInBackground(sessionId);
+  }
+
   logInfo('Session updated successfully', { 
     sessionId, 
     teacherId, 
@@ -203,7 +449,7 @@ const startSession = catchAsync(async (req, res) => {
     return sendNotFound(res, 'Session not found');
   }
 
-  if (!session.teacher.equals(teacherId)) {
+  if (!(await session.isTaughtBy(teacherId))) {
     return sendError(res, 'Access denied: You can only start your own sessions', 403);
   }
 
@@ -216,8 +462,11 @@ const startSession = catchAsync(async (req, res) => {
   }
 
   session.status = 'live';
+  session.idleSince = null;
   await session.save();
 
+  sessionScheduler.announce(session, 'session_started', 'teacher');
+
   logInfo('Session started successfully', { sessionId, teacherId });
 
   sendSuccess(res, 'Session started successfully', { session });
@@ -234,7 +483,7 @@ const endSession = catchAsync(async (req, res) => {
     return sendNotFound(res, 'Session not found');
   }
 
-  if (!session.teacher.equals(teacherId)) {
+  if (!(await session.isTaughtBy(teacherId))) {
     return sendError(res, 'Access denied: You can only end your own sessions', 403);
   }
 
@@ -242,7 +491,11 @@ const endSession = catchAsync(async (req, res) => {
     return sendError(res, 'Session is not currently live', 400);
   }
 
-  await session.endSession();
+  await session.endSession('teacher');
+
+  // Recording upload and attendance run in the background; the response does not wait for them
+  sessionScheduler.finishSession(session);
+  sessionScheduler.announce(session, 'session_ended', 'teacher');
 
   logInfo('Session ended successfully', { sessionId, teacherId, duration: session.duration });
 
@@ -264,12 +517,26 @@ const joinSession = catchAsync(async (req, res) => {
     return sendError(res, 'Session is not available for joining', 400);
   }
 
+  if (session.enrollment !== 'open') {
+    return sendError(res, 'This session can only be joined with an invite code', 403);
+  }
+
   if (session.students.includes(studentId)) {
     return sendError(res, 'You are already enrolled in this session', 400);
   }
 
-  if (session.students.length >= session.maxStudents) {
-    return sendError(res, 'Session is full', 400);
+  // A full session queues the student for the next free seat, behind anyone already waiting
+  if (session.students.length >= session.maxStudents || session.waitlist.length > 0) {
+    const result = await waitlistService.add(sessionId, studentId);
+    if (!result.success) {
+      return sendError(res, result.error, 400);
+    }
+
+    return sendSuccess(res, 'Session is full; you have been added to the waitlist', {
+      sessionId,
+      position: result.position,
+      total: result.total
+    }, null, 202);
   }
 
   try {
@@ -295,20 +562,27 @@ const leaveSession = catchAsync(async (req, res) => {
   }
 
   if (!session.students.includes(studentId)) {
+    if (await waitlistService.remove(sessionId, studentId)) {
+      return sendSuccess(res, 'Successfully left the waitlist');
+    }
     return sendError(res, 'You are not enrolled in this session', 400);
   }
 
   await session.removeStudent(studentId);
 
+  // The freed seat goes to the first student on the waitlist
+  waitlistService.promoteInBackground(sessionId);
+
   logInfo('Student left session successfully', { sessionId, studentId });
 
   sendSuccess(res, 'Successfully left session', { session });
 });
 
-// Delete session
+// Delete session (scope: 'this' occurrence, the default, or 'future' ones of its series)
 const deleteSession = catchAsync(async (req, res) => {
   const { sessionId } = req.params;
   const teacherId = req.user._id;
+  const { scope = 'this' } = req.query;
 
   const session = await Session.findById(sessionId);
 
@@ -316,7 +590,7 @@ const deleteSession = catchAsync(async (req, res) => {
     return sendNotFound(res, 'Session not found');
   }
 
-  if (!session.teacher.equals(teacherId)) {
+  if (!(await session.isTaughtBy(teacherId))) {
     return sendError(res, 'Access denied: You can only delete your own sessions', 403);
   }
 
@@ -324,13 +598,122 @@ const deleteSession = catchAsync(async (req, res) => {
     return sendError(res, 'Cannot delete a live session', 400);
   }
 
+  // Cancel this and every later scheduled occurrence; the series ends before this one
+  if (scope === 'future') {
+    if (!session.series) {
+      return sendError(res, 'Session is not part of a recurring series', 400);
+    }
+
+    const occurrences = await findFutureOccurrences(session).select('_id');
+    const occurrenceIds = occurrences.map(occurrence => occurrence._id);
+    await Session.deleteMany({ _id: { $in: occurrenceIds } });
+    await SessionInvite.deleteMany({ session: { $in: occurrenceIds } });
+    await SessionSeries.updateOne({ _id: session.series }, {
+      $set: {
+        'recurrence.until': new Date(session.originalStartTime.getTime() - 1000),
+        'recurrence.count': null
+      }
+    });
+
+    logInfo('Future sessions deleted successfully', { seriesId: session.series, sessionId, teacherId, deleted: occurrences.length });
+
+    return sendSuccess(res, 'Future sessions deleted successfully', { deleted: occurrences.length });
+  }
+
   await Session.findByIdAndDelete(sessionId);
+  await SessionInvite.deleteMany({ session: sessionId });
+
+  // A deleted occurrence becomes an exception date of its series
+  if (session.series) {
+    const series = await SessionSeries.findById(session.series).select('recurrence.timezone');
+    if (series) {
+      await SessionSeries.updateOne({ _id: series._id }, {
+        $addToSet: {
+          'recurrence.exceptions': recurrenceUtils.toLocalDateString(session.originalStartTime, series.recurrence.timezone)
+        }
+      });
+    }
+  }
 
   logInfo('Session deleted successfully', { sessionId, teacherId });
 
   sendSuccess(res, 'Session deleted successfully');
 });
 
+// Get the waitlist of a session (teacher)
+const getWaitlist = catchAsync(async (req, res) => {
+  const { sessionId } = req.params;
+  const teacherId = req.user._id;
+
+  const session = await Session.findById(sessionId)
+    .select('teacher course students maxStudents waitlist')
+    .populate('waitlist.student', 'name email profilePicture');
+
+  if (!session) {
+    return sendNotFound(res, 'Session not found');
+  }
+
+  if (!(await session.isTaughtBy(teacherId))) {
+    return sendError(res, 'Access denied: You can only view the waitlist of your own sessions', 403);
+  }
+
+  sendSuccess(res, 'Waitlist retrieved successfully', {
+    enrolled: session.students.length,
+    maxStudents: session.maxStudents,
+    waitlist: session.waitlist.map((entry, index) => ({
+      position: index + 1,
+      student: entry.student,
+      joinedAt: entry.joinedAt
+    }))
+  });
+});
+
+// Get the current user's position on a session's waitlist
+const getWaitlistPosition = catchAsync(async (req, res) => {
+  const { sessionId } = req.params;
+  const studentId = req.user._id;
+
+  const session = await Session.findById(sessionId).select('students waitlist');
+
+  if (!session) {
+    return sendNotFound(res, 'Session not found');
+  }
+
+  if (session.students.some(id => id.equals(studentId))) {
+    return sendSuccess(res, 'You are enrolled in this session', { enrolled: true, position: null, total: session.waitlist.length });
+  }
+
+  const position = waitlistService.getPosition(session, studentId);
+  if (!position) {
+    return sendNotFound(res, 'You are not on the waitlist of this session');
+  }
+
+  sendSuccess(res, 'Waitlist position retrieved successfully', { enrolled: false, position, total: session.waitlist.length });
+});
+
+// Get a recurring series with its occurrences (teacher)
+const getSessionSeries = catchAsync(async (req, res) => {
+  const { seriesId } = req.params;
+  const teacherId = req.user._id;
+
+  const series = await SessionSeries.findById(seriesId);
+
+  if (!series) {
+    return sendNotFound(res, 'Session series not found');
+  }
+
+  const isCourseTeacher = series.course && await Course.exists({ _id: series.course, teachers: teacherId });
+  if (!series.teacher.equals(teacherId) && !isCourseTeacher) {
+    return sendError(res, 'Access denied: You can only view your own session series', 403);
+  }
+
+  const sessions = await Session.find({ series: seriesId })
+    .select('title status startTime originalStartTime seriesIndex maxStudents')
+    .sort({ originalStartTime: 1 });
+
+  sendSuccess(res, 'Session series retrieved successfully', { series: formatSeries(series), sessions });
+});
+
 // Get session statistics
 const getSessionStats = catchAsync(async (req, res) => {
   const { sessionId } = req.params;
@@ -342,7 +725,7 @@ const getSessionStats = catchAsync(async (req, res) => {
     return sendNotFound(res, 'Session not found');
   }
 
-  if (!session.teacher.equals(teacherId)) {
+  if (!(await session.isTaughtBy(teacherId))) {
     return sendError(res, 'Access denied: You can only view statistics for your own sessions', 403);
   }
 
@@ -356,12 +739,68 @@ const getSessionStats = catchAsync(async (req, res) => {
     totalSlides: session.slides.length,
     totalAudioFiles: session.audioFiles.length,
     totalVideoFiles: session.videoFiles.length,
-    technicalIssues: session.metadata.technicalIssues.length
+    technicalIssues: session.metadata.technicalIssues.length,
+    // Live audio totals from students' reports; kept for an hour after the last report
+    audioQuality: audioQualityService.getQuality(sessionId).session
   };
 
   sendSuccess(res, 'Session statistics retrieved successfully', { stats });
 });
 
+// Get ICE servers (STUN and time-limited TURN credentials) for the session's WebRTC audio/video
+const getIceServers = catchAsync(async (req, res) => {
+  const { sessionId } = req.params;
+  const userId = req.user._id;
+
+  const session = await Session.findById(sessionId);
+
+  if (!session) {
+    return sendNotFound(res, 'Session not found');
+  }
+
+  const isTeacher = await session.isTaughtBy(userId);
+  if (!isTeacher && !session.students.some(studentId => studentId.equals(userId))) {
+    return sendError(res, 'Access denied: You are not a member of this session', 403);
+  }
+
+  if (['ended', 'cancelled', 'missed'].includes(session.status)) {
+    return sendError(res, 'Session is not running', 400);
+  }
+
+  const iceServers = webrtcConfig.getIceServers(userId.toString());
+
+  logInfo('ICE servers issued', { sessionId, userId, turnEnabled: iceServers.turnEnabled });
+
+  sendSuccess(res, 'ICE servers retrieved successfully', iceServers);
+});
+
+// Get attendance report (JSON, or CSV with ?format=csv)
+const getAttendanceReport = catchAsync(async (req, res) => {
+  const { sessionId } = req.params;
+  const teacherId = req.user._id;
+  const { format = 'json' } = req.query;
+
+  const session = await Session.findById(sessionId);
+
+  if (!session) {
+    return sendNotFound(res, 'Session not found');
+  }
+
+  if (!(await session.isTaughtBy(teacherId))) {
+    return sendError(res, 'Access denied: You can only view attendance for your own sessions', 403);
+  }
+
+  const report = await attendanceService.getReport(session);
+
+  if (format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="attendance-${sessionId}.csv"`);
+    return res.send(attendanceService.toCsv(report));
+  }
+
+  sendSuccess(res, 'Attendance report retrieved successfully', report);
+});
+
 module.exports = {
   createSession,
   getTeacherSessions,
@@ -373,5 +812,10 @@ module.exports = {
   joinSession,
   leaveSession,
   deleteSession,
-  getSessionStats
+  getSessionSeries,
+  getWaitlist,
+  getWaitlistPosition,
+  getSessionStats,
+  getAttendanceReport,
+  getIceServers
 };
@@ -0,0 +1,50 @@
+const storage = require('../config/storage');
+const { catchAsync } = require('../middleware/errorHandler');
+const { sendError, sendNotFound } = require('../utils/response');
+const { logError } = require('../utils/logger');
+
+/**
+ * Serve a file from local storage using an HMAC-signed URL
+ * The signature and expiry replace authentication so the URL can be used
+ * directly by <video>/<audio> elements and download managers
+ */
+const serveSignedFile = catchAsync(async (req, res) => {
+  if (typeof storage.verifySignature !== 'function') {
+    return sendNotFound(res, 'Signed file serving is only available with local storage');
+  }
+
+  const fileName = req.params[0];
+  const { expires, signature } = req.query;
+
+  const verification = storage.verifySignature(fileName, expires, signature);
+  if (!verification.valid) {
+    return sendError(res, `Access denied: ${verification.reason}`, 403);
+  }
+
+  let filePath;
+  try {
+    filePath = storage.resolvePath(fileName);
+  } catch (error) {
+    return sendError(res, error.message, 400);
+  }
+
+  const properties = await storage.getFileProperties(fileName);
+  if (!properties.success) {
+    return sendNotFound(res, 'File not found');
+  }
+
+  res.setHeader('Content-Type', properties.properties.contentType);
+  res.setHeader('Cache-Control', 'private, max-age=300');
+
+  // sendFile handles Range requests so videos can be seeked
+  res.sendFile(filePath, { dotfiles: 'deny' }, (error) => {
+    if (error && !res.headersSent) {
+      logError('Signed file serving error', error, { fileName });
+      sendError(res, 'Failed to read file', 500);
+    }
+  });
+});
+
+module.exports = {
+  serveSignedFile
+};
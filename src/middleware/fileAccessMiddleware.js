@@ -1,4 +1,5 @@
 const Session = require('../models/Session');
+const renditionConfig = require('../config/renditions');
 const { sendError, sendNotFound } = require('../utils/response');
 const { logError } = require('../utils/logger');
 
@@ -61,11 +62,10 @@ const checkSessionFileAccess = async (req, res, next) => {
  */
 const checkUploadAccess = async (req, res, next) => {
   try {
-    const { sessionId } = req.body || req.params;
+    const sessionId = req.body?.sessionId || req.params.sessionId;
     const userId = req.user._id;
     const userRole = req.user.role;
 
-
     // Only teachers can upload files
     if (userRole !== 'teacher') {
       return sendError(res, 'Access denied: Only teachers can upload files', 403);
@@ -219,7 +219,7 @@ const validateFileType = (allowedTypes) => {
  */
 const validateVideoQuality = (req, res, next) => {
   const { quality } = req.params;
-  const allowedQualities = ['240p', '360p', 'original'];
+  const allowedQualities = [...renditionConfig.allQualities, 'original'];
 
   if (quality && !allowedQualities.includes(quality)) {
     return sendError(res, `Invalid quality. Allowed qualities: ${allowedQualities.join(', ')}`, 400);
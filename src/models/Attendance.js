@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A student's attendance of one session: the intervals they were connected to
+// any of the session's rooms (audio, chat, slides, quiz). totalMinutes,
+// attendedPercent and status are stored when the session ends; while it is
+// live the attendance report works them out from the intervals.
+const attendanceSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: [true, 'Session is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  intervals: [{
+    joinedAt: {
+      type: Date,
+      required: true
+    },
+    leftAt: {
+      type: Date,
+      default: null // still connected
+    }
+  }],
+  // Sockets (on any server process) keeping the current interval open
+  activeConnections: [String],
+  totalMinutes: {
+    type: Number,
+    default: 0
+  },
+  attendedPercent: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['present', 'late', 'absent'],
+    default: null
+  },
+  finalizedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+attendanceSchema.index({ session: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('Attendance', attendanceSchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// A course groups the sessions of a class that meets repeatedly. Its roster is
+// copied into each scheduled or live session of the course (Session.students),
+// so enrolled students can see and join every session without re-enrolling.
+const courseSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Course title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  code: {
+    type: String, // e.g. 'CS101'
+    trim: true,
+    maxlength: [50, 'Code cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  // Creator; only they can delete the course or remove co-teachers
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+  // Everyone who may manage the course and schedule its sessions, the owner included
+  teachers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  students: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  maxStudents: {
+    type: Number,
+    default: 100,
+    min: [1, 'Max students must be at least 1'],
+    max: [500, 'Max students cannot exceed 500']
+  },
+  // When the course meets; sessions are still created one by one
+  schedule: {
+    startDate: Date,
+    endDate: Date,
+    timezone: {
+      type: String,
+      default: 'UTC' // IANA name, e.g. 'Africa/Nairobi'
+    },
+    meetings: [{
+      dayOfWeek: {
+        type: Number, // 0 = Sunday
+        min: 0,
+        max: 6,
+        required: true
+      },
+      startTime: {
+        type: String, // 'HH:mm' in the course timezone
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start time must be HH:mm'],
+        required: true
+      },
+      durationMinutes: {
+        type: Number,
+        min: [5, 'A meeting must last at least 5 minutes'],
+        max: [720, 'A meeting cannot last more than 12 hours'],
+        default: 60
+      }
+    }]
+  },
+  // Reading lists, syllabus, links to uploaded files, ...
+  materials: [{
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [200, 'Material title cannot exceed 200 characters']
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Material description cannot exceed 1000 characters']
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'archived'],
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+courseSchema.index({ teachers: 1, status: 1 });
+courseSchema.index({ students: 1, status: 1 });
+
+courseSchema.methods.isTeacher = function(userId) {
+  return this.teachers.some(teacher => (teacher._id || teacher).equals(userId));
+};
+
+courseSchema.methods.isStudent = function(userId) {
+  return this.students.some(student => (student._id || student).equals(userId));
+};
+
+module.exports = mongoose.model('Course', courseSchema);
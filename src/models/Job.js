@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Job type is required'],
+    trim: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // Earliest time the job may run (used for retry backoff)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: [1, 'Max attempts must be at least 1']
+  },
+  // Worker lease: a job whose lease has expired is considered crashed and is picked up again
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  failures: [{
+    attempt: Number,
+    message: String,
+    occurredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Latest progress reported by the handler
+  progress: {
+    percent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    },
+    stage: {
+      type: String,
+      default: null
+    },
+    updatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Resource the job works on, for lookups from the API
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  fileType: {
+    type: String,
+    enum: ['slide', 'audio', 'video', null],
+    default: null
+  },
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1, priority: -1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ session: 1, fileType: 1, fileId: 1 });
+
+// Whether the job will be retried after a failure
+jobSchema.methods.canRetry = function() {
+  return this.attempts < this.maxAttempts;
+};
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Live classroom state that must survive a restart: the slide being shown,
+// the running quiz question, who is streaming audio and who has the floor. One document per
+// (session, kind, key), e.g. (session, 'quiz', quizId).
+const liveStateSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: [true, 'Session is required']
+  },
+  kind: {
+    type: String,
+    enum: ['slide', 'quiz', 'audio', 'floor'],
+    required: [true, 'State kind is required']
+  },
+  key: {
+    type: String,
+    required: [true, 'State key is required']
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Removed by MongoDB once passed, so a class that never ended cleanly does not linger
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Lease on the work tied to the entry (the quiz question timer, changes to
+  // the audio floor), so only one server process runs it when several share the database
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+liveStateSchema.index({ session: 1, kind: 1, key: 1 }, { unique: true });
+liveStateSchema.index({ kind: 1 });
+liveStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LiveState', liveStateSchema);
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+const resumableUploadSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: [true, 'Session is required']
+  },
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Uploader is required']
+  },
+  fileType: {
+    type: String,
+    enum: ['slide', 'audio', 'video'],
+    required: [true, 'File type is required']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  originalName: {
+    type: String,
+    required: [true, 'File name is required'],
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: [true, 'MIME type is required']
+  },
+  totalSize: {
+    type: Number,
+    required: [true, 'File size is required'],
+    min: [1, 'File size must be greater than 0']
+  },
+  chunkSize: {
+    type: Number,
+    required: true
+  },
+  totalChunks: {
+    type: Number,
+    required: true
+  },
+  // Optional SHA-256 (hex) of the whole file, verified after assembly
+  checksum: {
+    type: String,
+    default: null
+  },
+  receivedChunks: [{
+    index: {
+      type: Number,
+      required: true
+    },
+    size: Number,
+    checksum: String, // SHA-256 hex of the chunk
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['uploading', 'assembling', 'completed', 'aborted', 'expired'],
+    default: 'uploading'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  // Set once the assembled file has been handed to the upload pipeline
+  result: {
+    fileId: mongoose.Schema.Types.ObjectId,
+    jobId: mongoose.Schema.Types.ObjectId,
+    fileName: String
+  },
+  // Sliding expiry: pushed forward every time a chunk arrives
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+resumableUploadSchema.index({ status: 1, expiresAt: 1 });
+resumableUploadSchema.index({ uploader: 1, session: 1 });
+
+// Indexes of chunks still missing
+resumableUploadSchema.methods.getMissingChunks = function() {
+  const received = new Set(this.receivedChunks.map(chunk => chunk.index));
+  const missing = [];
+  for (let i = 0; i < this.totalChunks; i++) {
+    if (!received.has(i)) missing.push(i);
+  }
+  return missing;
+};
+
+// Received byte ranges, merged where chunks are contiguous ([{ start, end }], end exclusive)
+resumableUploadSchema.methods.getReceivedRanges = function() {
+  const indexes = this.receivedChunks.map(chunk => chunk.index).sort((a, b) => a - b);
+  const ranges = [];
+
+  indexes.forEach(index => {
+    const start = index * this.chunkSize;
+    const end = Math.min(start + this.chunkSize, this.totalSize);
+    const last = ranges[ranges.length - 1];
+
+    if (last && last.end === start) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+
+  return ranges;
+};
+
+// Expected byte length of a chunk (the last one may be shorter)
+resumableUploadSchema.methods.getChunkLength = function(index) {
+  const start = index * this.chunkSize;
+  return Math.min(this.chunkSize, this.totalSize - start);
+};
+
+resumableUploadSchema.methods.isComplete = function() {
+  return this.getMissingChunks().length === 0;
+};
+
+module.exports = mongoose.model('ResumableUpload', resumableUploadSchema);
@@ -1,4 +1,89 @@
 const mongoose = require('mongoose');
+const renditionConfig = require('../config/renditions');
+
+// Background processing state of an uploaded file (compression, audio extraction, ...)
+// Entries uploaded before the job queue existed were processed inline, hence 'completed'
+const processingSchema = {
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'completed'
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: Date,
+  completedAt: Date
+};
+
+// Caption or subtitle track attached to a video or audio entry, always stored as WebVTT
+const captionSchema = {
+  language: {
+    type: String,
+    required: true // BCP 47 tag, e.g. 'en', 'sw', 'pt-BR'
+  },
+  label: String, // shown in the player's track menu
+  kind: {
+    type: String,
+    enum: ['subtitles', 'captions'], // captions also describe sounds, for hearing-impaired viewers
+    default: 'subtitles'
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  fileName: String,
+  url: String,
+  originalFormat: {
+    type: String,
+    enum: ['srt', 'vtt']
+  },
+  originalName: String,
+  cueCount: Number,
+  fileSize: Number,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+};
+
+// Rendered page of a PDF or converted Office slide; images are stored at each resolution and format
+const slidePageSchema = {
+  pageNumber: {
+    type: Number,
+    required: true // 1-based, pages are kept in this order
+  },
+  width: Number, // rendered size in pixels before scaling
+  height: Number,
+  images: [{
+    resolution: {
+      type: String,
+      enum: ['low', 'medium']
+    },
+    format: {
+      type: String,
+      enum: ['webp', 'jpeg']
+    },
+    fileName: String,
+    width: Number,
+    height: Number,
+    fileSize: Number
+  }]
+};
 
 const sessionSchema = new mongoose.Schema({
   title: {
@@ -17,23 +102,78 @@ const sessionSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Teacher is required']
   },
+  // Course the session belongs to; its roster is kept in students (see syncCourseRoster)
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null
+  },
+  // Set on sessions created from a recurrence rule
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SessionSeries',
+    default: null
+  },
+  seriesIndex: {
+    type: Number, // position in the rule, counting skipped dates
+    default: null
+  },
+  originalStartTime: {
+    type: Date, // start time the rule gave, before any edit of this occurrence
+    default: null
+  },
   students: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Students waiting for a seat, first come first served (see waitlistService)
+  waitlist: [{
+    _id: false,
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   status: {
     type: String,
-    enum: ['scheduled', 'live', 'ended', 'cancelled'],
+    enum: ['scheduled', 'live', 'ended', 'cancelled', 'missed'], // missed: never started (see sessionScheduler)
     default: 'scheduled'
   },
   startTime: {
     type: Date,
     required: [true, 'Start time is required']
   },
+  // open: any student may join by session ID; invite: only with an invite code
+  // (see SessionInvite), chosen by the teacher. Course rosters are enrolled either way.
+  enrollment: {
+    type: String,
+    enum: ['open', 'invite'],
+    default: 'open'
+  },
+  // Go live at startTime without the teacher pressing start
+  autoStart: {
+    type: Boolean,
+    default: false
+  },
   endTime: {
     type: Date,
     default: null
   },
+  endReason: {
+    type: String,
+    enum: ['teacher', 'idle', 'overrun', null],
+    default: null
+  },
+  // When the scheduler first found no sockets in the live session's rooms
+  idleSince: {
+    type: Date,
+    default: null
+  },
   duration: {
     type: Number, // in minutes
     default: 0
@@ -48,6 +188,24 @@ const sessionSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Server-side recording of the teacher's live audio (opt-in per session)
+  recording: {
+    status: {
+      type: String,
+      enum: ['idle', 'recording', 'processing', 'completed', 'failed'],
+      default: 'idle'
+    },
+    startedAt: Date,
+    stoppedAt: Date,
+    fileId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    }, // audioFiles entry holding the recording
+    error: {
+      type: String,
+      default: null
+    }
+  },
   slides: [{
     title: String,
     url: String,
@@ -73,7 +231,15 @@ const sessionSchema = new mongoose.Schema({
       preset: String, // Ghostscript preset used (e.g., 'ebook')
       tool: String, // Compression tool used
       spaceSaved: Number,
-      compressionDate: String
+      compressionDate: String,
+      // PowerPoint-specific details
+      maxImageDimension: Number,
+      imagesRecompressed: Number,
+      imagesDownscaled: Number,
+      imagesConverted: Number, // PNG photos re-encoded as JPEG
+      layoutsRemoved: Number,
+      mediaRemoved: Number,
+      thumbnailRemoved: Boolean
     },
     // Enhanced PDF-specific metadata
     originalUrl: String,
@@ -92,6 +258,16 @@ const sessionSchema = new mongoose.Schema({
       status: String,
       compressionEffective: Boolean
     },
+    // PDF produced from Word and PowerPoint uploads
+    convertedFileName: String,
+    convertedUrl: String,
+    convertedFileSize: Number,
+    conversionError: String,
+    // Per-page images of PDF and converted slides
+    pageCount: Number,
+    pages: [slidePageSchema],
+    pagesGeneratedAt: Date,
+    pagesError: String,
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -99,7 +275,8 @@ const sessionSchema = new mongoose.Schema({
     processedAt: {
       type: Date,
       default: Date.now
-    }
+    },
+    processing: processingSchema
   }],
   audioFiles: [{
     fileName: String,
@@ -108,6 +285,11 @@ const sessionSchema = new mongoose.Schema({
     fileSize: Number,
     originalName: String,
     mimeType: String,
+    source: {
+      type: String,
+      enum: ['upload', 'recording'],
+      default: 'upload'
+    },
     // Compressed version metadata
     compressed: {
       type: Boolean,
@@ -126,7 +308,9 @@ const sessionSchema = new mongoose.Schema({
     uploadedAt: {
       type: Date,
       default: Date.now
-    }
+    },
+    processing: processingSchema,
+    captions: [captionSchema]
   }],
   videoFiles: [{
     fileName: String,
@@ -134,7 +318,7 @@ const sessionSchema = new mongoose.Schema({
     duration: Number, // in seconds
     quality: {
       type: String,
-      enum: ['240p', '360p', '480p', '720p', '1080p'],
+      enum: [...renditionConfig.allQualities, 'original'],
       default: '360p'
     },
     compressed: {
@@ -145,7 +329,7 @@ const sessionSchema = new mongoose.Schema({
     versions: [{
       quality: {
         type: String,
-        enum: ['240p', '360p'],
+        enum: renditionConfig.allQualities,
         required: true
       },
       fileName: String,
@@ -163,13 +347,69 @@ const sessionSchema = new mongoose.Schema({
       duration: Number,
       fileSize: Number
     },
+    // HLS package: segmented versions plus an audio-only rendition
+    hls: {
+      basePath: String,
+      masterPlaylistFileName: String,
+      segmentDuration: Number, // in seconds
+      renditions: [{
+        name: String, // quality or 'audio'
+        type: {
+          type: String,
+          enum: ['video', 'audio']
+        },
+        resolution: String,
+        bandwidth: Number, // bits per second
+        codecs: String,
+        playlistFileName: String,
+        segmentCount: Number
+      }],
+      packagedAt: Date
+    },
+    // Poster, keyframe thumbnails and seek-preview sprite sheets
+    previews: {
+      posterFileName: String,
+      thumbnails: [{
+        fileName: String,
+        time: Number // in seconds
+      }],
+      sprite: {
+        sheets: [String], // file names, filled left to right, top to bottom
+        interval: Number, // seconds per tile
+        columns: Number,
+        rows: Number,
+        tileWidth: Number,
+        tileHeight: Number,
+        count: Number // tiles across all sheets
+      },
+      generatedAt: Date
+    },
+    // Timing and CPU usage of the processing job
+    processingStats: {
+      outputs: Number, // files written by the single transcode run
+      wallTimeMs: Number, // transcode wall-clock time
+      cpuUserSeconds: Number, // from ffmpeg -benchmark
+      cpuSystemSeconds: Number,
+      realSeconds: Number,
+      maxRssKb: Number,
+      speed: Number, // seconds of video per wall-clock second
+      packaging: {
+        runs: Number, // HLS segmenter runs (stream copy of the transcoded files)
+        wallTimeMs: Number
+      },
+      stageTimings: mongoose.Schema.Types.Mixed, // milliseconds per step
+      renditions: [String],
+      processedAt: Date
+    },
     fileSize: Number,
     originalName: String,
     mimeType: String,
     uploadedAt: {
       type: Date,
       default: Date.now
-    }
+    },
+    processing: processingSchema,
+    captions: [captionSchema]
   }],
   metadata: {
     totalParticipants: {
@@ -181,7 +421,14 @@ const sessionSchema = new mongoose.Schema({
       default: 0
     },
     technicalIssues: [{
-      type: String,
+      // Wrapped, a bare `type` key would make this an array of strings
+      type: { type: String }, // e.g. 'audio_quality'
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      description: String,
+      details: mongoose.Schema.Types.Mixed,
       timestamp: Date,
       resolved: {
         type: Boolean,
@@ -193,16 +440,33 @@ const sessionSchema = new mongoose.Schema({
   timestamps: true
 });
 
+sessionSchema.index({ course: 1, startTime: 1 });
+sessionSchema.index({ status: 1, startTime: 1 });
+sessionSchema.index({ series: 1, originalStartTime: 1 });
+
 // Calculate duration when session ends
-sessionSchema.methods.endSession = function() {
+sessionSchema.methods.endSession = function(reason = 'teacher') {
   this.status = 'ended';
   this.endTime = new Date();
+  this.endReason = reason;
+  this.idleSince = null;
   if (this.startTime) {
     this.duration = Math.round((this.endTime - this.startTime) / (1000 * 60)); // in minutes
   }
   return this.save();
 };
 
+// The session's own teacher, or a teacher of its course (co-teachers manage the course's sessions)
+sessionSchema.methods.isTaughtBy = async function(userId) {
+  if ((this.teacher._id || this.teacher).equals(userId)) {
+    return true;
+  }
+  if (!this.course) {
+    return false;
+  }
+  return Boolean(await mongoose.model('Course').exists({ _id: this.course._id || this.course, teachers: userId }));
+};
+
 // Add student to session
 sessionSchema.methods.addStudent = function(studentId) {
   if (!this.students.includes(studentId) && this.students.length < this.maxStudents) {
@@ -220,4 +484,28 @@ sessionSchema.methods.removeStudent = function(studentId) {
   return this.save();
 };
 
+// Copy a course roster change into the course's scheduled and live sessions;
+// ended sessions keep the students who were enrolled at the time
+sessionSchema.statics.syncCourseRoster = async function(courseId, { add = [], remove = [] }) {
+  const filter = { course: courseId, status: { $in: ['scheduled', 'live'] } };
+
+  if (add.length > 0) {
+    await this.updateMany(filter, {
+      $addToSet: { students: { $each: add } },
+      $pull: { waitlist: { student: { $in: add } } } // enrolled now, no longer waiting
+    });
+  }
+  if (remove.length > 0) {
+    await this.updateMany(filter, { $pull: { students: { $in: remove } } });
+  }
+
+  // The roster may be larger than a session's own limit
+  await this.updateMany(filter, [{
+    $set: {
+      maxStudents: { $max: ['$maxStudents', { $size: '$students' }] },
+      'metadata.totalParticipants': { $size: '$students' }
+    }
+  }]);
+};
+
 module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// An invite code (and the join link built from it) a teacher hands out for a
+// session. Students redeem the code to enroll, or to ask the teacher to let
+// them in when the invite requires approval; those requests are kept here.
+const sessionInviteSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: [true, 'Session is required']
+  },
+  code: {
+    type: String, // e.g. 'K7QM2XPD'; replaced when the invite is rotated
+    required: true,
+    unique: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  maxUses: {
+    type: Number, // null: as many as the session has room for
+    default: null,
+    min: [1, 'Max uses must be at least 1'],
+    max: [1000, 'Max uses cannot exceed 1000']
+  },
+  // Redemptions so far, approval requests included
+  uses: {
+    type: Number,
+    default: 0
+  },
+  requiresApproval: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  requests: [{
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    decidedAt: Date,
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+sessionInviteSchema.index({ session: 1, status: 1 });
+sessionInviteSchema.index({ session: 1, 'requests.status': 1 });
+
+// Whether the code can still be redeemed
+sessionInviteSchema.methods.isUsable = function(now = new Date()) {
+  return this.status === 'active' &&
+    this.expiresAt > now &&
+    (this.maxUses === null || this.uses < this.maxUses);
+};
+
+module.exports = mongoose.model('SessionInvite', sessionInviteSchema);
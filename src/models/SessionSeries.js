@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Recurrence rule of a set of sessions created together (e.g. a twice-weekly
+// lecture). Each occurrence is an ordinary Session pointing back here; the
+// rule is kept to edit or cancel the occurrences that are still to come.
+const sessionSeriesSchema = new mongoose.Schema({
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Teacher is required']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null
+  },
+  title: {
+    type: String,
+    required: [true, 'Series title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  // First occurrence (RRULE DTSTART); its wall-clock time is used for all occurrences
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['weekly'],
+      default: 'weekly'
+    },
+    interval: {
+      type: Number, // every N weeks
+      min: 1,
+      max: 52,
+      default: 1
+    },
+    byDay: [{
+      type: String,
+      enum: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU']
+    }],
+    until: {
+      type: Date,
+      default: null
+    },
+    count: {
+      type: Number,
+      default: null
+    },
+    exceptions: [String], // 'YYYY-MM-DD' in timezone, occurrences skipped or cancelled
+    timezone: {
+      type: String,
+      default: 'UTC'
+    }
+  },
+  // Series that continued this one after a change of pattern ("all future" edit)
+  continuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SessionSeries',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSeriesSchema.index({ teacher: 1 });
+
+module.exports = mongoose.model('SessionSeries', sessionSeriesSchema);
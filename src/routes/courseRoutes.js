@@ -0,0 +1,204 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const courseController = require('../controllers/courseController');
+const { authenticateToken, requireTeacher, requireTeacherOrStudent } = require('../middleware/authMiddleware');
+const { catchAsync } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Validation middleware
+const scheduleValidation = [
+  body('schedule.startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Schedule start date must be a valid ISO 8601 date'),
+  body('schedule.endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Schedule end date must be a valid ISO 8601 date'),
+  body('schedule.meetings')
+    .optional()
+    .isArray({ max: 14 })
+    .withMessage('Schedule meetings must be an array of at most 14 entries'),
+  body('schedule.meetings.*.dayOfWeek')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Meeting day of week must be 0 (Sunday) to 6'),
+  body('schedule.meetings.*.startTime')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Meeting start time must be HH:mm'),
+  body('schedule.meetings.*.durationMinutes')
+    .optional()
+    .isInt({ min: 5, max: 720 })
+    .withMessage('Meeting duration must be between 5 and 720 minutes')
+];
+
+const createCourseValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  body('code')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Code cannot exceed 50 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description cannot exceed 2000 characters'),
+  body('maxStudents')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Max students must be between 1 and 500'),
+  ...scheduleValidation
+];
+
+const updateCourseValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  body('code')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Code cannot exceed 50 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description cannot exceed 2000 characters'),
+  body('maxStudents')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Max students must be between 1 and 500'),
+  body('status')
+    .optional()
+    .isIn(['active', 'archived'])
+    .withMessage('Status must be active or archived'),
+  ...scheduleValidation
+];
+
+const courseIdValidation = [
+  param('courseId')
+    .isMongoId()
+    .withMessage('Invalid course ID')
+];
+
+const studentIdValidation = [
+  param('studentId')
+    .isMongoId()
+    .withMessage('Invalid student ID')
+];
+
+const teacherIdValidation = [
+  param('teacherId')
+    .isMongoId()
+    .withMessage('Invalid teacher ID')
+];
+
+const materialIdValidation = [
+  param('materialId')
+    .isMongoId()
+    .withMessage('Invalid material ID')
+];
+
+const addStudentsValidation = [
+  body('studentIds')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('Student IDs must be an array of at most 500 entries'),
+  body('studentIds.*')
+    .isMongoId()
+    .withMessage('Invalid student ID'),
+  body('emails')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('Emails must be an array of at most 500 entries'),
+  body('emails.*')
+    .isEmail()
+    .withMessage('Invalid email')
+];
+
+const addTeacherValidation = [
+  body('teacherId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid teacher ID'),
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Invalid email')
+];
+
+const addMaterialValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  body('url')
+    .trim()
+    .isURL({ require_protocol: true })
+    .withMessage('URL must be a valid http(s) URL'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters')
+];
+
+const paginationValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['active', 'archived'])
+    .withMessage('Invalid status filter')
+];
+
+const sessionPaginationValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['scheduled', 'live', 'ended', 'cancelled', 'missed'])
+    .withMessage('Invalid status filter')
+];
+
+// Teacher routes
+router.post('/', requireTeacher, createCourseValidation, catchAsync(courseController.createCourse));
+router.get('/teacher', requireTeacher, paginationValidation, catchAsync(courseController.getTeacherCourses));
+router.put('/:courseId', requireTeacher, courseIdValidation, updateCourseValidation, catchAsync(courseController.updateCourse));
+router.delete('/:courseId', requireTeacher, courseIdValidation, catchAsync(courseController.deleteCourse));
+router.post('/:courseId/students', requireTeacher, courseIdValidation, addStudentsValidation, catchAsync(courseController.addStudents));
+router.delete('/:courseId/students/:studentId', requireTeacher, courseIdValidation, studentIdValidation, catchAsync(courseController.removeStudent));
+router.post('/:courseId/teachers', requireTeacher, courseIdValidation, addTeacherValidation, catchAsync(courseController.addTeacher));
+router.delete('/:courseId/teachers/:teacherId', requireTeacher, courseIdValidation, teacherIdValidation, catchAsync(courseController.removeTeacher));
+router.post('/:courseId/materials', requireTeacher, courseIdValidation, addMaterialValidation, catchAsync(courseController.addMaterial));
+router.delete('/:courseId/materials/:materialId', requireTeacher, courseIdValidation, materialIdValidation, catchAsync(courseController.removeMaterial));
+
+// Student routes
+router.get('/student', requireTeacherOrStudent, paginationValidation, catchAsync(courseController.getStudentCourses));
+
+// Common routes (both teacher and student)
+router.get('/:courseId', requireTeacherOrStudent, courseIdValidation, catchAsync(courseController.getCourseById));
+router.get('/:courseId/sessions', requireTeacherOrStudent, courseIdValidation, sessionPaginationValidation, catchAsync(courseController.getCourseSessions));
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require("express");
 const { body, param } = require("express-validator");
 const enhancedUploadController = require("../controllers/enhancedUploadController");
+const captionController = require("../controllers/captionController");
 const {
   authenticateToken,
   requireTeacher,
@@ -19,10 +20,41 @@ const {
   checkConcurrentUploadLimit
 } = require("../middleware/fileAccessMiddleware");
 const { catchAsync } = require("../middleware/errorHandler");
+const renditionConfig = require("../config/renditions");
 
 const router = express.Router();
 
-// All routes require authentication
+/**
+ * @route   GET /api/upload/session/:sessionId/video/:videoId/hls/renditions/:rendition.m3u8?token=
+ * @desc    Get HLS media playlist with signed segment URLs
+ * @access  Holder of a playback token from the master playlist (players cannot send auth headers)
+ */
+router.get(
+  "/session/:sessionId/video/:videoId/hls/renditions/:rendition.m3u8",
+  catchAsync(enhancedUploadController.getHlsMediaPlaylist)
+);
+
+/**
+ * @route   GET /api/upload/session/:sessionId/video/:videoId/hls/captions/:captionId.m3u8?token=
+ * @desc    Get HLS subtitle playlist for a caption track
+ * @access  Holder of a playback token from the master playlist
+ */
+router.get(
+  "/session/:sessionId/video/:videoId/hls/captions/:captionId.m3u8",
+  catchAsync(enhancedUploadController.getHlsCaptionPlaylist)
+);
+
+/**
+ * @route   GET /api/upload/session/:sessionId/video/:videoId/previews/thumbnails.vtt?token=
+ * @desc    Get seek-preview WebVTT with signed sprite sheet URLs
+ * @access  Holder of a playback token from the session file listing
+ */
+router.get(
+  "/session/:sessionId/video/:videoId/previews/thumbnails.vtt",
+  catchAsync(enhancedUploadController.getSeekPreviewVtt)
+);
+
+// All other routes require authentication
 router.use(authenticateToken);
 
 // Validation middleware
@@ -49,8 +81,28 @@ const videoIdValidation = [
 const qualityValidation = [
   param("quality")
     .optional()
-    .isIn(["240p", "360p", "original"])
-    .withMessage("Quality must be 240p, 360p, or original"),
+    .isIn([...renditionConfig.allQualities, "original"])
+    .withMessage(`Quality must be one of ${renditionConfig.allQualities.join(", ")} or original`),
+];
+
+const captionIdValidation = [
+  param("captionId").isMongoId().withMessage("Invalid caption ID"),
+];
+
+const captionValidation = [
+  body("language")
+    .trim()
+    .notEmpty()
+    .withMessage("Language is required"),
+  body("kind")
+    .optional()
+    .isIn(["subtitles", "captions"])
+    .withMessage("Kind must be subtitles or captions"),
+  body("label")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Label must be between 1 and 100 characters"),
 ];
 
 const fileIdValidation = [
@@ -65,7 +117,7 @@ const fileTypeValidation = [
 
 /**
  * @route   POST /api/upload/enhanced
- * @desc    Upload file with automatic compression and processing
+ * @desc    Upload file and queue background compression and processing (202 + jobId)
  * @access  Teacher only
  */
 router.post(
@@ -109,6 +161,20 @@ router.get(
   catchAsync(enhancedUploadController.getAdaptiveStreamingUrl)
 );
 
+/**
+ * @route   GET /api/upload/session/:sessionId/video/:videoId/hls/master.m3u8
+ * @desc    Get HLS master playlist for adaptive bitrate playback
+ * @access  Teacher or enrolled student
+ */
+router.get(
+  "/session/:sessionId/video/:videoId/hls/master.m3u8",
+  checkSessionFileAccess,
+  sessionIdValidation,
+  videoIdValidation,
+  logFileAccess('stream_video_hls'),
+  catchAsync(enhancedUploadController.getHlsMasterPlaylist)
+);
+
 /**
  * @route   GET /api/upload/session/:sessionId/slide/:slideId/download/:quality?
  * @desc    Get download URL for slide (original or compressed)
@@ -124,6 +190,21 @@ router.get(
   catchAsync(enhancedUploadController.getSlideDownloadUrl)
 );
 
+/**
+ * @route   GET /api/upload/session/:sessionId/slide/:slideId/pages/:pageNumber
+ * @desc    Get signed URLs for the low and medium resolution images of one slide page
+ * @access  Teacher or enrolled student
+ */
+router.get(
+  "/session/:sessionId/slide/:slideId/pages/:pageNumber",
+  checkSessionFileAccess,
+  sessionIdValidation,
+  param("slideId").isMongoId().withMessage("Invalid slide ID"),
+  param("pageNumber").isInt({ min: 1 }).withMessage("Page number must be a positive integer"),
+  logFileAccess('view_slide_page'),
+  catchAsync(enhancedUploadController.getSlidePage)
+);
+
 /**
  * @route   GET /api/upload/session/:sessionId/audio/:audioId/download/:quality?
  * @desc    Get download URL for audio (original or compressed)
@@ -139,6 +220,55 @@ router.get(
   catchAsync(enhancedUploadController.getAudioDownloadUrl)
 );
 
+/**
+ * @route   GET /api/upload/session/:sessionId/:fileType/:fileId/status
+ * @desc    Get background processing status and progress of an uploaded file
+ * @access  Teacher or enrolled student
+ */
+router.get(
+  "/session/:sessionId/:fileType/:fileId/status",
+  checkSessionFileAccess,
+  validateFileType(['slide', 'audio', 'video']),
+  sessionIdValidation,
+  fileTypeValidation,
+  fileIdValidation,
+  logFileAccess('processing_status'),
+  catchAsync(enhancedUploadController.getProcessingStatus)
+);
+
+/**
+ * @route   POST /api/upload/session/:sessionId/:fileType/:fileId/captions
+ * @desc    Upload an SRT or WebVTT caption track (form-data: file, language, label?, kind?, isDefault?)
+ * @access  Teacher only
+ */
+router.post(
+  "/session/:sessionId/:fileType/:fileId/captions",
+  captionController.captionUploadMiddleware,
+  checkUploadAccess,
+  validateFileType(['audio', 'video']),
+  sessionIdValidation,
+  fileIdValidation,
+  captionValidation,
+  logFileAccess('upload_caption'),
+  catchAsync(captionController.uploadCaption)
+);
+
+/**
+ * @route   DELETE /api/upload/session/:sessionId/:fileType/:fileId/captions/:captionId
+ * @desc    Delete a caption track
+ * @access  Teacher only
+ */
+router.delete(
+  "/session/:sessionId/:fileType/:fileId/captions/:captionId",
+  checkDeleteAccess,
+  validateFileType(['audio', 'video']),
+  sessionIdValidation,
+  fileIdValidation,
+  captionIdValidation,
+  logFileAccess('delete_caption'),
+  catchAsync(captionController.deleteCaption)
+);
+
 /**
  * @route   DELETE /api/upload/session/:sessionId/:fileType/:fileId
  * @desc    Delete file from session
@@ -0,0 +1,112 @@
+const express = require("express");
+const { body, param } = require("express-validator");
+const resumableUploadController = require("../controllers/resumableUploadController");
+const resumableUploadService = require("../services/resumableUploadService");
+const { authenticateToken } = require("../middleware/authMiddleware");
+const {
+  checkUploadAccess,
+  validateFileType,
+  checkSessionStatus,
+  logFileAccess,
+} = require("../middleware/fileAccessMiddleware");
+const { catchAsync } = require("../middleware/errorHandler");
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Validation middleware
+const createUploadValidation = [
+  body("sessionId").isMongoId().withMessage("Invalid session ID"),
+  body("fileType")
+    .isIn(["slide", "audio", "video"])
+    .withMessage("File type must be slide, audio, or video"),
+  body("fileName").trim().notEmpty().withMessage("File name is required"),
+  body("mimeType").trim().notEmpty().withMessage("MIME type is required"),
+  body("fileSize").isInt({ min: 1 }).withMessage("File size must be a positive integer"),
+  body("chunkSize").optional().isInt({ min: 1 }).withMessage("Chunk size must be a positive integer"),
+  body("checksum")
+    .optional()
+    .matches(/^[a-fA-F0-9]{64}$/)
+    .withMessage("Checksum must be a SHA-256 hex digest"),
+  body("title")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Title must be between 1 and 200 characters"),
+];
+
+const uploadIdValidation = [
+  param("uploadId").isMongoId().withMessage("Invalid upload ID"),
+];
+
+// Chunks arrive as raw bytes whatever Content-Type the client sends
+const rawChunk = express.raw({
+  type: () => true,
+  limit: resumableUploadService.maxChunkSize,
+});
+
+/**
+ * @route   POST /api/upload/resumable
+ * @desc    Start a resumable upload; returns uploadId, chunkSize and totalChunks
+ * @access  Teacher only
+ */
+router.post(
+  "/",
+  checkUploadAccess,
+  validateFileType(["slide", "audio", "video"]),
+  checkSessionStatus(["scheduled", "live"]),
+  createUploadValidation,
+  logFileAccess("resumable_upload_init"),
+  catchAsync(resumableUploadController.createUpload)
+);
+
+/**
+ * @route   PUT /api/upload/resumable/:uploadId/chunks/:index
+ * @desc    Upload chunk N (raw body, X-Chunk-Checksum: SHA-256 hex); safe to retry
+ * @access  Uploader only
+ */
+router.put(
+  "/:uploadId/chunks/:index",
+  uploadIdValidation,
+  param("index").isInt({ min: 0 }).withMessage("Chunk index must be a non-negative integer"),
+  rawChunk,
+  catchAsync(resumableUploadController.uploadChunk)
+);
+
+/**
+ * @route   GET /api/upload/resumable/:uploadId
+ * @desc    Get received chunks, missing chunks and received byte ranges
+ * @access  Uploader only
+ */
+router.get(
+  "/:uploadId",
+  uploadIdValidation,
+  catchAsync(resumableUploadController.getUploadStatus)
+);
+
+/**
+ * @route   POST /api/upload/resumable/:uploadId/complete
+ * @desc    Assemble chunks and queue the file for processing (202 + jobId)
+ * @access  Uploader only
+ */
+router.post(
+  "/:uploadId/complete",
+  uploadIdValidation,
+  logFileAccess("resumable_upload_complete"),
+  catchAsync(resumableUploadController.completeUpload)
+);
+
+/**
+ * @route   DELETE /api/upload/resumable/:uploadId
+ * @desc    Abort an upload and delete its chunks
+ * @access  Uploader only
+ */
+router.delete(
+  "/:uploadId",
+  uploadIdValidation,
+  catchAsync(resumableUploadController.abortUpload)
+);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const sessionController = require('../controllers/sessionController');
+const inviteController = require('../controllers/inviteController');
 const { authenticateToken, requireTeacher, requireTeacherOrStudent } = require('../middleware/authMiddleware');
 const { catchAsync } = require('../middleware/errorHandler');
 
@@ -26,7 +27,23 @@ const createSessionValidation = [
   body('maxStudents')
     .optional()
     .isInt({ min: 1, max: 500 })
-    .withMessage('Max students must be between 1 and 500')
+    .withMessage('Max students must be between 1 and 500'),
+  body('courseId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid course ID'),
+  body('autoStart')
+    .optional()
+    .isBoolean()
+    .withMessage('Auto start must be true or false'),
+  body('enrollment')
+    .optional()
+    .isIn(['open', 'invite'])
+    .withMessage('Enrollment must be open or invite'),
+  body('recurrence')
+    .optional()
+    .custom(value => typeof value === 'string' || (value !== null && typeof value === 'object'))
+    .withMessage('Recurrence must be an RRULE string or an object')
 ];
 
 const updateSessionValidation = [
@@ -47,7 +64,80 @@ const updateSessionValidation = [
   body('maxStudents')
     .optional()
     .isInt({ min: 1, max: 500 })
-    .withMessage('Max students must be between 1 and 500')
+    .withMessage('Max students must be between 1 and 500'),
+  body('autoStart')
+    .optional()
+    .isBoolean()
+    .withMessage('Auto start must be true or false'),
+  body('enrollment')
+    .optional()
+    .isIn(['open', 'invite'])
+    .withMessage('Enrollment must be open or invite'),
+  body('scope')
+    .optional()
+    .isIn(['this', 'future'])
+    .withMessage('Scope must be this or future')
+];
+
+const deleteSessionValidation = [
+  query('scope')
+    .optional()
+    .isIn(['this', 'future'])
+    .withMessage('Scope must be this or future')
+];
+
+const seriesIdValidation = [
+  param('seriesId')
+    .isMongoId()
+    .withMessage('Invalid series ID')
+];
+
+const createInviteValidation = [
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid ISO 8601 date'),
+  body('maxUses')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Max uses must be between 1 and 1000'),
+  body('requiresApproval')
+    .optional()
+    .isBoolean()
+    .withMessage('Requires approval must be true or false')
+];
+
+const inviteCodeValidation = [
+  param('code')
+    .trim()
+    .isLength({ min: 4, max: 20 })
+    .withMessage('Invalid invite code')
+];
+
+const redeemInviteValidation = [
+  body('code')
+    .trim()
+    .isLength({ min: 4, max: 20 })
+    .withMessage('Invalid invite code')
+];
+
+const inviteIdValidation = [
+  param('inviteId')
+    .isMongoId()
+    .withMessage('Invalid invite ID')
+];
+
+const joinRequestIdValidation = [
+  param('requestId')
+    .isMongoId()
+    .withMessage('Invalid join request ID')
+];
+
+const joinRequestsValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Invalid status filter')
 ];
 
 const sessionIdValidation = [
@@ -73,25 +163,46 @@ const paginationValidation = [
     .withMessage('Limit must be between 1 and 100'),
   query('status')
     .optional()
-    .isIn(['scheduled', 'live', 'ended', 'cancelled'])
+    .isIn(['scheduled', 'live', 'ended', 'cancelled', 'missed'])
     .withMessage('Invalid status filter')
 ];
 
+const attendanceReportValidation = [
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv')
+];
+
 // Teacher routes
 router.post('/create', requireTeacher, createSessionValidation, catchAsync(sessionController.createSession));
 router.get('/teacher', requireTeacher, paginationValidation, catchAsync(sessionController.getTeacherSessions));
 router.put('/:sessionId', requireTeacher, sessionIdValidation, updateSessionValidation, catchAsync(sessionController.updateSession));
 router.post('/:sessionId/start', requireTeacher, sessionIdValidation, catchAsync(sessionController.startSession));
 router.post('/:sessionId/end', requireTeacher, sessionIdValidation, catchAsync(sessionController.endSession));
-router.delete('/:sessionId', requireTeacher, sessionIdValidation, catchAsync(sessionController.deleteSession));
+router.delete('/:sessionId', requireTeacher, sessionIdValidation, deleteSessionValidation, catchAsync(sessionController.deleteSession));
+router.get('/series/:seriesId', requireTeacher, seriesIdValidation, catchAsync(sessionController.getSessionSeries));
 router.get('/:sessionId/stats', requireTeacher, sessionIdValidation, catchAsync(sessionController.getSessionStats));
+router.get('/:sessionId/attendance', requireTeacher, sessionIdValidation, attendanceReportValidation, catchAsync(sessionController.getAttendanceReport));
+router.post('/:sessionId/invites', requireTeacher, sessionIdValidation, createInviteValidation, catchAsync(inviteController.createInvite));
+router.get('/:sessionId/invites', requireTeacher, sessionIdValidation, catchAsync(inviteController.getInvites));
+router.post('/:sessionId/invites/:inviteId/rotate', requireTeacher, sessionIdValidation, inviteIdValidation, catchAsync(inviteController.rotateInvite));
+router.delete('/:sessionId/invites/:inviteId', requireTeacher, sessionIdValidation, inviteIdValidation, catchAsync(inviteController.revokeInvite));
+router.get('/:sessionId/waitlist', requireTeacher, sessionIdValidation, catchAsync(sessionController.getWaitlist));
+router.get('/:sessionId/join-requests', requireTeacher, sessionIdValidation, joinRequestsValidation, catchAsync(inviteController.getJoinRequests));
+router.post('/:sessionId/join-requests/:requestId/approve', requireTeacher, sessionIdValidation, joinRequestIdValidation, catchAsync(inviteController.approveJoinRequest));
+router.post('/:sessionId/join-requests/:requestId/reject', requireTeacher, sessionIdValidation, joinRequestIdValidation, catchAsync(inviteController.rejectJoinRequest));
 
 // Student routes
 router.get('/student', requireTeacherOrStudent, paginationValidation, catchAsync(sessionController.getStudentSessions));
+router.get('/invites/:code', requireTeacherOrStudent, inviteCodeValidation, catchAsync(inviteController.getInviteByCode));
+router.post('/invites/redeem', requireTeacherOrStudent, redeemInviteValidation, catchAsync(inviteController.redeemInvite));
 router.post('/:sessionId/join', requireTeacherOrStudent, sessionIdValidation, catchAsync(sessionController.joinSession));
 router.post('/:sessionId/leave', requireTeacherOrStudent, sessionIdValidation, catchAsync(sessionController.leaveSession));
+router.get('/:sessionId/waitlist/position', requireTeacherOrStudent, sessionIdValidation, catchAsync(sessionController.getWaitlistPosition));
 
 // Common routes (both teacher and student)
 router.get('/:sessionId', requireTeacherOrStudent, sessionIdValidation, catchAsync(sessionController.getSessionById));
+router.get('/:sessionId/webrtc/ice-servers', requireTeacherOrStudent, sessionIdValidation, catchAsync(sessionController.getIceServers));
 
 module.exports = router;
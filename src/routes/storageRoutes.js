@@ -0,0 +1,13 @@
+const express = require("express");
+const storageController = require("../controllers/storageController");
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/storage/*?expires=&signature=
+ * @desc    Download a file from local storage with a signed, expiring URL
+ * @access  Anyone holding a valid signed URL
+ */
+router.get("/*", storageController.serveSignedFile);
+
+module.exports = router;
@@ -9,20 +9,16 @@ const app = new RemoteClassroomApp();
 app.start();
 
 // Graceful shutdown
-process.on("SIGTERM", () => {
-  console.log("SIGTERM received. Shutting down gracefully...");
-  app.getServer().close(() => {
+const shutdown = (signal) => {
+  console.log(`${signal} received. Shutting down gracefully...`);
+  app.getServer().close(async () => {
+    await app.stopBackgroundJobs();
     console.log("Process terminated");
     process.exit(0);
   });
-});
+};
 
-process.on("SIGINT", () => {
-  console.log("SIGINT received. Shutting down gracefully...");
-  app.getServer().close(() => {
-    console.log("Process terminated");
-    process.exit(0);
-  });
-});
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
 
 module.exports = app;
@@ -0,0 +1,316 @@
+const Attendance = require('../models/Attendance');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { logInfo, logError } = require('../utils/logger');
+
+/**
+ * Attendance tracking
+ * The audio, chat, slide and quiz handlers report when a student's socket
+ * joins or leaves their room. A student is attending while at least one of
+ * their sockets is in at least one room; each such stretch is an interval on
+ * their Attendance document.
+ *
+ * Which rooms a socket is in is known to its own process only, so the rooms
+ * are counted on the socket and only the socket's first join and last leave
+ * (or disconnect) reach the database. The database keeps the connected socket
+ * IDs, so a student with tabs on two server processes stays present until
+ * both are gone.
+ *
+ * Minutes are counted between the session's start time and its end, and a
+ * student is late when they first joined more than lateAfterMinutes after the
+ * start, absent when they attended less than minPercent of the session.
+ */
+class AttendanceService {
+  constructor() {
+    this.lateAfterMinutes = parseInt(process.env.ATTENDANCE_LATE_MINUTES) || 10;
+    this.minPercent = parseFloat(process.env.ATTENDANCE_MIN_PERCENT) || 50;
+  }
+
+  /**
+   * Record a socket joining one of a session's rooms
+   * @param {Object} socket - Joining socket
+   * @param {Object} session - Session the socket was verified for (teacher populated or not)
+   * @param {string} source - 'audio', 'chat', 'slide' or 'quiz'
+   */
+  async join(socket, session, source) {
+    const teacherId = (session.teacher._id || session.teacher).toString();
+    if (teacherId === socket.userId.toString() || ['ended', 'cancelled', 'missed'].includes(session.status)) {
+      return;
+    }
+
+    const sessionId = session._id.toString();
+    if (!socket.attendance) {
+      socket.attendance = new Map(); // sessionId -> Set of rooms the socket is in
+      socket.on('disconnect', () => this.handleDisconnect(socket));
+    }
+
+    const rooms = socket.attendance.get(sessionId) || new Set();
+    const firstRoom = rooms.size === 0;
+    rooms.add(source);
+    socket.attendance.set(sessionId, rooms);
+
+    if (firstRoom) {
+      try {
+        await this.connect(sessionId, socket.userId, socket.id);
+      } catch (error) {
+        logError('Attendance join error', error, { sessionId, userId: socket.userId });
+      }
+    }
+  }
+
+  /**
+   * Record a socket leaving one of a session's rooms
+   * @param {Object} socket - Leaving socket
+   * @param {string} sessionId - Session ID
+   * @param {string} source - Room kind the socket left
+   */
+  async leave(socket, sessionId, source) {
+    const rooms = socket.attendance && socket.attendance.get(sessionId);
+    if (!rooms || !rooms.delete(source) || rooms.size > 0) {
+      return;
+    }
+
+    socket.attendance.delete(sessionId);
+    try {
+      await this.disconnect(sessionId, socket.userId, socket.id);
+    } catch (error) {
+      logError('Attendance leave error', error, { sessionId, userId: socket.userId });
+    }
+  }
+
+  async handleDisconnect(socket) {
+    const sessionIds = Array.from(socket.attendance.keys());
+    socket.attendance.clear();
+
+    for (const sessionId of sessionIds) {
+      try {
+        await this.disconnect(sessionId, socket.userId, socket.id);
+      } catch (error) {
+        logError('Attendance disconnect error', error, { sessionId, userId: socket.userId });
+      }
+    }
+  }
+
+  // Add a connection; the first one opens an interval
+  async connect(sessionId, userId, connectionId, retried = false) {
+    let attendance;
+    try {
+      attendance = await Attendance.findOneAndUpdate(
+        { session: sessionId, user: userId },
+        { $addToSet: { activeConnections: connectionId } },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Two first joins raced to create the document; the second one updates it
+      if (error.code === 11000 && !retried) {
+        return this.connect(sessionId, userId, connectionId, true);
+      }
+      throw error;
+    }
+
+    // Conditional, so a connection on another process cannot open a second interval
+    await Attendance.updateOne(
+      { _id: attendance._id, intervals: { $not: { $elemMatch: { leftAt: null } } } },
+      { $push: { intervals: { joinedAt: new Date(), leftAt: null } } }
+    );
+  }
+
+  // Remove a connection; the last one closes the open interval
+  async disconnect(sessionId, userId, connectionId) {
+    const attendance = await Attendance.findOneAndUpdate(
+      { session: sessionId, user: userId },
+      { $pull: { activeConnections: connectionId } },
+      { new: true }
+    );
+    if (!attendance || attendance.activeConnections.length > 0) {
+      return;
+    }
+
+    await Attendance.updateOne(
+      { _id: attendance._id, activeConnections: { $size: 0 }, 'intervals.leftAt': null },
+      { $set: { 'intervals.$.leftAt': new Date() } }
+    );
+  }
+
+  /**
+   * Close the intervals still open when the session ends and store every
+   * student's minutes and status, plus Session.metadata.averageAttendance
+   * @param {Object} session - Ended session
+   * @returns {Promise<Object>} Attendance report (see getReport)
+   */
+  async finalizeSession(session) {
+    const endTime = session.endTime || new Date();
+
+    await Attendance.updateMany(
+      { session: session._id, 'intervals.leftAt': null },
+      { $set: { 'intervals.$[open].leftAt': endTime } },
+      { arrayFilters: [{ 'open.leftAt': null }] }
+    );
+
+    const report = await this.getReport(session);
+    const finalizedAt = new Date();
+
+    if (report.students.length > 0) {
+      await Attendance.bulkWrite(report.students.map(student => ({
+        updateOne: {
+          filter: { session: session._id, user: student.userId },
+          update: {
+            $set: {
+              activeConnections: [],
+              totalMinutes: student.totalMinutes,
+              attendedPercent: student.attendedPercent,
+              status: student.status,
+              finalizedAt
+            }
+          },
+          upsert: true // students who never joined get an absent record
+        }
+      })));
+    }
+
+    await Session.updateOne(
+      { _id: session._id },
+      { $set: { 'metadata.averageAttendance': report.summary.averageAttendance } }
+    );
+
+    logInfo('Session attendance finalized', {
+      sessionId: session._id,
+      ...report.summary
+    });
+
+    return report;
+  }
+
+  /**
+   * Attendance of every enrolled student (and of anyone else who joined)
+   * @param {Object} session - Session document
+   * @returns {Promise<Object>} { session, summary, students: [{ userId, name, email, status, firstJoinedAt, lastLeftAt, totalMinutes, attendedPercent, intervals }] }
+   */
+  async getReport(session) {
+    const start = new Date(session.startTime);
+    const end = session.endTime ? new Date(session.endTime) : new Date();
+    const sessionMinutes = Math.max(0, (end - start) / 60000);
+
+    const records = await Attendance.find({ session: session._id }).populate('user', 'name email');
+    const recordsByUser = new Map(records
+      .filter(record => record.user)
+      .map(record => [record.user._id.toString(), record]));
+
+    // Enrolled students who never joined have no record yet
+    const missingIds = session.students
+      .map(student => (student._id || student).toString())
+      .filter(studentId => !recordsByUser.has(studentId));
+    const missingUsers = missingIds.length > 0
+      ? await User.find({ _id: { $in: missingIds } }).select('name email')
+      : [];
+
+    const students = [
+      ...Array.from(recordsByUser.values()).map(record => this.summarize(record.user, record.intervals, start, end, sessionMinutes)),
+      ...missingUsers.map(user => this.summarize(user, [], start, end, sessionMinutes))
+    ].sort((a, b) => a.name.localeCompare(b.name));
+
+    const attended = students.filter(student => student.status !== 'absent');
+    const averageAttendance = students.length > 0
+      ? Math.round(students.reduce((sum, student) => sum + student.attendedPercent, 0) / students.length * 10) / 10
+      : 0;
+
+    return {
+      session: {
+        id: session._id,
+        title: session.title,
+        status: session.status,
+        startTime: start,
+        endTime: session.endTime || null,
+        minutes: Math.round(sessionMinutes * 10) / 10
+      },
+      summary: {
+        enrolled: session.students.length,
+        present: students.filter(student => student.status === 'present').length,
+        late: students.filter(student => student.status === 'late').length,
+        absent: students.length - attended.length,
+        averageAttendance, // average percent of the session attended
+        lateAfterMinutes: this.lateAfterMinutes,
+        minPercent: this.minPercent
+      },
+      students
+    };
+  }
+
+  // Minutes inside the session window and the resulting status of one student
+  summarize(user, intervals, start, end, sessionMinutes) {
+    const now = new Date();
+    const closed = intervals.map(interval => ({
+      joinedAt: interval.joinedAt,
+      leftAt: interval.leftAt || null,
+      until: interval.leftAt || (now < end ? now : end)
+    }));
+
+    const attendedMs = closed.reduce((sum, interval) => {
+      const from = Math.max(interval.joinedAt.getTime(), start.getTime());
+      const to = Math.min(interval.until.getTime(), end.getTime());
+      return sum + Math.max(0, to - from);
+    }, 0);
+
+    const totalMinutes = Math.round(attendedMs / 60000 * 10) / 10;
+    const attendedPercent = sessionMinutes > 0
+      ? Math.min(100, Math.round(totalMinutes / sessionMinutes * 1000) / 10)
+      : 0;
+    const firstJoinedAt = closed.length > 0 ? closed[0].joinedAt : null;
+    const lastLeftAt = closed.length > 0 ? closed[closed.length - 1].leftAt : null;
+
+    let status = 'present';
+    if (!firstJoinedAt || attendedPercent < this.minPercent) {
+      status = 'absent';
+    } else if (firstJoinedAt - start > this.lateAfterMinutes * 60000) {
+      status = 'late';
+    }
+
+    return {
+      userId: user._id,
+      name: user.name,
+      email: user.email,
+      status,
+      firstJoinedAt,
+      lastLeftAt,
+      totalMinutes,
+      attendedPercent,
+      intervals: closed.map(({ joinedAt, leftAt }) => ({ joinedAt, leftAt }))
+    };
+  }
+
+  /**
+   * Attendance report as CSV, one row per student
+   * @param {Object} report - Report from getReport
+   * @returns {string} CSV text
+   */
+  toCsv(report) {
+    const escape = (value) => {
+      let text = value === null || value === undefined ? '' : String(value);
+      // Names are user input; keep spreadsheets from reading them as formulas
+      if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const date = (value) => (value ? new Date(value).toISOString() : '');
+
+    const rows = [
+      ['Student ID', 'Name', 'Email', 'Status', 'First Joined', 'Last Left', 'Minutes Attended', 'Attended %', 'Intervals'],
+      ...report.students.map(student => [
+        student.userId,
+        student.name,
+        student.email,
+        student.status,
+        date(student.firstJoinedAt),
+        date(student.lastLeftAt),
+        student.totalMinutes,
+        student.attendedPercent,
+        student.intervals.map(interval => `${date(interval.joinedAt)}/${date(interval.leftAt)}`).join(' ')
+      ])
+    ];
+
+    return rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = new AttendanceService();
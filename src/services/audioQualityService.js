@@ -0,0 +1,259 @@
+const Session = require('../models/Session');
+const { SOCKET_ADAPTER } = require('../config/socketAdapter');
+const { logInfo, logError, logWarn } = require('../utils/logger');
+
+/**
+ * Live audio quality statistics
+ * Every relayed audio chunk carries a per-stream sequence number. Students'
+ * clients count the chunks they received, lost (gaps in the sequence) and got
+ * too late to play, measure interarrival jitter, and send a report every few
+ * seconds. Reports are added up per student and per session for the teacher.
+ *
+ * A student whose reports stay poor for several reports in a row is logged
+ * to Session.metadata.technicalIssues once; the issue is marked resolved when
+ * their audio recovers. Stats are kept in memory; in a cluster each process
+ * passes its students' stats to the others through the Socket.IO adapter, so
+ * any process can give the teacher the whole session.
+ */
+class AudioQualityService {
+  constructor() {
+    this.lossThreshold = parseFloat(process.env.AUDIO_QUALITY_LOSS_PERCENT) || 5; // percent of chunks lost or late
+    this.jitterThreshold = parseInt(process.env.AUDIO_QUALITY_JITTER_MS) || 100;
+    this.poorReportsForIssue = parseInt(process.env.AUDIO_QUALITY_POOR_REPORTS) || 3;
+    this.maxChunksPerReport = 100000;
+    this.staleAfter = 60 * 60 * 1000; // sessions without reports for an hour are dropped
+    this.sessions = new Map(); // sessionId -> Map(userId -> student stats)
+    this.io = null;
+  }
+
+  // Listen for stats from other server processes (call once with the Socket.IO server)
+  attach(io) {
+    if (this.io) return;
+    this.io = io;
+
+    io.on('audio_quality:student', (sessionId, stats) => {
+      this.getSessionStats(sessionId).set(stats.userId, stats);
+    });
+  }
+
+  getSessionStats(sessionId) {
+    if (!this.sessions.has(sessionId)) {
+      this.sessions.set(sessionId, new Map());
+    }
+    return this.sessions.get(sessionId);
+  }
+
+  /**
+   * Check a client report
+   * @param {Object} report - { received, lost, late, jitterMs, sourceUserId }
+   * @returns {Object} { success, report } or { success: false, error }
+   */
+  validateReport(report) {
+    const { received, lost, late = 0, jitterMs = null, sourceUserId = null } = report || {};
+    const counts = { received, lost, late };
+
+    for (const [name, value] of Object.entries(counts)) {
+      if (!Number.isInteger(value) || value < 0 || value > this.maxChunksPerReport) {
+        return { success: false, error: `${name} must be a whole number between 0 and ${this.maxChunksPerReport}` };
+      }
+    }
+
+    if (late > received) {
+      return { success: false, error: 'late cannot be more than received' };
+    }
+
+    if (jitterMs !== null && (typeof jitterMs !== 'number' || !isFinite(jitterMs) || jitterMs < 0 || jitterMs > 60000)) {
+      return { success: false, error: 'jitterMs must be between 0 and 60000' };
+    }
+
+    return {
+      success: true,
+      report: { received, lost, late, jitterMs, sourceUserId: sourceUserId ? String(sourceUserId) : null }
+    };
+  }
+
+  /**
+   * Add a student's report to their stats and the session's
+   * @param {string} sessionId - Session ID
+   * @param {Object} user - { userId, userName } of the reporting student
+   * @param {Object} report - Client report (see validateReport)
+   * @returns {Promise<Object>} { success, student, session } or { success: false, error }
+   */
+  async recordReport(sessionId, user, report) {
+    const validation = this.validateReport(report);
+    if (!validation.success) {
+      return validation;
+    }
+    const { received, lost, late, jitterMs, sourceUserId } = validation.report;
+
+    // Nothing was expected in this interval (nobody was speaking)
+    if (received + lost === 0) {
+      return { success: true, student: null, session: this.getSummary(sessionId) };
+    }
+
+    this.pruneStaleSessions();
+
+    const sessionStats = this.getSessionStats(sessionId);
+    const userId = user.userId.toString();
+    const stats = sessionStats.get(userId) || {
+      userId,
+      userName: user.userName,
+      received: 0,
+      lost: 0,
+      late: 0,
+      reports: 0,
+      jitterMs: null,
+      lastLossRate: 0,
+      poorReports: 0,
+      issueId: null,
+      lastReportAt: null
+    };
+
+    const lossRate = this.percent(lost + late, received + lost);
+    const poor = lossRate >= this.lossThreshold || (jitterMs !== null && jitterMs >= this.jitterThreshold);
+
+    stats.received += received;
+    stats.lost += lost;
+    stats.late += late;
+    stats.reports += 1;
+    // Smoothed like RTP's jitter estimate so one bad interval does not dominate
+    if (jitterMs !== null) {
+      stats.jitterMs = stats.jitterMs === null ? jitterMs : Math.round((stats.jitterMs * 0.75 + jitterMs * 0.25) * 10) / 10;
+    }
+    stats.lastLossRate = lossRate;
+    stats.poorReports = poor ? stats.poorReports + 1 : 0;
+    stats.lastReportAt = Date.now();
+
+    if (poor && stats.poorReports >= this.poorReportsForIssue && !stats.issueId) {
+      stats.issueId = await this.logIssue(sessionId, stats, { lossRate, jitterMs, sourceUserId });
+    } else if (!poor && stats.issueId) {
+      await this.resolveIssue(sessionId, stats);
+    }
+
+    sessionStats.set(userId, stats);
+
+    // The in-memory adapter has no other processes to tell (and warns when asked)
+    if (this.io && SOCKET_ADAPTER !== 'memory') {
+      this.io.serverSideEmit('audio_quality:student', sessionId, stats);
+    }
+
+    return { success: true, student: this.formatStudent(stats), session: this.getSummary(sessionId) };
+  }
+
+  /**
+   * Per-student stats and session totals
+   * @param {string} sessionId - Session ID
+   * @returns {Object} { session, students }
+   */
+  getQuality(sessionId) {
+    const students = Array.from((this.sessions.get(sessionId) || new Map()).values())
+      .map(stats => this.formatStudent(stats))
+      .sort((a, b) => b.lossRate - a.lossRate);
+
+    return { session: this.getSummary(sessionId), students };
+  }
+
+  getSummary(sessionId) {
+    const students = Array.from((this.sessions.get(sessionId) || new Map()).values());
+    const totals = students.reduce((sum, stats) => ({
+      received: sum.received + stats.received,
+      lost: sum.lost + stats.lost,
+      late: sum.late + stats.late
+    }), { received: 0, lost: 0, late: 0 });
+    const jitters = students.filter(stats => stats.jitterMs !== null).map(stats => stats.jitterMs);
+
+    return {
+      students: students.length,
+      studentsWithProblems: students.filter(stats => stats.poorReports > 0).length,
+      ...totals,
+      lossRate: this.percent(totals.lost + totals.late, totals.received + totals.lost),
+      averageJitterMs: jitters.length > 0
+        ? Math.round(jitters.reduce((sum, jitter) => sum + jitter, 0) / jitters.length * 10) / 10
+        : null
+    };
+  }
+
+  formatStudent(stats) {
+    return {
+      userId: stats.userId,
+      userName: stats.userName,
+      received: stats.received,
+      lost: stats.lost,
+      late: stats.late,
+      lossRate: this.percent(stats.lost + stats.late, stats.received + stats.lost),
+      recentLossRate: stats.lastLossRate,
+      jitterMs: stats.jitterMs,
+      reports: stats.reports,
+      status: stats.issueId ? 'chronic' : stats.poorReports > 0 ? 'degraded' : 'good',
+      lastReportAt: stats.lastReportAt
+    };
+  }
+
+  // Add a technical issue for a student with chronic problems; returns its ID (null if it could not be stored)
+  async logIssue(sessionId, stats, { lossRate, jitterMs, sourceUserId }) {
+    const issue = {
+      type: 'audio_quality',
+      user: stats.userId,
+      description: `Choppy audio for ${stats.userName}: ${lossRate}% of chunks lost or late` +
+        (jitterMs !== null ? `, ${jitterMs}ms jitter` : ''),
+      details: {
+        lossRate,
+        jitterMs,
+        received: stats.received,
+        lost: stats.lost,
+        late: stats.late,
+        poorReports: stats.poorReports,
+        sourceUserId
+      },
+      timestamp: new Date(),
+      resolved: false
+    };
+
+    try {
+      const session = await Session.findByIdAndUpdate(
+        sessionId,
+        { $push: { 'metadata.technicalIssues': issue } },
+        { new: true, select: 'metadata.technicalIssues' }
+      );
+      if (!session) return null;
+
+      const issueId = session.metadata.technicalIssues[session.metadata.technicalIssues.length - 1]._id;
+      logWarn('Chronic audio problems for student', { sessionId, userId: stats.userId, lossRate, jitterMs });
+      return issueId.toString();
+    } catch (error) {
+      logError('Audio quality issue log error', error, { sessionId, userId: stats.userId });
+      return null;
+    }
+  }
+
+  async resolveIssue(sessionId, stats) {
+    const issueId = stats.issueId;
+    stats.issueId = null;
+
+    try {
+      await Session.updateOne(
+        { _id: sessionId, 'metadata.technicalIssues._id': issueId },
+        { $set: { 'metadata.technicalIssues.$.resolved': true } }
+      );
+      logInfo('Student audio recovered', { sessionId, userId: stats.userId });
+    } catch (error) {
+      logError('Audio quality issue resolve error', error, { sessionId, userId: stats.userId });
+    }
+  }
+
+  pruneStaleSessions() {
+    const now = Date.now();
+    this.sessions.forEach((students, sessionId) => {
+      const lastReportAt = Math.max(0, ...Array.from(students.values()).map(stats => stats.lastReportAt || 0));
+      if (now - lastReportAt > this.staleAfter) {
+        this.sessions.delete(sessionId);
+      }
+    });
+  }
+
+  percent(part, total) {
+    return total > 0 ? Math.round(part / total * 1000) / 10 : 0;
+  }
+}
+
+module.exports = new AudioQualityService();
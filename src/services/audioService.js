@@ -1,4 +1,4 @@
-const azureService = require('../config/azure');
+const storage = require('../config/storage');
 const { logInfo, logError } = require('../utils/logger');
 
 class AudioService {
@@ -46,8 +46,8 @@ class AudioService {
   // Process audio file for streaming
   async processAudioForStreaming(audioBuffer, fileName) {
     try {
-      // Upload to Azure Blob Storage
-      const uploadResult = await azureService.uploadFile(
+      // Upload to configured storage provider
+      const uploadResult = await storage.uploadFile(
         fileName,
         audioBuffer,
         'audio/mpeg'
@@ -58,7 +58,7 @@ class AudioService {
       }
 
       // Generate signed URL for streaming
-      const signedUrlResult = await azureService.generateSignedUrl(fileName, 24 * 60); // 24 hours
+      const signedUrlResult = await storage.generateSignedUrl(fileName, 24 * 60); // 24 hours
 
       if (!signedUrlResult.success) {
         throw new Error(signedUrlResult.error);
@@ -108,7 +108,7 @@ class AudioService {
 
       // Upload compressed audio
       const compressedFileName = fileName.replace(/\.[^/.]+$/, `_compressed_${quality}.mp3`);
-      const uploadResult = await azureService.uploadFile(
+      const uploadResult = await storage.uploadFile(
         compressedFileName,
         compressedBuffer,
         'audio/mpeg'
@@ -160,7 +160,7 @@ class AudioService {
   // Generate audio streaming URL
   async generateStreamingUrl(fileName, expiresInMinutes = 60) {
     try {
-      const signedUrlResult = await azureService.generateSignedUrl(fileName, expiresInMinutes);
+      const signedUrlResult = await storage.generateSignedUrl(fileName, expiresInMinutes);
       
       if (!signedUrlResult.success) {
         throw new Error(signedUrlResult.error);
@@ -183,7 +183,7 @@ class AudioService {
   // Delete audio file
   async deleteAudioFile(fileName) {
     try {
-      const deleteResult = await azureService.deleteFile(fileName);
+      const deleteResult = await storage.deleteFile(fileName);
       
       if (!deleteResult.success) {
         throw new Error(deleteResult.error);
@@ -205,7 +205,7 @@ class AudioService {
   // Get audio file info
   async getAudioFileInfo(fileName) {
     try {
-      // This would get file metadata from Azure
+      // This would get file metadata from storage
       // For now, return basic info
       return {
         success: true,
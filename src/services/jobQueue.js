@@ -0,0 +1,378 @@
+const EventEmitter = require('events');
+const os = require('os');
+const Job = require('../models/Job');
+const { logInfo, logError, logWarn } = require('../utils/logger');
+
+/**
+ * Persistent background job queue backed by MongoDB
+ * - Jobs survive restarts: they live in the `jobs` collection
+ * - Workers claim jobs atomically and hold a renewable lease
+ * - A job whose lease expires (worker crashed) is claimed again
+ * - Failed jobs are retried with exponential backoff up to maxAttempts
+ * - Concurrency is limited globally and per job type
+ */
+class JobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.workerId = `${os.hostname()}:${process.pid}:${Math.random().toString(36).substring(2, 8)}`;
+    this.concurrency = options.concurrency || parseInt(process.env.JOB_CONCURRENCY) || 1;
+    this.pollInterval = options.pollInterval || parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+    this.lockTimeout = options.lockTimeout || parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 5 * 60 * 1000;
+    this.defaultMaxAttempts = options.maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+    this.baseBackoff = options.baseBackoff || 30 * 1000; // 30s, 60s, 120s, ...
+    this.maxBackoff = options.maxBackoff || 30 * 60 * 1000; // 30 minutes
+    this.progressInterval = options.progressInterval || 1000; // Minimum ms between progress writes
+
+    this.handlers = new Map(); // type -> { handler, concurrency }
+    this.running = new Map(); // jobId -> { type, heartbeat, lastProgress }
+    this.pollTimer = null;
+    this.started = false;
+    this.polling = false;
+  }
+
+  /**
+   * Register a handler for a job type
+   * @param {string} type - Job type (e.g. 'process_video')
+   * @param {Function} handler - async (job, context) => result
+   *   context: { workerId, reportProgress(percent, stage) }
+   * @param {Object} options - { concurrency } maximum simultaneous jobs of this type
+   */
+  registerHandler(type, handler, options = {}) {
+    this.handlers.set(type, {
+      handler,
+      concurrency: options.concurrency || this.concurrency
+    });
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type
+   * @param {Object} payload - Data passed to the handler
+   * @param {Object} options - { priority, maxAttempts, runAt, session, fileType, fileId }
+   * @returns {Promise<Object>} Created job document
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const job = await Job.create({
+      type,
+      payload,
+      priority: options.priority || 0,
+      maxAttempts: options.maxAttempts || this.defaultMaxAttempts,
+      runAt: options.runAt || new Date(),
+      session: options.session || null,
+      fileType: options.fileType || null,
+      fileId: options.fileId || null
+    });
+
+    logInfo('Job enqueued', { jobId: job._id, type, priority: job.priority });
+    this.emit('job:queued', job);
+
+    // Pick it up right away if a worker slot is free
+    if (this.started) {
+      setImmediate(() => this.poll());
+    }
+
+    return job;
+  }
+
+  // Start polling for jobs
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    await this.recoverStalledJobs();
+
+    this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+    logInfo('Job queue started', {
+      workerId: this.workerId,
+      concurrency: this.concurrency,
+      handlers: Array.from(this.handlers.keys())
+    });
+
+    this.poll();
+  }
+
+  /**
+   * Stop claiming new jobs and wait for running jobs to finish
+   * @param {number} timeoutMs - Maximum time to wait for running jobs
+   */
+  async stop(timeoutMs = 30000) {
+    this.started = false;
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+
+    const deadline = Date.now() + timeoutMs;
+    while (this.running.size > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+
+    if (this.running.size > 0) {
+      // Release leases so another worker can pick the jobs up immediately
+      await Job.updateMany(
+        { _id: { $in: Array.from(this.running.keys()) }, lockedBy: this.workerId },
+        { $set: { status: 'queued', lockedBy: null, lockedUntil: null } }
+      );
+      logWarn('Job queue stopped with jobs still running; leases released', {
+        workerId: this.workerId,
+        jobIds: Array.from(this.running.keys())
+      });
+    }
+
+    logInfo('Job queue stopped', { workerId: this.workerId });
+  }
+
+  /**
+   * Requeue jobs left in 'processing' by a crashed worker
+   */
+  async recoverStalledJobs() {
+    try {
+      const now = new Date();
+      const stalled = { status: 'processing', lockedUntil: { $lt: now } };
+
+      // Jobs that keep crashing their worker must not loop forever
+      const exhausted = await Job.updateMany(
+        { ...stalled, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+        {
+          $set: {
+            status: 'failed',
+            lockedBy: null,
+            lockedUntil: null,
+            lastError: 'Worker stopped while processing the job',
+            completedAt: now
+          }
+        }
+      );
+
+      const recovered = await Job.updateMany(
+        stalled,
+        { $set: { status: 'queued', lockedBy: null, lockedUntil: null, runAt: now } }
+      );
+
+      if (recovered.modifiedCount > 0 || exhausted.modifiedCount > 0) {
+        logWarn('Recovered stalled jobs', {
+          requeued: recovered.modifiedCount,
+          failed: exhausted.modifiedCount
+        });
+      }
+    } catch (error) {
+      logError('Stalled job recovery error', error);
+    }
+  }
+
+  // Claim and run as many jobs as free slots allow
+  async poll() {
+    if (!this.started || this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.started && this.running.size < this.concurrency) {
+        const job = await this.claimNext();
+        if (!job) break;
+        this.runJob(job);
+      }
+    } catch (error) {
+      logError('Job queue poll error', error, { workerId: this.workerId });
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Job types that still have a free slot on this worker
+  getAvailableTypes() {
+    const runningByType = {};
+    this.running.forEach(({ type }) => {
+      runningByType[type] = (runningByType[type] || 0) + 1;
+    });
+
+    return Array.from(this.handlers.entries())
+      .filter(([type, { concurrency }]) => (runningByType[type] || 0) < concurrency)
+      .map(([type]) => type);
+  }
+
+  /**
+   * Atomically claim the next runnable job
+   * Also reclaims 'processing' jobs whose lease has expired
+   * @returns {Promise<Object|null>} Claimed job or null
+   */
+  async claimNext() {
+    const types = this.getAvailableTypes();
+    if (types.length === 0) return null;
+
+    const now = new Date();
+    return Job.findOneAndUpdate(
+      {
+        type: { $in: types },
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          {
+            status: 'processing',
+            lockedUntil: { $lt: now },
+            $expr: { $lt: ['$attempts', '$maxAttempts'] }
+          }
+        ]
+      },
+      {
+        $set: {
+          status: 'processing',
+          lockedBy: this.workerId,
+          lockedUntil: new Date(now.getTime() + this.lockTimeout),
+          startedAt: now,
+          progress: { percent: 0, stage: null, updatedAt: now }
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { priority: -1, runAt: 1 }, new: true }
+    );
+  }
+
+  // Run a claimed job, renewing its lease until it finishes
+  async runJob(job) {
+    const jobId = job._id.toString();
+    const { handler } = this.handlers.get(job.type);
+
+    const heartbeat = setInterval(() => {
+      Job.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        { $set: { lockedUntil: new Date(Date.now() + this.lockTimeout) } }
+      ).catch(error => logError('Job lease renewal error', error, { jobId }));
+    }, Math.max(1000, Math.floor(this.lockTimeout / 3)));
+
+    this.running.set(jobId, { type: job.type, heartbeat });
+    this.emit('job:started', job);
+    logInfo('Job started', { jobId, type: job.type, attempt: job.attempts, workerId: this.workerId });
+
+    const context = {
+      workerId: this.workerId,
+      reportProgress: (percent, stage) => this.reportProgress(job, percent, stage)
+    };
+
+    try {
+      const result = await handler(job, context);
+      await this.completeJob(job, result);
+    } catch (error) {
+      await this.failJob(job, error);
+    } finally {
+      clearInterval(heartbeat);
+      this.running.delete(jobId);
+      setImmediate(() => this.poll());
+    }
+  }
+
+  /**
+   * Record handler progress and emit 'job:progress'
+   * Writes are throttled to progressInterval unless the stage changes
+   * @param {Object} job - Running job
+   * @param {number} percent - Overall progress 0-100
+   * @param {string} stage - Current step (e.g. 'compress_240p')
+   */
+  reportProgress(job, percent, stage = null) {
+    const running = this.running.get(job._id.toString());
+    if (!running) return;
+
+    const now = Date.now();
+    const rounded = Math.max(0, Math.min(100, Math.round(percent)));
+    const last = running.lastProgress || { at: 0, percent: -1, stage: null };
+
+    if (rounded === last.percent && stage === last.stage) return;
+    if (stage === last.stage && now - last.at < this.progressInterval) return;
+
+    running.lastProgress = { at: now, percent: rounded, stage };
+    const progress = { percent: rounded, stage, updatedAt: new Date(now) };
+
+    Job.updateOne(
+      { _id: job._id, lockedBy: this.workerId },
+      { $set: { progress } }
+    ).catch(error => logError('Job progress update error', error, { jobId: job._id }));
+
+    this.emit('job:progress', job, progress);
+  }
+
+  // Mark job as completed
+  async completeJob(job, result) {
+    await Job.updateOne(
+      { _id: job._id, lockedBy: this.workerId },
+      {
+        $set: {
+          status: 'completed',
+          result: result === undefined ? null : result,
+          lockedBy: null,
+          lockedUntil: null,
+          completedAt: new Date(),
+          lastError: null,
+          'progress.percent': 100,
+          'progress.updatedAt': new Date()
+        }
+      }
+    );
+
+    logInfo('Job completed', {
+      jobId: job._id,
+      type: job.type,
+      attempt: job.attempts,
+      durationMs: Date.now() - job.startedAt.getTime()
+    });
+    this.emit('job:completed', job, result);
+  }
+
+  // Schedule a retry with exponential backoff, or mark as failed for good
+  async failJob(job, error) {
+    const willRetry = job.canRetry();
+    const backoff = Math.min(this.baseBackoff * Math.pow(2, job.attempts - 1), this.maxBackoff);
+
+    await Job.updateOne(
+      { _id: job._id, lockedBy: this.workerId },
+      {
+        $set: {
+          status: willRetry ? 'queued' : 'failed',
+          runAt: willRetry ? new Date(Date.now() + backoff) : job.runAt,
+          lockedBy: null,
+          lockedUntil: null,
+          lastError: error.message,
+          completedAt: willRetry ? null : new Date()
+        },
+        $push: {
+          failures: { attempt: job.attempts, message: error.message, occurredAt: new Date() }
+        }
+      }
+    );
+
+    logError(willRetry ? 'Job failed, will retry' : 'Job failed permanently', error, {
+      jobId: job._id,
+      type: job.type,
+      attempt: job.attempts,
+      maxAttempts: job.maxAttempts,
+      retryInMs: willRetry ? backoff : null
+    });
+
+    this.emit(willRetry ? 'job:retrying' : 'job:failed', job, error);
+  }
+
+  /**
+   * Get a job by id
+   * @param {string} jobId - Job id
+   * @returns {Promise<Object|null>} Job document
+   */
+  async getJob(jobId) {
+    return Job.findById(jobId);
+  }
+
+  /**
+   * Queue statistics for monitoring
+   * @returns {Promise<Object>} Counts per status plus local worker info
+   */
+  async getStats() {
+    const counts = await Job.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    return {
+      workerId: this.workerId,
+      runningOnThisWorker: this.running.size,
+      concurrency: this.concurrency,
+      counts: counts.reduce((acc, { _id, count }) => ({ ...acc, [_id]: count }), {})
+    };
+  }
+}
+
+module.exports = new JobQueue();
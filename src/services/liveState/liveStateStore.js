@@ -0,0 +1,137 @@
+/**
+ * Live state store interface
+ * Socket handlers keep their hot state in memory and write it through to a
+ * store, so a restarted server can pick up the class where it was. Entries
+ * are addressed by session, kind ('slide', 'quiz', 'audio', 'floor') and a key within
+ * the kind; data must be plain JSON. Methods throw on failure.
+ *
+ * An entry can also carry a lease (owner and expiry), used to pick the one
+ * server process that runs a timer for it, or that may change it, when
+ * several processes share the store. set() leaves the lease alone.
+ */
+
+class LiveStateStore {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Read one entry
+   * @param {string} sessionId - Session ID
+   * @param {string} kind - State kind
+   * @param {string} key - Key within the kind
+   * @returns {Promise<Object|null>} Stored data, null if missing or expired
+   */
+  async get(sessionId, kind, key) {
+    throw new Error(`${this.name} live state store does not implement get`);
+  }
+
+  /**
+   * Create or replace an entry
+   * @param {string} sessionId - Session ID
+   * @param {string} kind - State kind
+   * @param {string} key - Key within the kind
+   * @param {Object} data - Plain JSON data
+   * @param {number} ttlSeconds - Seconds until the entry expires (0 keeps it until deleted)
+   * @returns {Promise<void>}
+   */
+  async set(sessionId, kind, key, data, ttlSeconds = 0) {
+    throw new Error(`${this.name} live state store does not implement set`);
+  }
+
+  /**
+   * Set some top-level fields of an entry's data, creating the entry if missing
+   * Fields not given are left as they are, so concurrent writers of other
+   * fields (see addToSet) are not overwritten
+   * @param {string} sessionId - Session ID
+   * @param {string} kind - State kind
+   * @param {string} key - Key within the kind
+   * @param {Object} fields - Plain JSON fields to set
+   * @param {number} ttlSeconds - Seconds until the entry expires (0 keeps it until deleted)
+   * @returns {Promise<void>}
+   */
+  async update(sessionId, kind, key, fields, ttlSeconds = 0) {
+    throw new Error(`${this.name} live state store does not implement update`);
+  }
+
+  /**
+   * Add a value to an array field of an entry's data, if not there yet (atomic)
+   * @param {string} sessionId - Session ID
+   * @param {string} kind - State kind
+   * @param {string} key - Key within the kind
+   * @param {string} field - Top-level field of the data
+   * @param {*} value - Plain JSON value
+   * @returns {Promise<boolean>} False if the entry is missing or expired
+   */
+  async addToSet(sessionId, kind, key, field, value) {
+    throw new Error(`${this.name} live state store does not implement addToSet`);
+  }
+
+  /**
+   * Remove a value from an array field of an entry's data (atomic)
+   * @param {string} sessionId - Session ID
+   * @param {string} kind - State kind
+   * @param {string} key - Key within the kind
+   * @param {string} field - Top-level field of the data
+   * @param {*} value - Plain JSON value
+   * @returns {Promise<void>}
+   */
+  async pull(sessionId, kind, key, field, value) {
+    throw new Error(`${this.name} live state store does not implement pull`);
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} sessionId - Session ID
+   * @param {string} kind - State kind
+   * @param {string} key - Key within the kind
+   * @returns {Promise<void>}
+   */
+  async delete(sessionId, kind, key) {
+    throw new Error(`${this.name} live state store does not implement delete`);
+  }
+
+  /**
+   * Every unexpired entry of a kind, across sessions (used to rehydrate on startup)
+   * @param {string} kind - State kind
+   * @returns {Promise<Array>} `[{ sessionId, key, data, updatedAt, lockedBy, lockedUntil }]`
+   */
+  async list(kind) {
+    throw new Error(`${this.name} live state store does not implement list`);
+  }
+
+  /**
+   * Take or renew the lease on an existing entry
+   * Succeeds when the entry is unleased, already leased by owner or the lease
+   * has expired; force takes it from another owner regardless
+   * @param {string} sessionId - Session ID
+   * @param {string} kind - State kind
+   * @param {string} key - Key within the kind
+   * @param {string} owner - Lease holder (worker ID)
+   * @param {number} leaseMs - Lease duration in milliseconds
+   * @param {boolean} force - Take the lease even if another owner holds it
+   * @returns {Promise<boolean>} True if owner now holds the lease
+   */
+  async acquireLease(sessionId, kind, key, owner, leaseMs, force = false) {
+    throw new Error(`${this.name} live state store does not implement acquireLease`);
+  }
+
+  /**
+   * Give up a lease; does nothing if owner no longer holds it
+   * @param {string} sessionId - Session ID
+   * @param {string} kind - State kind
+   * @param {string} key - Key within the kind
+   * @param {string} owner - Lease holder (worker ID)
+   * @returns {Promise<void>}
+   */
+  async releaseLease(sessionId, kind, key, owner) {
+    throw new Error(`${this.name} live state store does not implement releaseLease`);
+  }
+
+  // Expiry date for a TTL in seconds, null for no expiry
+  getExpiry(ttlSeconds) {
+    return ttlSeconds > 0 ? new Date(Date.now() + ttlSeconds * 1000) : null;
+  }
+}
+
+module.exports = LiveStateStore;
@@ -0,0 +1,115 @@
+const LiveStateStore = require('./liveStateStore');
+
+/**
+ * In-memory live state store
+ * Nothing survives a restart; for development and single-process setups
+ * without MongoDB access from the socket layer.
+ */
+class MemoryLiveStateStore extends LiveStateStore {
+  constructor() {
+    super('memory');
+    this.entries = new Map(); // 'sessionId:kind:key' -> { sessionId, kind, key, data, expiresAt, updatedAt, lockedBy, lockedUntil }
+  }
+
+  entryKey(sessionId, kind, key) {
+    return `${sessionId}:${kind}:${key}`;
+  }
+
+  isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= new Date();
+  }
+
+  async get(sessionId, kind, key) {
+    const entry = this.entries.get(this.entryKey(sessionId, kind, key));
+    if (!entry || this.isExpired(entry)) return null;
+    // Hand out copies, as a database would
+    return JSON.parse(JSON.stringify(entry.data));
+  }
+
+  async set(sessionId, kind, key, data, ttlSeconds = 0) {
+    const existing = this.entries.get(this.entryKey(sessionId, kind, key));
+    this.entries.set(this.entryKey(sessionId, kind, key), {
+      sessionId: sessionId.toString(),
+      kind,
+      key,
+      data: JSON.parse(JSON.stringify(data)),
+      expiresAt: this.getExpiry(ttlSeconds),
+      updatedAt: new Date(),
+      lockedBy: existing ? existing.lockedBy : null,
+      lockedUntil: existing ? existing.lockedUntil : null
+    });
+  }
+
+  async update(sessionId, kind, key, fields, ttlSeconds = 0) {
+    const existing = this.entries.get(this.entryKey(sessionId, kind, key));
+    const data = existing && !this.isExpired(existing) ? existing.data : {};
+    await this.set(sessionId, kind, key, { ...data, ...fields }, ttlSeconds);
+  }
+
+  async addToSet(sessionId, kind, key, field, value) {
+    const entry = this.entries.get(this.entryKey(sessionId, kind, key));
+    if (!entry || this.isExpired(entry)) return false;
+
+    const values = entry.data[field] || [];
+    if (!values.some(existing => JSON.stringify(existing) === JSON.stringify(value))) {
+      entry.data[field] = [...values, JSON.parse(JSON.stringify(value))];
+      entry.updatedAt = new Date();
+    }
+    return true;
+  }
+
+  async pull(sessionId, kind, key, field, value) {
+    const entry = this.entries.get(this.entryKey(sessionId, kind, key));
+    if (!entry || this.isExpired(entry) || !entry.data[field]) return;
+
+    entry.data[field] = entry.data[field].filter(existing => JSON.stringify(existing) !== JSON.stringify(value));
+    entry.updatedAt = new Date();
+  }
+
+  async delete(sessionId, kind, key) {
+    this.entries.delete(this.entryKey(sessionId, kind, key));
+  }
+
+  async list(kind) {
+    const result = [];
+    this.entries.forEach((entry, entryKey) => {
+      if (this.isExpired(entry)) {
+        this.entries.delete(entryKey);
+      } else if (entry.kind === kind) {
+        result.push({
+          sessionId: entry.sessionId,
+          key: entry.key,
+          data: JSON.parse(JSON.stringify(entry.data)),
+          updatedAt: entry.updatedAt,
+          lockedBy: entry.lockedBy,
+          lockedUntil: entry.lockedUntil
+        });
+      }
+    });
+    return result;
+  }
+
+  async acquireLease(sessionId, kind, key, owner, leaseMs, force = false) {
+    const entry = this.entries.get(this.entryKey(sessionId, kind, key));
+    if (!entry || this.isExpired(entry)) return false;
+
+    const now = new Date();
+    if (!force && entry.lockedBy !== null && entry.lockedBy !== owner && entry.lockedUntil >= now) {
+      return false;
+    }
+
+    entry.lockedBy = owner;
+    entry.lockedUntil = new Date(now.getTime() + leaseMs);
+    return true;
+  }
+
+  async releaseLease(sessionId, kind, key, owner) {
+    const entry = this.entries.get(this.entryKey(sessionId, kind, key));
+    if (entry && entry.lockedBy === owner) {
+      entry.lockedBy = null;
+      entry.lockedUntil = null;
+    }
+  }
+}
+
+module.exports = MemoryLiveStateStore;
@@ -0,0 +1,104 @@
+const LiveState = require('../../models/LiveState');
+const LiveStateStore = require('./liveStateStore');
+
+/**
+ * MongoDB live state store (default)
+ * Uses the `livestates` collection, so state survives restarts and is shared
+ * by every server connected to the same database. Expired entries are
+ * filtered on read; MongoDB's TTL monitor deletes them in the background.
+ */
+class MongoLiveStateStore extends LiveStateStore {
+  constructor() {
+    super('mongodb');
+  }
+
+  async get(sessionId, kind, key) {
+    const entry = await LiveState.findOne({
+      session: sessionId,
+      kind,
+      key,
+      ...this.unexpiredFilter()
+    }).lean();
+
+    return entry ? entry.data : null;
+  }
+
+  async set(sessionId, kind, key, data, ttlSeconds = 0) {
+    await LiveState.updateOne(
+      { session: sessionId, kind, key },
+      { $set: { data, expiresAt: this.getExpiry(ttlSeconds) } },
+      { upsert: true }
+    );
+  }
+
+  async update(sessionId, kind, key, fields, ttlSeconds = 0) {
+    const update = { expiresAt: this.getExpiry(ttlSeconds) };
+    Object.entries(fields).forEach(([field, value]) => {
+      update[`data.${field}`] = value;
+    });
+
+    await LiveState.updateOne({ session: sessionId, kind, key }, { $set: update }, { upsert: true });
+  }
+
+  async addToSet(sessionId, kind, key, field, value) {
+    const result = await LiveState.updateOne(
+      { session: sessionId, kind, key, ...this.unexpiredFilter() },
+      { $addToSet: { [`data.${field}`]: value } }
+    );
+
+    return result.matchedCount > 0;
+  }
+
+  async pull(sessionId, kind, key, field, value) {
+    await LiveState.updateOne(
+      { session: sessionId, kind, key },
+      { $pull: { [`data.${field}`]: value } }
+    );
+  }
+
+  async delete(sessionId, kind, key) {
+    await LiveState.deleteOne({ session: sessionId, kind, key });
+  }
+
+  async list(kind) {
+    const entries = await LiveState.find({ kind, ...this.unexpiredFilter() }).lean();
+
+    return entries.map(entry => ({
+      sessionId: entry.session.toString(),
+      key: entry.key,
+      data: entry.data,
+      updatedAt: entry.updatedAt,
+      lockedBy: entry.lockedBy || null,
+      lockedUntil: entry.lockedUntil || null
+    }));
+  }
+
+  async acquireLease(sessionId, kind, key, owner, leaseMs, force = false) {
+    const now = new Date();
+    const conditions = [this.unexpiredFilter()];
+    if (!force) {
+      conditions.push({ $or: [{ lockedBy: null }, { lockedBy: owner }, { lockedUntil: { $lt: now } }] });
+    }
+
+    // Single atomic update, so two processes can never both win
+    const result = await LiveState.updateOne(
+      { session: sessionId, kind, key, $and: conditions },
+      { $set: { lockedBy: owner, lockedUntil: new Date(now.getTime() + leaseMs) } }
+    );
+
+    return result.matchedCount > 0;
+  }
+
+  async releaseLease(sessionId, kind, key, owner) {
+    await LiveState.updateOne(
+      { session: sessionId, kind, key, lockedBy: owner },
+      { $set: { lockedBy: null, lockedUntil: null } }
+    );
+  }
+
+  unexpiredFilter() {
+    return { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] };
+  }
+}
+
+module.exports = MongoLiveStateStore;
@@ -0,0 +1,908 @@
+const fs = require('fs');
+const path = require('path');
+const { promises: fsPromises } = fs;
+const Session = require('../models/Session');
+const Job = require('../models/Job');
+const jobQueue = require('./jobQueue');
+const storageUtils = require('../utils/storageUtils');
+const compressionUtils = require('../utils/compressionUtils');
+const videoToAudioUtils = require('../utils/videoToAudioUtils');
+const audioCompressionUtils = require('../utils/audioCompressionUtils');
+const slideCompressionUtils = require('../utils/slideCompressionUtils');
+const pdfCompressionUtils = require('../utils/pdfCompressionUtils');
+const pptxCompressionUtils = require('../utils/pptxCompressionUtils');
+const documentConversionUtils = require('../utils/documentConversionUtils');
+const hlsUtils = require('../utils/hlsUtils');
+const previewUtils = require('../utils/previewUtils');
+const renditionConfig = require('../config/renditions');
+const { logInfo, logError, logWarn } = require('../utils/logger');
+
+// Session array that holds each file type
+const SESSION_FIELDS = {
+  slide: 'slides',
+  audio: 'audioFiles',
+  video: 'videoFiles'
+};
+
+// Share of overall job progress taken by each step
+const PROGRESS_STAGES = {
+  video: { download: 5, transcode: 65, preview: 5, package: 10, upload: 15 },
+  audio: { download: 10, compress: 80, upload: 10 },
+  slide: { download: 5, convert: 20, compress: 35, render: 30, upload: 10 }
+};
+
+// Slides are needed during live classes, so they jump ahead of long videos
+const JOB_PRIORITIES = {
+  slide: 10,
+  audio: 5,
+  video: 0
+};
+
+/**
+ * Media processing service
+ * Runs compression and audio extraction for uploaded files as background jobs.
+ * The upload request only stores the original; the job downloads it from
+ * storage, produces the low-bandwidth versions and fills them into the
+ * session entry created at upload time. Each job works in its own temp
+ * directory on disk so memory use does not grow with the file size.
+ */
+class MediaProcessingService {
+  constructor() {
+    this.tempDir = path.join(__dirname, '../../temp');
+    this.sessionFields = SESSION_FIELDS;
+    this.registered = false;
+  }
+
+  // Register job handlers with the queue (call once before jobQueue.start())
+  registerHandlers() {
+    if (this.registered) return;
+    this.registered = true;
+
+    jobQueue.registerHandler('process_video', (job, context) => this.processVideo(job, context), {
+      concurrency: parseInt(process.env.VIDEO_JOB_CONCURRENCY) || 1
+    });
+    jobQueue.registerHandler('process_audio', (job, context) => this.processAudio(job, context));
+    jobQueue.registerHandler('process_slide', (job, context) => this.processSlide(job, context));
+
+    jobQueue.on('job:retrying', (job, error) => {
+      this.updateProcessingState(job, { status: 'queued', error: error.message });
+    });
+    jobQueue.on('job:failed', (job, error) => {
+      this.updateProcessingState(job, {
+        status: 'failed',
+        error: error.message,
+        completedAt: new Date()
+      });
+      if (job.payload && job.payload.recording) {
+        this.updateRecordingState(job, { status: 'failed', error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Queue background processing for a file already stored and pushed to the session
+   * @param {string} fileType - slide, audio or video
+   * @param {Object} payload - { sessionId, fileId, fileName, baseFileName, originalName, mimeType, fileSize }
+   * @returns {Promise<Object>} Created job document
+   */
+  async enqueue(fileType, payload) {
+    const job = await jobQueue.enqueue(`process_${fileType}`, payload, {
+      priority: JOB_PRIORITIES[fileType],
+      session: payload.sessionId,
+      fileType,
+      fileId: payload.fileId
+    });
+
+    await Session.updateOne(
+      { _id: payload.sessionId, [`${SESSION_FIELDS[fileType]}._id`]: payload.fileId },
+      { $set: { [`${SESSION_FIELDS[fileType]}.$.processing.jobId`]: job._id } }
+    );
+
+    return job;
+  }
+
+  /**
+   * Cancel processing that has not started yet (e.g. the file was deleted)
+   * @param {Object} file - Session file entry
+   */
+  async cancel(file) {
+    const jobId = file.processing?.jobId;
+    if (!jobId) return;
+
+    await Job.updateOne(
+      { _id: jobId, status: 'queued' },
+      { $set: { status: 'cancelled', completedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Find a file entry in a session
+   * @param {Object} session - Session document
+   * @param {string} fileType - slide, audio or video
+   * @param {string} fileId - Entry id
+   * @returns {Object|null} Session file subdocument
+   */
+  findFile(session, fileType, fileId) {
+    const files = session[SESSION_FIELDS[fileType]];
+    return files ? files.find(file => file._id.toString() === fileId.toString()) || null : null;
+  }
+
+  /**
+   * Processing status of a session file, combining the entry and its job
+   * @param {Object} file - Session file subdocument
+   * @returns {Promise<Object>} Status details
+   */
+  async getStatus(file) {
+    const processing = file.processing || {};
+    const job = processing.jobId ? await Job.findById(processing.jobId) : null;
+    const status = job && job.status === 'cancelled' ? 'cancelled' : processing.status;
+
+    return {
+      status,
+      percent: status === 'completed' ? 100 : job?.progress?.percent || 0,
+      stage: status === 'processing' ? job?.progress?.stage || null : null,
+      jobId: processing.jobId || null,
+      attempts: job ? job.attempts : processing.attempts,
+      maxAttempts: job ? job.maxAttempts : null,
+      nextAttemptAt: job && job.status === 'queued' && job.attempts > 0 ? job.runAt : null,
+      error: processing.error || null,
+      startedAt: processing.startedAt || null,
+      completedAt: processing.completedAt || null
+    };
+  }
+
+  /**
+   * Process video: one ffmpeg pass for every configured rendition and the MP3 audio,
+   * then preview images and HLS packaging
+   */
+  async processVideo(job, context) {
+    const { sessionId, fileId, fileName, baseFileName, originalName } = job.payload;
+    const progress = this.createProgressTracker(context, PROGRESS_STAGES.video);
+    await this.updateProcessingState(job, {
+      status: 'processing',
+      attempts: job.attempts,
+      startedAt: new Date()
+    });
+
+    const workDir = await this.createWorkDir(job);
+    try {
+      progress('download');
+      const inputPath = path.join(workDir, `original${path.extname(fileName)}`);
+      await this.downloadOriginal(fileName, inputPath);
+
+      const metadata = await compressionUtils.getVideoMetadata(inputPath);
+      const hasAudio = !!metadata.audio.codec;
+
+      // One ffmpeg run: decode once, encode every rendition of the ladder, the MP3
+      // track and the AAC track for HLS; nothing after this reads the original
+      progress('transcode');
+      const transcode = await compressionUtils.transcodeRenditions(
+        inputPath,
+        renditionConfig.qualities.map(quality => ({
+          quality,
+          outputPath: path.join(workDir, `${quality}.mp4`)
+        })),
+        hasAudio ? {
+          mp3: { outputPath: path.join(workDir, 'audio.mp3'), bitrate: '128k' },
+          aac: { outputPath: path.join(workDir, 'audio_hls.m4a'), bitrate: hlsUtils.audioBitrate }
+        } : {},
+        percent => progress('transcode', percent)
+      );
+
+      const audioMetadata = transcode.audio.mp3
+        ? await videoToAudioUtils.getAudioMetadata(transcode.audio.mp3.outputPath)
+        : null;
+
+      // Poster, thumbnails and seek-preview sprites; the video plays without them if this fails
+      progress('preview');
+      let previewSet = null;
+      if (transcode.renditions.length > 0) {
+        try {
+          previewSet = await this.generatePreviews(
+            job,
+            workDir,
+            transcode.renditions,
+            metadata.duration,
+            percent => progress('preview', percent)
+          );
+        } catch (error) {
+          logError('Video preview generation error', error, { sessionId, fileId });
+        }
+      }
+
+      // Package for adaptive streaming; the progressive versions still work if this fails
+      progress('package');
+      const packagedVersions = transcode.renditions.map(({ quality, outputPath }) => ({
+        quality,
+        filePath: outputPath
+      }));
+
+      let hlsPackage = null;
+      if (packagedVersions.length > 0) {
+        try {
+          hlsPackage = await this.packageHls(
+            job,
+            workDir,
+            packagedVersions,
+            transcode.audio.aac ? transcode.audio.aac.outputPath : null,
+            percent => progress('package', percent)
+          );
+        } catch (error) {
+          logError('HLS packaging error', error, { sessionId, fileId });
+        }
+      }
+
+      progress('upload');
+      const versions = [];
+      const processedFiles = [];
+
+      for (const rendition of transcode.renditions) {
+        const versionFileName = `${baseFileName}_${rendition.quality}.mp4`;
+        const upload = await this.uploadProcessed(versionFileName, rendition.outputPath, 'video/mp4');
+
+        versions.push({
+          quality: rendition.quality,
+          fileName: versionFileName,
+          url: upload.url,
+          fileSize: rendition.size,
+          compressed: true
+        });
+        processedFiles.push(versionFileName);
+      }
+
+      // Upload audio version (true MP3 audio-only)
+      let audioVersion = null;
+      if (transcode.audio.mp3) {
+        const audioFileName = `${baseFileName}_audio.mp3`;
+        const upload = await this.uploadProcessed(audioFileName, transcode.audio.mp3.outputPath, 'audio/mpeg');
+
+        audioVersion = {
+          fileName: audioFileName,
+          url: upload.url,
+          duration: audioMetadata.duration,
+          fileSize: transcode.audio.mp3.size
+        };
+        processedFiles.push(audioFileName);
+      }
+
+      // Upload HLS playlists and segments
+      if (hlsPackage) {
+        for (const file of hlsPackage.files) {
+          await this.uploadProcessed(file.fileName, file.filePath, file.contentType);
+          processedFiles.push(file.fileName);
+        }
+      }
+
+      // Upload poster, thumbnails and sprite sheets
+      if (previewSet) {
+        for (const file of previewSet.files) {
+          await this.uploadProcessed(file.fileName, file.filePath, file.contentType);
+          processedFiles.push(file.fileName);
+        }
+      }
+
+      const extraUpdate = {};
+      if (audioVersion) {
+        // Also list the extracted audio with the session's audio files
+        extraUpdate.$push = {
+          audioFiles: {
+            fileName: audioVersion.fileName,
+            url: audioVersion.url,
+            duration: audioVersion.duration,
+            fileSize: audioVersion.fileSize,
+            originalName: `${originalName} (extracted audio)`,
+            mimeType: 'audio/mpeg',
+            compressed: false, // This is the extracted version
+            compressionRatio: metadata.size > 0
+              ? parseFloat(((metadata.size - transcode.audio.mp3.size) / metadata.size * 100).toFixed(2))
+              : 0,
+            compressionMetadata: {
+              bitrate: audioMetadata.bitrate + ' bps',
+              sampleRate: audioMetadata.sampleRate,
+              channels: audioMetadata.channels,
+              optimizedFor: 'speech'
+            },
+            uploadedAt: new Date()
+          }
+        };
+      }
+
+      const processingStats = {
+        ...transcode.stats,
+        // Seconds of video transcoded per wall-clock second
+        speed: transcode.stats.wallTimeMs > 0
+          ? parseFloat((metadata.duration / (transcode.stats.wallTimeMs / 1000)).toFixed(2))
+          : null,
+        // ffmpeg runs that cut the transcoded files into HLS segments (stream copy)
+        packaging: hlsPackage ? hlsPackage.stats : null,
+        stageTimings: progress.getTimings(),
+        renditions: renditionConfig.qualities,
+        processedAt: new Date()
+      };
+
+      await this.saveResults(job, {
+        duration: metadata.duration,
+        versions,
+        audioVersion,
+        hls: hlsPackage ? hlsPackage.hls : null,
+        previews: previewSet ? previewSet.previews : null,
+        processingStats
+      }, processedFiles, extraUpdate);
+
+      logInfo('Video processing completed', {
+        sessionId,
+        fileId,
+        versions: versions.map(v => v.quality),
+        audioExtracted: !!audioVersion,
+        hlsRenditions: hlsPackage ? hlsPackage.hls.renditions.map(r => r.name) : [],
+        previews: !!previewSet,
+        wallTimeMs: processingStats.wallTimeMs,
+        cpuUserSeconds: processingStats.cpuUserSeconds,
+        speed: processingStats.speed
+      });
+
+      return { processedFiles };
+    } finally {
+      await this.removeWorkDir(workDir);
+    }
+  }
+
+  /**
+   * Process audio: speech-optimised compression
+   * For a lecture recording the result also becomes the session's recordingUrl
+   */
+  async processAudio(job, context) {
+    const { sessionId, fileId, fileName, baseFileName, originalName } = job.payload;
+    const progress = this.createProgressTracker(context, PROGRESS_STAGES.audio);
+    await this.updateProcessingState(job, {
+      status: 'processing',
+      attempts: job.attempts,
+      startedAt: new Date()
+    });
+
+    const workDir = await this.createWorkDir(job);
+    try {
+      progress('download');
+      const inputPath = path.join(workDir, `original${path.extname(fileName)}`);
+      await this.downloadOriginal(fileName, inputPath);
+
+      progress('compress');
+      const compressionResult = await audioCompressionUtils.compressFileForSpeech(
+        inputPath,
+        path.join(workDir, 'speech.m4a'),
+        originalName,
+        percent => progress('compress', percent)
+      );
+
+      progress('upload');
+      const processedFiles = [];
+      let compressedFileName = null;
+      let compressedUpload = null;
+
+      if (compressionResult.success && compressionResult.compressed) {
+        compressedFileName = `${baseFileName}_compressed.mp3`;
+        compressedUpload = await this.uploadProcessed(compressedFileName, compressionResult.outputPath, 'audio/mpeg');
+        processedFiles.push(compressedFileName);
+      }
+
+      await this.saveResults(job, {
+        duration: compressionResult.metadata?.duration || 0,
+        compressed: !!compressedUpload,
+        compressedFileName,
+        compressedUrl: compressedUpload?.url,
+        compressedFileSize: compressionResult.compressedSize,
+        compressionRatio: compressionResult.compressionRatio,
+        compressionMetadata: compressionResult.metadata
+      }, processedFiles);
+
+      if (job.payload.recording) {
+        await this.updateRecordingState(job, {
+          status: 'completed',
+          error: null
+        }, { recordingUrl: compressedUpload ? compressedUpload.url : job.payload.url || null });
+      }
+
+      logInfo('Audio processing completed', {
+        sessionId,
+        fileId,
+        compressed: !!compressedUpload,
+        compressionRatio: compressionResult.compressionRatio,
+        recording: !!job.payload.recording
+      });
+
+      return { processedFiles };
+    } finally {
+      await this.removeWorkDir(workDir);
+    }
+  }
+
+  /**
+   * Process slide: Ghostscript for PDFs, slide compression for images and presentations
+   */
+  async processSlide(job, context) {
+    const { sessionId, fileId, fileName, baseFileName, originalName, mimeType, fileSize } = job.payload;
+    const progress = this.createProgressTracker(context, PROGRESS_STAGES.slide);
+    await this.updateProcessingState(job, {
+      status: 'processing',
+      attempts: job.attempts,
+      startedAt: new Date()
+    });
+
+    const workDir = await this.createWorkDir(job);
+    try {
+      progress('download');
+      const inputPath = path.join(workDir, `original${path.extname(fileName)}`);
+      await this.downloadOriginal(fileName, inputPath);
+      const isPDF = mimeType === 'application/pdf';
+      const isPresentation = slideCompressionUtils.isPowerPointFile(path.extname(originalName).toLowerCase());
+      let compressionResult;
+
+      // Word and PowerPoint files are converted to PDF so their pages can be rendered;
+      // the original stays downloadable if LibreOffice fails
+      let pdfPath = isPDF ? inputPath : null;
+      let conversion = null;
+      let conversionError = null;
+      if (documentConversionUtils.isConvertible(mimeType, originalName)) {
+        progress('convert');
+        try {
+          conversion = await documentConversionUtils.convertToPDF(
+            inputPath,
+            path.join(workDir, 'converted'),
+            originalName
+          );
+          pdfPath = conversion.outputPath;
+        } catch (error) {
+          logError('Document conversion error', error, { sessionId, fileId, originalName });
+          conversionError = error.message;
+        }
+      }
+
+      progress('compress');
+      try {
+        if (isPDF) {
+          compressionResult = await pdfCompressionUtils.compressPDFFile(
+            inputPath,
+            path.join(workDir, 'compressed.pdf'),
+            originalName,
+            percent => progress('compress', percent)
+          );
+
+          logInfo('PDF compression processing completed', {
+            originalName,
+            originalSize: pdfCompressionUtils.formatFileSize(fileSize),
+            compressed: compressionResult.compressed,
+            compressionRatio: compressionResult.compressionRatio,
+            skipped: compressionResult.skipped,
+            reason: compressionResult.reason || compressionResult.error
+          });
+        } else {
+          // Images and presentations are capped at 20MB, so they are compressed in memory
+          const buffer = await fsPromises.readFile(inputPath);
+          compressionResult = await slideCompressionUtils.compressSlide(buffer, originalName, mimeType);
+        }
+      } catch (compressionError) {
+        logError(isPDF ? 'PDF compression error' : 'Slide compression error', compressionError, {
+          mimeType,
+          originalName,
+          originalSize: fileSize
+        });
+        // Continue with original file if compression fails
+        compressionResult = {
+          success: true,
+          compressed: false,
+          originalSize: fileSize,
+          compressedSize: fileSize,
+          compressionRatio: 0,
+          error: compressionError.message
+        };
+      }
+
+      // Page images are rendered from the original PDF, not the downsampled compressed one
+      let pageSet = null;
+      let pagesError = null;
+      if (pdfPath) {
+        progress('render');
+        try {
+          pageSet = await this.renderSlidePages(
+            job,
+            workDir,
+            pdfPath,
+            percent => progress('render', percent)
+          );
+        } catch (error) {
+          logError('Slide page rendering error', error, { sessionId, fileId, originalName });
+          pagesError = error.message;
+        }
+      }
+
+      progress('upload');
+      const processedFiles = [];
+      let compressedFileName = null;
+      let compressedUpload = null;
+
+      if (compressionResult.success && compressionResult.compressed) {
+        compressedFileName = `${baseFileName}_compressed${path.extname(fileName)}`;
+        compressedUpload = compressionResult.outputPath
+          ? await this.uploadProcessed(compressedFileName, compressionResult.outputPath, mimeType)
+          : await this.uploadProcessedBuffer(compressedFileName, compressionResult.buffer, mimeType);
+        processedFiles.push(compressedFileName);
+      }
+
+      let convertedFileName = null;
+      let convertedUpload = null;
+      if (conversion) {
+        convertedFileName = `${baseFileName}_converted.pdf`;
+        convertedUpload = await this.uploadProcessed(
+          convertedFileName,
+          conversion.outputPath,
+          documentConversionUtils.pdfContentType
+        );
+        processedFiles.push(convertedFileName);
+      }
+
+      if (pageSet) {
+        for (const file of pageSet.files) {
+          await this.uploadProcessed(file.fileName, file.filePath, file.contentType);
+          processedFiles.push(file.fileName);
+        }
+      }
+
+      await this.saveResults(job, {
+        compressed: !!compressedUpload,
+        compressedFileName,
+        compressedUrl: compressedUpload?.url,
+        compressedFileSize: compressionResult.compressedSize,
+        compressionRatio: compressionResult.compressionRatio,
+        compressionMetadata: compressionResult.metadata,
+        compressedSize: compressionResult.compressedSize || fileSize,
+        compressionSkipped: compressionResult.skipped || false,
+        compressionError: compressionResult.error || null,
+        compressionStats: isPDF
+          ? pdfCompressionUtils.getCompressionStats(compressionResult)
+          : isPresentation ? pptxCompressionUtils.getCompressionStats(compressionResult) : null,
+        convertedFileName,
+        convertedUrl: convertedUpload?.url || null,
+        convertedFileSize: conversion?.fileSize || null,
+        conversionError,
+        pageCount: pageSet ? pageSet.pages.length : null,
+        pages: pageSet ? pageSet.pages : [],
+        pagesGeneratedAt: pageSet ? new Date() : null,
+        pagesError,
+        processedAt: new Date()
+      }, processedFiles);
+
+      logInfo('Slide processing completed', {
+        sessionId,
+        fileId,
+        compressed: !!compressedUpload,
+        compressionRatio: compressionResult.compressionRatio,
+        converted: !!conversion,
+        pageCount: pageSet ? pageSet.pages.length : 0
+      });
+
+      return { processedFiles };
+    } finally {
+      await this.removeWorkDir(workDir);
+    }
+  }
+
+  /**
+   * Render the pages of a slide PDF as low and medium resolution WebP and JPEG images
+   * Storage layout: <base>_pages/page_NNNN_<resolution>.<webp|jpg>
+   * @param {Object} job - Slide job
+   * @param {string} workDir - Job work directory
+   * @param {string} pdfPath - Original or converted PDF
+   * @param {Function} onProgress - Callback receiving percent complete (0-100)
+   * @returns {Promise<Object>} { pages, files } with files as { fileName, filePath, contentType } to upload
+   */
+  async renderSlidePages(job, workDir, pdfPath, onProgress) {
+    const basePath = `${job.payload.baseFileName}_pages`;
+    const rendered = await documentConversionUtils.renderPages(
+      pdfPath,
+      path.join(workDir, 'pages'),
+      job.payload.originalName,
+      onProgress
+    );
+
+    const files = [];
+    const pages = rendered.pages.map(page => ({
+      pageNumber: page.pageNumber,
+      width: page.width,
+      height: page.height,
+      images: page.images.map(({ filePath, contentType, ...image }) => {
+        const fileName = `${basePath}/${path.basename(filePath)}`;
+        files.push({ fileName, filePath, contentType });
+        return { ...image, fileName };
+      })
+    }));
+
+    return { pages, files };
+  }
+
+  /**
+   * Generate the poster, keyframe thumbnails and seek-preview sprite sheets
+   * Storage layout: <base>_preview/poster.jpg, thumb_NN.jpg and sprite_NNN.jpg
+   * @param {Object} job - Video job
+   * @param {string} workDir - Job work directory
+   * @param {Array} renditions - Transcoded renditions ({ quality, outputPath }), lowest first
+   * @param {number} duration - Video duration in seconds
+   * @param {Function} onProgress - Callback receiving percent complete (0-100)
+   * @returns {Promise<Object>} { previews, files } with files as { fileName, filePath, contentType } to upload
+   */
+  async generatePreviews(job, workDir, renditions, duration, onProgress) {
+    const basePath = `${job.payload.baseFileName}_preview`;
+    const outputDir = path.join(workDir, 'preview');
+    await fsPromises.mkdir(outputDir, { recursive: true });
+
+    // Stills look best from the highest rendition; sprite tiles are tiny, so the lowest will do
+    const stillSource = renditions[renditions.length - 1].outputPath;
+    const spriteSource = renditions[0].outputPath;
+    const files = [];
+    const toFile = (filePath) => {
+      const fileName = `${basePath}/${path.basename(filePath)}`;
+      files.push({ fileName, filePath, contentType: previewUtils.imageContentType });
+      return fileName;
+    };
+
+    const poster = await previewUtils.generatePoster(stillSource, outputDir, duration);
+    onProgress(10);
+
+    const thumbnails = await previewUtils.generateThumbnails(stillSource, outputDir, duration);
+    onProgress(30);
+
+    const sprite = await previewUtils.generateSpriteSheets(spriteSource, outputDir, duration);
+    onProgress(100);
+
+    return {
+      previews: {
+        posterFileName: toFile(poster.filePath),
+        thumbnails: thumbnails.map(thumbnail => ({
+          fileName: toFile(thumbnail.filePath),
+          time: thumbnail.time
+        })),
+        sprite: {
+          sheets: sprite.sheets.map(toFile),
+          interval: sprite.interval,
+          columns: sprite.columns,
+          rows: sprite.rows,
+          tileWidth: sprite.tileWidth,
+          tileHeight: sprite.tileHeight,
+          count: sprite.count
+        },
+        generatedAt: new Date()
+      },
+      files
+    };
+  }
+
+  /**
+   * Package compressed versions (and the audio track) as HLS renditions
+   * Storage layout: <base>_hls/master.m3u8 and <base>_hls/<rendition>/index.m3u8 + segments
+   * @param {Object} job - Video job
+   * @param {string} workDir - Job work directory
+   * @param {Array} versions - [{ quality, filePath }] compressed versions to segment
+   * @param {string|null} audioSourcePath - AAC track to segment as the audio rendition (null to skip it)
+   * @param {Function} onProgress - Callback receiving percent complete (0-100)
+   * @returns {Promise<Object>} { hls, files, stats } with files as { fileName, filePath, contentType } to upload
+   *   and stats as { runs, wallTimeMs } of the segmenter
+   */
+  async packageHls(job, workDir, versions, audioSourcePath, onProgress) {
+    const basePath = `${job.payload.baseFileName}_hls`;
+    const steps = versions.map(({ quality, filePath }) => ({
+      rendition: hlsUtils.getVideoRendition(quality),
+      run: (outputDir, onStepProgress) => hlsUtils.segmentVideo(filePath, outputDir, onStepProgress)
+    }));
+    if (audioSourcePath) {
+      steps.push({
+        rendition: hlsUtils.getAudioRendition(),
+        run: (outputDir, onStepProgress) => hlsUtils.createAudioRendition(audioSourcePath, outputDir, onStepProgress)
+      });
+    }
+
+    const renditions = [];
+    const files = [];
+    const startedAt = Date.now();
+
+    for (let i = 0; i < steps.length; i++) {
+      const { rendition, run } = steps[i];
+      const outputDir = path.join(workDir, 'hls', rendition.name);
+      const { playlistPath, segments } = await run(outputDir, percent => {
+        onProgress((i + percent / 100) / steps.length * 100);
+      });
+
+      const storageDir = `${basePath}/${rendition.name}`;
+      const playlistFileName = `${storageDir}/${hlsUtils.playlistName}`;
+      files.push({ fileName: playlistFileName, filePath: playlistPath, contentType: hlsUtils.playlistContentType });
+      segments.forEach(segment => {
+        files.push({
+          fileName: `${storageDir}/${segment}`,
+          filePath: path.join(outputDir, segment),
+          contentType: hlsUtils.segmentContentType
+        });
+      });
+
+      renditions.push({ ...rendition, playlistFileName, segmentCount: segments.length });
+    }
+
+    // Static master playlist with relative URIs, for clients that read the package directly
+    const masterPlaylistFileName = `${basePath}/master.m3u8`;
+    const masterPlaylistPath = path.join(workDir, 'hls', 'master.m3u8');
+    await fsPromises.writeFile(
+      masterPlaylistPath,
+      hlsUtils.buildMasterPlaylist(renditions, rendition => `${rendition.name}/${hlsUtils.playlistName}`)
+    );
+    files.push({ fileName: masterPlaylistFileName, filePath: masterPlaylistPath, contentType: hlsUtils.playlistContentType });
+
+    return {
+      hls: {
+        basePath,
+        masterPlaylistFileName,
+        segmentDuration: hlsUtils.segmentDuration,
+        renditions,
+        packagedAt: new Date()
+      },
+      files,
+      stats: {
+        runs: steps.length,
+        wallTimeMs: Date.now() - startedAt
+      }
+    };
+  }
+
+  /**
+   * Map per-step percentages onto overall job progress
+   * @param {Object} context - Job handler context from jobQueue
+   * @param {Object} stages - Step name -> share of the total (shares add up to 100)
+   * @returns {Function} (stage, percent) => void, with getTimings() giving milliseconds per step
+   */
+  createProgressTracker(context, stages) {
+    const offsets = {};
+    let total = 0;
+    Object.entries(stages).forEach(([stage, share]) => {
+      offsets[stage] = total;
+      total += share;
+    });
+
+    const timings = {};
+    let currentStage = null;
+    let stageStartedAt = null;
+
+    const progress = (stage, percent = 0) => {
+      if (stage !== currentStage) {
+        const now = Date.now();
+        if (currentStage) {
+          timings[currentStage] = (timings[currentStage] || 0) + now - stageStartedAt;
+        }
+        currentStage = stage;
+        stageStartedAt = now;
+      }
+      context.reportProgress(offsets[stage] + stages[stage] * percent / 100, stage);
+    };
+
+    // Time spent in each step so far, counting the current step up to now
+    progress.getTimings = () => {
+      const result = { ...timings };
+      if (currentStage) {
+        result[currentStage] = (result[currentStage] || 0) + Date.now() - stageStartedAt;
+      }
+      return result;
+    };
+
+    return progress;
+  }
+
+  // Per-job scratch directory; removed when the job finishes either way
+  async createWorkDir(job) {
+    const workDir = path.join(this.tempDir, `job_${job._id}_${job.attempts}`);
+    await fsPromises.mkdir(workDir, { recursive: true });
+    return workDir;
+  }
+
+  async removeWorkDir(workDir) {
+    try {
+      await fsPromises.rm(workDir, { recursive: true, force: true });
+    } catch (error) {
+      logError('Job work directory cleanup error', error, { workDir });
+    }
+  }
+
+  // Stream the stored original to disk; throwing lets the queue retry transient storage errors
+  async downloadOriginal(fileName, targetPath) {
+    const download = await storageUtils.storage.downloadToFile(fileName, targetPath);
+    if (!download.success) {
+      throw new Error(`Failed to download original file: ${download.error}`);
+    }
+    return download;
+  }
+
+  // Upload a generated file from disk; throwing lets the queue retry transient storage errors
+  async uploadProcessed(fileName, filePath, contentType) {
+    const upload = await storageUtils.uploadFileFromPathWithRetry(fileName, filePath, contentType);
+    if (!upload.success) {
+      throw new Error(`Failed to upload ${fileName}: ${upload.error}`);
+    }
+    return upload;
+  }
+
+  // Upload a generated file held in memory (small slide images and presentations)
+  async uploadProcessedBuffer(fileName, buffer, contentType) {
+    const upload = await storageUtils.uploadFileWithRetry(fileName, buffer, contentType);
+    if (!upload.success) {
+      throw new Error(`Failed to upload ${fileName}: ${upload.error}`);
+    }
+    return upload;
+  }
+
+  /**
+   * Write processing results into the session entry and mark it completed
+   * If the entry was deleted while the job ran, the generated files are removed again
+   */
+  async saveResults(job, fields, processedFiles, extraUpdate = {}) {
+    const { sessionId, fileId } = job.payload;
+    const arrayField = SESSION_FIELDS[job.fileType];
+
+    const set = {
+      [`${arrayField}.$.processing.status`]: 'completed',
+      [`${arrayField}.$.processing.error`]: null,
+      [`${arrayField}.$.processing.completedAt`]: new Date()
+    };
+    Object.entries(fields).forEach(([key, value]) => {
+      set[`${arrayField}.$.${key}`] = value;
+    });
+
+    const result = await Session.updateOne(
+      { _id: sessionId, [`${arrayField}._id`]: fileId },
+      { ...extraUpdate, $set: set }
+    );
+
+    if (result.matchedCount === 0) {
+      logWarn('Processed file no longer exists in session; removing generated files', {
+        sessionId,
+        fileId,
+        fileType: job.fileType
+      });
+      if (processedFiles.length > 0) {
+        await storageUtils.deleteMultipleFiles(processedFiles);
+      }
+    }
+  }
+
+  // Update Session.recording for a recording's processing job, plus any top-level session fields
+  async updateRecordingState(job, state, fields = {}) {
+    const set = { ...fields };
+    Object.entries(state).forEach(([key, value]) => {
+      set[`recording.${key}`] = value;
+    });
+
+    try {
+      await Session.updateOne(
+        { _id: job.payload.sessionId, 'recording.fileId': job.payload.fileId },
+        { $set: set }
+      );
+    } catch (error) {
+      logError('Recording state update error', error, { jobId: job._id, state: state.status });
+    }
+  }
+
+  // Update the processing subdocument of the session entry a job works on
+  async updateProcessingState(job, state) {
+    const arrayField = SESSION_FIELDS[job.fileType];
+    if (!arrayField || !job.session || !job.fileId) return;
+
+    const set = {};
+    Object.entries(state).forEach(([key, value]) => {
+      set[`${arrayField}.$.processing.${key}`] = value;
+    });
+
+    try {
+      await Session.updateOne(
+        { _id: job.session, [`${arrayField}._id`]: job.fileId },
+        { $set: set }
+      );
+    } catch (error) {
+      logError('Processing state update error', error, { jobId: job._id, state: state.status });
+    }
+  }
+}
+
+module.exports = new MediaProcessingService();
@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { promises: fsPromises } = fs;
+const Session = require('../models/Session');
+const storageUtils = require('../utils/storageUtils');
+const mediaProcessingService = require('./mediaProcessingService');
+const { SOCKET_ADAPTER } = require('../config/socketAdapter');
+const { logInfo, logError, logWarn } = require('../utils/logger');
+
+// Containers browsers' MediaRecorder produces, and the extension stored for each
+const RECORDING_TYPES = {
+  'audio/webm': '.webm',
+  'audio/ogg': '.ogg',
+  'audio/mp4': '.m4a',
+  'audio/wav': '.wav'
+};
+
+/**
+ * Lecture recording service
+ * When the teacher opts in, the audio chunks they stream through the audio
+ * socket are appended to a file on disk as they pass. Finishing a recording
+ * (at the end of the session or on request) uploads the file, adds it to the
+ * session's audio files and queues the usual speech compression job, which
+ * then sets Session.recordingUrl.
+ *
+ * Chunks must come from one continuous MediaRecorder, so that the file is the
+ * recorder's header followed by its data. The file lives on the process the
+ * teacher's socket is connected to; in a cluster a finish request is passed
+ * on to the other processes through the Socket.IO adapter.
+ */
+class RecordingService {
+  constructor() {
+    this.recordingDir = path.join(__dirname, '../../temp/recordings');
+    this.maxBytes = parseInt(process.env.RECORDING_MAX_BYTES) || 500 * 1024 * 1024; // 500MB, ~9 hours of Opus at 128kbps
+    this.recordings = new Map(); // sessionId -> { userId, filePath, stream, mimeType, startedAt, bytes, truncated }
+    this.supportedTypes = Object.keys(RECORDING_TYPES);
+    this.io = null;
+  }
+
+  // Listen for finish requests from other server processes (call once with the Socket.IO server)
+  attach(io) {
+    if (this.io) return;
+    this.io = io;
+
+    io.on('recording:finish', (sessionId) => {
+      this.finishLocal(sessionId).catch(error => {
+        logError('Recording finish error', error, { sessionId });
+      });
+    });
+  }
+
+  isRecording(sessionId) {
+    return this.recordings.has(sessionId.toString());
+  }
+
+  /**
+   * Start recording a session's teacher audio
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Teacher whose chunks are recorded
+   * @param {string} mimeType - Container of the chunks (e.g. 'audio/webm')
+   * @returns {Promise<Object>} { success, startedAt } or { success: false, error }
+   */
+  async start(sessionId, userId, mimeType = 'audio/webm') {
+    sessionId = sessionId.toString();
+    const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+
+    if (!RECORDING_TYPES[type]) {
+      return { success: false, error: `Recording format must be one of: ${this.supportedTypes.join(', ')}` };
+    }
+
+    if (this.recordings.has(sessionId)) {
+      return { success: false, error: 'Session is already being recorded' };
+    }
+
+    await fsPromises.mkdir(this.recordingDir, { recursive: true });
+
+    const startedAt = new Date();
+    const filePath = path.join(this.recordingDir, `${sessionId}_${startedAt.getTime()}${RECORDING_TYPES[type]}`);
+    const stream = fs.createWriteStream(filePath);
+    stream.on('error', (error) => {
+      logError('Recording write error', error, { sessionId, filePath });
+    });
+
+    this.recordings.set(sessionId, {
+      userId: userId.toString(),
+      filePath,
+      stream,
+      mimeType: type,
+      startedAt,
+      bytes: 0,
+      truncated: false
+    });
+
+    await Session.updateOne({ _id: sessionId }, {
+      $set: {
+        recording: { status: 'recording', startedAt, stoppedAt: null, fileId: null, error: null }
+      }
+    });
+
+    logInfo('Session recording started', { sessionId, userId, mimeType: type });
+    return { success: true, startedAt };
+  }
+
+  /**
+   * Append an audio chunk; chunks from anyone but the recorded teacher are ignored
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Sender of the chunk
+   * @param {string|Buffer|ArrayBuffer} chunk - Base64 text (optionally a data URL) or binary data
+   * @returns {boolean} True if the chunk was written
+   */
+  append(sessionId, userId, chunk) {
+    const recording = this.recordings.get(sessionId.toString());
+    if (!recording || recording.userId !== userId.toString() || recording.truncated || !chunk) {
+      return false;
+    }
+
+    const buffer = this.toBuffer(chunk);
+    if (buffer.length === 0) return false;
+
+    if (recording.bytes + buffer.length > this.maxBytes) {
+      recording.truncated = true;
+      logWarn('Recording size limit reached; further audio is not recorded', {
+        sessionId,
+        maxBytes: this.maxBytes
+      });
+      return false;
+    }
+
+    recording.stream.write(buffer);
+    recording.bytes += buffer.length;
+    return true;
+  }
+
+  toBuffer(chunk) {
+    if (Buffer.isBuffer(chunk)) return chunk;
+    if (chunk instanceof ArrayBuffer) return Buffer.from(chunk);
+    if (ArrayBuffer.isView(chunk)) return Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    if (typeof chunk === 'string') return Buffer.from(chunk.replace(/^data:[^,]*,/, ''), 'base64');
+    return Buffer.alloc(0);
+  }
+
+  /**
+   * Finish a session's recording wherever it is held (this process or another one in the cluster)
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Result if this process held the recording, otherwise null
+   */
+  async finishRecording(sessionId) {
+    sessionId = sessionId.toString();
+
+    // The in-memory adapter has no other processes to tell (and warns when asked)
+    if (this.io && SOCKET_ADAPTER !== 'memory' && !this.recordings.has(sessionId)) {
+      this.io.serverSideEmit('recording:finish', sessionId);
+    }
+
+    return this.finishLocal(sessionId);
+  }
+
+  /**
+   * Close a recording held by this process, upload it and queue its compression
+   * A failed upload keeps the file on disk and marks the recording failed
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} { success, fileId, jobId } or { success: false, error }; null if not recording here
+   */
+  async finishLocal(sessionId) {
+    const recording = this.recordings.get(sessionId);
+    if (!recording) return null;
+    this.recordings.delete(sessionId);
+
+    await new Promise(resolve => recording.stream.end(resolve));
+    const stoppedAt = new Date();
+
+    if (recording.bytes === 0) {
+      await fsPromises.rm(recording.filePath, { force: true });
+      await Session.updateOne({ _id: sessionId }, {
+        $set: { 'recording.status': 'idle', 'recording.stoppedAt': stoppedAt }
+      });
+      logInfo('Session recording stopped without audio', { sessionId });
+      return { success: false, error: 'No audio was recorded' };
+    }
+
+    const extension = path.extname(recording.filePath);
+    const baseFileName = `${sessionId}/audio/${stoppedAt.getTime()}-${Math.random().toString(36).substring(7)}`;
+    const fileName = `${baseFileName}${extension}`;
+    const originalName = `recording-${recording.startedAt.toISOString().replace(/[:.]/g, '-')}${extension}`;
+
+    try {
+      const upload = await storageUtils.uploadFileFromPathWithRetry(fileName, recording.filePath, recording.mimeType);
+      if (!upload.success) {
+        throw new Error(`Failed to upload recording: ${upload.error}`);
+      }
+
+      const fileId = new mongoose.Types.ObjectId();
+      await Session.updateOne({ _id: sessionId }, {
+        $push: {
+          audioFiles: {
+            _id: fileId,
+            fileName,
+            url: upload.url,
+            fileSize: recording.bytes,
+            originalName,
+            mimeType: recording.mimeType,
+            source: 'recording',
+            compressed: false,
+            uploadedAt: stoppedAt,
+            processing: { status: 'queued', jobId: null, attempts: 0, error: null }
+          }
+        },
+        $set: {
+          'recording.status': 'processing',
+          'recording.stoppedAt': stoppedAt,
+          'recording.fileId': fileId,
+          'recording.error': null
+        }
+      });
+
+      const job = await mediaProcessingService.enqueue('audio', {
+        sessionId,
+        fileId,
+        fileName,
+        baseFileName,
+        originalName,
+        mimeType: recording.mimeType,
+        fileSize: recording.bytes,
+        url: upload.url, // recordingUrl if compression produces nothing
+        recording: true
+      });
+
+      await fsPromises.rm(recording.filePath, { force: true });
+
+      logInfo('Session recording stored and queued for processing', {
+        sessionId,
+        fileId,
+        jobId: job._id,
+        fileSize: recording.bytes,
+        truncated: recording.truncated,
+        durationMs: stoppedAt - recording.startedAt
+      });
+
+      return { success: true, fileId, jobId: job._id };
+    } catch (error) {
+      logError('Session recording finish error', error, { sessionId, filePath: recording.filePath });
+      await Session.updateOne({ _id: sessionId }, {
+        $set: {
+          'recording.status': 'failed',
+          'recording.stoppedAt': stoppedAt,
+          'recording.error': error.message
+        }
+      }).catch(updateError => logError('Recording state update error', updateError, { sessionId }));
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new RecordingService();
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promises: fsPromises } = fs;
+const ResumableUpload = require('../models/ResumableUpload');
+const { logInfo, logError } = require('../utils/logger');
+
+/**
+ * Resumable chunked uploads
+ * Chunks are written to temp/uploads/<uploadId>/<index>.part as they arrive,
+ * in any order and possibly more than once, so a client on a flaky link only
+ * resends the chunks that did not make it. When every chunk is present they
+ * are concatenated into one file and handed to the normal upload pipeline.
+ */
+class ResumableUploadService {
+  constructor() {
+    this.uploadDir = path.join(__dirname, '../../temp/uploads');
+    this.defaultChunkSize = parseInt(process.env.RESUMABLE_CHUNK_SIZE) || 5 * 1024 * 1024; // 5MB
+    this.minChunkSize = 256 * 1024; // 256KB
+    this.maxChunkSize = 20 * 1024 * 1024; // 20MB
+    this.expiryHours = parseInt(process.env.RESUMABLE_UPLOAD_EXPIRY_HOURS) || 24;
+    this.cleanupTimer = null;
+    this.ensureUploadDir();
+  }
+
+  ensureUploadDir() {
+    if (!fs.existsSync(this.uploadDir)) {
+      fs.mkdirSync(this.uploadDir, { recursive: true });
+    }
+  }
+
+  // Directory holding the chunks of one upload
+  getChunkDir(uploadId) {
+    return path.join(this.uploadDir, uploadId.toString());
+  }
+
+  getChunkPath(uploadId, index) {
+    return path.join(this.getChunkDir(uploadId), `${index}.part`);
+  }
+
+  getExpiryDate() {
+    return new Date(Date.now() + this.expiryHours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Start a resumable upload
+   * @param {Object} options - { sessionId, uploaderId, fileType, title, fileName, mimeType, fileSize, chunkSize, checksum }
+   * @returns {Promise<Object>} Created upload document
+   */
+  async createUpload(options) {
+    const requestedChunkSize = parseInt(options.chunkSize) || this.defaultChunkSize;
+    const chunkSize = Math.min(Math.max(requestedChunkSize, this.minChunkSize), this.maxChunkSize);
+    const totalSize = parseInt(options.fileSize);
+
+    const upload = await ResumableUpload.create({
+      session: options.sessionId,
+      uploader: options.uploaderId,
+      fileType: options.fileType,
+      title: options.title,
+      originalName: options.fileName,
+      mimeType: options.mimeType,
+      totalSize,
+      chunkSize,
+      totalChunks: Math.ceil(totalSize / chunkSize),
+      checksum: options.checksum ? options.checksum.toLowerCase() : null,
+      expiresAt: this.getExpiryDate()
+    });
+
+    await fsPromises.mkdir(this.getChunkDir(upload._id), { recursive: true });
+
+    logInfo('Resumable upload created', {
+      uploadId: upload._id,
+      sessionId: options.sessionId,
+      fileType: options.fileType,
+      totalSize,
+      chunkSize,
+      totalChunks: upload.totalChunks
+    });
+
+    return upload;
+  }
+
+  /**
+   * Store one chunk
+   * @param {Object} upload - Upload document
+   * @param {number} index - Zero-based chunk index
+   * @param {Buffer} data - Chunk contents
+   * @param {string} checksum - SHA-256 hex of the chunk as computed by the client
+   * @returns {Promise<Object>} `{ success, upload }` or `{ success: false, error, statusCode }`
+   */
+  async saveChunk(upload, index, data, checksum) {
+    if (!Number.isInteger(index) || index < 0 || index >= upload.totalChunks) {
+      return { success: false, error: `Chunk index must be between 0 and ${upload.totalChunks - 1}`, statusCode: 400 };
+    }
+
+    const expectedLength = upload.getChunkLength(index);
+    if (!data || data.length !== expectedLength) {
+      return {
+        success: false,
+        error: `Chunk ${index} must be ${expectedLength} bytes, received ${data ? data.length : 0}`,
+        statusCode: 400
+      };
+    }
+
+    const actualChecksum = crypto.createHash('sha256').update(data).digest('hex');
+    if (!checksum || actualChecksum !== checksum.toLowerCase()) {
+      return { success: false, error: `Checksum mismatch for chunk ${index}`, statusCode: 422 };
+    }
+
+    // Write to a temp name first so a dropped connection never leaves a partial chunk behind
+    const chunkPath = this.getChunkPath(upload._id, index);
+    const partialPath = `${chunkPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fsPromises.mkdir(this.getChunkDir(upload._id), { recursive: true });
+    await fsPromises.writeFile(partialPath, data);
+    await fsPromises.rename(partialPath, chunkPath);
+
+    const chunk = { index, size: data.length, checksum: actualChecksum, receivedAt: new Date() };
+
+    // Record the chunk; chunks may arrive in parallel or be sent again
+    const pushed = await ResumableUpload.updateOne(
+      { _id: upload._id, status: 'uploading', 'receivedChunks.index': { $ne: index } },
+      { $push: { receivedChunks: chunk }, $set: { expiresAt: this.getExpiryDate() } }
+    );
+
+    if (pushed.matchedCount === 0) {
+      await ResumableUpload.updateOne(
+        { _id: upload._id, status: 'uploading', 'receivedChunks.index': index },
+        { $set: { 'receivedChunks.$': chunk, expiresAt: this.getExpiryDate() } }
+      );
+    }
+
+    return { success: true, upload: await ResumableUpload.findById(upload._id) };
+  }
+
+  /**
+   * Concatenate all chunks into one file and verify it
+   * @param {Object} upload - Upload document with every chunk received
+   * @returns {Promise<string>} Path of the assembled file
+   */
+  async assemble(upload) {
+    const assembledPath = path.join(this.getChunkDir(upload._id), 'assembled');
+    const hash = crypto.createHash('sha256');
+    const output = fs.createWriteStream(assembledPath);
+
+    try {
+      for (let index = 0; index < upload.totalChunks; index++) {
+        const data = await fsPromises.readFile(this.getChunkPath(upload._id, index));
+        hash.update(data);
+        if (!output.write(data)) {
+          await new Promise(resolve => output.once('drain', resolve));
+        }
+      }
+    } finally {
+      await new Promise((resolve, reject) => {
+        output.end(error => (error ? reject(error) : resolve()));
+      });
+    }
+
+    const stats = await fsPromises.stat(assembledPath);
+    if (stats.size !== upload.totalSize) {
+      throw new Error(`Assembled file is ${stats.size} bytes, expected ${upload.totalSize}`);
+    }
+
+    const fileChecksum = hash.digest('hex');
+    if (upload.checksum && upload.checksum !== fileChecksum) {
+      throw new Error('Checksum mismatch for assembled file');
+    }
+
+    return assembledPath;
+  }
+
+  // Remove chunk files of an upload
+  async removeChunks(uploadId) {
+    try {
+      await fsPromises.rm(this.getChunkDir(uploadId), { recursive: true, force: true });
+    } catch (error) {
+      logError('Resumable upload chunk cleanup error', error, { uploadId });
+    }
+  }
+
+  /**
+   * Expire uploads that stopped receiving chunks and delete their files
+   * @returns {Promise<number>} Number of expired uploads
+   */
+  async cleanupExpiredUploads() {
+    // 'assembling' past its expiry means the server stopped during completion
+    const expired = await ResumableUpload.find({
+      status: { $in: ['uploading', 'assembling'] },
+      expiresAt: { $lt: new Date() }
+    }).select('_id status');
+
+    for (const upload of expired) {
+      await ResumableUpload.updateOne(
+        { _id: upload._id, status: upload.status },
+        { $set: { status: 'expired' } }
+      );
+      await this.removeChunks(upload._id);
+    }
+
+    // Directories without a matching upload (e.g. left behind by a crash)
+    const knownIds = new Set(
+      (await ResumableUpload.find({ status: { $in: ['uploading', 'assembling'] } }).select('_id'))
+        .map(upload => upload._id.toString())
+    );
+    const entries = await fsPromises.readdir(this.uploadDir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (entry.isDirectory() && !knownIds.has(entry.name)) {
+        const stats = await fsPromises.stat(path.join(this.uploadDir, entry.name));
+        if (Date.now() - stats.mtimeMs > this.expiryHours * 60 * 60 * 1000) {
+          await this.removeChunks(entry.name);
+        }
+      }
+    }
+
+    if (expired.length > 0) {
+      logInfo('Expired resumable uploads cleaned up', { count: expired.length });
+    }
+
+    return expired.length;
+  }
+
+  // Run cleanup periodically
+  startCleanup(intervalMs = 60 * 60 * 1000) {
+    if (this.cleanupTimer) return;
+    this.cleanupTimer = setInterval(() => {
+      this.cleanupExpiredUploads().catch(error => {
+        logError('Resumable upload cleanup error', error);
+      });
+    }, intervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  stopCleanup() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+}
+
+module.exports = new ResumableUploadService();
@@ -0,0 +1,259 @@
+const Session = require('../models/Session');
+const recordingService = require('./recordingService');
+const attendanceService = require('./attendanceService');
+const { logInfo, logError } = require('../utils/logger');
+
+// Rooms a session's sockets can be in; a session with none of them occupied is idle
+const ROOM_PREFIXES = ['session', 'audio', 'chat', 'slide', 'quiz', 'webrtc'];
+
+/**
+ * Session lifecycle scheduler
+ * Every tick it moves sessions between states without the teacher:
+ * - scheduled sessions with autoStart go live at their start time
+ * - live sessions nobody is connected to end after idleEndMinutes; the end
+ *   time is when they were first seen empty, so duration is the real class
+ * - live sessions end maxLiveMinutes after their start time even if sockets
+ *   are still connected (a tab left open overnight)
+ * - scheduled sessions still not started missedAfterMinutes after their
+ *   start time become missedStatus ('missed' or 'cancelled')
+ *
+ * Every server process runs the scheduler. Each transition is a conditional
+ * update on the state the process saw, so when two processes race only one
+ * of them changes the session, emits the event and finishes the session.
+ * Room occupancy is asked through the Socket.IO adapter, which covers the
+ * sockets of every process.
+ */
+class SessionScheduler {
+  constructor() {
+    this.intervalMs = parseInt(process.env.SESSION_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+    this.idleEndMinutes = parseInt(process.env.SESSION_IDLE_END_MINUTES) || 15;
+    this.maxLiveMinutes = parseInt(process.env.SESSION_MAX_LIVE_MINUTES) || 8 * 60;
+    this.missedAfterMinutes = parseInt(process.env.SESSION_MISSED_AFTER_MINUTES) || 60;
+    this.missedStatus = process.env.SESSION_MISSED_STATUS === 'cancelled' ? 'cancelled' : 'missed';
+    this.batchSize = 100; // sessions per query; due sessions left over wait for the next tick
+    this.io = null;
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Keep the Socket.IO server to count sockets and announce transitions (call once)
+  attach(io) {
+    if (this.io) return;
+    this.io = io;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref();
+    logInfo('Session scheduler started', {
+      intervalMs: this.intervalMs,
+      idleEndMinutes: this.idleEndMinutes,
+      maxLiveMinutes: this.maxLiveMinutes,
+      missedAfterMinutes: this.missedAfterMinutes
+    });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick() {
+    // A slow tick (many sessions, slow adapter) must not overlap the next one
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      await this.startDueSessions();
+      await this.endIdleSessions();
+      await this.expireMissedSessions();
+    } catch (error) {
+      logError('Session scheduler tick error', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // scheduled -> live for sessions with autoStart whose start time has come
+  async startDueSessions() {
+    const now = new Date();
+    const sessions = await Session.find({
+      status: 'scheduled',
+      autoStart: true,
+      startTime: { $lte: now, $gt: this.missedCutoff(now) }
+    }).select('_id').limit(this.batchSize);
+
+    for (const { _id } of sessions) {
+      const session = await Session.findOneAndUpdate(
+        { _id, status: 'scheduled', autoStart: true },
+        { $set: { status: 'live', idleSince: null } },
+        { new: true }
+      );
+      if (!session) continue; // started, edited or deleted meanwhile
+
+      logInfo('Session started automatically', { sessionId: _id });
+      this.announce(session, 'session_started', 'scheduled_start');
+    }
+  }
+
+  // live -> ended for sessions that have been empty too long or run too long
+  async endIdleSessions() {
+    const now = new Date();
+    let after = null;
+
+    // Every live session is checked each tick, a batch at a time
+    for (;;) {
+      const filter = { status: 'live' };
+      if (after) {
+        filter.$or = [
+          { startTime: { $gt: after.startTime } },
+          { startTime: after.startTime, _id: { $gt: after._id } }
+        ];
+      }
+
+      const sessions = await Session.find(filter)
+        .select('_id startTime idleSince')
+        .sort({ startTime: 1, _id: 1 })
+        .limit(this.batchSize);
+
+      await this.checkLiveSessions(sessions, now);
+
+      if (sessions.length < this.batchSize) break;
+      after = sessions[sessions.length - 1];
+    }
+  }
+
+  // End the sessions of a batch that are idle or overrunning, and track when they went idle
+  async checkLiveSessions(sessions, now) {
+    for (const session of sessions) {
+      try {
+        if (now - session.startTime >= this.maxLiveMinutes * 60000) {
+          await this.endSession(session, 'overrun', now);
+          continue;
+        }
+
+        const connected = await this.countSockets(session._id);
+
+        if (connected > 0) {
+          if (session.idleSince) {
+            await Session.updateOne({ _id: session._id, status: 'live' }, { $set: { idleSince: null } });
+          }
+        } else if (!session.idleSince) {
+          await Session.updateOne({ _id: session._id, status: 'live', idleSince: null }, { $set: { idleSince: now } });
+        } else if (now - session.idleSince >= this.idleEndMinutes * 60000) {
+          await this.endSession(session, 'idle', session.idleSince);
+        }
+      } catch (error) {
+        // An adapter timeout says nothing about the room; try again next tick
+        logError('Session idle check error', error, { sessionId: session._id });
+      }
+    }
+  }
+
+  // scheduled -> missed (or cancelled) for sessions nobody started
+  async expireMissedSessions() {
+    const cutoff = this.missedCutoff(new Date());
+    const sessions = await Session.find({ status: 'scheduled', startTime: { $lte: cutoff } })
+      .select('_id')
+      .limit(this.batchSize);
+
+    for (const { _id } of sessions) {
+      const session = await Session.findOneAndUpdate(
+        { _id, status: 'scheduled', startTime: { $lte: cutoff } },
+        { $set: { status: this.missedStatus } },
+        { new: true }
+      );
+      if (!session) continue;
+
+      logInfo('Session marked as not started', { sessionId: _id, status: this.missedStatus });
+      this.announce(session, 'session_missed', 'not_started');
+    }
+  }
+
+  /**
+   * End a live session unless someone else ended it or joined it first
+   * @param {Object} session - Live session as read by the tick ({ _id, startTime, idleSince })
+   * @param {string} reason - 'idle' or 'overrun'
+   * @param {Date} endTime - When the class actually stopped
+   */
+  async endSession(session, reason, endTime) {
+    const filter = { _id: session._id, status: 'live' };
+    if (reason === 'idle') {
+      filter.idleSince = session.idleSince; // nobody came back since the tick looked
+    }
+
+    const end = endTime < session.startTime ? session.startTime : endTime;
+    const ended = await Session.findOneAndUpdate(filter, {
+      $set: {
+        status: 'ended',
+        endTime: end,
+        duration: Math.round((end - session.startTime) / (1000 * 60)),
+        endReason: reason,
+        idleSince: null
+      }
+    }, { new: true });
+    if (!ended) return;
+
+    logInfo('Session ended automatically', { sessionId: ended._id, reason, duration: ended.duration });
+    this.finishSession(ended);
+    this.announce(ended, 'session_ended', reason);
+  }
+
+  /**
+   * Work that follows the end of a session, however it ended; runs in the background
+   * @param {Object} session - Ended session
+   */
+  finishSession(session) {
+    const sessionId = session._id.toString();
+
+    // Store and process the lecture recording
+    recordingService.finishRecording(sessionId).catch(error => {
+      logError('Session recording finish error', error, { sessionId });
+    });
+
+    // Close open attendance intervals and store each student's minutes and status
+    attendanceService.finalizeSession(session).catch(error => {
+      logError('Session attendance finalize error', error, { sessionId });
+    });
+  }
+
+  /**
+   * Tell everyone in the session's rooms about a status change
+   * @param {Object} session - Session after the change
+   * @param {string} event - 'session_started', 'session_ended' or 'session_missed'
+   * @param {string} reason - What caused it, e.g. 'teacher', 'scheduled_start', 'idle'
+   */
+  announce(session, event, reason) {
+    if (!this.io) return;
+
+    this.io.to(this.getRooms(session._id)).emit(event, {
+      sessionId: session._id.toString(),
+      status: session.status,
+      reason,
+      startTime: session.startTime,
+      endTime: session.endTime || null,
+      duration: session.duration || 0,
+      timestamp: Date.now()
+    });
+  }
+
+  // Sockets of every process in any of the session's rooms
+  async countSockets(sessionId) {
+    if (!this.io) return 0;
+    const sockets = await this.io.in(this.getRooms(sessionId)).fetchSockets();
+    return sockets.length;
+  }
+
+  getRooms(sessionId) {
+    return ROOM_PREFIXES.map(prefix => `${prefix}_${sessionId}`);
+  }
+
+  missedCutoff(now) {
+    return new Date(now.getTime() - this.missedAfterMinutes * 60000);
+  }
+}
+
+module.exports = new SessionScheduler();
@@ -1,4 +1,4 @@
-const azureService = require('../config/azure');
+const storage = require('../config/storage');
 const { logInfo, logError } = require('../utils/logger');
 
 class SlideService {
@@ -47,8 +47,8 @@ class SlideService {
   // Process slide file
   async processSlide(slideBuffer, fileName, options = {}) {
     try {
-      // Upload to Azure Blob Storage
-      const uploadResult = await azureService.uploadFile(
+      // Upload to configured storage provider
+      const uploadResult = await storage.uploadFile(
         fileName,
         slideBuffer,
         options.mimeType || 'application/pdf'
@@ -59,7 +59,7 @@ class SlideService {
       }
 
       // Generate signed URL for viewing
-      const signedUrlResult = await azureService.generateSignedUrl(fileName, 24 * 60); // 24 hours
+      const signedUrlResult = await storage.generateSignedUrl(fileName, 24 * 60); // 24 hours
 
       if (!signedUrlResult.success) {
         throw new Error(signedUrlResult.error);
@@ -146,7 +146,7 @@ class SlideService {
       
       const convertedFileName = fileName.replace(/\.[^/.]+$/, `.${targetFormat}`);
       
-      const uploadResult = await azureService.uploadFile(
+      const uploadResult = await storage.uploadFile(
         convertedFileName,
         slideBuffer,
         this.getMimeTypeForFormat(targetFormat)
@@ -228,7 +228,7 @@ class SlideService {
   // Generate slide viewing URL
   async generateViewingUrl(fileName, expiresInMinutes = 60) {
     try {
-      const signedUrlResult = await azureService.generateSignedUrl(fileName, expiresInMinutes);
+      const signedUrlResult = await storage.generateSignedUrl(fileName, expiresInMinutes);
       
       if (!signedUrlResult.success) {
         throw new Error(signedUrlResult.error);
@@ -251,7 +251,7 @@ class SlideService {
   // Delete slide file
   async deleteSlideFile(fileName) {
     try {
-      const deleteResult = await azureService.deleteFile(fileName);
+      const deleteResult = await storage.deleteFile(fileName);
       
       if (!deleteResult.success) {
         throw new Error(deleteResult.error);
@@ -273,7 +273,7 @@ class SlideService {
   // Get slide file info
   async getSlideFileInfo(fileName) {
     try {
-      // This would get file metadata from Azure
+      // This would get file metadata from storage
       // For now, return basic info
       return {
         success: true,
@@ -4,13 +4,16 @@ const {
   generateBlobSASQueryParameters,
   BlobSASPermissions,
 } = require("@azure/storage-blob");
-const { logInfo, logError } = require("../utils/logger");
+const fs = require("fs");
+const StorageProvider = require("./storageProvider");
+const { logInfo, logError } = require("../../utils/logger");
 
-class AzureBlobService {
-  constructor() {
-    this.accountName = process.env.AZURE_STORAGE_ACCOUNT_NAME;
-    this.containerName = process.env.AZURE_STORAGE_CONTAINER_NAME;
-    this.accountKey = process.env.AZURE_STORAGE_ACCOUNT_KEY;
+class AzureStorageProvider extends StorageProvider {
+  constructor(options = {}) {
+    super("azure");
+    this.accountName = options.accountName;
+    this.containerName = options.containerName;
+    this.accountKey = options.accountKey;
 
     if (!this.accountName || !this.containerName) {
       throw new Error(
@@ -37,6 +40,10 @@ class AzureBlobService {
     this.containerClient = this.blobServiceClient.getContainerClient(
       this.containerName
     );
+
+    // Streaming uploads hold at most blockSize * uploadConcurrency bytes in memory
+    this.blockSize = options.blockSize || 4 * 1024 * 1024; // 4MB
+    this.uploadConcurrency = options.uploadConcurrency || 4;
   }
 
   // Upload file to Azure Blob Storage
@@ -77,6 +84,45 @@ class AzureBlobService {
     }
   }
 
+  // Stream a local file to Azure as a block blob (constant memory)
+  async uploadFileFromPath(fileName, filePath, contentType) {
+    try {
+      const blockBlobClient = this.containerClient.getBlockBlobClient(fileName);
+      const { size } = await fs.promises.stat(filePath);
+
+      await blockBlobClient.uploadStream(
+        fs.createReadStream(filePath),
+        this.blockSize,
+        this.uploadConcurrency,
+        {
+          blobHTTPHeaders: {
+            blobContentType: contentType,
+          },
+          metadata: {
+            uploadedAt: new Date().toISOString(),
+            originalSize: size.toString(),
+          },
+        }
+      );
+
+      logInfo("File streamed to Azure successfully", {
+        fileName,
+        size,
+        contentType,
+      });
+
+      return {
+        success: true,
+        url: blockBlobClient.url,
+        fileName,
+        size,
+      };
+    } catch (error) {
+      logError("Azure stream upload error", error, { fileName, filePath, contentType });
+      return { success: false, error: error.message };
+    }
+  }
+
   // Generate signed URL for file access
   async generateSignedUrl(fileName, expiresInMinutes = 60) {
     try {
@@ -126,6 +172,42 @@ class AzureBlobService {
     }
   }
 
+  // Download blob contents into memory
+  async downloadFile(fileName) {
+    try {
+      const blockBlobClient = this.containerClient.getBlockBlobClient(fileName);
+      const properties = await blockBlobClient.getProperties();
+      const buffer = await blockBlobClient.downloadToBuffer();
+
+      return {
+        success: true,
+        buffer,
+        contentType: properties.contentType,
+      };
+    } catch (error) {
+      logError("Azure download error", error, { fileName });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Download blob straight to a local file
+  async downloadToFile(fileName, filePath) {
+    try {
+      const blockBlobClient = this.containerClient.getBlockBlobClient(fileName);
+      const response = await blockBlobClient.downloadToFile(filePath);
+
+      return {
+        success: true,
+        filePath,
+        size: response.contentLength,
+        contentType: response.contentType,
+      };
+    } catch (error) {
+      logError("Azure download to file error", error, { fileName, filePath });
+      return { success: false, error: error.message };
+    }
+  }
+
   // Check if file exists
   async fileExists(fileName) {
     try {
@@ -284,4 +366,4 @@ class AzureBlobService {
   }
 }
 
-module.exports = new AzureBlobService();
+module.exports = AzureStorageProvider;
@@ -0,0 +1,349 @@
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs");
+const { promises: fsPromises } = require("fs");
+const { pipeline } = require("stream/promises");
+const StorageProvider = require("./storageProvider");
+const { logInfo, logError } = require("../../utils/logger");
+
+const METADATA_DIR = ".meta";
+
+/**
+ * Local filesystem storage provider
+ * Keeps files on disk so the upload pipeline runs on a laptop or an offline
+ * college server. Signed URLs point at the `/api/storage` route and carry an
+ * HMAC signature plus expiry instead of an Azure SAS token.
+ */
+class LocalStorageProvider extends StorageProvider {
+  constructor(options = {}) {
+    super("local");
+    this.rootDir = path.resolve(options.rootDir);
+    this.publicBaseUrl = (options.publicBaseUrl || "").replace(/\/+$/, "");
+    this.routePrefix = options.routePrefix || "/api/storage";
+    this.signingSecret = options.signingSecret;
+
+    if (!this.signingSecret) {
+      throw new Error(
+        "A signing secret is required for local storage signed URLs"
+      );
+    }
+
+    fs.mkdirSync(path.join(this.rootDir, METADATA_DIR), { recursive: true });
+  }
+
+  // Resolve an object name to an absolute path inside the storage root
+  resolvePath(fileName) {
+    const normalized = path.posix.normalize(String(fileName).replace(/\\/g, "/"));
+    const filePath = path.resolve(this.rootDir, normalized);
+
+    if (
+      normalized.startsWith("..") ||
+      normalized.split("/")[0] === METADATA_DIR ||
+      !filePath.startsWith(this.rootDir + path.sep)
+    ) {
+      throw new Error(`Invalid file name: ${fileName}`);
+    }
+
+    return filePath;
+  }
+
+  // Path of the JSON sidecar holding content type and metadata
+  metadataPath(fileName) {
+    return path.join(this.rootDir, METADATA_DIR, `${path.posix.normalize(fileName)}.json`);
+  }
+
+  // Public (unsigned) URL for a file
+  buildUrl(fileName) {
+    const encodedName = fileName.split("/").map(encodeURIComponent).join("/");
+    return `${this.publicBaseUrl}${this.routePrefix}/${encodedName}`;
+  }
+
+  // HMAC signature for a file name and expiry timestamp
+  sign(fileName, expires) {
+    return crypto
+      .createHmac("sha256", this.signingSecret)
+      .update(`${fileName}:${expires}`)
+      .digest("hex");
+  }
+
+  /**
+   * Verify a signed URL's query parameters
+   * @param {string} fileName - Object name taken from the URL path
+   * @param {string|number} expires - Expiry timestamp (ms since epoch)
+   * @param {string} signature - Hex HMAC signature
+   * @returns {Object} `{ valid, reason }`
+   */
+  verifySignature(fileName, expires, signature) {
+    const expiresAt = parseInt(expires, 10);
+    if (!expiresAt || !signature) {
+      return { valid: false, reason: "Missing signature" };
+    }
+
+    if (Date.now() > expiresAt) {
+      return { valid: false, reason: "URL has expired" };
+    }
+
+    const expected = Buffer.from(this.sign(fileName, expiresAt), "hex");
+    const provided = Buffer.from(String(signature), "hex");
+
+    if (
+      expected.length !== provided.length ||
+      !crypto.timingSafeEqual(expected, provided)
+    ) {
+      return { valid: false, reason: "Invalid signature" };
+    }
+
+    return { valid: true };
+  }
+
+  // Upload file to local disk
+  async uploadFile(fileName, fileBuffer, contentType) {
+    try {
+      const filePath = this.resolvePath(fileName);
+      await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+      await fsPromises.writeFile(filePath, fileBuffer);
+
+      await this.writeMetadata(fileName, {
+        contentType,
+        metadata: {
+          uploadedAt: new Date().toISOString(),
+          originalSize: fileBuffer.length.toString(),
+        },
+      });
+
+      logInfo("File stored on local disk successfully", {
+        fileName,
+        size: fileBuffer.length,
+        contentType,
+      });
+
+      return { success: true, url: this.buildUrl(fileName), fileName };
+    } catch (error) {
+      logError("Local storage upload error", error, { fileName, contentType });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Copy a local file into storage with streams
+  async uploadFileFromPath(fileName, sourcePath, contentType) {
+    try {
+      const filePath = this.resolvePath(fileName);
+      const { size } = await fsPromises.stat(sourcePath);
+      await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+      await pipeline(fs.createReadStream(sourcePath), fs.createWriteStream(filePath));
+
+      await this.writeMetadata(fileName, {
+        contentType,
+        metadata: {
+          uploadedAt: new Date().toISOString(),
+          originalSize: size.toString(),
+        },
+      });
+
+      logInfo("File stored on local disk successfully", {
+        fileName,
+        size,
+        contentType,
+      });
+
+      return { success: true, url: this.buildUrl(fileName), fileName, size };
+    } catch (error) {
+      logError("Local storage upload error", error, { fileName, sourcePath, contentType });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Generate HMAC-signed URL for file access
+  async generateSignedUrl(fileName, expiresInMinutes = 60) {
+    try {
+      this.resolvePath(fileName);
+
+      const expiresOn = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+      const expires = expiresOn.getTime();
+      const signature = this.sign(fileName, expires);
+      const url = `${this.buildUrl(fileName)}?expires=${expires}&signature=${signature}`;
+
+      return { success: true, url, expiresOn };
+    } catch (error) {
+      logError("Local storage signed URL generation error", error, {
+        fileName,
+        expiresInMinutes,
+      });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Read file contents from local disk
+  async downloadFile(fileName) {
+    try {
+      const buffer = await fsPromises.readFile(this.resolvePath(fileName));
+      const stored = await this.readMetadata(fileName);
+
+      return {
+        success: true,
+        buffer,
+        contentType: stored.contentType || "application/octet-stream",
+      };
+    } catch (error) {
+      logError("Local storage download error", error, { fileName });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Copy a stored file to a local path with streams
+  async downloadToFile(fileName, filePath) {
+    try {
+      const sourcePath = this.resolvePath(fileName);
+      await pipeline(fs.createReadStream(sourcePath), fs.createWriteStream(filePath));
+
+      const { size } = await fsPromises.stat(filePath);
+      const stored = await this.readMetadata(fileName);
+
+      return {
+        success: true,
+        filePath,
+        size,
+        contentType: stored.contentType || "application/octet-stream",
+      };
+    } catch (error) {
+      logError("Local storage download to file error", error, { fileName, filePath });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Delete file from local disk
+  async deleteFile(fileName) {
+    try {
+      await fsPromises.unlink(this.resolvePath(fileName));
+      await fsPromises.rm(this.metadataPath(fileName), { force: true });
+
+      logInfo("File deleted from local disk successfully", { fileName });
+      return { success: true, message: "File deleted successfully" };
+    } catch (error) {
+      logError("Local storage delete error", error, { fileName });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Check if file exists
+  async fileExists(fileName) {
+    try {
+      const stats = await fsPromises.stat(this.resolvePath(fileName));
+      return { success: true, exists: stats.isFile() };
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return { success: true, exists: false };
+      }
+      logError("Local storage file exists check error", error, { fileName });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Get file properties
+  async getFileProperties(fileName) {
+    try {
+      const stats = await fsPromises.stat(this.resolvePath(fileName));
+      const stored = await this.readMetadata(fileName);
+
+      return {
+        success: true,
+        properties: {
+          size: stats.size,
+          contentType: stored.contentType || "application/octet-stream",
+          lastModified: stats.mtime,
+          etag: `"${stats.size.toString(16)}-${stats.mtimeMs.toString(16)}"`,
+          metadata: stored.metadata || {},
+        },
+      };
+    } catch (error) {
+      logError("Local storage file properties retrieval error", error, {
+        fileName,
+      });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // List files in a directory
+  async listFiles(prefix = "", maxResults = 100) {
+    try {
+      const files = [];
+      const walk = async (dir) => {
+        const entries = await fsPromises.readdir(dir, { withFileTypes: true });
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+
+        for (const entry of entries) {
+          if (files.length >= maxResults) return;
+
+          const entryPath = path.join(dir, entry.name);
+          const name = path.relative(this.rootDir, entryPath).split(path.sep).join("/");
+
+          if (entry.isDirectory()) {
+            if (name === METADATA_DIR) continue;
+            // Only descend into directories that can contain matches
+            if (prefix.startsWith(`${name}/`) || `${name}/`.startsWith(prefix)) {
+              await walk(entryPath);
+            }
+          } else if (name.startsWith(prefix)) {
+            const properties = await this.getFileProperties(name);
+            files.push({
+              name,
+              size: properties.properties?.size,
+              contentType: properties.properties?.contentType,
+              lastModified: properties.properties?.lastModified,
+              metadata: properties.properties?.metadata,
+            });
+          }
+        }
+      };
+
+      await walk(this.rootDir);
+      return { success: true, files };
+    } catch (error) {
+      logError("Local storage list files error", error, { prefix, maxResults });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Copy file within local storage
+  async copyFile(sourceFileName, destinationFileName) {
+    try {
+      const destinationPath = this.resolvePath(destinationFileName);
+      await fsPromises.mkdir(path.dirname(destinationPath), { recursive: true });
+      await fsPromises.copyFile(this.resolvePath(sourceFileName), destinationPath);
+      await this.writeMetadata(
+        destinationFileName,
+        await this.readMetadata(sourceFileName)
+      );
+
+      logInfo("File copied successfully", {
+        sourceFileName,
+        destinationFileName,
+      });
+      return { success: true, message: "File copied successfully" };
+    } catch (error) {
+      logError("Local storage copy file error", error, {
+        sourceFileName,
+        destinationFileName,
+      });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Persist content type and metadata next to the file
+  async writeMetadata(fileName, data) {
+    const metaPath = this.metadataPath(fileName);
+    await fsPromises.mkdir(path.dirname(metaPath), { recursive: true });
+    await fsPromises.writeFile(metaPath, JSON.stringify(data || {}));
+  }
+
+  // Read stored content type and metadata (empty object if missing)
+  async readMetadata(fileName) {
+    try {
+      return JSON.parse(await fsPromises.readFile(this.metadataPath(fileName), "utf8"));
+    } catch (error) {
+      return {};
+    }
+  }
+}
+
+module.exports = LocalStorageProvider;
@@ -0,0 +1,112 @@
+/**
+ * Storage provider interface
+ * Every backend (Azure Blob, local disk, ...) implements these methods and
+ * resolves with `{ success, ... }` objects instead of throwing, so callers
+ * can treat all providers the same way.
+ */
+
+class StorageProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Upload a file
+   * @param {string} fileName - Object name (e.g. `${sessionId}/video/123.mp4`)
+   * @param {Buffer} fileBuffer - File contents
+   * @param {string} contentType - MIME type
+   * @returns {Promise<Object>} `{ success, url, fileName }`
+   */
+  async uploadFile(fileName, fileBuffer, contentType) {
+    throw new Error(`${this.name} storage provider does not implement uploadFile`);
+  }
+
+  /**
+   * Upload a file from disk without reading it into memory
+   * @param {string} fileName - Object name
+   * @param {string} filePath - Local file to upload
+   * @param {string} contentType - MIME type
+   * @returns {Promise<Object>} `{ success, url, fileName, size }`
+   */
+  async uploadFileFromPath(fileName, filePath, contentType) {
+    throw new Error(`${this.name} storage provider does not implement uploadFileFromPath`);
+  }
+
+  /**
+   * Generate a time-limited, read-only URL for a file
+   * @param {string} fileName - Object name
+   * @param {number} expiresInMinutes - Minutes until the URL expires
+   * @returns {Promise<Object>} `{ success, url, expiresOn }`
+   */
+  async generateSignedUrl(fileName, expiresInMinutes = 60) {
+    throw new Error(`${this.name} storage provider does not implement generateSignedUrl`);
+  }
+
+  /**
+   * Download a file into memory
+   * @param {string} fileName - Object name
+   * @returns {Promise<Object>} `{ success, buffer, contentType }`
+   */
+  async downloadFile(fileName) {
+    throw new Error(`${this.name} storage provider does not implement downloadFile`);
+  }
+
+  /**
+   * Download a file to disk without reading it into memory
+   * @param {string} fileName - Object name
+   * @param {string} filePath - Local destination path
+   * @returns {Promise<Object>} `{ success, filePath, size, contentType }`
+   */
+  async downloadToFile(fileName, filePath) {
+    throw new Error(`${this.name} storage provider does not implement downloadToFile`);
+  }
+
+  /**
+   * Delete a file
+   * @param {string} fileName - Object name
+   * @returns {Promise<Object>} `{ success, message }`
+   */
+  async deleteFile(fileName) {
+    throw new Error(`${this.name} storage provider does not implement deleteFile`);
+  }
+
+  /**
+   * Check whether a file exists
+   * @param {string} fileName - Object name
+   * @returns {Promise<Object>} `{ success, exists }`
+   */
+  async fileExists(fileName) {
+    throw new Error(`${this.name} storage provider does not implement fileExists`);
+  }
+
+  /**
+   * Get file properties
+   * @param {string} fileName - Object name
+   * @returns {Promise<Object>} `{ success, properties: { size, contentType, lastModified, etag, metadata } }`
+   */
+  async getFileProperties(fileName) {
+    throw new Error(`${this.name} storage provider does not implement getFileProperties`);
+  }
+
+  /**
+   * List files under a prefix
+   * @param {string} prefix - Name prefix (e.g. `${sessionId}/`)
+   * @param {number} maxResults - Maximum number of entries to return
+   * @returns {Promise<Object>} `{ success, files: [{ name, size, contentType, lastModified, metadata }] }`
+   */
+  async listFiles(prefix = '', maxResults = 100) {
+    throw new Error(`${this.name} storage provider does not implement listFiles`);
+  }
+
+  /**
+   * Copy a file within the same store
+   * @param {string} sourceFileName - Source object name
+   * @param {string} destinationFileName - Destination object name
+   * @returns {Promise<Object>} `{ success, message }`
+   */
+  async copyFile(sourceFileName, destinationFileName) {
+    throw new Error(`${this.name} storage provider does not implement copyFile`);
+  }
+}
+
+module.exports = StorageProvider;
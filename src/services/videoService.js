@@ -1,7 +1,9 @@
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs');
-const azureService = require('../config/azure');
+const storage = require('../config/storage');
+const renditionConfig = require('../config/renditions');
+const previewUtils = require('../utils/previewUtils');
 const { logInfo, logError } = require('../utils/logger');
 
 class VideoService {
@@ -72,7 +74,7 @@ class VideoService {
         const compressedBuffer = fs.readFileSync(tempOutputPath);
         const compressedFileName = fileName.replace(/\.[^/.]+$/, `_compressed_${options.quality || '360p'}.mp4`);
         
-        const uploadResult = await azureService.uploadFile(
+        const uploadResult = await storage.uploadFile(
           compressedFileName,
           compressedBuffer,
           'video/mp4'
@@ -96,7 +98,7 @@ class VideoService {
         };
       } else {
         // Upload original video
-        const uploadResult = await azureService.uploadFile(
+        const uploadResult = await storage.uploadFile(
           fileName,
           videoBuffer,
           'video/mp4'
@@ -171,10 +173,10 @@ class VideoService {
         .audioBitrate(settings.audioBitrate)
         .fps(settings.fps)
         .outputOptions([
-          '-preset fast',
-          '-crf 23',
-          '-maxrate ' + settings.videoBitrate,
-          '-bufsize ' + (parseInt(settings.videoBitrate) * 2) + 'k'
+          '-preset ' + settings.preset,
+          '-crf ' + settings.crf,
+          '-maxrate ' + settings.maxrate,
+          '-bufsize ' + settings.bufsize
         ])
         .output(outputPath)
         .on('end', () => {
@@ -189,63 +191,15 @@ class VideoService {
     });
   }
 
-  // Get compression settings
+  // Get compression settings from the rendition ladder
   getCompressionSettings(quality) {
-    const settings = {
-      '240p': {
-        resolution: '426x240',
-        videoBitrate: '400k',
-        audioBitrate: '64k',
-        fps: 24
-      },
-      '360p': {
-        resolution: '640x360',
-        videoBitrate: '800k',
-        audioBitrate: '96k',
-        fps: 24
-      },
-      '480p': {
-        resolution: '854x480',
-        videoBitrate: '1200k',
-        audioBitrate: '128k',
-        fps: 30
-      },
-      '720p': {
-        resolution: '1280x720',
-        videoBitrate: '2500k',
-        audioBitrate: '192k',
-        fps: 30
-      },
-      '1080p': {
-        resolution: '1920x1080',
-        videoBitrate: '5000k',
-        audioBitrate: '256k',
-        fps: 30
-      }
-    };
-
-    return settings[quality] || settings['360p'];
+    return renditionConfig.getRendition(quality) || renditionConfig.getRendition(renditionConfig.defaultQuality);
   }
 
-  // Generate thumbnail
+  // Generate thumbnail (processed uploads get theirs from the media processing job)
   async generateThumbnail(videoPath, outputPath, timeOffset = '00:00:01') {
-    return new Promise((resolve, reject) => {
-      ffmpeg(videoPath)
-        .screenshots({
-          timestamps: [timeOffset],
-          filename: path.basename(outputPath),
-          folder: path.dirname(outputPath),
-          size: '320x240'
-        })
-        .on('end', () => {
-          logInfo('Thumbnail generated', { videoPath, outputPath, timeOffset });
-          resolve();
-        })
-        .on('error', (err) => {
-          logError('Thumbnail generation error', err, { videoPath, outputPath, timeOffset });
-          reject(err);
-        });
-    });
+    await previewUtils.captureFrame(videoPath, outputPath, timeOffset, previewUtils.thumbnailWidth);
+    logInfo('Thumbnail generated', { videoPath, outputPath, timeOffset });
   }
 
   // Extract audio from video
@@ -276,7 +230,7 @@ class VideoService {
   // Get video streaming URL
   async generateStreamingUrl(fileName, expiresInMinutes = 60) {
     try {
-      const signedUrlResult = await azureService.generateSignedUrl(fileName, expiresInMinutes);
+      const signedUrlResult = await storage.generateSignedUrl(fileName, expiresInMinutes);
       
       if (!signedUrlResult.success) {
         throw new Error(signedUrlResult.error);
@@ -299,7 +253,7 @@ class VideoService {
   // Delete video file
   async deleteVideoFile(fileName) {
     try {
-      const deleteResult = await azureService.deleteFile(fileName);
+      const deleteResult = await storage.deleteFile(fileName);
       
       if (!deleteResult.success) {
         throw new Error(deleteResult.error);
@@ -0,0 +1,210 @@
+const Session = require('../models/Session');
+const { logInfo, logError } = require('../utils/logger');
+
+const OPEN_STATUSES = ['scheduled', 'live'];
+
+/**
+ * Session waitlists
+ * A student who finds a session full is queued on Session.waitlist, first
+ * come first served. Whenever a seat may have freed up (a student left or
+ * was removed, the teacher raised maxStudents) promote() moves students from
+ * the head of the queue into the session while there is room.
+ *
+ * Every move is one conditional update on the session document, so callers on
+ * different server processes can promote at the same time without giving a
+ * seat twice. Promoted students are told on their personal socket room
+ * (user_<id>), and the students still waiting get their new position.
+ */
+class WaitlistService {
+  constructor() {
+    this.maxLength = parseInt(process.env.SESSION_WAITLIST_MAX) || 100;
+    this.io = null;
+  }
+
+  // Keep the Socket.IO server to notify students (call once)
+  attach(io) {
+    if (this.io) return;
+    this.io = io;
+  }
+
+  /**
+   * Queue a student for a full session
+   * @param {string} sessionId - Session ID
+   * @param {string} studentId - Student ID
+   * @returns {Promise<Object>} { success, position, total } or { success: false, error }
+   */
+  async add(sessionId, studentId) {
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: sessionId,
+        status: { $in: OPEN_STATUSES },
+        students: { $ne: studentId },
+        'waitlist.student': { $ne: studentId },
+        $expr: { $lt: [{ $size: '$waitlist' }, this.maxLength] }
+      },
+      { $push: { waitlist: { student: studentId, joinedAt: new Date() } } },
+      { new: true }
+    ).select('waitlist students status');
+
+    if (!session) {
+      const current = await Session.findById(sessionId).select('waitlist students status');
+      if (!current || !OPEN_STATUSES.includes(current.status)) {
+        return { success: false, error: 'Session is not available for joining' };
+      }
+      if (current.students.some(id => id.equals(studentId))) {
+        return { success: false, error: 'You are already enrolled in this session' };
+      }
+      if (this.getPosition(current, studentId)) {
+        return { success: false, error: 'You are already on the waitlist of this session' };
+      }
+      return { success: false, error: 'Session and its waitlist are full' };
+    }
+
+    logInfo('Student added to session waitlist', { sessionId, studentId, position: session.waitlist.length });
+    this.notifySession(sessionId, session.waitlist.length);
+
+    // A seat may have freed up between the caller's check and the push
+    this.promoteInBackground(sessionId);
+
+    return { success: true, position: this.getPosition(session, studentId), total: session.waitlist.length };
+  }
+
+  /**
+   * Take a student off a waitlist
+   * @returns {Promise<boolean>} True if they were on it
+   */
+  async remove(sessionId, studentId) {
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, 'waitlist.student': studentId },
+      { $pull: { waitlist: { student: studentId } } },
+      { new: true }
+    ).select('waitlist');
+
+    if (!session) {
+      return false;
+    }
+
+    logInfo('Student left session waitlist', { sessionId, studentId });
+    this.notifyPositions(session);
+    this.notifySession(sessionId, session.waitlist.length);
+    return true;
+  }
+
+  // 1-based position of a student on a loaded session's waitlist, or null
+  getPosition(session, studentId) {
+    const index = (session.waitlist || []).findIndex(entry => entry.student.equals(studentId));
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Enroll waitlisted students while the session has free seats
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array>} IDs of the promoted students
+   */
+  async promote(sessionId) {
+    const promoted = [];
+
+    for (;;) {
+      // The update reads the document it changes, so two promoters never take the same seat
+      const before = await Session.findOneAndUpdate(
+        {
+          _id: sessionId,
+          status: { $in: OPEN_STATUSES },
+          'waitlist.0': { $exists: true },
+          $expr: { $lt: [{ $size: '$students' }, '$maxStudents'] }
+        },
+        [{
+          $set: {
+            students: {
+              $cond: [
+                { $in: [{ $first: '$waitlist.student' }, '$students'] },
+                '$students', // enrolled another way meanwhile, e.g. through the course roster
+                { $concatArrays: ['$students', [{ $first: '$waitlist.student' }]] }
+              ]
+            },
+            waitlist: { $slice: ['$waitlist', 1, { $max: [{ $size: '$waitlist' }, 1] }] }
+          }
+        }, {
+          $set: { 'metadata.totalParticipants': { $size: '$students' } }
+        }],
+        { new: false }
+      ).select('title waitlist');
+
+      if (!before) break;
+
+      const studentId = before.waitlist[0].student;
+      promoted.push(studentId);
+
+      logInfo('Student promoted from session waitlist', { sessionId, studentId });
+      this.notifyPromoted(before, studentId);
+    }
+
+    if (promoted.length > 0) {
+      const session = await Session.findById(sessionId).select('waitlist');
+      if (session) {
+        this.notifyPositions(session);
+        this.notifySession(sessionId, session.waitlist.length, promoted);
+      }
+    }
+
+    return promoted;
+  }
+
+  // For callers that free seats and should not wait for, or fail on, promotion
+  promoteInBackground(sessionId) {
+    this.promote(sessionId).catch(error => {
+      logError('Session waitlist promotion error', error, { sessionId });
+    });
+  }
+
+  // Promote in every open session of a course whose roster shrank
+  async promoteCourseSessions(courseId) {
+    const sessions = await Session.find({
+      course: courseId,
+      status: { $in: OPEN_STATUSES },
+      'waitlist.0': { $exists: true }
+    }).select('_id');
+
+    for (const { _id } of sessions) {
+      await this.promote(_id);
+    }
+  }
+
+  notifyPromoted(session, studentId) {
+    if (!this.io) return;
+
+    this.io.to(`user_${studentId}`).emit('waitlist_promoted', {
+      sessionId: session._id.toString(),
+      title: session.title,
+      timestamp: Date.now()
+    });
+  }
+
+  // Tell every waiting student where they now stand
+  notifyPositions(session) {
+    if (!this.io) return;
+
+    session.waitlist.forEach((entry, index) => {
+      this.io.to(`user_${entry.student}`).emit('waitlist_position', {
+        sessionId: session._id.toString(),
+        position: index + 1,
+        total: session.waitlist.length,
+        timestamp: Date.now()
+      });
+    });
+  }
+
+  // Waitlist length for the teacher's view of the session
+  notifySession(sessionId, total, promoted = []) {
+    if (!this.io) return;
+
+    this.io.to(`session_${sessionId}`).emit('waitlist_updated', {
+      sessionId: sessionId.toString(),
+      total,
+      promoted: promoted.map(studentId => studentId.toString()),
+      timestamp: Date.now()
+    });
+  }
+}
+
+module.exports = new WaitlistService();
@@ -1,12 +1,45 @@
-const { socketLogger, socketErrorLogger } = require('../utils/logger');
+const os = require('os');
+const { socketLogger, socketErrorLogger, logInfo, logError } = require('../utils/logger');
 const audioService = require('../services/audioService');
+const recordingService = require('../services/recordingService');
+const audioQualityService = require('../services/audioQualityService');
 const Session = require('../models/Session');
+const attendanceService = require('../services/attendanceService');
+const liveStateStore = require('../config/liveState');
+const { SOCKET_ADAPTER } = require('../config/socketAdapter');
 const { socketSuccess, socketError } = require('../utils/response');
 
+/**
+ * Audio Socket Handler
+ * Students speak only while they hold the floor: they raise a hand, the
+ * teacher grants or revokes the floor, and at most maxSpeakers students hold
+ * it at once (the teacher always may speak). Audio from sockets without the
+ * floor is rejected. The floor is kept in the live state store; other server
+ * processes are told about changes through the Socket.IO adapter, so the
+ * per-chunk check never has to leave the process. Changes to a session's
+ * floor run one at a time (see changeFloor).
+ */
 class AudioSocketHandler {
   constructor(io) {
     this.io = io;
     this.audioStreams = new Map(); // Store active audio streams
+    this.floors = new Map(); // sessionId -> { maxSpeakers, speakers: [{ userId, userName, grantedAt, grantedBy }], queue: [{ userId, userName, raisedAt }] }
+    this.stateTtl = 5 * 60; // seconds, same limit as cleanupInactiveStreams
+    this.floorStateTtl = 12 * 60 * 60; // seconds, a long class day
+    this.floorChanges = new Map(); // sessionId -> promise of the last queued floor change
+    this.workerId = `${os.hostname()}:${process.pid}:${Math.random().toString(36).substring(2, 8)}`;
+    this.floorLeaseMs = 5000; // longest a floor change may hold the session's floor
+    this.floorLeaseRetryMs = 50;
+    this.defaultMaxSpeakers = parseInt(process.env.AUDIO_MAX_SPEAKERS) || 1;
+    this.maxSpeakersLimit = 10;
+    recordingService.attach(io);
+    audioQualityService.attach(io);
+
+    // Floor changes made by other server processes
+    io.on('floor:changed', (sessionId, floor) => {
+      this.floors.set(sessionId, floor);
+    });
+
     this.setupEventHandlers();
   }
 
@@ -37,10 +70,18 @@ class AudioSocketHandler {
           // Store user info for this socket
           socket.sessionId = sessionId;
           socket.audioEnabled = false;
+          socket.isSessionTeacher = session.teacher._id.toString() === socket.userId.toString();
+          await attendanceService.join(socket, session, 'audio');
+
+          // The teacher follows the students' audio quality reports
+          if (socket.isSessionTeacher) {
+            socket.join(`audio_quality_${sessionId}`);
+          }
 
           socket.emit('audio_room_joined', socketSuccess('Joined audio room successfully', {
             sessionId,
-            participants: await this.getAudioParticipants(sessionId)
+            participants: await this.getAudioParticipants(sessionId),
+            floor: await this.loadFloor(sessionId)
           }));
 
           // Notify other participants
@@ -63,6 +104,8 @@ class AudioSocketHandler {
           
           if (socket.sessionId) {
             socket.leave(`audio_${sessionId}`);
+            await attendanceService.leave(socket, sessionId, 'audio');
+            socket.leave(`audio_quality_${sessionId}`);
             
             // Notify other participants
             socket.to(`audio_${sessionId}`).emit('user_left_audio', socketSuccess('User left audio', {
@@ -80,15 +123,26 @@ class AudioSocketHandler {
       // Start audio streaming
       socket.on('start_audio_stream', async (data) => {
         try {
-          const { sessionId, audioData } = data;
+          const { sessionId, audioData, codec } = data;
           
           if (!socket.sessionId || socket.sessionId !== sessionId) {
             socket.emit('audio_error', socketError('Not in audio room for this session'));
             return;
           }
 
+          if (!this.hasFloor(socket, sessionId)) {
+            socket.emit('audio_error', socketError('You do not have the floor; raise your hand first'));
+            return;
+          }
+
           // Enable audio for this user
           socket.audioEnabled = true;
+
+          // Chunks are numbered per stream so listeners can spot gaps and reorder
+          const startTime = Date.now();
+          socket.audioStreamId = `${socket.id}:${startTime}`;
+          socket.audioSequence = 0;
+          socket.audioCodec = this.normalizeCodec(codec);
           
           // Store audio stream data
           if (!this.audioStreams.has(sessionId)) {
@@ -98,16 +152,21 @@ class AudioSocketHandler {
           this.audioStreams.get(sessionId).set(socket.userId, {
             userId: socket.userId,
             userName: socket.userName,
-            startTime: Date.now(),
+            startTime,
+            streamId: socket.audioStreamId,
+            codec: socket.audioCodec,
             audioData: audioData
           });
+          await this.saveStreamState(sessionId, socket.userId);
 
           // Broadcast audio data to other participants
           socket.to(`audio_${sessionId}`).emit('audio_stream_data', {
             userId: socket.userId,
             userName: socket.userName,
             audioData: audioData,
-            timestamp: Date.now()
+            streamId: socket.audioStreamId,
+            codec: socket.audioCodec,
+            timestamp: startTime
           });
 
           socketLogger(socket, 'start_audio_stream', { sessionId });
@@ -129,6 +188,7 @@ class AudioSocketHandler {
             if (this.audioStreams.has(sessionId)) {
               this.audioStreams.get(sessionId).delete(socket.userId);
             }
+            await this.removeStreamState(sessionId, socket.userId);
 
             // Notify other participants
             socket.to(`audio_${sessionId}`).emit('audio_stream_stopped', {
@@ -147,25 +207,122 @@ class AudioSocketHandler {
       // Handle audio data chunks
       socket.on('audio_data', async (data) => {
         try {
-          const { sessionId, audioChunk, timestamp } = data;
+          const { sessionId, audioChunk, timestamp, codec } = data;
           
           if (!socket.audioEnabled || !socket.sessionId || socket.sessionId !== sessionId) {
             return;
           }
 
+          // The floor was revoked while streaming; report it once, later chunks are dropped silently
+          if (!this.hasFloor(socket, sessionId)) {
+            socket.audioEnabled = false;
+            socket.emit('audio_error', socketError('Audio rejected: you do not have the floor'));
+            return;
+          }
+
+          // A client may switch encoder settings mid-stream
+          if (codec) {
+            socket.audioCodec = this.normalizeCodec(codec);
+          }
+
           // Broadcast audio chunk to other participants
           socket.to(`audio_${sessionId}`).emit('audio_chunk', {
             userId: socket.userId,
             userName: socket.userName,
             audioChunk: audioChunk,
+            streamId: socket.audioStreamId,
+            sequence: socket.audioSequence++,
+            codec: socket.audioCodec,
             timestamp: timestamp || Date.now()
           });
 
+          // Only the teacher's chunks are kept, and only while the session is being recorded
+          recordingService.append(sessionId, socket.userId, audioChunk);
+
         } catch (error) {
           socketErrorLogger(socket, error, 'audio_data');
         }
       });
 
+      // Start recording the teacher's audio (teacher only)
+      socket.on('start_recording', async (data) => {
+        try {
+          const { sessionId, mimeType } = data || {};
+
+          if (!socket.sessionId || socket.sessionId !== sessionId) {
+            socket.emit('audio_error', socketError('Not in audio room for this session'));
+            return;
+          }
+
+          const session = await Session.findById(sessionId).select('teacher status');
+          if (!session || session.teacher.toString() !== socket.userId.toString()) {
+            socket.emit('audio_error', socketError('Only the session teacher can record'));
+            return;
+          }
+
+          if (session.status !== 'live') {
+            socket.emit('audio_error', socketError('Only live sessions can be recorded'));
+            return;
+          }
+
+          const result = await recordingService.start(sessionId, socket.userId, mimeType);
+          if (!result.success) {
+            socket.emit('audio_error', socketError(result.error));
+            return;
+          }
+
+          // Everyone in the room is told they are being recorded
+          this.io.to(`audio_${sessionId}`).emit('recording_started', {
+            sessionId,
+            startedBy: {
+              id: socket.userId,
+              name: socket.userName
+            },
+            startedAt: result.startedAt
+          });
+
+          socketLogger(socket, 'start_recording', { sessionId });
+        } catch (error) {
+          socketErrorLogger(socket, error, 'start_recording');
+          socket.emit('audio_error', socketError('Failed to start recording'));
+        }
+      });
+
+      // Stop recording before the session ends; the recording is stored and processed (teacher only)
+      socket.on('stop_recording', async (data) => {
+        try {
+          const { sessionId } = data || {};
+
+          if (!socket.sessionId || socket.sessionId !== sessionId) {
+            socket.emit('audio_error', socketError('Not in audio room for this session'));
+            return;
+          }
+
+          const session = await Session.findById(sessionId).select('teacher');
+          if (!session || session.teacher.toString() !== socket.userId.toString()) {
+            socket.emit('audio_error', socketError('Only the session teacher can stop the recording'));
+            return;
+          }
+
+          const result = await recordingService.finishRecording(sessionId);
+
+          this.io.to(`audio_${sessionId}`).emit('recording_stopped', {
+            sessionId,
+            stoppedBy: {
+              id: socket.userId,
+              name: socket.userName
+            },
+            fileId: result && result.success ? result.fileId : null,
+            stoppedAt: Date.now()
+          });
+
+          socketLogger(socket, 'stop_recording', { sessionId, stored: !!(result && result.success) });
+        } catch (error) {
+          socketErrorLogger(socket, error, 'stop_recording');
+          socket.emit('audio_error', socketError('Failed to stop recording'));
+        }
+      });
+
       // Mute/unmute audio
       socket.on('toggle_audio_mute', async (data) => {
         try {
@@ -195,6 +352,11 @@ class AudioSocketHandler {
           const { sessionId, targetUserId } = data;
           
           if (socket.sessionId && socket.sessionId === sessionId) {
+            // A student asking to speak joins the raise-hand queue
+            if (!socket.isSessionTeacher) {
+              await this.raiseHand(sessionId, socket);
+            }
+
             // Send permission request to target user
             socket.to(`audio_${sessionId}`).emit('audio_permission_requested', {
               fromUserId: socket.userId,
@@ -216,6 +378,17 @@ class AudioSocketHandler {
           const { sessionId, fromUserId, granted } = data;
           
           if (socket.sessionId && socket.sessionId === sessionId) {
+            // The teacher's answer grants or takes away the floor
+            if (socket.isSessionTeacher && fromUserId) {
+              const result = granted
+                ? await this.grantFloor(sessionId, fromUserId, socket)
+                : await this.denyFloor(sessionId, fromUserId, socket);
+              if (!result.success) {
+                socket.emit('audio_error', socketError(result.error));
+                return;
+              }
+            }
+
             // Send response back to requester
             socket.to(`audio_${sessionId}`).emit('audio_permission_response', {
               fromUserId: socket.userId,
@@ -232,14 +405,155 @@ class AudioSocketHandler {
         }
       });
 
+      // Raise hand to ask for the floor (student)
+      socket.on('raise_hand', async (data) => {
+        await this.handleFloorEvent(socket, data, 'raise_hand', () => {
+          if (socket.isSessionTeacher) {
+            return { success: false, error: 'The teacher always has the floor' };
+          }
+          return this.raiseHand(data.sessionId, socket);
+        });
+      });
+
+      // Lower own hand, or (teacher) dismiss a student's raised hand
+      socket.on('lower_hand', async (data) => {
+        await this.handleFloorEvent(socket, data, 'lower_hand', () => {
+          const targetUserId = socket.isSessionTeacher && data.targetUserId ? data.targetUserId : socket.userId;
+          return this.lowerHand(data.sessionId, targetUserId, socket);
+        });
+      });
+
+      // Give the floor to a student, or to the first raised hand without targetUserId (teacher)
+      socket.on('grant_floor', async (data) => {
+        await this.handleFloorEvent(socket, data, 'grant_floor', () => {
+          if (!socket.isSessionTeacher) {
+            return { success: false, error: 'Only the teacher can grant the floor' };
+          }
+          return this.grantFloor(data.sessionId, data.targetUserId || null, socket);
+        });
+      });
+
+      // Take the floor away from a student (teacher)
+      socket.on('revoke_floor', async (data) => {
+        await this.handleFloorEvent(socket, data, 'revoke_floor', () => {
+          if (!socket.isSessionTeacher) {
+            return { success: false, error: 'Only the teacher can revoke the floor' };
+          }
+          if (!data.targetUserId) {
+            return { success: false, error: 'Target user ID is required' };
+          }
+          return this.revokeFloor(data.sessionId, data.targetUserId, socket, 'revoked');
+        });
+      });
+
+      // Give up the floor (student)
+      socket.on('release_floor', async (data) => {
+        await this.handleFloorEvent(socket, data, 'release_floor', () => {
+          return this.revokeFloor(data.sessionId, socket.userId, socket, 'released');
+        });
+      });
+
+      // Change how many students may speak at once (teacher)
+      socket.on('set_max_speakers', async (data) => {
+        await this.handleFloorEvent(socket, data, 'set_max_speakers', () => {
+          if (!socket.isSessionTeacher) {
+            return { success: false, error: 'Only the teacher can change the number of speakers' };
+          }
+          return this.setMaxSpeakers(data.sessionId, data.maxSpeakers, socket);
+        });
+      });
+
+      // Current speakers and raise-hand queue
+      socket.on('get_floor_state', async (data) => {
+        try {
+          const { sessionId } = data || {};
+
+          if (!socket.sessionId || socket.sessionId !== sessionId) {
+            socket.emit('audio_error', socketError('Not in audio room for this session'));
+            return;
+          }
+
+          socket.emit('floor_state', socketSuccess('Floor state retrieved successfully', {
+            sessionId,
+            ...(await this.loadFloor(sessionId))
+          }));
+        } catch (error) {
+          socketErrorLogger(socket, error, 'get_floor_state');
+          socket.emit('audio_error', socketError('Failed to get floor state'));
+        }
+      });
+
+      // Periodic report of received, lost and late chunks (students)
+      socket.on('audio_quality_report', async (data) => {
+        try {
+          const { sessionId } = data || {};
+
+          if (!socket.sessionId || socket.sessionId !== sessionId) {
+            socket.emit('audio_error', socketError('Not in audio room for this session'));
+            return;
+          }
+
+          if (socket.isSessionTeacher) {
+            socket.emit('audio_error', socketError('Only students report audio quality'));
+            return;
+          }
+
+          const result = await audioQualityService.recordReport(sessionId, socket, data);
+          if (!result.success) {
+            socket.emit('audio_error', socketError(result.error));
+            return;
+          }
+
+          if (result.student) {
+            this.io.to(`audio_quality_${sessionId}`).emit('audio_quality_updated', {
+              sessionId,
+              student: result.student,
+              session: result.session,
+              timestamp: Date.now()
+            });
+          }
+        } catch (error) {
+          socketErrorLogger(socket, error, 'audio_quality_report');
+        }
+      });
+
+      // Audio quality of every student and of the whole session (teacher)
+      socket.on('get_audio_quality', async (data) => {
+        try {
+          const { sessionId } = data || {};
+
+          if (!socket.sessionId || socket.sessionId !== sessionId) {
+            socket.emit('audio_error', socketError('Not in audio room for this session'));
+            return;
+          }
+
+          if (!socket.isSessionTeacher) {
+            socket.emit('audio_error', socketError('Only the teacher can view audio quality'));
+            return;
+          }
+
+          socket.emit('audio_quality', socketSuccess('Audio quality retrieved successfully', {
+            sessionId,
+            ...audioQualityService.getQuality(sessionId)
+          }));
+        } catch (error) {
+          socketErrorLogger(socket, error, 'get_audio_quality');
+          socket.emit('audio_error', socketError('Failed to get audio quality'));
+        }
+      });
+
       // Handle disconnection
       socket.on('disconnect', async () => {
         try {
           if (socket.sessionId) {
+            // A speaker who drops off loses the floor, a raised hand is lowered
+            await this.removeFromFloor(socket.sessionId, socket);
+
             // Remove from audio streams
             if (this.audioStreams.has(socket.sessionId)) {
               this.audioStreams.get(socket.sessionId).delete(socket.userId);
             }
+            await this.removeStreamState(socket.sessionId, socket.userId);
 
             // Notify other participants
             socket.to(`audio_${socket.sessionId}`).emit('user_left_audio', {
@@ -319,12 +633,386 @@ class AudioSocketHandler {
     }
   }
 
+  // Common checks and error reporting of the floor control events
+  async handleFloorEvent(socket, data, eventName, action) {
+    try {
+      const { sessionId } = data || {};
+
+      if (!socket.sessionId || socket.sessionId !== sessionId) {
+        socket.emit('audio_error', socketError('Not in audio room for this session'));
+        return;
+      }
+
+      const result = await action();
+      if (!result.success) {
+        socket.emit('audio_error', socketError(result.error));
+        return;
+      }
+
+      socketLogger(socket, eventName, { sessionId, targetUserId: data.targetUserId });
+    } catch (error) {
+      socketErrorLogger(socket, error, eventName);
+      socket.emit('audio_error', socketError('Floor control failed'));
+    }
+  }
+
+  // Cached floor of a session, created empty on first use
+  getFloor(sessionId) {
+    if (!this.floors.has(sessionId)) {
+      this.floors.set(sessionId, { maxSpeakers: this.defaultMaxSpeakers, speakers: [], queue: [] });
+    }
+    return this.floors.get(sessionId);
+  }
+
+  // Latest floor from the live state store, falling back to the cached one;
+  // changes go through changeFloor, which publishes what it read
+  async loadFloor(sessionId) {
+    try {
+      const floor = await liveStateStore.get(sessionId, 'floor', 'state');
+      if (floor) {
+        return floor;
+      }
+    } catch (error) {
+      logError('Floor state load error', error, { sessionId });
+    }
+    return this.getFloor(sessionId);
+  }
+
+  /**
+   * Run a floor change on the latest floor, one change at a time per session
+   * Changes of a session queue on a promise chain in this process; with
+   * several processes they also hold the lease on the session's floor lock
+   * entry, so none of them checks or writes a floor another one is changing.
+   * @param {string} sessionId - Session ID
+   * @param {Function} change - async floor => { success } or { success: false, error }; publishes the floor it changed
+   * @returns {Promise<Object>} Result of change
+   */
+  changeFloor(sessionId, change) {
+    const previous = this.floorChanges.get(sessionId) || Promise.resolve();
+    const result = previous.then(() => this.runFloorChange(sessionId, change));
+
+    const settled = result.catch(() => {});
+    this.floorChanges.set(sessionId, settled);
+    settled.then(() => {
+      if (this.floorChanges.get(sessionId) === settled) {
+        this.floorChanges.delete(sessionId);
+      }
+    });
+
+    return result;
+  }
+
+  async runFloorChange(sessionId, change) {
+    // The in-memory adapter means a single process; the promise chain is enough
+    const shared = SOCKET_ADAPTER !== 'memory';
+    if (shared && !(await this.acquireFloorLease(sessionId))) {
+      return { success: false, error: 'The floor is being changed; try again' };
+    }
+
+    try {
+      return await change(await this.loadFloor(sessionId));
+    } finally {
+      if (shared) {
+        await this.releaseFloorLease(sessionId);
+      }
+    }
+  }
+
+  // Take the lease on the floor lock entry, waiting until a crashed holder's lease has run out
+  async acquireFloorLease(sessionId) {
+    const deadline = Date.now() + this.floorLeaseMs + this.floorLeaseRetryMs;
+
+    try {
+      for (;;) {
+        if (await liveStateStore.acquireLease(sessionId, 'floor', 'lock', this.workerId, this.floorLeaseMs)) {
+          return true;
+        }
+        if (!(await liveStateStore.get(sessionId, 'floor', 'lock'))) {
+          // set() leaves a lease alone, so two processes creating the entry is harmless
+          await liveStateStore.set(sessionId, 'floor', 'lock', {}, this.floorStateTtl);
+          continue;
+        }
+        if (Date.now() >= deadline) {
+          return false;
+        }
+        await new Promise(resolve => setTimeout(resolve, this.floorLeaseRetryMs));
+      }
+    } catch (error) {
+      logError('Floor lease error', error, { sessionId });
+      return false;
+    }
+  }
+
+  async releaseFloorLease(sessionId) {
+    try {
+      await liveStateStore.releaseLease(sessionId, 'floor', 'lock', this.workerId);
+    } catch (error) {
+      logError('Floor lease release error', error, { sessionId });
+    }
+  }
+
+  // Store the floor, pass it to the other server processes and broadcast it to the room
+  async publishFloor(sessionId, floor, change) {
+    this.floors.set(sessionId, floor);
+
+    try {
+      await liveStateStore.set(sessionId, 'floor', 'state', floor, this.floorStateTtl);
+    } catch (error) {
+      logError('Floor state save error', error, { sessionId });
+    }
+
+    // The in-memory adapter has no other processes to tell (and warns when asked)
+    if (SOCKET_ADAPTER !== 'memory') {
+      this.io.serverSideEmit('floor:changed', sessionId, floor);
+    }
+
+    this.io.to(`audio_${sessionId}`).emit('floor_updated', {
+      sessionId,
+      ...floor,
+      change: { ...change, timestamp: Date.now() }
+    });
+  }
+
+  // The teacher always has the floor
+  hasFloor(socket, sessionId) {
+    return Boolean(socket.isSessionTeacher) ||
+      this.getFloor(sessionId).speakers.some(speaker => speaker.userId === socket.userId);
+  }
+
+  raiseHand(sessionId, socket) {
+    return this.changeFloor(sessionId, async (floor) => {
+      if (floor.speakers.some(speaker => speaker.userId === socket.userId)) {
+        return { success: false, error: 'You already have the floor' };
+      }
+      if (floor.queue.some(entry => entry.userId === socket.userId)) {
+        return { success: true };
+      }
+
+      floor.queue.push({ userId: socket.userId, userName: socket.userName, raisedAt: Date.now() });
+      await this.publishFloor(sessionId, floor, { type: 'hand_raised', userId: socket.userId, userName: socket.userName });
+      return { success: true };
+    });
+  }
+
+  lowerHand(sessionId, userId, by) {
+    return this.changeFloor(sessionId, floor => this.removeHand(sessionId, floor, userId, by));
+  }
+
+  // Take a raised hand off the queue of a floor being changed
+  async removeHand(sessionId, floor, userId, by) {
+    const entry = floor.queue.find(queued => queued.userId === userId.toString());
+    if (!entry) {
+      return { success: false, error: 'Hand is not raised' };
+    }
+
+    floor.queue = floor.queue.filter(queued => queued !== entry);
+    await this.publishFloor(sessionId, floor, { type: 'hand_lowered', userId: entry.userId, userName: entry.userName, by: by.userId });
+    return { success: true };
+  }
+
+  /**
+   * Give a student the floor
+   * @param {string} sessionId - Session ID
+   * @param {string|null} targetUserId - Student to grant; null takes the first raised hand
+   * @param {Object} by - Teacher socket
+   * @returns {Promise<Object>} { success } or { success: false, error }
+   */
+  grantFloor(sessionId, targetUserId, by) {
+    return this.changeFloor(sessionId, async (floor) => {
+      const queued = targetUserId
+        ? floor.queue.find(entry => entry.userId === targetUserId.toString())
+        : floor.queue[0];
+      if (!queued && !targetUserId) {
+        return { success: false, error: 'No raised hands' };
+      }
+
+      const userId = queued ? queued.userId : targetUserId.toString();
+      if (floor.speakers.some(speaker => speaker.userId === userId)) {
+        return { success: true };
+      }
+
+      if (floor.speakers.length >= floor.maxSpeakers) {
+        return { success: false, error: `At most ${floor.maxSpeakers} student(s) can speak at once; revoke a speaker first` };
+      }
+
+      // Students granted without raising a hand must still belong to the session
+      let userName = queued ? queued.userName : null;
+      if (!queued) {
+        const session = await Session.findById(sessionId).populate('students', 'name');
+        const student = session && session.students.find(member => member._id.toString() === userId);
+        if (!student) {
+          return { success: false, error: 'User is not a student of this session' };
+        }
+        userName = student.name;
+      }
+
+      floor.queue = floor.queue.filter(entry => entry.userId !== userId);
+      floor.speakers.push({ userId, userName, grantedAt: Date.now(), grantedBy: by.userId });
+      await this.publishFloor(sessionId, floor, { type: 'granted', userId, userName, by: by.userId });
+      return { success: true };
+    });
+  }
+
+  // Teacher said no: lower the hand, or take the floor away from a current speaker
+  denyFloor(sessionId, userId, by) {
+    return this.changeFloor(sessionId, async (floor) => {
+      if (floor.speakers.some(speaker => speaker.userId === userId.toString())) {
+        return this.removeSpeaker(sessionId, floor, userId, by, 'revoked');
+      }
+      if (floor.queue.some(entry => entry.userId === userId.toString())) {
+        return this.removeHand(sessionId, floor, userId, by);
+      }
+      return { success: true };
+    });
+  }
+
+  /**
+   * Take the floor away from a speaker and end their audio stream
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Speaker
+   * @param {Object} by - Socket of whoever ends it (teacher, or the speaker)
+   * @param {string} reason - 'revoked', 'released', 'disconnected' or 'limit_lowered'
+   * @returns {Promise<Object>} { success } or { success: false, error }
+   */
+  revokeFloor(sessionId, userId, by, reason) {
+    return this.changeFloor(sessionId, floor => this.removeSpeaker(sessionId, floor, userId, by, reason));
+  }
+
+  // Take a speaker off a floor being changed
+  async removeSpeaker(sessionId, floor, userId, by, reason) {
+    const speaker = floor.speakers.find(entry => entry.userId === userId.toString());
+    if (!speaker) {
+      return { success: false, error: 'User does not have the floor' };
+    }
+
+    floor.speakers = floor.speakers.filter(entry => entry !== speaker);
+    await this.publishFloor(sessionId, floor, {
+      type: reason === 'released' ? 'released' : 'revoked',
+      reason,
+      userId: speaker.userId,
+      userName: speaker.userName,
+      by: by.userId
+    });
+    await this.endSpeakerStream(sessionId, speaker);
+    return { success: true };
+  }
+
+  async setMaxSpeakers(sessionId, maxSpeakers, by) {
+    const max = parseInt(maxSpeakers);
+    if (!Number.isInteger(max) || max < 1 || max > this.maxSpeakersLimit) {
+      return { success: false, error: `Max speakers must be between 1 and ${this.maxSpeakersLimit}` };
+    }
+
+    return this.changeFloor(sessionId, async (floor) => {
+      floor.maxSpeakers = max;
+
+      // Lowering the limit takes the floor from the most recently granted speakers
+      const removed = floor.speakers.slice(max);
+      floor.speakers = floor.speakers.slice(0, max);
+
+      await this.publishFloor(sessionId, floor, { type: 'max_speakers_changed', maxSpeakers: max, by: by.userId });
+      for (const speaker of removed) {
+        await this.endSpeakerStream(sessionId, speaker);
+      }
+      return { success: true };
+    });
+  }
+
+  // Drop a disconnected user from the speakers and the queue
+  removeFromFloor(sessionId, socket) {
+    return this.changeFloor(sessionId, async (floor) => {
+      if (floor.speakers.some(speaker => speaker.userId === socket.userId)) {
+        return this.removeSpeaker(sessionId, floor, socket.userId, socket, 'disconnected');
+      }
+      if (floor.queue.some(entry => entry.userId === socket.userId)) {
+        return this.removeHand(sessionId, floor, socket.userId, socket);
+      }
+      return { success: true };
+    });
+  }
+
+  // Stop a former speaker's stream for everyone in the room
+  async endSpeakerStream(sessionId, speaker) {
+    if (this.audioStreams.has(sessionId)) {
+      this.audioStreams.get(sessionId).delete(speaker.userId);
+    }
+    await this.removeStreamState(sessionId, speaker.userId);
+
+    this.io.to(`audio_${sessionId}`).emit('audio_stream_stopped', {
+      userId: speaker.userId,
+      userName: speaker.userName,
+      reason: 'floor_revoked',
+      timestamp: Date.now()
+    });
+  }
+
+  // Codec fields relayed with every chunk; anything else the client sends is dropped
+  normalizeCodec(codec) {
+    if (!codec || typeof codec !== 'object') {
+      return null;
+    }
+
+    const number = (value, min, max) => (Number.isFinite(value) && value >= min && value <= max ? value : null);
+    return {
+      mimeType: typeof codec.mimeType === 'string' ? codec.mimeType.substring(0, 100) : null,
+      sampleRate: number(codec.sampleRate, 8000, 192000),
+      channels: number(codec.channels, 1, 8),
+      bitrate: number(codec.bitrate, 6000, 512000),
+      frameDurationMs: number(codec.frameDurationMs, 2.5, 1000)
+    };
+  }
+
   // Get active audio streams for session
   getActiveStreams(sessionId) {
     const streams = this.audioStreams.get(sessionId);
     return streams ? Array.from(streams.values()) : [];
   }
 
+  // Write who is streaming to the live state store; the audio itself is not kept
+  async saveStreamState(sessionId, userId) {
+    const stream = this.audioStreams.get(sessionId)?.get(userId);
+    if (!stream) return;
+
+    try {
+      await liveStateStore.set(sessionId, 'audio', userId, {
+        userId: stream.userId,
+        userName: stream.userName,
+        startTime: stream.startTime,
+        streamId: stream.streamId,
+        codec: stream.codec
+      }, this.stateTtl);
+    } catch (error) {
+      logError('Audio stream state save error', error, { sessionId, userId });
+    }
+  }
+
+  async removeStreamState(sessionId, userId) {
+    try {
+      await liveStateStore.delete(sessionId, 'audio', userId);
+    } catch (error) {
+      logError('Audio stream state delete error', error, { sessionId, userId });
+    }
+  }
+
+  // Restore who was streaming after a restart (call once the database is connected)
+  // Entries stay until the speaker starts again or cleanupInactiveStreams drops them
+  async rehydrate() {
+    const entries = await liveStateStore.list('audio');
+    entries.forEach(({ sessionId, key: userId, data }) => {
+      if (!this.audioStreams.has(sessionId)) {
+        this.audioStreams.set(sessionId, new Map());
+      }
+      this.audioStreams.get(sessionId).set(userId, { ...data, audioData: null });
+    });
+
+    const floors = (await liveStateStore.list('floor')).filter(({ key }) => key === 'state');
+    floors.forEach(({ sessionId, data }) => {
+      this.floors.set(sessionId, data);
+    });
+
+    logInfo('Audio streams restored', { streams: entries.length, floors: floors.length });
+  }
+
   // Clean up inactive streams
   cleanupInactiveStreams() {
     const now = Date.now();
@@ -334,6 +1022,7 @@ class AudioSocketHandler {
       streams.forEach((stream, userId) => {
         if (now - stream.startTime > timeout) {
           streams.delete(userId);
+          this.removeStreamState(sessionId, userId);
         }
       });
 
@@ -1,5 +1,6 @@
 const Chat = require('../models/Chat');
 const Session = require('../models/Session');
+const attendanceService = require('../services/attendanceService');
 const { socketLogger, socketErrorLogger } = require('../utils/logger');
 const { socketSuccess, socketError } = require('../utils/response');
 
@@ -33,6 +34,7 @@ class ChatSocketHandler {
           // Join the chat room
           socket.join(`chat_${sessionId}`);
           socket.sessionId = sessionId;
+          await attendanceService.join(socket, session, 'chat');
 
           // Get recent chat messages
           const recentMessages = await this.getRecentMessages(sessionId, 50);
@@ -63,6 +65,7 @@ class ChatSocketHandler {
           
           if (socket.sessionId) {
             socket.leave(`chat_${sessionId}`);
+            await attendanceService.leave(socket, sessionId, 'chat');
             
             // Notify other participants
             socket.to(`chat_${sessionId}`).emit('user_left_chat', socketSuccess('User left chat', {
@@ -1,13 +1,33 @@
+const os = require('os');
 const Quiz = require('../models/Quiz');
 const Session = require('../models/Session');
-const { socketLogger, socketErrorLogger } = require('../utils/logger');
+const attendanceService = require('../services/attendanceService');
+const liveStateStore = require('../config/liveState');
+const { socketLogger, socketErrorLogger, logInfo, logError } = require('../utils/logger');
 const { socketSuccess, socketError } = require('../utils/response');
 
+/**
+ * Quiz Socket Handler
+ * Active quizzes are written through to the live state store with the time
+ * the current question ends, so after a restart the quiz and its question
+ * timer continue with the time that was left.
+ *
+ * With several server processes the store is the shared source of truth:
+ * handlers read the quiz from it rather than trusting their local copy, and
+ * each question timer is run by the one process holding the lease on the
+ * quiz entry. Leases are renewed by syncQuestionTimers; when a process dies
+ * another one takes its timers over once the lease runs out.
+ */
 class QuizSocketHandler {
   constructor(io) {
     this.io = io;
     this.activeQuizzes = new Map(); // Store active quiz sessions
-    this.quizTimers = new Map(); // Store quiz timers
+    this.quizTimers = new Map(); // quizId -> { timer, questionIndex }
+    this.stateTtl = 2 * 60 * 60; // seconds, same limit as cleanupInactiveQuizzes
+    this.workerId = `${os.hostname()}:${process.pid}:${Math.random().toString(36).substring(2, 8)}`;
+    this.timerLeaseMs = parseInt(process.env.QUIZ_TIMER_LEASE_MS) || 15000;
+    this.timerSyncInterval = null;
+    this.syncingTimers = false;
     this.setupEventHandlers();
   }
 
@@ -35,6 +55,7 @@ class QuizSocketHandler {
           // Join the quiz room
           socket.join(`quiz_${sessionId}`);
           socket.sessionId = sessionId;
+          await attendanceService.join(socket, session, 'quiz');
 
           // Get active quizzes for this session
           const activeQuizzes = await this.getActiveQuizzes(sessionId);
@@ -58,6 +79,7 @@ class QuizSocketHandler {
           
           if (socket.sessionId) {
             socket.leave(`quiz_${sessionId}`);
+            await attendanceService.leave(socket, sessionId, 'quiz');
             socketLogger(socket, 'leave_quiz_room', { sessionId });
           }
         } catch (error) {
@@ -101,7 +123,9 @@ class QuizSocketHandler {
             startTime: Date.now(),
             participants: new Set(),
             currentQuestion: 0,
-            questionStartTime: Date.now()
+            questionStartTime: Date.now(),
+            questionEndsAt: null,
+            questionTimeUp: false
           });
 
           // Broadcast quiz started to all participants
@@ -133,6 +157,8 @@ class QuizSocketHandler {
 
           // Start question timer
           this.startQuestionTimer(quizId, 0, quiz.questions[0].timeLimit);
+          await this.saveQuizState(quizId);
+          await this.claimQuestionTimer(quizId, true);
 
           socketLogger(socket, 'start_quiz', { sessionId, quizId });
         } catch (error) {
@@ -173,6 +199,7 @@ class QuizSocketHandler {
           // Clear active quiz
           this.activeQuizzes.delete(quizId);
           this.clearQuizTimer(quizId);
+          await this.removeQuizState(sessionId, quizId);
 
           // Broadcast quiz ended to all participants
           this.io.to(`quiz_${sessionId}`).emit('quiz_ended', {
@@ -202,7 +229,7 @@ class QuizSocketHandler {
             return;
           }
 
-          const activeQuiz = this.activeQuizzes.get(quizId);
+          const activeQuiz = await this.loadActiveQuiz(sessionId, quizId);
           if (!activeQuiz) {
             socket.emit('quiz_error', socketError('Quiz is not active'));
             return;
@@ -214,8 +241,12 @@ class QuizSocketHandler {
             return;
           }
 
-          // Add participant to active quiz
-          activeQuiz.participants.add(socket.userId);
+          // Add participant to active quiz; added in place in the store, since
+          // the whole class answers at once
+          if (!activeQuiz.participants.has(socket.userId)) {
+            activeQuiz.participants.add(socket.userId);
+            await this.addQuizParticipant(quizId, socket.userId);
+          }
 
           // Submit the answer
           const answer = {
@@ -268,7 +299,7 @@ class QuizSocketHandler {
             return;
           }
 
-          const activeQuiz = this.activeQuizzes.get(quizId);
+          const activeQuiz = await this.loadActiveQuiz(sessionId, quizId);
           if (!activeQuiz) {
             socket.emit('quiz_error', socketError('Quiz is not active'));
             return;
@@ -289,6 +320,7 @@ class QuizSocketHandler {
             await quiz.endQuiz();
             this.activeQuizzes.delete(quizId);
             this.clearQuizTimer(quizId);
+            await this.removeQuizState(sessionId, quizId);
 
             this.io.to(`quiz_${sessionId}`).emit('quiz_completed', {
               quizId: quizId,
@@ -301,6 +333,8 @@ class QuizSocketHandler {
             
             // Start timer for next question
             this.startQuestionTimer(quizId, activeQuiz.currentQuestion, currentQuestion.timeLimit);
+            await this.saveQuizState(quizId);
+            await this.claimQuestionTimer(quizId, true);
 
             this.io.to(`quiz_${sessionId}`).emit('next_question', {
               quizId: quizId,
@@ -386,11 +420,11 @@ class QuizSocketHandler {
         try {
           if (socket.sessionId) {
             // Remove from active quiz participants
-            this.activeQuizzes.forEach((quiz, quizId) => {
-              if (quiz.sessionId === socket.sessionId) {
-                quiz.participants.delete(socket.userId);
+            for (const [quizId, quiz] of this.activeQuizzes) {
+              if (quiz.sessionId === socket.sessionId && quiz.participants.delete(socket.userId)) {
+                await this.removeQuizParticipant(quizId, socket.userId);
               }
-            });
+            }
 
             socketLogger(socket, 'quiz_disconnect', { sessionId: socket.sessionId });
           }
@@ -435,12 +469,21 @@ class QuizSocketHandler {
         status: 'active' 
       }).select('title description questions settings');
 
-      return quizzes.map(quiz => ({
-        id: quiz._id,
-        title: quiz.title,
-        description: quiz.description,
-        questionCount: quiz.questions.length,
-        settings: quiz.settings
+      // Running question and its deadline, so a (re)joining client can show the countdown
+      return Promise.all(quizzes.map(async quiz => {
+        const activeQuiz = await this.loadActiveQuiz(sessionId, quiz._id.toString());
+        return {
+          id: quiz._id,
+          title: quiz.title,
+          description: quiz.description,
+          questionCount: quiz.questions.length,
+          settings: quiz.settings,
+          currentQuestion: activeQuiz ? activeQuiz.currentQuestion : null,
+          questionEndsAt: activeQuiz ? activeQuiz.questionEndsAt : null,
+          remainingTime: activeQuiz && activeQuiz.questionEndsAt
+            ? Math.max(0, Math.ceil((activeQuiz.questionEndsAt - Date.now()) / 1000))
+            : null
+        };
       }));
     } catch (error) {
       socketErrorLogger(null, error, 'getActiveQuizzes');
@@ -449,30 +492,263 @@ class QuizSocketHandler {
   }
 
   // Start question timer
-  startQuestionTimer(quizId, questionIndex, timeLimit) {
+  // remainingMs is shorter than the time limit when a timer is resumed (after a
+  // restart, or on a worker taking the timer over)
+  startQuestionTimer(quizId, questionIndex, timeLimit, remainingMs = timeLimit * 1000) {
     // Clear existing timer
     this.clearQuizTimer(quizId);
 
+    const activeQuiz = this.activeQuizzes.get(quizId);
+    if (activeQuiz) {
+      activeQuiz.questionEndsAt = Date.now() + remainingMs;
+      activeQuiz.questionTimeUp = false;
+    }
+
     const timer = setTimeout(() => {
-      // Time's up for current question
-      const activeQuiz = this.activeQuizzes.get(quizId);
-      if (activeQuiz) {
-        this.io.to(`quiz_${activeQuiz.sessionId}`).emit('question_time_up', {
-          quizId: quizId,
-          questionIndex: questionIndex,
-          timeUpAt: Date.now()
+      this.quizTimers.delete(quizId);
+      this.handleQuestionTimeUp(quizId, questionIndex);
+    }, remainingMs);
+
+    this.quizTimers.set(quizId, { timer, questionIndex });
+  }
+
+  // Time's up for current question
+  // Announced only if the question is still running and this worker holds the timer lease
+  async handleQuestionTimeUp(quizId, questionIndex) {
+    const localQuiz = this.activeQuizzes.get(quizId);
+    if (!localQuiz) return;
+
+    const activeQuiz = await this.loadActiveQuiz(localQuiz.sessionId, quizId);
+    if (!activeQuiz || activeQuiz.currentQuestion !== questionIndex || activeQuiz.questionTimeUp) return;
+
+    if (!await this.claimQuestionTimer(quizId)) return;
+
+    activeQuiz.questionTimeUp = true;
+    this.io.to(`quiz_${activeQuiz.sessionId}`).emit('question_time_up', {
+      quizId: quizId,
+      questionIndex: questionIndex,
+      timeUpAt: Date.now()
+    });
+
+    await this.saveQuizState(quizId);
+    await this.releaseQuestionTimer(quizId);
+  }
+
+  /**
+   * Current state of an active quiz, read from the live state store
+   * The local copy is refreshed with it, since another worker may have moved
+   * the quiz on; if the store cannot be reached the local copy is used
+   * @param {string} sessionId - Session ID
+   * @param {string} quizId - Quiz ID
+   * @returns {Promise<Object|null>} Active quiz entry, null if the quiz is not running
+   */
+  async loadActiveQuiz(sessionId, quizId) {
+    let data;
+    try {
+      data = await liveStateStore.get(sessionId, 'quiz', quizId);
+    } catch (error) {
+      logError('Quiz state load error', error, { quizId, sessionId });
+      return this.activeQuizzes.get(quizId) || null;
+    }
+
+    if (!data) {
+      this.activeQuizzes.delete(quizId);
+      this.clearQuizTimer(quizId);
+      return null;
+    }
+
+    const activeQuiz = {
+      ...data,
+      sessionId,
+      participants: new Set(data.participants || [])
+    };
+    this.activeQuizzes.set(quizId, activeQuiz);
+    return activeQuiz;
+  }
+
+  // Take or renew the lease on a quiz's question timer; force takes it from
+  // another worker (the one handling start/next owns the new question).
+  // A store failure counts as owned, so a lone server keeps its timers.
+  async claimQuestionTimer(quizId, force = false) {
+    const activeQuiz = this.activeQuizzes.get(quizId);
+    if (!activeQuiz) return false;
+
+    try {
+      return await liveStateStore.acquireLease(
+        activeQuiz.sessionId, 'quiz', quizId, this.workerId, this.timerLeaseMs, force
+      );
+    } catch (error) {
+      logError('Quiz timer lease error', error, { quizId, workerId: this.workerId });
+      return true;
+    }
+  }
+
+  async releaseQuestionTimer(quizId) {
+    const activeQuiz = this.activeQuizzes.get(quizId);
+    if (!activeQuiz) return;
+
+    try {
+      await liveStateStore.releaseLease(activeQuiz.sessionId, 'quiz', quizId, this.workerId);
+    } catch (error) {
+      logError('Quiz timer lease release error', error, { quizId, workerId: this.workerId });
+    }
+  }
+
+  /**
+   * Keep every running question timer on exactly one worker
+   * Renews the leases of the timers this worker runs, drops timers another
+   * worker has taken over and picks up timers whose lease ran out (their
+   * worker stopped), firing question_time_up at once if the time has passed
+   */
+  async syncQuestionTimers() {
+    if (this.syncingTimers) return;
+    this.syncingTimers = true;
+
+    try {
+      const entries = await liveStateStore.list('quiz');
+
+      for (const { sessionId, key: quizId, data, lockedBy, lockedUntil } of entries) {
+        if (data.questionTimeUp || !data.questionEndsAt) continue;
+
+        const running = this.quizTimers.get(quizId);
+        const runningHere = running && running.questionIndex === data.currentQuestion;
+        const heldElsewhere = lockedBy && lockedBy !== this.workerId && new Date(lockedUntil) > new Date();
+
+        if (heldElsewhere) {
+          this.clearQuizTimer(quizId);
+          continue;
+        }
+
+        if (!runningHere) {
+          this.activeQuizzes.set(quizId, {
+            ...data,
+            sessionId,
+            participants: new Set(data.participants || [])
+          });
+        }
+
+        if (!await this.claimQuestionTimer(quizId)) {
+          this.clearQuizTimer(quizId);
+          continue;
+        }
+        if (runningHere) continue;
+
+        logInfo('Quiz question timer taken over', {
+          quizId,
+          questionIndex: data.currentQuestion,
+          previousOwner: lockedBy,
+          workerId: this.workerId
         });
+
+        const remainingMs = data.questionEndsAt - Date.now();
+        if (remainingMs > 0) {
+          this.startQuestionTimer(quizId, data.currentQuestion, null, remainingMs);
+        } else {
+          await this.handleQuestionTimeUp(quizId, data.currentQuestion);
+        }
       }
-    }, timeLimit * 1000);
+    } catch (error) {
+      logError('Quiz timer sync error', error, { workerId: this.workerId });
+    } finally {
+      this.syncingTimers = false;
+    }
+  }
+
+  // Run syncQuestionTimers often enough to renew leases well before they expire
+  startTimerSync() {
+    if (this.timerSyncInterval) return;
+
+    this.timerSyncInterval = setInterval(
+      () => this.syncQuestionTimers(),
+      Math.max(1000, Math.floor(this.timerLeaseMs / 3))
+    );
+  }
+
+  // Write an active quiz to the live state store; a failed write must not stop the quiz.
+  // Participants are left out: they change through addQuizParticipant and
+  // removeQuizParticipant, which other workers may be running at the same time
+  async saveQuizState(quizId) {
+    const activeQuiz = this.activeQuizzes.get(quizId);
+    if (!activeQuiz) return;
+
+    const { participants, ...fields } = activeQuiz;
+    try {
+      await liveStateStore.update(activeQuiz.sessionId, 'quiz', quizId, fields, this.stateTtl);
+    } catch (error) {
+      logError('Quiz state save error', error, { quizId, sessionId: activeQuiz.sessionId });
+    }
+  }
+
+  async addQuizParticipant(quizId, userId) {
+    const activeQuiz = this.activeQuizzes.get(quizId);
+    if (!activeQuiz) return;
+
+    try {
+      await liveStateStore.addToSet(activeQuiz.sessionId, 'quiz', quizId, 'participants', userId);
+    } catch (error) {
+      logError('Quiz participant save error', error, { quizId, sessionId: activeQuiz.sessionId });
+    }
+  }
+
+  async removeQuizParticipant(quizId, userId) {
+    const activeQuiz = this.activeQuizzes.get(quizId);
+    if (!activeQuiz) return;
+
+    try {
+      await liveStateStore.pull(activeQuiz.sessionId, 'quiz', quizId, 'participants', userId);
+    } catch (error) {
+      logError('Quiz participant delete error', error, { quizId, sessionId: activeQuiz.sessionId });
+    }
+  }
+
+  async removeQuizState(sessionId, quizId) {
+    try {
+      await liveStateStore.delete(sessionId, 'quiz', quizId);
+    } catch (error) {
+      logError('Quiz state delete error', error, { quizId, sessionId });
+    }
+  }
+
+  /**
+   * Restore active quizzes after a restart (call once the database is connected)
+   * Quizzes ended in the meantime are dropped. Question timers are picked up
+   * by syncQuestionTimers, which resumes them with the time that was left, or
+   * sends question_time_up straight away if the time ran out while the server
+   * was down; a timer still leased by the stopped process waits for its lease
+   * to expire
+   */
+  async rehydrate() {
+    this.startTimerSync();
+
+    const entries = await liveStateStore.list('quiz');
+    let restored = 0;
+
+    for (const { sessionId, key: quizId, data } of entries) {
+      const quiz = await Quiz.findById(quizId).select('status questions');
+      const question = quiz ? quiz.questions[data.currentQuestion] : null;
+      if (!quiz || quiz.status !== 'active' || !question) {
+        await this.removeQuizState(sessionId, quizId);
+        continue;
+      }
+
+      this.activeQuizzes.set(quizId, {
+        ...data,
+        sessionId,
+        participants: new Set(data.participants || [])
+      });
+      restored++;
+    }
+
+    logInfo('Active quizzes restored', { quizzes: restored, dropped: entries.length - restored });
 
-    this.quizTimers.set(quizId, timer);
+    await this.syncQuestionTimers();
   }
 
   // Clear quiz timer
   clearQuizTimer(quizId) {
-    const timer = this.quizTimers.get(quizId);
-    if (timer) {
-      clearTimeout(timer);
+    const running = this.quizTimers.get(quizId);
+    if (running) {
+      clearTimeout(running.timer);
       this.quizTimers.delete(quizId);
     }
   }
@@ -486,6 +762,7 @@ class QuizSocketHandler {
       if (now - quiz.startTime > timeout) {
         this.activeQuizzes.delete(quizId);
         this.clearQuizTimer(quizId);
+        this.removeQuizState(quiz.sessionId, quizId);
       }
     });
   }
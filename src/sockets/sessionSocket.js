@@ -0,0 +1,175 @@
+const Session = require('../models/Session');
+const jobQueue = require('../services/jobQueue');
+const mediaProcessingService = require('../services/mediaProcessingService');
+const sessionScheduler = require('../services/sessionScheduler');
+const waitlistService = require('../services/waitlistService');
+const { socketLogger, socketErrorLogger, logError } = require('../utils/logger');
+const { socketSuccess, socketError } = require('../utils/response');
+
+/**
+ * Session-wide events that are not tied to one feature room
+ * Background media processing progress for uploaded files, the status
+ * changes announced by the session scheduler (session_started, session_ended,
+ * session_missed) and waitlist changes (waitlist_updated)
+ */
+class SessionSocketHandler {
+  constructor(io) {
+    this.io = io;
+    sessionScheduler.attach(io);
+    waitlistService.attach(io);
+    this.setupEventHandlers();
+    this.setupJobEvents();
+  }
+
+  setupEventHandlers() {
+    this.io.on('connection', (socket) => {
+      // Join session room
+      socket.on('join_session_room', async (data) => {
+        try {
+          const { sessionId } = data || {};
+
+          if (!sessionId) {
+            socket.emit('session_error', socketError('Session ID is required'));
+            return;
+          }
+
+          // Verify session exists and user has access
+          const session = await this.verifySessionAccess(sessionId, socket.userId);
+          if (!session) {
+            socket.emit('session_error', socketError('Access denied to session'));
+            return;
+          }
+
+          socket.join(`session_${sessionId}`);
+
+          socket.emit('session_room_joined', socketSuccess('Joined session room successfully', {
+            sessionId
+          }));
+
+          socketLogger(socket, 'join_session_room', { sessionId });
+        } catch (error) {
+          socketErrorLogger(socket, error, 'join_session_room');
+          socket.emit('session_error', socketError('Failed to join session room'));
+        }
+      });
+
+      // Leave session room
+      socket.on('leave_session_room', async (data) => {
+        try {
+          const { sessionId } = data || {};
+          if (sessionId) {
+            socket.leave(`session_${sessionId}`);
+            socketLogger(socket, 'leave_session_room', { sessionId });
+          }
+        } catch (error) {
+          socketErrorLogger(socket, error, 'leave_session_room');
+        }
+      });
+    });
+  }
+
+  // Forward media processing job events to the session room
+  setupJobEvents() {
+    jobQueue.on('job:queued', (job) => {
+      if (!this.isMediaJob(job)) return;
+      this.emitProgress(job, { status: 'queued', percent: 0, stage: null });
+    });
+
+    jobQueue.on('job:progress', (job, progress) => {
+      if (!this.isMediaJob(job)) return;
+      this.emitProgress(job, {
+        status: 'processing',
+        percent: progress.percent,
+        stage: progress.stage
+      });
+    });
+
+    jobQueue.on('job:retrying', (job, error) => {
+      if (!this.isMediaJob(job)) return;
+      this.emitProgress(job, {
+        status: 'queued',
+        percent: 0,
+        stage: null,
+        error: error.message,
+        willRetry: true
+      });
+    });
+
+    jobQueue.on('job:failed', (job, error) => {
+      if (!this.isMediaJob(job)) return;
+      this.emitProgress(job, {
+        status: 'failed',
+        percent: 0,
+        stage: null,
+        error: error.message,
+        willRetry: false
+      });
+    });
+
+    jobQueue.on('job:completed', async (job) => {
+      if (!this.isMediaJob(job)) return;
+
+      try {
+        const session = await Session.findById(job.session);
+        const file = session && mediaProcessingService.findFile(session, job.fileType, job.fileId);
+
+        // File was deleted while it was being processed
+        if (!file) return;
+
+        this.io.to(`session_${job.session}`).emit('media_ready', {
+          sessionId: job.session.toString(),
+          fileType: job.fileType,
+          fileId: job.fileId.toString(),
+          jobId: job._id.toString(),
+          file: file.toObject(),
+          timestamp: Date.now()
+        });
+      } catch (error) {
+        logError('media_ready emit error', error, { jobId: job._id });
+      }
+    });
+  }
+
+  isMediaJob(job) {
+    return !!(job.session && job.fileType && job.fileId);
+  }
+
+  emitProgress(job, data) {
+    this.io.to(`session_${job.session}`).emit('media_processing_progress', {
+      sessionId: job.session.toString(),
+      fileType: job.fileType,
+      fileId: job.fileId.toString(),
+      jobId: job._id.toString(),
+      attempt: job.attempts,
+      maxAttempts: job.maxAttempts,
+      ...data,
+      timestamp: Date.now()
+    });
+  }
+
+  // Verify session access
+  async verifySessionAccess(sessionId, userId) {
+    try {
+      const session = await Session.findById(sessionId);
+
+      if (!session) {
+        return null;
+      }
+
+      // Check if user is teacher or student
+      const isTeacher = session.teacher.toString() === userId.toString();
+      const isStudent = session.students.some(student => student.toString() === userId.toString());
+
+      if (!isTeacher && !isStudent) {
+        return null;
+      }
+
+      return session;
+    } catch (error) {
+      logError('Session access verification error', error, { sessionId, userId });
+      return null;
+    }
+  }
+}
+
+module.exports = SessionSocketHandler;
@@ -1,11 +1,24 @@
 const Session = require('../models/Session');
-const { socketLogger, socketErrorLogger } = require('../utils/logger');
+const attendanceService = require('../services/attendanceService');
+const storageUtils = require('../utils/storageUtils');
+const documentConversionUtils = require('../utils/documentConversionUtils');
+const liveStateStore = require('../config/liveState');
+const { socketLogger, socketErrorLogger, logInfo, logError } = require('../utils/logger');
 const { socketSuccess, socketError } = require('../utils/response');
 
+/**
+ * Slide Socket Handler
+ * The teacher's position is a (slideId, pageNumber) pair, so a multi-page PDF
+ * or converted deck is navigated page by page. Slides without rendered pages
+ * (images, or files still processing) count as a single page. Positions are
+ * written through to the live state store and restored on startup.
+ */
 class SlideSocketHandler {
   constructor(io) {
     this.io = io;
-    this.currentSlides = new Map(); // Store current slide for each session
+    this.currentSlides = new Map(); // sessionId -> { slideId, pageNumber }
+    this.pageImageResolution = 'low'; // broadcast to every student, so keep it light
+    this.stateTtl = 12 * 60 * 60; // seconds a position is kept without changes
     this.setupEventHandlers();
   }
 
@@ -33,16 +46,17 @@ class SlideSocketHandler {
           // Join the slide room
           socket.join(`slide_${sessionId}`);
           socket.sessionId = sessionId;
+          await attendanceService.join(socket, session, 'slide');
 
           // Get current slide and slides list
-          const currentSlide = this.currentSlides.get(sessionId) || 0;
           const slides = session.slides || [];
+          await this.refreshPosition(sessionId);
+          const state = await this.buildSlideState(sessionId, slides, this.getPosition(sessionId, slides));
 
           socket.emit('slide_room_joined', socketSuccess('Joined slide room successfully', {
-            sessionId,
-            currentSlide: currentSlide,
-            slides: slides,
-            totalSlides: slides.length
+            ...state,
+            currentSlide: state.slideIndex,
+            slides: slides
           }));
 
           socketLogger(socket, 'join_slide_room', { sessionId });
@@ -59,6 +73,7 @@ class SlideSocketHandler {
           
           if (socket.sessionId) {
             socket.leave(`slide_${sessionId}`);
+            await attendanceService.leave(socket, sessionId, 'slide');
             socketLogger(socket, 'leave_slide_room', { sessionId });
           }
         } catch (error) {
@@ -69,7 +84,7 @@ class SlideSocketHandler {
       // Change slide (teacher only)
       socket.on('change_slide', async (data) => {
         try {
-          const { sessionId, slideIndex } = data;
+          const { sessionId, slideId, slideIndex } = data;
           
           if (!socket.sessionId || socket.sessionId !== sessionId) {
             socket.emit('slide_error', socketError('Not in slide room for this session'));
@@ -87,31 +102,29 @@ class SlideSocketHandler {
             return;
           }
 
+          // Slides are addressed by id; slideIndex is still accepted from older clients
           const slides = session.slides || [];
-          if (slideIndex < 0 || slideIndex >= slides.length) {
-            socket.emit('slide_error', socketError('Invalid slide index'));
+          const slide = slideId
+            ? slides.find(entry => entry._id.toString() === slideId)
+            : slides[slideIndex];
+          if (!slide) {
+            socket.emit('slide_error', socketError(slideId ? 'Slide not found' : 'Invalid slide index'));
             return;
           }
 
-          // Update current slide
-          this.currentSlides.set(sessionId, slideIndex);
+          const pageNumber = data.pageNumber === undefined ? 1 : Number(data.pageNumber);
+          const pageCount = this.getPageCount(slide);
+          if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > pageCount) {
+            socket.emit('slide_error', socketError(`Invalid page number: slide has ${pageCount} page(s)`));
+            return;
+          }
 
-          // Broadcast slide change to all participants
-          this.io.to(`slide_${sessionId}`).emit('slide_changed', {
-            sessionId: sessionId,
-            slideIndex: slideIndex,
-            slide: slides[slideIndex],
-            totalSlides: slides.length,
-            changedBy: {
-              id: socket.userId,
-              name: socket.userName
-            },
-            changedAt: Date.now()
-          });
+          const state = await this.moveTo(socket, sessionId, slides, { slideId: slide._id.toString(), pageNumber });
 
           socketLogger(socket, 'change_slide', { 
             sessionId, 
-            slideIndex, 
+            slideId: state.slideId,
+            pageNumber,
             totalSlides: slides.length 
           });
         } catch (error) {
@@ -141,34 +154,22 @@ class SlideSocketHandler {
             return;
           }
 
+          // Next page of the current slide, or the first page of the next slide
           const slides = session.slides || [];
-          const currentSlide = this.currentSlides.get(sessionId) || 0;
-          const nextSlide = Math.min(currentSlide + 1, slides.length - 1);
+          await this.refreshPosition(sessionId);
+          const next = this.stepPosition(slides, this.getPosition(sessionId, slides), 1);
 
-          if (nextSlide === currentSlide) {
+          if (!next) {
             socket.emit('slide_error', socketError('Already at last slide'));
             return;
           }
 
-          // Update current slide
-          this.currentSlides.set(sessionId, nextSlide);
-
-          // Broadcast slide change to all participants
-          this.io.to(`slide_${sessionId}`).emit('slide_changed', {
-            sessionId: sessionId,
-            slideIndex: nextSlide,
-            slide: slides[nextSlide],
-            totalSlides: slides.length,
-            changedBy: {
-              id: socket.userId,
-              name: socket.userName
-            },
-            changedAt: Date.now()
-          });
+          const state = await this.moveTo(socket, sessionId, slides, next);
 
           socketLogger(socket, 'next_slide', { 
             sessionId, 
-            slideIndex: nextSlide, 
+            slideIndex: state.slideIndex, 
+            pageNumber: state.pageNumber,
             totalSlides: slides.length 
           });
         } catch (error) {
@@ -198,34 +199,22 @@ class SlideSocketHandler {
             return;
           }
 
+          // Previous page of the current slide, or the last page of the previous slide
           const slides = session.slides || [];
-          const currentSlide = this.currentSlides.get(sessionId) || 0;
-          const previousSlide = Math.max(currentSlide - 1, 0);
+          await this.refreshPosition(sessionId);
+          const previous = this.stepPosition(slides, this.getPosition(sessionId, slides), -1);
 
-          if (previousSlide === currentSlide) {
+          if (!previous) {
             socket.emit('slide_error', socketError('Already at first slide'));
             return;
           }
 
-          // Update current slide
-          this.currentSlides.set(sessionId, previousSlide);
-
-          // Broadcast slide change to all participants
-          this.io.to(`slide_${sessionId}`).emit('slide_changed', {
-            sessionId: sessionId,
-            slideIndex: previousSlide,
-            slide: slides[previousSlide],
-            totalSlides: slides.length,
-            changedBy: {
-              id: socket.userId,
-              name: socket.userName
-            },
-            changedAt: Date.now()
-          });
+          const state = await this.moveTo(socket, sessionId, slides, previous);
 
           socketLogger(socket, 'previous_slide', { 
             sessionId, 
-            slideIndex: previousSlide, 
+            slideIndex: state.slideIndex, 
+            pageNumber: state.pageNumber,
             totalSlides: slides.length 
           });
         } catch (error) {
@@ -261,21 +250,7 @@ class SlideSocketHandler {
             return;
           }
 
-          // Update current slide
-          this.currentSlides.set(sessionId, 0);
-
-          // Broadcast slide change to all participants
-          this.io.to(`slide_${sessionId}`).emit('slide_changed', {
-            sessionId: sessionId,
-            slideIndex: 0,
-            slide: slides[0],
-            totalSlides: slides.length,
-            changedBy: {
-              id: socket.userId,
-              name: socket.userName
-            },
-            changedAt: Date.now()
-          });
+          await this.moveTo(socket, sessionId, slides, { slideId: slides[0]._id.toString(), pageNumber: 1 });
 
           socketLogger(socket, 'first_slide', { 
             sessionId, 
@@ -314,22 +289,13 @@ class SlideSocketHandler {
             return;
           }
 
+          // Last page of the last slide
           const lastSlideIndex = slides.length - 1;
+          const lastSlide = slides[lastSlideIndex];
 
-          // Update current slide
-          this.currentSlides.set(sessionId, lastSlideIndex);
-
-          // Broadcast slide change to all participants
-          this.io.to(`slide_${sessionId}`).emit('slide_changed', {
-            sessionId: sessionId,
-            slideIndex: lastSlideIndex,
-            slide: slides[lastSlideIndex],
-            totalSlides: slides.length,
-            changedBy: {
-              id: socket.userId,
-              name: socket.userName
-            },
-            changedAt: Date.now()
+          await this.moveTo(socket, sessionId, slides, {
+            slideId: lastSlide._id.toString(),
+            pageNumber: this.getPageCount(lastSlide)
           });
 
           socketLogger(socket, 'last_slide', { 
@@ -360,16 +326,15 @@ class SlideSocketHandler {
           }
 
           const slides = session.slides || [];
-          const currentSlide = this.currentSlides.get(sessionId) || 0;
+          await this.refreshPosition(sessionId);
+          const state = await this.buildSlideState(sessionId, slides, this.getPosition(sessionId, slides));
 
           socket.emit('current_slide', {
-            sessionId: sessionId,
-            currentSlide: currentSlide,
-            slide: slides[currentSlide] || null,
-            totalSlides: slides.length
+            ...state,
+            currentSlide: state.slideIndex
           });
 
-          socketLogger(socket, 'get_current_slide', { sessionId, currentSlide });
+          socketLogger(socket, 'get_current_slide', { sessionId, slideId: state.slideId, pageNumber: state.pageNumber });
         } catch (error) {
           socketErrorLogger(socket, error, 'get_current_slide');
           socket.emit('slide_error', socketError('Failed to get current slide'));
@@ -393,12 +358,15 @@ class SlideSocketHandler {
           }
 
           const slides = session.slides || [];
-          const currentSlide = this.currentSlides.get(sessionId) || 0;
+          await this.refreshPosition(sessionId);
+          const position = this.getPosition(sessionId, slides);
 
           socket.emit('slides_list', {
             sessionId: sessionId,
             slides: slides,
-            currentSlide: currentSlide,
+            currentSlide: position ? position.slideIndex : 0,
+            currentSlideId: position ? position.slideId : null,
+            currentPage: position ? position.pageNumber : null,
             totalSlides: slides.length
           });
 
@@ -448,14 +416,176 @@ class SlideSocketHandler {
     }
   }
 
-  // Get current slide for session
+  // Pages of a slide; anything without rendered pages is shown as one page
+  getPageCount(slide) {
+    return slide.pageCount > 0 ? slide.pageCount : 1;
+  }
+
+  /**
+   * Current position in a session, checked against its slides
+   * Falls back to the first page of the first slide when nothing was shown yet
+   * or the slide shown was deleted; a page past the end (re-processed file) is clamped
+   * @param {string} sessionId - Session ID
+   * @param {Array} slides - Session slides
+   * @returns {Object|null} { slideId, slideIndex, pageNumber }, null if there are no slides
+   */
+  getPosition(sessionId, slides) {
+    if (slides.length === 0) return null;
+
+    const current = this.currentSlides.get(sessionId);
+    const slideIndex = current
+      ? slides.findIndex(slide => slide._id.toString() === current.slideId)
+      : -1;
+
+    if (slideIndex === -1) {
+      return { slideId: slides[0]._id.toString(), slideIndex: 0, pageNumber: 1 };
+    }
+
+    return {
+      slideId: current.slideId,
+      slideIndex,
+      pageNumber: Math.min(current.pageNumber, this.getPageCount(slides[slideIndex]))
+    };
+  }
+
+  /**
+   * Position one page forward or back, crossing into the neighbouring slide at either end
+   * @param {Array} slides - Session slides
+   * @param {Object|null} position - Current position from getPosition()
+   * @param {number} direction - 1 for next, -1 for previous
+   * @returns {Object|null} { slideId, pageNumber }, null at the start or end of the deck
+   */
+  stepPosition(slides, position, direction) {
+    if (!position) return null;
+
+    const pageNumber = position.pageNumber + direction;
+    if (pageNumber >= 1 && pageNumber <= this.getPageCount(slides[position.slideIndex])) {
+      return { slideId: position.slideId, pageNumber };
+    }
+
+    const slide = slides[position.slideIndex + direction];
+    if (!slide) return null;
+
+    return {
+      slideId: slide._id.toString(),
+      pageNumber: direction > 0 ? 1 : this.getPageCount(slide)
+    };
+  }
+
+  /**
+   * Slide state sent to clients, with a signed URL for the current page's image
+   * pageImage is null for slides without rendered pages; clients show the slide file instead
+   * @param {string} sessionId - Session ID
+   * @param {Array} slides - Session slides
+   * @param {Object|null} position - { slideId, pageNumber }
+   * @returns {Promise<Object>} Slide state
+   */
+  async buildSlideState(sessionId, slides, position) {
+    const slideIndex = position ? slides.findIndex(slide => slide._id.toString() === position.slideId) : -1;
+    const slide = slideIndex === -1 ? null : slides[slideIndex];
+
+    const state = {
+      sessionId,
+      slideId: slide ? position.slideId : null,
+      slideIndex: slideIndex === -1 ? 0 : slideIndex,
+      pageNumber: slide ? position.pageNumber : null,
+      pageCount: slide ? this.getPageCount(slide) : 0,
+      slide,
+      totalSlides: slides.length,
+      pageImage: null
+    };
+
+    if (slide) {
+      state.pageImage = await this.getPageImage(slide, position.pageNumber);
+    }
+
+    return state;
+  }
+
+  // Signed WebP and JPEG URLs of one rendered page, null if the slide has no page images
+  async getPageImage(slide, pageNumber) {
+    const resolution = this.pageImageResolution;
+    const webp = documentConversionUtils.getPageImage(slide, pageNumber, resolution, 'webp');
+    const jpeg = documentConversionUtils.getPageImage(slide, pageNumber, resolution, 'jpeg');
+    if (!webp && !jpeg) return null;
+
+    const images = [webp, jpeg].filter(Boolean);
+    const signedUrls = await storageUtils.generateMultipleSignedUrls(
+      images.map(image => ({ fileName: image.fileName, type: 'image', quality: image.format })),
+      'slide'
+    );
+    if (!signedUrls.success) return null;
+
+    const image = webp || jpeg;
+    return {
+      resolution,
+      width: image.width,
+      height: image.height,
+      webpUrl: webp ? signedUrls.urlsByFileName[webp.fileName]?.url || null : null,
+      jpegUrl: jpeg ? signedUrls.urlsByFileName[jpeg.fileName]?.url || null : null,
+      expiresAt: signedUrls.expiresAt
+    };
+  }
+
+  // Store the new position and broadcast it to everyone in the slide room
+  async moveTo(socket, sessionId, slides, position) {
+    this.currentSlides.set(sessionId, { slideId: position.slideId, pageNumber: position.pageNumber });
+    await this.saveState(sessionId);
+
+    const state = await this.buildSlideState(sessionId, slides, position);
+
+    this.io.to(`slide_${sessionId}`).emit('slide_changed', {
+      ...state,
+      changedBy: {
+        id: socket.userId,
+        name: socket.userName
+      },
+      changedAt: Date.now()
+    });
+
+    return state;
+  }
+
+  // Write a session's position to the live state store; a failed write must not stop the class
+  async saveState(sessionId) {
+    try {
+      await liveStateStore.set(sessionId, 'slide', 'current', this.currentSlides.get(sessionId), this.stateTtl);
+    } catch (error) {
+      logError('Slide state save error', error, { sessionId });
+    }
+  }
+
+  // Pick up the position saved by another worker (the teacher may be connected to a different process)
+  async refreshPosition(sessionId) {
+    try {
+      const data = await liveStateStore.get(sessionId, 'slide', 'current');
+      if (data) {
+        this.currentSlides.set(sessionId, { slideId: data.slideId, pageNumber: data.pageNumber || 1 });
+      }
+    } catch (error) {
+      logError('Slide state load error', error, { sessionId });
+    }
+  }
+
+  // Restore the positions of running classes after a restart (call once the database is connected)
+  async rehydrate() {
+    const entries = await liveStateStore.list('slide');
+    entries.forEach(({ sessionId, data }) => {
+      this.currentSlides.set(sessionId, { slideId: data.slideId, pageNumber: data.pageNumber || 1 });
+    });
+
+    logInfo('Slide positions restored', { sessions: entries.length });
+  }
+
+  // Get current slide position for session ({ slideId, pageNumber } or undefined)
   getCurrentSlide(sessionId) {
-    return this.currentSlides.get(sessionId) || 0;
+    return this.currentSlides.get(sessionId);
   }
 
-  // Set current slide for session
-  setCurrentSlide(sessionId, slideIndex) {
-    this.currentSlides.set(sessionId, slideIndex);
+  // Set current slide position for session
+  async setCurrentSlide(sessionId, slideId, pageNumber = 1) {
+    this.currentSlides.set(sessionId, { slideId: slideId.toString(), pageNumber });
+    await this.saveState(sessionId);
   }
 
   // Clean up inactive sessions
@@ -0,0 +1,333 @@
+const Session = require('../models/Session');
+const webrtcConfig = require('../config/webrtc');
+const { socketLogger, socketErrorLogger } = require('../utils/logger');
+const { socketSuccess, socketError } = require('../utils/response');
+
+/**
+ * WebRTC Signaling Handler
+ * Media flows between browsers (directly or through TURN); the server only
+ * passes offers, answers and ICE candidates between peers of a session room.
+ * A peer is one socket, so a user with two tabs is two peers. The teacher may
+ * connect to anyone, students only to the teacher.
+ *
+ * Peer details live in socket.data, which fetchSockets() also returns for
+ * sockets on other server processes, so signaling works across a cluster.
+ */
+class WebRTCSocketHandler {
+  constructor(io) {
+    this.io = io;
+    this.maxSdpLength = 64 * 1024; // a video offer with simulcast is ~10KB
+    this.maxCandidateLength = 1024;
+    this.setupEventHandlers();
+  }
+
+  setupEventHandlers() {
+    this.io.on('connection', (socket) => {
+      // Peers this socket has already signaled to: peerId -> peer details
+      socket.webrtcPeers = new Map();
+
+      // Join WebRTC room for session
+      socket.on('join_webrtc', async (data) => {
+        try {
+          const { sessionId, media = {} } = data || {};
+
+          if (!sessionId) {
+            socket.emit('webrtc_error', socketError('Session ID is required'));
+            return;
+          }
+
+          // Verify session exists and user has access
+          const session = await this.verifySessionAccess(sessionId, socket.userId);
+          if (!session) {
+            socket.emit('webrtc_error', socketError('Access denied to session'));
+            return;
+          }
+
+          if (['ended', 'cancelled', 'missed'].includes(session.status)) {
+            socket.emit('webrtc_error', socketError('Session is not running'));
+            return;
+          }
+
+          if (socket.data.webrtc && socket.data.webrtc.sessionId !== sessionId) {
+            this.leaveRoom(socket);
+          }
+
+          const peer = {
+            peerId: socket.id,
+            sessionId,
+            userId: socket.userId,
+            userName: socket.userName,
+            role: session.teacher._id.toString() === socket.userId.toString() ? 'teacher' : 'student',
+            media: {
+              audio: Boolean(media.audio),
+              video: Boolean(media.video)
+            },
+            joinedAt: Date.now()
+          };
+
+          socket.data.webrtc = peer;
+          socket.join(`webrtc_${sessionId}`);
+
+          socket.emit('webrtc_joined', socketSuccess('Joined WebRTC room successfully', {
+            sessionId,
+            peerId: socket.id,
+            role: peer.role,
+            peers: await this.getPeers(sessionId, socket.id),
+            ...webrtcConfig.getIceServers(socket.userId)
+          }));
+
+          // Existing peers wait for the newcomer's offer
+          socket.to(`webrtc_${sessionId}`).emit('webrtc_peer_joined', peer);
+
+          socketLogger(socket, 'join_webrtc', { sessionId, role: peer.role });
+        } catch (error) {
+          socketErrorLogger(socket, error, 'join_webrtc');
+          socket.emit('webrtc_error', socketError('Failed to join WebRTC room'));
+        }
+      });
+
+      // Leave WebRTC room
+      socket.on('leave_webrtc', async (data) => {
+        try {
+          const { sessionId } = data || {};
+
+          if (socket.data.webrtc && socket.data.webrtc.sessionId === sessionId) {
+            this.leaveRoom(socket);
+            socketLogger(socket, 'leave_webrtc', { sessionId });
+          }
+        } catch (error) {
+          socketErrorLogger(socket, error, 'leave_webrtc');
+        }
+      });
+
+      // Fresh TURN credentials for a long class (the previous ones are about to expire)
+      socket.on('get_ice_servers', async () => {
+        try {
+          socket.emit('webrtc_ice_servers', socketSuccess('ICE servers retrieved successfully',
+            webrtcConfig.getIceServers(socket.userId)));
+        } catch (error) {
+          socketErrorLogger(socket, error, 'get_ice_servers');
+          socket.emit('webrtc_error', socketError('Failed to get ICE servers'));
+        }
+      });
+
+      // SDP offer, also sent again with renegotiation: true when tracks are added or removed
+      socket.on('webrtc_offer', async (data) => {
+        try {
+          const { description, renegotiation } = data || {};
+
+          if (!this.isValidDescription(description, 'offer')) {
+            socket.emit('webrtc_error', socketError('Invalid offer'));
+            return;
+          }
+
+          if (await this.relay(socket, 'webrtc_offer', data, { description, renegotiation: Boolean(renegotiation) }, true)) {
+            socketLogger(socket, 'webrtc_offer', { sessionId: data.sessionId, targetPeerId: data.targetPeerId, renegotiation: Boolean(renegotiation) });
+          }
+        } catch (error) {
+          socketErrorLogger(socket, error, 'webrtc_offer');
+          socket.emit('webrtc_error', socketError('Failed to send offer'));
+        }
+      });
+
+      // SDP answer
+      socket.on('webrtc_answer', async (data) => {
+        try {
+          const { description } = data || {};
+
+          if (!this.isValidDescription(description, 'answer')) {
+            socket.emit('webrtc_error', socketError('Invalid answer'));
+            return;
+          }
+
+          if (await this.relay(socket, 'webrtc_answer', data, { description })) {
+            socketLogger(socket, 'webrtc_answer', { sessionId: data.sessionId, targetPeerId: data.targetPeerId });
+          }
+        } catch (error) {
+          socketErrorLogger(socket, error, 'webrtc_answer');
+          socket.emit('webrtc_error', socketError('Failed to send answer'));
+        }
+      });
+
+      // ICE candidate (null marks the end of candidates); not logged, there are dozens per connection
+      socket.on('webrtc_ice_candidate', async (data) => {
+        try {
+          const { candidate } = data || {};
+
+          if (!this.isValidCandidate(candidate)) {
+            socket.emit('webrtc_error', socketError('Invalid ICE candidate'));
+            return;
+          }
+
+          await this.relay(socket, 'webrtc_ice_candidate', data, { candidate });
+        } catch (error) {
+          socketErrorLogger(socket, error, 'webrtc_ice_candidate');
+          socket.emit('webrtc_error', socketError('Failed to send ICE candidate'));
+        }
+      });
+
+      // Ask the other side to send a new offer (e.g. the answering peer wants to start its camera)
+      socket.on('webrtc_renegotiate', async (data) => {
+        try {
+          const { reason } = data || {};
+
+          if (await this.relay(socket, 'webrtc_renegotiate', data, { reason: reason ? String(reason).substring(0, 100) : null })) {
+            socketLogger(socket, 'webrtc_renegotiate', { sessionId: data.sessionId, targetPeerId: data.targetPeerId });
+          }
+        } catch (error) {
+          socketErrorLogger(socket, error, 'webrtc_renegotiate');
+          socket.emit('webrtc_error', socketError('Failed to request renegotiation'));
+        }
+      });
+
+      // Handle disconnection
+      socket.on('disconnect', async () => {
+        try {
+          if (socket.data.webrtc) {
+            const { sessionId } = socket.data.webrtc;
+            this.leaveRoom(socket);
+            socketLogger(socket, 'webrtc_disconnect', { sessionId });
+          }
+        } catch (error) {
+          socketErrorLogger(socket, error, 'webrtc_disconnect');
+        }
+      });
+    });
+  }
+
+  /**
+   * Forward a signaling message to one peer of the sender's session
+   * @param {Object} socket - Sending socket
+   * @param {string} event - Event emitted to the target
+   * @param {Object} data - Client data ({ sessionId, targetPeerId })
+   * @param {Object} payload - Fields forwarded to the target
+   * @param {boolean} refresh - Look the target up again instead of trusting the cache
+   * @returns {Promise<boolean>} True if forwarded; otherwise the sender got a webrtc_error
+   */
+  async relay(socket, event, data, payload, refresh = false) {
+    const { sessionId, targetPeerId } = data || {};
+    const peer = socket.data.webrtc;
+
+    if (!peer || peer.sessionId !== sessionId) {
+      socket.emit('webrtc_error', socketError('Not in WebRTC room for this session'));
+      return false;
+    }
+
+    if (!targetPeerId || targetPeerId === socket.id) {
+      socket.emit('webrtc_error', socketError('Target peer ID is required'));
+      return false;
+    }
+
+    const target = await this.resolvePeer(socket, targetPeerId, refresh);
+    if (!target) {
+      socket.emit('webrtc_error', socketError('Target peer is not in this session', { targetPeerId }));
+      return false;
+    }
+
+    if (!this.canConnect(peer, target)) {
+      socket.emit('webrtc_error', socketError('Students can only connect to the teacher', { targetPeerId }));
+      return false;
+    }
+
+    this.io.to(targetPeerId).emit(event, {
+      sessionId,
+      fromPeerId: socket.id,
+      fromUserId: socket.userId,
+      fromUserName: socket.userName,
+      fromRole: peer.role,
+      ...payload,
+      timestamp: Date.now()
+    });
+
+    return true;
+  }
+
+  // Details of a peer in the sender's session (it may be connected to another
+  // server process). Offers refresh the lookup, the candidates that follow reuse it.
+  async resolvePeer(socket, targetPeerId, refresh = false) {
+    const cached = socket.webrtcPeers.get(targetPeerId);
+    if (cached && !refresh) return cached;
+
+    const [target] = await this.io.in(targetPeerId).fetchSockets();
+    const peer = target && target.data.webrtc;
+    if (!peer || peer.sessionId !== socket.data.webrtc.sessionId) {
+      socket.webrtcPeers.delete(targetPeerId);
+      return null;
+    }
+
+    socket.webrtcPeers.set(targetPeerId, peer);
+    return peer;
+  }
+
+  // The teacher talks to everyone, students to the teacher only
+  canConnect(peer, target) {
+    return peer.role === 'teacher' || target.role === 'teacher';
+  }
+
+  isValidDescription(description, type) {
+    return Boolean(description) &&
+      description.type === type &&
+      typeof description.sdp === 'string' &&
+      description.sdp.length > 0 &&
+      description.sdp.length <= this.maxSdpLength;
+  }
+
+  isValidCandidate(candidate) {
+    if (candidate === null) return true;
+    return Boolean(candidate) &&
+      typeof candidate.candidate === 'string' &&
+      candidate.candidate.length <= this.maxCandidateLength;
+  }
+
+  // Peers of a session across all server processes, except the given socket
+  async getPeers(sessionId, exceptPeerId) {
+    const sockets = await this.io.in(`webrtc_${sessionId}`).fetchSockets();
+    return sockets
+      .filter(peerSocket => peerSocket.id !== exceptPeerId && peerSocket.data.webrtc)
+      .map(peerSocket => peerSocket.data.webrtc);
+  }
+
+  // Leave the current WebRTC room and tell the other peers to close their connections
+  leaveRoom(socket) {
+    const { sessionId } = socket.data.webrtc;
+
+    socket.leave(`webrtc_${sessionId}`);
+    socket.to(`webrtc_${sessionId}`).emit('webrtc_peer_left', {
+      peerId: socket.id,
+      userId: socket.userId,
+      userName: socket.userName,
+      timestamp: Date.now()
+    });
+
+    socket.data.webrtc = null;
+    socket.webrtcPeers.clear();
+  }
+
+  // Verify session access
+  async verifySessionAccess(sessionId, userId) {
+    try {
+      const session = await Session.findById(sessionId)
+        .populate('teacher', 'name')
+        .populate('students', 'name');
+
+      if (!session) {
+        return null;
+      }
+
+      // Check if user is teacher or student
+      const isTeacher = session.teacher._id.toString() === userId.toString();
+      const isStudent = session.students.some(student => student._id.toString() === userId.toString());
+
+      if (!isTeacher && !isStudent) {
+        return null;
+      }
+
+      return session;
+    } catch (error) {
+      socketErrorLogger(null, error, 'verifySessionAccess');
+      return null;
+    }
+  }
+}
+
+module.exports = WebRTCSocketHandler;
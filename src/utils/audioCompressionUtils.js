@@ -188,36 +188,24 @@ class AudioCompressionUtils {
   }
 
   /**
-   * Compress audio specifically for speech content
-   * Optimized for voice recordings and lectures
-   * @param {Buffer} audioBuffer - Original audio buffer
-   * @param {string} originalName - Original file name
-   * @param {string} mimeType - Audio MIME type
-   * @returns {Promise<Object>} Compression result
+   * Compress an audio file on disk specifically for speech content
+   * Optimized for voice recordings and lectures; memory use does not grow with the file size
+   * @param {string} inputPath - Audio file path
+   * @param {string} outputPath - Compressed output path
+   * @param {string} originalName - Original file name (for logging)
+   * @param {Function} onProgress - Optional callback receiving percent complete (0-100)
+   * @returns {Promise<Object>} Compression result with outputPath
    */
-  async compressForSpeech(audioBuffer, originalName, mimeType) {
-    const tempInputPath = path.join(this.tempDir, `input_${Date.now()}${path.extname(originalName)}`);
-    const tempOutputPath = path.join(this.tempDir, `speech_${Date.now()}.m4a`);
-
+  async compressFileForSpeech(inputPath, outputPath, originalName, onProgress = null) {
     try {
-      // Write audio to temp file
-      fs.writeFileSync(tempInputPath, audioBuffer);
-
       // Get audio metadata
-      const metadata = await this.getAudioMetadata(tempInputPath);
+      const metadata = await this.getAudioMetadata(inputPath);
 
       // Speech-optimized compression
-      await this.performSpeechCompression(tempInputPath, tempOutputPath);
+      await this.performSpeechCompression(inputPath, outputPath, onProgress);
 
-      // Read compressed audio
-      const compressedBuffer = fs.readFileSync(tempOutputPath);
-
-      // Clean up temp files
-      this.cleanupFile(tempInputPath);
-      this.cleanupFile(tempOutputPath);
-
-      const originalSize = audioBuffer.length;
-      const compressedSize = compressedBuffer.length;
+      const originalSize = fs.statSync(inputPath).size;
+      const compressedSize = fs.statSync(outputPath).size;
       const compressionRatio = ((originalSize - compressedSize) / originalSize * 100).toFixed(2);
 
       logInfo('Speech-optimized audio compression completed', {
@@ -230,7 +218,7 @@ class AudioCompressionUtils {
 
       return {
         success: true,
-        buffer: compressedBuffer,
+        outputPath,
         compressed: true,
         originalSize,
         compressedSize,
@@ -246,8 +234,7 @@ class AudioCompressionUtils {
 
     } catch (error) {
       // Clean up on error
-      this.cleanupFile(tempInputPath);
-      this.cleanupFile(tempOutputPath);
+      this.cleanupFile(outputPath);
       
       logError('Speech audio compression error', error, { originalName });
       return {
@@ -257,13 +244,48 @@ class AudioCompressionUtils {
     }
   }
 
+  /**
+   * Compress audio specifically for speech content
+   * Buffer wrapper around compressFileForSpeech; prefer the path-based method for large files
+   * @param {Buffer} audioBuffer - Original audio buffer
+   * @param {string} originalName - Original file name
+   * @param {string} mimeType - Audio MIME type
+   * @param {Function} onProgress - Optional callback receiving percent complete (0-100)
+   * @returns {Promise<Object>} Compression result
+   */
+  async compressForSpeech(audioBuffer, originalName, mimeType, onProgress = null) {
+    const tempInputPath = path.join(this.tempDir, `input_${Date.now()}${path.extname(originalName)}`);
+    const tempOutputPath = path.join(this.tempDir, `speech_${Date.now()}.m4a`);
+
+    try {
+      // Write audio to temp file
+      fs.writeFileSync(tempInputPath, audioBuffer);
+
+      const result = await this.compressFileForSpeech(tempInputPath, tempOutputPath, originalName, onProgress);
+      if (!result.success) {
+        return result;
+      }
+
+      const { outputPath, ...details } = result;
+      return {
+        ...details,
+        buffer: fs.readFileSync(tempOutputPath)
+      };
+    } finally {
+      // Clean up temp files
+      this.cleanupFile(tempInputPath);
+      this.cleanupFile(tempOutputPath);
+    }
+  }
+
   /**
    * Perform speech-optimized compression
    * @param {string} inputPath - Input file path
    * @param {string} outputPath - Output file path
+   * @param {Function} onProgress - Optional callback receiving percent complete (0-100)
    * @returns {Promise<void>}
    */
-  async performSpeechCompression(inputPath, outputPath) {
+  async performSpeechCompression(inputPath, outputPath, onProgress = null) {
     return new Promise((resolve, reject) => {
       ffmpeg(inputPath)
         .audioCodec('aac')
@@ -280,6 +302,11 @@ class AudioCompressionUtils {
           '-af', 'loudnorm=I=-16:TP=-1.5:LRA=11'
         ])
         .output(outputPath)
+        .on('progress', (progress) => {
+          if (onProgress && progress.percent) {
+            onProgress(Math.min(100, progress.percent));
+          }
+        })
         .on('end', () => {
           logInfo('Speech-optimized compression completed', { inputPath, outputPath });
           resolve();
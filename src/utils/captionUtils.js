@@ -0,0 +1,218 @@
+/**
+ * Caption Utilities
+ * Parses SRT and WebVTT caption files, validates their cues and writes them
+ * back out as clean WebVTT, the only format browsers and HLS players accept.
+ */
+
+const TIMESTAMP_PATTERN = /^(?:(\d{1,2}):)?(\d{2}):(\d{2})[.,](\d{3})$/;
+const TIMING_PATTERN = /^(\S+)\s+-->\s+(\S+)(.*)$/;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+class CaptionUtils {
+  constructor() {
+    this.maxFileSize = 2 * 1024 * 1024; // 2MB, several hours of dense captions
+    this.maxErrors = 20; // stop listing problems after this many
+    this.contentType = 'text/vtt';
+    this.supportedFormats = ['srt', 'vtt'];
+    this.kinds = ['subtitles', 'captions'];
+  }
+
+  /**
+   * Work out the format from the file name, falling back to the contents
+   * @param {string} fileName - Uploaded file name
+   * @param {string} text - File contents
+   * @returns {string|null} 'srt', 'vtt' or null if neither
+   */
+  detectFormat(fileName, text) {
+    const extension = (fileName || '').split('.').pop().toLowerCase();
+    if (this.supportedFormats.includes(extension)) {
+      return extension;
+    }
+    if (/^WEBVTT/.test(text)) {
+      return 'vtt';
+    }
+    if (/^\s*\d+\s*\r?\n\d{2}:\d{2}:\d{2},\d{3}\s+-->/.test(text)) {
+      return 'srt';
+    }
+    return null;
+  }
+
+  // BCP 47 style tag such as 'en', 'sw' or 'pt-BR'
+  isValidLanguage(language) {
+    return LANGUAGE_PATTERN.test(language || '');
+  }
+
+  // Human readable name for a language tag ('sw' -> 'Swahili'), the tag itself if unknown
+  getLanguageLabel(language) {
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+    } catch (error) {
+      return language;
+    }
+  }
+
+  // '01:02:03,500' or '02:03.500' -> seconds, null if malformed
+  parseTimestamp(value) {
+    const match = TIMESTAMP_PATTERN.exec(value);
+    if (!match) return null;
+
+    const [, hours = '0', minutes, seconds, milliseconds] = match;
+    if (parseInt(minutes) > 59 || parseInt(seconds) > 59) return null;
+
+    return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseInt(seconds) + parseInt(milliseconds) / 1000;
+  }
+
+  // 3723.5 -> '01:02:03.500'
+  formatTimestamp(seconds) {
+    const totalMs = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor(totalMs % 3600000 / 60000);
+    const secs = Math.floor(totalMs % 60000 / 1000);
+    const ms = totalMs % 1000;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:` +
+      `${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+  }
+
+  /**
+   * Parse and validate a caption file
+   * @param {Buffer|string} content - File contents (UTF-8)
+   * @param {string} format - 'srt' or 'vtt'
+   * @returns {Object} { valid, errors, cues: [{ id, start, end, settings, text }], styles }
+   */
+  parse(content, format) {
+    const errors = [];
+    const cues = [];
+    const styles = [];
+    const addError = (message) => {
+      if (errors.length < this.maxErrors) errors.push(message);
+    };
+
+    const text = (Buffer.isBuffer(content) ? content.toString('utf8') : content)
+      .replace(/^\uFEFF/, '')
+      .replace(/\r\n?/g, '\n');
+
+    if (text.includes('\uFFFD')) {
+      addError('File must be UTF-8 encoded');
+    }
+
+    let blocks = text.split(/\n{2,}/).map(block => block.trim()).filter(Boolean);
+
+    if (format === 'vtt') {
+      if (!/^WEBVTT(?:[ \t].*)?$/.test((blocks[0] || '').split('\n')[0])) {
+        addError('WebVTT file must start with "WEBVTT"');
+        return { valid: false, errors, cues, styles };
+      }
+      blocks = blocks.slice(1);
+    }
+
+    let cueNumber = 0;
+    blocks.forEach(block => {
+      const lines = block.split('\n');
+
+      if (format === 'vtt') {
+        if (/^NOTE(\s|$)/.test(lines[0])) return;
+        if (/^(STYLE|REGION)(\s|$)/.test(lines[0])) {
+          styles.push(block);
+          return;
+        }
+      }
+
+      // Optional identifier line (the cue number in SRT)
+      const timingIndex = TIMING_PATTERN.test(lines[0]) ? 0 : 1;
+      const id = timingIndex === 1 ? lines[0].trim() : null;
+      const timing = TIMING_PATTERN.exec(lines[timingIndex] || '');
+      cueNumber++;
+      const position = id ? `cue "${id}"` : `cue ${cueNumber}`;
+
+      if (!timing) {
+        addError(`${position}: missing "start --> end" timing line`);
+        return;
+      }
+
+      const start = this.parseTimestamp(timing[1]);
+      const end = this.parseTimestamp(timing[2]);
+      if (start === null || end === null) {
+        addError(`${position}: invalid timestamp in "${lines[timingIndex]}"`);
+        return;
+      }
+      if (end <= start) {
+        addError(`${position}: ends before it starts`);
+        return;
+      }
+
+      const cueText = lines.slice(timingIndex + 1).join('\n').trim();
+      if (!cueText) {
+        addError(`${position}: has no text`);
+        return;
+      }
+
+      cues.push({
+        id: format === 'vtt' ? id : null, // SRT numbers carry no meaning once converted
+        start,
+        end,
+        // SRT has no cue settings; anything after the end time there is junk
+        settings: format === 'vtt' ? timing[3].trim() : '',
+        text: cueText
+      });
+    });
+
+    if (errors.length === 0 && cues.length === 0) {
+      addError('File contains no cues');
+    }
+
+    return { valid: errors.length === 0, errors, cues, styles };
+  }
+
+  /**
+   * Write cues as WebVTT
+   * @param {Object} parsed - Result of parse()
+   * @param {Array<string>} headers - Extra header lines after "WEBVTT" (e.g. X-TIMESTAMP-MAP)
+   * @returns {string} WebVTT text
+   */
+  toVtt(parsed, headers = []) {
+    const blocks = [['WEBVTT', ...headers].join('\n'), ...parsed.styles];
+
+    parsed.cues.forEach(cue => {
+      const lines = [];
+      if (cue.id) lines.push(cue.id);
+      lines.push(`${this.formatTimestamp(cue.start)} --> ${this.formatTimestamp(cue.end)}${cue.settings ? ' ' + cue.settings : ''}`);
+      lines.push(cue.text);
+      blocks.push(lines.join('\n'));
+    });
+
+    return blocks.join('\n\n') + '\n';
+  }
+
+  /**
+   * Parse, validate and convert an uploaded caption file to WebVTT
+   * @param {Buffer} buffer - Uploaded file
+   * @param {string} fileName - Uploaded file name
+   * @param {Array<string>} headers - Extra WebVTT header lines
+   * @returns {Object} { success, vtt, format, cueCount, duration } or { success: false, errors }
+   */
+  convertToVtt(buffer, fileName, headers = []) {
+    if (buffer.length > this.maxFileSize) {
+      return { success: false, errors: [`Caption file cannot exceed ${this.maxFileSize / (1024 * 1024)}MB`] };
+    }
+
+    const format = this.detectFormat(fileName, buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    if (!format) {
+      return { success: false, errors: ['Caption file must be SRT or WebVTT'] };
+    }
+
+    const parsed = this.parse(buffer, format);
+    if (!parsed.valid) {
+      return { success: false, format, errors: parsed.errors };
+    }
+
+    return {
+      success: true,
+      vtt: this.toVtt(parsed, headers),
+      format,
+      cueCount: parsed.cues.length,
+      duration: Math.max(...parsed.cues.map(cue => cue.end))
+    };
+  }
+}
+
+module.exports = new CaptionUtils();
@@ -1,6 +1,7 @@
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs');
+const renditionConfig = require('../config/renditions');
 const { logInfo, logError } = require('./logger');
 
 /**
@@ -11,6 +12,8 @@ const { logInfo, logError } = require('./logger');
 class CompressionUtils {
   constructor() {
     this.tempDir = path.join(__dirname, '../../temp');
+    // Seconds between forced keyframes, so versions can be cut into aligned HLS segments
+    this.keyframeInterval = parseInt(process.env.HLS_SEGMENT_DURATION) || 6;
     this.ensureTempDir();
   }
 
@@ -22,75 +25,36 @@ class CompressionUtils {
   }
 
   /**
-   * Get compression settings for different video qualities
-   * Optimized for rural/low-bandwidth environments
+   * Get compression settings for a video quality
+   * Settings come from the rendition ladder in config/renditions
+   * @param {string} quality - Rendition name (e.g. 240p)
+   * @returns {Object} Rendition settings; the default quality if the name is unknown
    */
   getCompressionSettings(quality) {
-    const settings = {
-      '240p': {
-        resolution: '426x240',
-        videoBitrate: '300k',
-        audioBitrate: '64k',
-        fps: 24,
-        preset: 'fast',
-        crf: 28,
-        maxrate: '400k',
-        bufsize: '800k'
-      },
-      '360p': {
-        resolution: '640x360',
-        videoBitrate: '600k',
-        audioBitrate: '96k',
-        fps: 24,
-        preset: 'fast',
-        crf: 26,
-        maxrate: '800k',
-        bufsize: '1200k'
-      }
-    };
-
-    return settings[quality] || settings['360p'];
+    return renditionConfig.getRendition(quality) || renditionConfig.getRendition(renditionConfig.defaultQuality);
   }
 
   /**
    * Compress video file from input path to output path
+   * Works on disk only, so memory use does not grow with the video size
    * @param {string} inputPath - Input video file path
    * @param {string} outputPath - Output video file path
-   * @param {string} quality - Target quality (240p or 360p)
-   * @returns {Promise<void>}
-   */
-  async compressVideoFile(inputPath, outputPath, quality = '360p') {
-    const settings = this.getCompressionSettings(quality);
-    return this.performCompression(inputPath, outputPath, settings);
-  }
-
-  /**
-   * Compress video to specified quality
-   * @param {Buffer} videoBuffer - Original video buffer
-   * @param {string} quality - Target quality (240p or 360p)
-   * @returns {Promise<Object>} Compression result
+   * @param {string} quality - Target quality (a rendition from config/renditions)
+   * @param {Function} onProgress - Optional callback receiving percent complete (0-100)
+   * @returns {Promise<Object>} Compression result with outputPath and size
    */
-  async compressVideo(videoBuffer, quality = '360p') {
-    const tempInputPath = path.join(this.tempDir, `input_${Date.now()}.mp4`);
-    const tempOutputPath = path.join(this.tempDir, `output_${Date.now()}_${quality}.mp4`);
-
+  async compressVideoFile(inputPath, outputPath, quality = '360p', onProgress = null) {
     try {
-      // Write input buffer to temp file
-      fs.writeFileSync(tempInputPath, videoBuffer);
-
       // Get video metadata first
-      const metadata = await this.getVideoMetadata(tempInputPath);
+      const metadata = await this.getVideoMetadata(inputPath);
       const settings = this.getCompressionSettings(quality);
 
       // Compress video
-      await this.performCompression(tempInputPath, tempOutputPath, settings);
-
-      // Read compressed video
-      const compressedBuffer = fs.readFileSync(tempOutputPath);
+      await this.performCompression(inputPath, outputPath, settings, onProgress);
 
       // Calculate compression ratio
-      const originalSize = videoBuffer.length;
-      const compressedSize = compressedBuffer.length;
+      const originalSize = fs.statSync(inputPath).size;
+      const compressedSize = fs.statSync(outputPath).size;
       const compressionRatio = ((originalSize - compressedSize) / originalSize * 100).toFixed(2);
 
       logInfo('Video compression completed', {
@@ -102,7 +66,8 @@ class CompressionUtils {
 
       return {
         success: true,
-        buffer: compressedBuffer,
+        outputPath,
+        size: compressedSize,
         metadata: {
           ...metadata,
           compressedSize,
@@ -111,11 +76,41 @@ class CompressionUtils {
       };
 
     } catch (error) {
-      logError('Video compression error', error, { quality });
+      logError('Video compression error', error, { quality, inputPath });
+      this.cleanupFile(outputPath);
       return {
         success: false,
         error: error.message
       };
+    }
+  }
+
+  /**
+   * Compress video to specified quality
+   * Buffer wrapper around compressVideoFile; prefer the path-based method for large files
+   * @param {Buffer} videoBuffer - Original video buffer
+   * @param {string} quality - Target quality (a rendition from config/renditions)
+   * @param {Function} onProgress - Optional callback receiving percent complete (0-100)
+   * @returns {Promise<Object>} Compression result
+   */
+  async compressVideo(videoBuffer, quality = '360p', onProgress = null) {
+    const tempInputPath = path.join(this.tempDir, `input_${Date.now()}.mp4`);
+    const tempOutputPath = path.join(this.tempDir, `output_${Date.now()}_${quality}.mp4`);
+
+    try {
+      // Write input buffer to temp file
+      fs.writeFileSync(tempInputPath, videoBuffer);
+
+      const result = await this.compressVideoFile(tempInputPath, tempOutputPath, quality, onProgress);
+      if (!result.success) {
+        return result;
+      }
+
+      return {
+        success: true,
+        buffer: fs.readFileSync(tempOutputPath),
+        metadata: result.metadata
+      };
     } finally {
       // Clean up temp files
       this.cleanupFile(tempInputPath);
@@ -175,8 +170,9 @@ class CompressionUtils {
 
   /**
    * Perform actual video compression using FFmpeg
+   * @param {Function} onProgress - Optional callback receiving percent complete (0-100)
    */
-  async performCompression(inputPath, outputPath, settings) {
+  async performCompression(inputPath, outputPath, settings, onProgress = null) {
     return new Promise((resolve, reject) => {
       ffmpeg(inputPath)
         .videoCodec('libx264')
@@ -185,16 +181,13 @@ class CompressionUtils {
         .videoBitrate(settings.videoBitrate)
         .audioBitrate(settings.audioBitrate)
         .fps(settings.fps)
-        .outputOptions([
-          `-preset ${settings.preset}`,
-          `-crf ${settings.crf}`,
-          `-maxrate ${settings.maxrate}`,
-          `-bufsize ${settings.bufsize}`,
-          '-movflags +faststart',  // Optimize for streaming
-          '-profile:v baseline',   // Better compatibility
-          '-level 3.0'             // Better compatibility
-        ])
+        .outputOptions(this.getEncoderOptions(settings))
         .output(outputPath)
+        .on('progress', (progress) => {
+          if (onProgress && progress.percent) {
+            onProgress(Math.min(100, progress.percent));
+          }
+        })
         .on('end', () => {
           logInfo('FFmpeg compression completed', { inputPath, outputPath });
           resolve();
@@ -207,6 +200,141 @@ class CompressionUtils {
     });
   }
 
+  // libx264 options shared by every rendition
+  getEncoderOptions(settings) {
+    return [
+      `-preset ${settings.preset}`,
+      `-crf ${settings.crf}`,
+      `-maxrate ${settings.maxrate}`,
+      `-bufsize ${settings.bufsize}`,
+      `-force_key_frames expr:gte(t,n_forced*${this.keyframeInterval})`, // HLS segment boundaries
+      '-movflags +faststart',  // Optimize for streaming
+      '-profile:v baseline',   // Better compatibility
+      `-level ${settings.level}`  // Lowest level that fits the resolution
+    ];
+  }
+
+  /**
+   * Transcode every rendition and the audio tracks in one ffmpeg run
+   * The source is decoded once and the frames are split to one scaler/encoder
+   * per rendition, instead of one full decode per output. The audio tracks
+   * (MP3 download, AAC for the HLS audio-only rendition) come from the same run.
+   * @param {string} inputPath - Original video
+   * @param {Array} renditions - [{ quality, outputPath }]
+   * @param {Object} audioOutputs - { mp3, aac }, each { outputPath, bitrate }; leave one out to skip it
+   * @param {Function} onProgress - Optional callback receiving percent complete (0-100)
+   * @returns {Promise<Object>} { renditions: [{ quality, outputPath, size }], audio: { mp3, aac } as { outputPath, size } or null, stats }
+   */
+  async transcodeRenditions(inputPath, renditions, audioOutputs = {}, onProgress = null) {
+    const settingsList = renditions.map(({ quality }) => this.getCompressionSettings(quality));
+
+    // [0:v]split=N[s0][s1]...; [s0]scale=...,fps=...[v0]; ...
+    const splitLabels = renditions.map((rendition, i) => `[s${i}]`).join('');
+    const filters = [`[0:v]split=${renditions.length}${splitLabels}`];
+    settingsList.forEach((settings, i) => {
+      const [width, height] = settings.resolution.split('x');
+      filters.push(`[s${i}]scale=${width}:${height},setsar=1,fps=${settings.fps}[v${i}]`);
+    });
+
+    const command = ffmpeg(inputPath)
+      .inputOptions(['-benchmark'])
+      .complexFilter(filters.join(';'));
+
+    renditions.forEach(({ outputPath }, i) => {
+      const settings = settingsList[i];
+      command
+        .output(outputPath)
+        .outputOptions([
+          `-map [v${i}]`,
+          '-map 0:a:0?',
+          '-c:v libx264',
+          `-b:v ${settings.videoBitrate}`,
+          ...this.getEncoderOptions(settings),
+          '-c:a aac',
+          `-b:a ${settings.audioBitrate}`
+        ]);
+    });
+
+    const audioCodecOptions = {
+      mp3: ['-c:a libmp3lame'],
+      aac: ['-c:a aac', '-ac 2', '-ar 44100']
+    };
+    const audioFormats = Object.keys(audioCodecOptions).filter(format => audioOutputs[format]);
+    audioFormats.forEach(format => {
+      command
+        .output(audioOutputs[format].outputPath)
+        .outputOptions([
+          '-map 0:a:0',
+          '-vn',
+          ...audioCodecOptions[format],
+          `-b:a ${audioOutputs[format].bitrate}`
+        ]);
+    });
+
+    const stats = {
+      outputs: renditions.length + audioFormats.length,
+      wallTimeMs: 0,
+      cpuUserSeconds: null,
+      cpuSystemSeconds: null,
+      realSeconds: null,
+      maxRssKb: null
+    };
+    const startedAt = Date.now();
+
+    await new Promise((resolve, reject) => {
+      command
+        .on('start', (commandLine) => {
+          logInfo('FFmpeg single-pass transcode started', { inputPath, command: commandLine });
+        })
+        .on('stderr', (line) => {
+          // -benchmark prints "bench: utime=1.2s stime=0.1s rtime=1.4s" and "bench: maxrss=123kB"
+          const times = /bench:\s*utime=([\d.]+)s\s+stime=([\d.]+)s\s+rtime=([\d.]+)s/.exec(line);
+          if (times) {
+            stats.cpuUserSeconds = parseFloat(times[1]);
+            stats.cpuSystemSeconds = parseFloat(times[2]);
+            stats.realSeconds = parseFloat(times[3]);
+          }
+          const memory = /bench:\s*maxrss=(\d+)\s*[kK]i?B/.exec(line);
+          if (memory) {
+            stats.maxRssKb = parseInt(memory[1]);
+          }
+        })
+        .on('progress', (progress) => {
+          if (onProgress && progress.percent) {
+            onProgress(Math.min(100, progress.percent));
+          }
+        })
+        .on('end', () => resolve())
+        .on('error', (err) => {
+          logError('FFmpeg single-pass transcode error', err, { inputPath });
+          reject(err);
+        })
+        .run();
+    });
+
+    stats.wallTimeMs = Date.now() - startedAt;
+
+    const results = renditions.map(({ quality, outputPath }) => ({
+      quality,
+      outputPath,
+      size: fs.statSync(outputPath).size
+    }));
+    const audio = { mp3: null, aac: null };
+    audioFormats.forEach(format => {
+      const { outputPath } = audioOutputs[format];
+      audio[format] = { outputPath, size: fs.statSync(outputPath).size };
+    });
+
+    logInfo('FFmpeg single-pass transcode completed', {
+      inputPath,
+      renditions: results.map(r => r.quality),
+      audio: audioFormats,
+      ...stats
+    });
+
+    return { renditions: results, audio, stats };
+  }
+
   /**
    * Perform audio extraction using FFmpeg
    */
@@ -0,0 +1,262 @@
+const { spawn } = require('child_process');
+const sharp = require('sharp');
+const path = require('path');
+const os = require('os');
+const { pathToFileURL } = require('url');
+const { promises: fsPromises } = require('fs');
+const pdfCompressionUtils = require('./pdfCompressionUtils');
+const { logInfo, logError } = require('./logger');
+
+/**
+ * Slide document conversion
+ * Office documents (PowerPoint and Word) are converted to PDF with headless
+ * LibreOffice, and every PDF slide is rendered page by page into small WebP
+ * and JPEG images with Ghostscript and sharp. Students can then look at a
+ * single page on a slow connection without downloading the whole deck.
+ */
+
+const CONVERTIBLE_EXTENSIONS = ['.ppt', '.pptx', '.doc', '.docx'];
+const CONVERTIBLE_MIME_TYPES = [
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+
+class DocumentConversionUtils {
+  constructor() {
+    this.libreOfficeExecutable = process.env.LIBREOFFICE_PATH ||
+      (os.platform() === 'win32' ? 'soffice.exe' : 'soffice');
+    this.conversionTimeout = parseInt(process.env.DOCUMENT_CONVERSION_TIMEOUT_MS) || 180000; // 3 minutes
+    this.renderDpi = parseInt(process.env.SLIDE_PAGE_RENDER_DPI) || 150;
+    this.renderTimeout = 300000; // 5 minutes, same ceiling as PDF compression
+    // Image width per resolution; pages narrower than this are not enlarged
+    this.resolutions = {
+      low: parseInt(process.env.SLIDE_PAGE_LOW_WIDTH) || 640,
+      medium: parseInt(process.env.SLIDE_PAGE_MEDIUM_WIDTH) || 1280
+    };
+    this.formats = {
+      webp: { contentType: 'image/webp', options: { quality: 70 } },
+      jpeg: { contentType: 'image/jpeg', options: { quality: 75, mozjpeg: true } }
+    };
+    this.pdfContentType = 'application/pdf';
+  }
+
+  // Word and PowerPoint files, the types LibreOffice turns into PDF
+  isConvertible(mimeType, originalName) {
+    return CONVERTIBLE_MIME_TYPES.includes(mimeType) ||
+      CONVERTIBLE_EXTENSIONS.includes(path.extname(originalName || '').toLowerCase());
+  }
+
+  /**
+   * Convert an Office document to PDF with headless LibreOffice
+   * Each conversion gets its own LibreOffice profile inside outputDir, so jobs
+   * running side by side do not fight over the profile lock.
+   * @param {string} inputPath - Document path
+   * @param {string} outputDir - Directory for the PDF (created if missing)
+   * @param {string} originalName - Original file name (for logging)
+   * @returns {Promise<Object>} { outputPath, fileSize }
+   */
+  async convertToPDF(inputPath, outputDir, originalName) {
+    await fsPromises.mkdir(outputDir, { recursive: true });
+
+    const profileDir = path.join(outputDir, 'profile');
+    const args = [
+      '--headless',
+      '--norestore',
+      '--nolockcheck',
+      '--nodefault',
+      `-env:UserInstallation=${pathToFileURL(profileDir).href}`,
+      '--convert-to', 'pdf',
+      '--outdir', outputDir,
+      inputPath
+    ];
+
+    const startedAt = Date.now();
+    await this.runLibreOffice(args, originalName);
+
+    // LibreOffice exits with 0 even when it could not read the document
+    const outputPath = path.join(outputDir, `${path.parse(inputPath).name}.pdf`);
+    let stats;
+    try {
+      stats = await fsPromises.stat(outputPath);
+    } catch (error) {
+      throw new Error(`LibreOffice did not produce a PDF for ${originalName}`);
+    }
+
+    logInfo('Document converted to PDF', {
+      originalName,
+      pdfSize: pdfCompressionUtils.formatFileSize(stats.size),
+      durationMs: Date.now() - startedAt
+    });
+
+    return { outputPath, fileSize: stats.size };
+  }
+
+  // Run soffice, killing it if it hangs (it sometimes does on broken documents)
+  runLibreOffice(args, originalName) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.libreOfficeExecutable, args, {
+        stdio: ['ignore', 'pipe', 'pipe'],
+        windowsHide: true
+      });
+
+      let stderr = '';
+      let timedOut = false;
+
+      child.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      const timeout = setTimeout(() => {
+        timedOut = true;
+        logError('LibreOffice conversion timeout', new Error('Process timeout'), {
+          originalName,
+          timeoutMs: this.conversionTimeout
+        });
+        child.kill('SIGKILL');
+      }, this.conversionTimeout);
+
+      child.on('error', (error) => {
+        clearTimeout(timeout);
+        reject(error.code === 'ENOENT'
+          ? new Error(`LibreOffice (${this.libreOfficeExecutable}) is not available on this system. Please install LibreOffice for document conversion.`)
+          : error);
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timeout);
+        if (timedOut) {
+          reject(new Error(`LibreOffice conversion timeout after ${Math.round(this.conversionTimeout / 1000)} seconds`));
+        } else if (code !== 0) {
+          reject(new Error(`LibreOffice failed with code ${code}: ${stderr.substring(0, 500)}`));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Render every page of a PDF to WebP and JPEG at each resolution
+   * Ghostscript rasterises the pages once at renderDpi, sharp scales them down.
+   * @param {string} pdfPath - PDF to render
+   * @param {string} outputDir - Directory for the images (created if missing)
+   * @param {string} originalName - Original file name (for logging)
+   * @param {Function} onProgress - Optional callback receiving percent complete (0-100)
+   * @returns {Promise<Object>} { pageCount, pages: [{ pageNumber, width, height, images: [{ resolution, format, filePath, contentType, width, height, fileSize }] }] }
+   */
+  async renderPages(pdfPath, outputDir, originalName, onProgress = null) {
+    const report = (percent) => onProgress && onProgress(percent);
+    const rasterDir = path.join(outputDir, 'raster');
+    await fsPromises.mkdir(rasterDir, { recursive: true });
+
+    if (pdfCompressionUtils.isGhostscriptAvailable === null) {
+      pdfCompressionUtils.isGhostscriptAvailable = await pdfCompressionUtils.checkGhostscriptAvailability();
+    }
+    if (!pdfCompressionUtils.isGhostscriptAvailable) {
+      throw new Error(`Ghostscript (${pdfCompressionUtils.ghostscriptExecutable}) is not available on this system. Please install Ghostscript for page rendering.`);
+    }
+
+    // Without -dQUIET Ghostscript prints "Page N" lines, which drive the progress
+    await pdfCompressionUtils.executeGhostscriptWithSpawn(
+      pdfCompressionUtils.ghostscriptExecutable,
+      [
+        '-dSAFER',
+        '-dBATCH',
+        '-dNOPAUSE',
+        '-sDEVICE=png16m',
+        `-r${this.renderDpi}`,
+        '-dTextAlphaBits=4',
+        '-dGraphicsAlphaBits=4',
+        `-sOutputFile=${path.join(rasterDir, 'page_%04d.png')}`,
+        pdfPath
+      ],
+      originalName,
+      this.renderTimeout,
+      percent => report(percent * 0.6)
+    );
+
+    const rasters = (await fsPromises.readdir(rasterDir))
+      .filter(name => /^page_\d{4}\.png$/.test(name))
+      .sort();
+
+    if (rasters.length === 0) {
+      throw new Error('Page rendering produced no images');
+    }
+
+    const pages = [];
+    for (let i = 0; i < rasters.length; i++) {
+      const pageNumber = i + 1;
+      const rasterPath = path.join(rasterDir, rasters[i]);
+      const { width, height } = await sharp(rasterPath).metadata();
+      const images = [];
+
+      for (const [resolution, targetWidth] of Object.entries(this.resolutions)) {
+        for (const [format, { contentType, options }] of Object.entries(this.formats)) {
+          const filePath = path.join(outputDir, `page_${String(pageNumber).padStart(4, '0')}_${resolution}.${format === 'jpeg' ? 'jpg' : format}`);
+          const info = await sharp(rasterPath)
+            .resize({ width: targetWidth, withoutEnlargement: true })
+            .toFormat(format, options)
+            .toFile(filePath);
+
+          images.push({
+            resolution,
+            format,
+            filePath,
+            contentType,
+            width: info.width,
+            height: info.height,
+            fileSize: info.size
+          });
+        }
+      }
+
+      // The raster is only an intermediate; drop it to keep the work dir small
+      await fsPromises.rm(rasterPath, { force: true });
+
+      pages.push({ pageNumber, width, height, images });
+      report(60 + pageNumber / rasters.length * 40);
+    }
+
+    logInfo('Slide pages rendered', {
+      originalName,
+      pageCount: pages.length,
+      dpi: this.renderDpi
+    });
+
+    return { pageCount: pages.length, pages };
+  }
+
+  /**
+   * Stored image of a slide page
+   * @param {Object} slide - Session slide entry
+   * @param {number} pageNumber - 1-based page number
+   * @param {string} resolution - 'low' or 'medium'
+   * @param {string} format - 'webp' or 'jpeg'
+   * @returns {Object|null} Image entry ({ resolution, format, fileName, width, height, fileSize })
+   */
+  getPageImage(slide, pageNumber, resolution = 'low', format = 'webp') {
+    const page = (slide.pages || []).find(entry => entry.pageNumber === pageNumber);
+    if (!page) return null;
+    return page.images.find(image => image.resolution === resolution && image.format === format) || null;
+  }
+
+  /**
+   * Storage names of the converted PDF and every page image of a slide (for deletion)
+   * @param {Object} slide - Session slide entry
+   * @returns {Array<string>} File names
+   */
+  getStorageFileNames(slide) {
+    const fileNames = [];
+    if (slide.convertedFileName) {
+      fileNames.push(slide.convertedFileName);
+    }
+    (slide.pages || []).forEach(page => {
+      page.images.forEach(image => fileNames.push(image.fileName));
+    });
+    return fileNames;
+  }
+}
+
+module.exports = new DocumentConversionUtils();
@@ -0,0 +1,249 @@
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs');
+const compressionUtils = require('./compressionUtils');
+const { logInfo, logError } = require('./logger');
+
+/**
+ * HLS packaging for lecture videos
+ * The compressed versions from the rendition ladder are cut into segments without re-encoding
+ * (they are encoded with keyframes every segment), the AAC track from the same
+ * transcode is segmented as an audio-only fallback for very poor connections,
+ * and a master playlist ties them together so players can switch as bandwidth changes.
+ */
+
+// Codec strings for the master playlist (H.264 baseline + AAC-LC)
+const AUDIO_CODECS = 'mp4a.40.2';
+
+const SUBTITLE_GROUP = 'subs';
+
+class HLSUtils {
+  constructor() {
+    this.segmentDuration = compressionUtils.keyframeInterval;
+    this.audioBitrate = process.env.HLS_AUDIO_BITRATE || '64k';
+    this.playlistContentType = 'application/vnd.apple.mpegurl';
+    this.segmentContentType = 'video/mp2t';
+    this.playlistName = 'index.m3u8';
+    this.segmentPattern = 'segment_%05d.ts';
+    // ffmpeg's MPEG-TS muxer starts timestamps at 1.4s (90kHz clock); caption
+    // tracks map their zero onto it so cues line up with the segments
+    this.subtitleTimestampMap = 'X-TIMESTAMP-MAP=MPEGTS:126000,LOCAL:00:00:00.000';
+  }
+
+  // '400k' -> 400000
+  parseBitrate(bitrate) {
+    const value = parseFloat(bitrate);
+    if (/k$/i.test(bitrate)) return Math.round(value * 1000);
+    if (/m$/i.test(bitrate)) return Math.round(value * 1000 * 1000);
+    return Math.round(value);
+  }
+
+  // H.264 baseline codec string for a level, e.g. '3.1' -> 'avc1.42e01f'
+  getVideoCodecs(level) {
+    const levelId = Math.round(parseFloat(level) * 10).toString(16).padStart(2, '0');
+    return `avc1.42e0${levelId},${AUDIO_CODECS}`;
+  }
+
+  /**
+   * Rendition details for a compressed video quality
+   * Bandwidth is the peak rate the encoder was capped at plus the audio track
+   * @param {string} quality - Rendition name from config/renditions
+   * @returns {Object} { name, type, resolution, bandwidth, codecs }
+   */
+  getVideoRendition(quality) {
+    const settings = compressionUtils.getCompressionSettings(quality);
+    return {
+      name: quality,
+      type: 'video',
+      resolution: settings.resolution,
+      bandwidth: this.parseBitrate(settings.maxrate) + this.parseBitrate(settings.audioBitrate),
+      codecs: this.getVideoCodecs(settings.level)
+    };
+  }
+
+  getAudioRendition() {
+    return {
+      name: 'audio',
+      type: 'audio',
+      resolution: null,
+      bandwidth: this.parseBitrate(this.audioBitrate),
+      codecs: AUDIO_CODECS
+    };
+  }
+
+  /**
+   * Cut an already compressed MP4 into HLS segments (stream copy, no re-encode)
+   * @param {string} inputPath - Compressed video version
+   * @param {string} outputDir - Directory for the playlist and segments
+   * @param {Function} onProgress - Optional callback receiving percent complete (0-100)
+   * @returns {Promise<Object>} { playlistPath, segments }
+   */
+  async segmentVideo(inputPath, outputDir, onProgress = null) {
+    const command = ffmpeg(inputPath)
+      .outputOptions([
+        '-c copy',
+        '-map 0:v:0',
+        '-map 0:a:0?'
+      ]);
+
+    return this.runSegmenter(command, outputDir, onProgress);
+  }
+
+  /**
+   * Cut an already encoded AAC track into an audio-only rendition (stream copy, no re-encode)
+   * @param {string} inputPath - AAC track encoded at audioBitrate
+   * @param {string} outputDir - Directory for the playlist and segments
+   * @param {Function} onProgress - Optional callback receiving percent complete (0-100)
+   * @returns {Promise<Object>} { playlistPath, segments }
+   */
+  async createAudioRendition(inputPath, outputDir, onProgress = null) {
+    const command = ffmpeg(inputPath)
+      .outputOptions([
+        '-c:a copy',
+        '-vn',
+        '-map 0:a:0'
+      ]);
+
+    return this.runSegmenter(command, outputDir, onProgress);
+  }
+
+  // Run an ffmpeg command with the HLS muxer and list the segments it wrote
+  async runSegmenter(command, outputDir, onProgress) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    const playlistPath = path.join(outputDir, this.playlistName);
+
+    await new Promise((resolve, reject) => {
+      command
+        .outputOptions([
+          '-f hls',
+          `-hls_time ${this.segmentDuration}`,
+          '-hls_playlist_type vod',
+          '-hls_list_size 0',
+          `-hls_segment_filename ${path.join(outputDir, this.segmentPattern)}`
+        ])
+        .output(playlistPath)
+        .on('progress', (progress) => {
+          if (onProgress && progress.percent) {
+            onProgress(Math.min(100, progress.percent));
+          }
+        })
+        .on('end', () => {
+          logInfo('HLS segmenting completed', { outputDir });
+          resolve();
+        })
+        .on('error', (err) => {
+          logError('HLS segmenting error', err, { outputDir });
+          reject(err);
+        })
+        .run();
+    });
+
+    const segments = this.getSegmentUris(fs.readFileSync(playlistPath, 'utf8'));
+    if (segments.length === 0) {
+      throw new Error('HLS segmenter produced no segments');
+    }
+
+    return { playlistPath, segments };
+  }
+
+  // URI lines of a media playlist, in order
+  getSegmentUris(playlist) {
+    return playlist
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+  }
+
+  /**
+   * Build a master playlist
+   * Video renditions are listed lowest first so players start cheap; the
+   * audio-only rendition comes last as the fallback
+   * @param {Array} renditions - Stored renditions ({ name, type, resolution, bandwidth, codecs })
+   * @param {Function} getUri - rendition => URI of its media playlist
+   * @param {Array} subtitles - Optional caption tracks ({ label, language, isDefault, uri }) offered with every rendition
+   * @returns {string} Playlist text
+   */
+  buildMasterPlaylist(renditions, getUri, subtitles = []) {
+    const ordered = [
+      ...renditions.filter(r => r.type === 'video').sort((a, b) => a.bandwidth - b.bandwidth),
+      ...renditions.filter(r => r.type === 'audio')
+    ];
+
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-INDEPENDENT-SEGMENTS'];
+    subtitles.forEach(track => {
+      lines.push(`#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="${SUBTITLE_GROUP}",NAME="${track.label.replace(/"/g, "'")}",` +
+        `LANGUAGE="${track.language}",DEFAULT=${track.isDefault ? 'YES' : 'NO'},AUTOSELECT=YES,URI="${track.uri}"`);
+    });
+
+    ordered.forEach(rendition => {
+      const attributes = [`BANDWIDTH=${rendition.bandwidth}`, `CODECS="${rendition.codecs}"`];
+      if (rendition.resolution) {
+        attributes.push(`RESOLUTION=${rendition.resolution}`);
+      }
+      if (subtitles.length > 0) {
+        attributes.push(`SUBTITLES="${SUBTITLE_GROUP}"`);
+      }
+      lines.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`);
+      lines.push(getUri(rendition));
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Media playlist for a caption track: the whole WebVTT file as one segment
+   * @param {string} vttUrl - URL of the WebVTT file
+   * @param {number} duration - Video duration in seconds
+   * @returns {string} Playlist text
+   */
+  buildSubtitlePlaylist(vttUrl, duration) {
+    const length = Math.max(1, duration || 0);
+    return [
+      '#EXTM3U',
+      '#EXT-X-VERSION:3',
+      `#EXT-X-TARGETDURATION:${Math.ceil(length)}`,
+      '#EXT-X-MEDIA-SEQUENCE:0',
+      '#EXT-X-PLAYLIST-TYPE:VOD',
+      `#EXTINF:${length.toFixed(3)},`,
+      vttUrl,
+      '#EXT-X-ENDLIST'
+    ].join('\n') + '\n';
+  }
+
+  /**
+   * Replace every segment URI in a media playlist
+   * @param {string} playlist - Media playlist text with relative segment URIs
+   * @param {Function} getUrl - async (segmentUri) => absolute URL
+   * @returns {Promise<string>} Rewritten playlist
+   */
+  async rewriteSegmentUris(playlist, getUrl) {
+    const lines = playlist.split(/\r?\n/);
+
+    return (await Promise.all(lines.map(line => {
+      const trimmed = line.trim();
+      return trimmed && !trimmed.startsWith('#') ? getUrl(trimmed) : line;
+    }))).join('\n');
+  }
+
+  /**
+   * Storage names of every file in an HLS package (for deletion)
+   * @param {Object} hls - Stored hls details of a video
+   * @returns {Array<string>} File names
+   */
+  getStorageFileNames(hls) {
+    if (!hls || !hls.renditions) return [];
+
+    const fileNames = hls.masterPlaylistFileName ? [hls.masterPlaylistFileName] : [];
+    hls.renditions.forEach(rendition => {
+      fileNames.push(rendition.playlistFileName);
+      const dir = path.posix.dirname(rendition.playlistFileName);
+      for (let i = 0; i < rendition.segmentCount; i++) {
+        fileNames.push(`${dir}/${this.segmentPattern.replace('%05d', String(i).padStart(5, '0'))}`);
+      }
+    });
+
+    return fileNames;
+  }
+}
+
+module.exports = new HLSUtils();
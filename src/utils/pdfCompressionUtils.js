@@ -63,31 +63,30 @@ class PDFCompressionUtils {
 
   /**
    * Check if PDF needs compression based on size threshold
-   * @param {Buffer} pdfBuffer - PDF buffer
+   * @param {Buffer|number} pdfBuffer - PDF buffer or its size in bytes
    * @returns {boolean} True if compression is needed
    */
   needsCompression(pdfBuffer) {
-    return pdfBuffer.length >= this.compressionThreshold;
+    const size = typeof pdfBuffer === 'number' ? pdfBuffer : pdfBuffer.length;
+    return size >= this.compressionThreshold;
   }
 
   /**
-   * Compress PDF using Ghostscript with /ebook preset
-   * @param {Buffer} pdfBuffer - Original PDF buffer
-   * @param {string} originalName - Original file name
+   * Compress a PDF file on disk using Ghostscript with /ebook preset
+   * The caller owns both paths and removes them when done. `outputPath` is only
+   * returned when the compressed file should be used instead of the original.
+   * @param {string} inputPath - Original PDF path
+   * @param {string} outputPath - Path Ghostscript writes the compressed PDF to
+   * @param {string} originalName - Original file name (for logging)
+   * @param {Function} onProgress - Optional callback receiving percent complete (0-100)
    * @returns {Promise<Object>} Compression result
    */
-  async compressPDF(pdfBuffer, originalName) {
-    const timestamp = Date.now();
-    const randomId = Math.random().toString(36).substring(7);
-    
-    // Generate clean, sanitized paths using path.resolve and trim
-    const tempInputPath = path.resolve(this.tempDir, `input_${timestamp}_${randomId}.pdf`).trim();
-    const tempOutputPath = path.resolve(this.tempDir, `output_${timestamp}_${randomId}.pdf`).trim();
+  async compressPDFFile(inputPath, outputPath, originalName, onProgress = null) {
+    const originalSize = fs.statSync(inputPath).size;
 
     try {
       // Check if compression is needed
-      const originalSize = pdfBuffer.length;
-      const needsCompression = this.needsCompression(pdfBuffer);
+      const needsCompression = this.needsCompression(originalSize);
 
       logInfo('PDF compression threshold check', {
         originalName,
@@ -109,7 +108,6 @@ class PDFCompressionUtils {
         return {
           success: true,
           compressed: false,
-          buffer: pdfBuffer,
           originalSize,
           compressedSize: originalSize,
           compressionRatio: 0,
@@ -118,19 +116,18 @@ class PDFCompressionUtils {
         };
       }
 
-      // Write PDF to temp file
-      fs.writeFileSync(tempInputPath, pdfBuffer);
-
       // Build Ghostscript arguments array for spawn (no manual quoting)
-      const gsArgs = this.buildGhostscriptArgs(tempInputPath, tempOutputPath, originalSize);
+      const gsArgs = this.buildGhostscriptArgs(inputPath, outputPath, originalSize, {
+        reportPages: !!onProgress
+      });
       
       logInfo('Starting PDF compression with Ghostscript', {
         originalName,
         originalSize: this.formatFileSize(originalSize),
         executable: this.ghostscriptExecutable,
         argsCount: gsArgs.length,
-        inputPath: tempInputPath,
-        outputPath: tempOutputPath
+        inputPath,
+        outputPath
       });
 
       // Check Ghostscript availability before attempting compression
@@ -146,28 +143,19 @@ class PDFCompressionUtils {
       const timeoutMs = this.calculateTimeout(originalSize);
       
       // Execute Ghostscript compression using spawn with clean args array
-      await this.executeGhostscriptWithSpawn(this.ghostscriptExecutable, gsArgs, originalName, timeoutMs);
-
-      // Schedule delayed cleanup (2-3s) to ensure Ghostscript fully releases file handles
-      setTimeout(() => {
-        this.scheduleAsyncCleanup([tempInputPath, tempOutputPath], originalName);
-      }, isWindows ? 3000 : 2000); // 3s on Windows, 2s on other platforms
+      await this.executeGhostscriptWithSpawn(this.ghostscriptExecutable, gsArgs, originalName, timeoutMs, onProgress);
 
       // Check if compressed file was created
-      if (!fs.existsSync(tempOutputPath)) {
+      if (!fs.existsSync(outputPath)) {
         throw new Error('Compressed PDF file was not created');
       }
 
-      // Read compressed PDF
-      const compressedBuffer = fs.readFileSync(tempOutputPath);
-      const compressedSize = compressedBuffer.length;
+      const compressedSize = fs.statSync(outputPath).size;
 
       // Calculate compression ratio
       const compressionRatio = ((originalSize - compressedSize) / originalSize * 100);
       const actualCompressionRatio = Math.max(0, compressionRatio); // Ensure non-negative
 
-      // Cleanup is now scheduled with delay above after Ghostscript execution
-
       // Check if compression actually made the file smaller
       if (compressedSize >= originalSize) {
         logInfo('PDF compression ineffective - compressed file is not smaller', {
@@ -181,7 +169,6 @@ class PDFCompressionUtils {
         return {
           success: true,
           compressed: false,
-          buffer: pdfBuffer,
           originalSize,
           compressedSize: originalSize,
           compressionRatio: 0,
@@ -204,7 +191,6 @@ class PDFCompressionUtils {
         return {
           success: true,
           compressed: false,
-          buffer: pdfBuffer,
           originalSize,
           compressedSize: originalSize,
           compressionRatio: 0,
@@ -224,7 +210,7 @@ class PDFCompressionUtils {
       return {
         success: true,
         compressed: true,
-        buffer: compressedBuffer,
+        outputPath,
         originalSize,
         compressedSize,
         compressionRatio: parseFloat(actualCompressionRatio.toFixed(2)),
@@ -237,14 +223,9 @@ class PDFCompressionUtils {
       };
 
     } catch (error) {
-      // Schedule delayed cleanup on error to ensure file handles are released
-      setTimeout(() => {
-        this.scheduleAsyncCleanup([tempInputPath, tempOutputPath], originalName);
-      }, isWindows ? 4000 : 2000); // Even longer delay on error
-
       const errorDetails = {
         originalName,
-        originalSize: pdfBuffer.length,
+        originalSize,
         errorMessage: error.message,
         ghostscriptExecutable: this.ghostscriptExecutable,
         platform: os.platform(),
@@ -269,9 +250,8 @@ class PDFCompressionUtils {
       return {
         success: true,
         compressed: false,
-        buffer: pdfBuffer,
-        originalSize: pdfBuffer.length,
-        compressedSize: pdfBuffer.length,
+        originalSize,
+        compressedSize: originalSize,
         compressionRatio: 0,
         error: error.message,
         fallback: true,
@@ -280,14 +260,64 @@ class PDFCompressionUtils {
     }
   }
 
+  /**
+   * Compress PDF using Ghostscript with /ebook preset
+   * Buffer wrapper around compressPDFFile; prefer the path-based method for large files
+   * @param {Buffer} pdfBuffer - Original PDF buffer
+   * @param {string} originalName - Original file name
+   * @param {Function} onProgress - Optional callback receiving percent complete (0-100)
+   * @returns {Promise<Object>} Compression result
+   */
+  async compressPDF(pdfBuffer, originalName, onProgress = null) {
+    // Below the threshold there is nothing to write to disk
+    if (!this.needsCompression(pdfBuffer)) {
+      return {
+        success: true,
+        compressed: false,
+        buffer: pdfBuffer,
+        originalSize: pdfBuffer.length,
+        compressedSize: pdfBuffer.length,
+        compressionRatio: 0,
+        skipped: true,
+        reason: 'File size below 1MB threshold'
+      };
+    }
+
+    const timestamp = Date.now();
+    const randomId = Math.random().toString(36).substring(7);
+    
+    // Generate clean, sanitized paths using path.resolve and trim
+    const tempInputPath = path.resolve(this.tempDir, `input_${timestamp}_${randomId}.pdf`).trim();
+    const tempOutputPath = path.resolve(this.tempDir, `output_${timestamp}_${randomId}.pdf`).trim();
+
+    try {
+      // Write PDF to temp file
+      fs.writeFileSync(tempInputPath, pdfBuffer);
+
+      const result = await this.compressPDFFile(tempInputPath, tempOutputPath, originalName, onProgress);
+      const { outputPath, ...details } = result;
+
+      return {
+        ...details,
+        buffer: result.compressed ? fs.readFileSync(tempOutputPath) : pdfBuffer
+      };
+    } finally {
+      // Schedule delayed cleanup (2-3s) to ensure Ghostscript fully releases file handles
+      setTimeout(() => {
+        this.scheduleAsyncCleanup([tempInputPath, tempOutputPath], originalName);
+      }, isWindows ? 3000 : 2000); // 3s on Windows, 2s on other platforms
+    }
+  }
+
   /**
    * Build Ghostscript arguments array for PDF compression
    * @param {string} inputPath - Input PDF path (clean, resolved)
    * @param {string} outputPath - Output PDF path (clean, resolved)
    * @param {number} fileSize - Original file size for optimization
+   * @param {Object} options - { reportPages } drop -dQUIET so Ghostscript prints "Page N" lines
    * @returns {Array} Ghostscript arguments array
    */
-  buildGhostscriptArgs(inputPath, outputPath, fileSize = 0) {
+  buildGhostscriptArgs(inputPath, outputPath, fileSize = 0, options = {}) {
     // Use /screen preset for more aggressive compression
     // More aggressive settings for better compression
     const isLargeFile = fileSize > this.largeFileThreshold;
@@ -299,7 +329,7 @@ class PDFCompressionUtils {
       '-dCompatibilityLevel=1.4',
       `-dPDFSETTINGS=${preset}`,
       '-dNOPAUSE',
-      '-dQUIET',
+      ...(options.reportPages ? [] : ['-dQUIET']),
       '-dBATCH',
       `-dColorImageResolution=${imageDPI}`,
       `-dGrayImageResolution=${imageDPI}`,
@@ -446,8 +476,10 @@ class PDFCompressionUtils {
    * @param {Array} args - Clean arguments array
    * @param {string} originalName - Original file name for logging
    * @param {number} timeoutMs - Timeout in milliseconds
+   * @param {Function} onProgress - Optional callback receiving percent complete (0-100),
+   *   derived from the "Processing pages 1 through N." and "Page N" lines on stdout
    */
-  async executeGhostscriptWithSpawn(executable, args, originalName, timeoutMs = 60000) {
+  async executeGhostscriptWithSpawn(executable, args, originalName, timeoutMs = 60000, onProgress = null) {
     return new Promise((resolve, reject) => {
       logInfo('Starting Ghostscript process with spawn', {
         executable,
@@ -467,10 +499,25 @@ class PDFCompressionUtils {
       let stderr = '';
       let processExited = false;
       let processClosed = false;
+      let totalPages = 0;
       
       // Collect output
       gsProcess.stdout.on('data', (data) => {
-        stdout += data.toString();
+        const chunk = data.toString();
+        stdout += chunk;
+
+        if (onProgress) {
+          const pagesMatch = chunk.match(/Processing pages \d+ through (\d+)/);
+          if (pagesMatch) {
+            totalPages = parseInt(pagesMatch[1]);
+          }
+
+          const pageMatches = [...chunk.matchAll(/^Page (\d+)/gm)];
+          if (totalPages > 0 && pageMatches.length > 0) {
+            const currentPage = parseInt(pageMatches[pageMatches.length - 1][1]);
+            onProgress(Math.min(100, (currentPage - 1) / totalPages * 100));
+          }
+        }
       });
       
       gsProcess.stderr.on('data', (data) => {
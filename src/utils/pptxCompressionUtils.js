@@ -0,0 +1,427 @@
+const JSZip = require('jszip');
+const sharp = require('sharp');
+const path = require('path');
+const { logInfo, logError } = require('./logger');
+
+/**
+ * PowerPoint (PPTX) Compression Utilities
+ * A PPTX is a zip of XML parts and media. Most of its size is usually photos
+ * pasted at camera resolution, so the package is unzipped, embedded images are
+ * downscaled and recompressed with sharp, parts nobody looks at (unused slide
+ * layouts, the preview thumbnail, orphaned media) are dropped and it is zipped
+ * again. Slides, text and animations are left untouched.
+ */
+
+const RELATIONSHIP_PATTERN = /<Relationship\b[^>]*\/>/g;
+const LAYOUT_RELATIONSHIP = /\/relationships\/slideLayout$/;
+const THUMBNAIL_RELATIONSHIP = /\/metadata\/thumbnail$/;
+const RECOMPRESSIBLE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+// Value of an XML attribute in a single tag
+const getAttribute = (tag, name) => {
+  const match = new RegExp(`\\b${name}="([^"]*)"`).exec(tag);
+  return match ? match[1] : null;
+};
+
+class PPTXCompressionUtils {
+  constructor() {
+    this.compressionThreshold = 1 * 1024 * 1024; // 1MB threshold - compress files larger than 1MB
+    this.minCompressionRatio = 3; // percent; below this the original is kept
+    this.maxImageDimension = parseInt(process.env.PPTX_MAX_IMAGE_DIMENSION) || 1920; // full-screen slide width
+    this.jpegQuality = parseInt(process.env.PPTX_JPEG_QUALITY) || 75;
+    this.minImageSize = 50 * 1024; // smaller images are not worth re-encoding
+  }
+
+  needsCompression(sizeOrBuffer) {
+    const size = Buffer.isBuffer(sizeOrBuffer) ? sizeOrBuffer.length : sizeOrBuffer;
+    return size > this.compressionThreshold;
+  }
+
+  // Legacy binary .ppt files are not zip packages and cannot be repacked
+  isPPTX(buffer) {
+    return buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50; // 'PK\x03\x04'
+  }
+
+  /**
+   * Compress a PPTX held in memory
+   * @param {Buffer} pptxBuffer - Original presentation
+   * @param {string} originalName - Original file name (for logging)
+   * @returns {Promise<Object>} Compression result ({ success, buffer, compressed, originalSize, compressedSize, compressionRatio, skipped, reason, metadata })
+   */
+  async compressPPTX(pptxBuffer, originalName) {
+    const originalSize = pptxBuffer.length;
+    const unchanged = (reason) => ({
+      success: true,
+      buffer: pptxBuffer,
+      compressed: false,
+      originalSize,
+      compressedSize: originalSize,
+      compressionRatio: 0,
+      skipped: true,
+      reason
+    });
+
+    if (!this.isPPTX(pptxBuffer)) {
+      logInfo('PowerPoint compression skipped - legacy binary format', { originalName });
+      return unchanged('Legacy .ppt files cannot be compressed; save the deck as .pptx');
+    }
+
+    if (!this.needsCompression(originalSize)) {
+      logInfo('PowerPoint compression skipped - file size below threshold', {
+        originalName,
+        originalSize: this.formatFileSize(originalSize)
+      });
+      return unchanged('File size below 1MB threshold');
+    }
+
+    const zip = await JSZip.loadAsync(pptxBuffer);
+    if (!zip.file('[Content_Types].xml') || !zip.file('ppt/presentation.xml')) {
+      throw new Error('File is not a PowerPoint presentation');
+    }
+
+    const thumbnailRemoved = await this.removeThumbnail(zip);
+    const layoutsRemoved = await this.removeUnusedLayouts(zip);
+    const mediaRemoved = await this.removeOrphanedMedia(zip);
+    const images = await this.recompressImages(zip);
+
+    const compressedBuffer = await zip.generateAsync({
+      type: 'nodebuffer',
+      compression: 'DEFLATE',
+      compressionOptions: { level: 9 }
+    });
+
+    const compressedSize = compressedBuffer.length;
+    const compressionRatio = Math.max(0, (originalSize - compressedSize) / originalSize * 100);
+
+    if (compressionRatio < this.minCompressionRatio) {
+      logInfo('PowerPoint compression ineffective - minimal size reduction', {
+        originalName,
+        originalSize: this.formatFileSize(originalSize),
+        compressedSize: this.formatFileSize(compressedSize)
+      });
+      return unchanged(`Compression ineffective (less than ${this.minCompressionRatio}% reduction)`);
+    }
+
+    logInfo('PowerPoint compression completed successfully', {
+      originalName,
+      originalSize: this.formatFileSize(originalSize),
+      compressedSize: this.formatFileSize(compressedSize),
+      compressionRatio: `${compressionRatio.toFixed(2)}%`,
+      imagesRecompressed: images.recompressed,
+      imagesConverted: images.converted,
+      layoutsRemoved,
+      mediaRemoved
+    });
+
+    return {
+      success: true,
+      buffer: compressedBuffer,
+      compressed: true,
+      originalSize,
+      compressedSize,
+      compressionRatio: parseFloat(compressionRatio.toFixed(2)),
+      metadata: {
+        format: 'pptx',
+        tool: 'sharp',
+        maxImageDimension: this.maxImageDimension,
+        quality: this.jpegQuality,
+        imagesRecompressed: images.recompressed,
+        imagesDownscaled: images.downscaled,
+        imagesConverted: images.converted,
+        layoutsRemoved,
+        mediaRemoved,
+        thumbnailRemoved,
+        spaceSaved: originalSize - compressedSize,
+        compressionDate: new Date().toISOString()
+      }
+    };
+  }
+
+  // Relationships file of a part: ppt/slides/slide1.xml -> ppt/slides/_rels/slide1.xml.rels
+  getRelsPath(partPath) {
+    return path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+  }
+
+  // Part a relationships file belongs to ('' for the package-level _rels/.rels)
+  getSourcePart(relsPath) {
+    const dir = path.posix.dirname(path.posix.dirname(relsPath));
+    const name = path.posix.basename(relsPath, '.rels');
+    return dir === '.' ? name : `${dir}/${name}`;
+  }
+
+  /**
+   * Relationships declared in a .rels file, with targets resolved to package paths
+   * @returns {Promise<Array>} [{ id, type, target, external, tag }]
+   */
+  async readRelationships(zip, relsPath) {
+    const file = zip.file(relsPath);
+    if (!file) return [];
+
+    const xml = await file.async('string');
+    const baseDir = path.posix.dirname(this.getSourcePart(relsPath));
+
+    return (xml.match(RELATIONSHIP_PATTERN) || []).map(tag => {
+      const target = getAttribute(tag, 'Target') || '';
+      const external = getAttribute(tag, 'TargetMode') === 'External';
+      return {
+        id: getAttribute(tag, 'Id'),
+        type: getAttribute(tag, 'Type') || '',
+        target: external ? target : this.resolveTarget(baseDir, target),
+        external,
+        tag
+      };
+    });
+  }
+
+  resolveTarget(baseDir, target) {
+    const decoded = decodeURIComponent(target);
+    if (decoded.startsWith('/')) return decoded.slice(1);
+    return path.posix.normalize(path.posix.join(baseDir === '.' ? '' : baseDir, decoded));
+  }
+
+  // Remove relationship tags from a .rels file
+  async removeRelationships(zip, relsPath, ids) {
+    const file = zip.file(relsPath);
+    if (!file || ids.length === 0) return;
+
+    let xml = await file.async('string');
+    xml = xml.replace(RELATIONSHIP_PATTERN, tag => (ids.includes(getAttribute(tag, 'Id')) ? '' : tag));
+    zip.file(relsPath, xml);
+  }
+
+  // Remove a part, its relationships file and its content type override
+  async removePart(zip, partPath) {
+    zip.remove(partPath);
+    zip.remove(this.getRelsPath(partPath));
+
+    const contentTypes = await zip.file('[Content_Types].xml').async('string');
+    zip.file('[Content_Types].xml', contentTypes.replace(
+      new RegExp(`<Override\\b[^>]*PartName="/${partPath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"[^>]*/>`, 'g'),
+      ''
+    ));
+  }
+
+  /**
+   * Drop the preview thumbnail Office writes for file browsers
+   * @returns {Promise<boolean>} Whether a thumbnail was removed
+   */
+  async removeThumbnail(zip) {
+    const relationships = await this.readRelationships(zip, '_rels/.rels');
+    const thumbnails = relationships.filter(rel => THUMBNAIL_RELATIONSHIP.test(rel.type) && !rel.external);
+    if (thumbnails.length === 0) return false;
+
+    await this.removeRelationships(zip, '_rels/.rels', thumbnails.map(rel => rel.id));
+    for (const rel of thumbnails) {
+      await this.removePart(zip, rel.target);
+    }
+    return true;
+  }
+
+  /**
+   * Remove slide layouts no slide uses
+   * Templates ship with a dozen layouts, each with its own background images.
+   * Every master keeps at least one layout, as the format requires.
+   * @returns {Promise<number>} Layouts removed
+   */
+  async removeUnusedLayouts(zip) {
+    const usedLayouts = new Set();
+    const slideRels = zip.file(/^ppt\/slides\/_rels\/[^/]+\.xml\.rels$/);
+    for (const file of slideRels) {
+      (await this.readRelationships(zip, file.name))
+        .filter(rel => LAYOUT_RELATIONSHIP.test(rel.type))
+        .forEach(rel => usedLayouts.add(rel.target));
+    }
+
+    let removed = 0;
+    const masters = zip.file(/^ppt\/slideMasters\/[^/]+\.xml$/);
+    for (const master of masters) {
+      const relsPath = this.getRelsPath(master.name);
+      const layoutRels = (await this.readRelationships(zip, relsPath))
+        .filter(rel => LAYOUT_RELATIONSHIP.test(rel.type));
+      const unused = layoutRels.filter(rel => !usedLayouts.has(rel.target));
+      if (unused.length === layoutRels.length) {
+        unused.shift();
+      }
+      if (unused.length === 0) continue;
+
+      const ids = unused.map(rel => rel.id);
+      let masterXml = await master.async('string');
+      masterXml = masterXml.replace(/<p:sldLayoutId\b[^>]*\/>/g, tag => (ids.includes(getAttribute(tag, 'r:id')) ? '' : tag));
+      zip.file(master.name, masterXml);
+      await this.removeRelationships(zip, relsPath, ids);
+
+      for (const rel of unused) {
+        await this.removePart(zip, rel.target);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  // Every package path some relationship points at
+  async getReferencedParts(zip) {
+    const referenced = new Set();
+    for (const file of zip.file(/(^|\/)_rels\/[^/]*\.rels$/)) {
+      (await this.readRelationships(zip, file.name))
+        .filter(rel => !rel.external)
+        .forEach(rel => referenced.add(rel.target));
+    }
+    return referenced;
+  }
+
+  /**
+   * Delete media files no part references any more (e.g. backgrounds of removed layouts)
+   * @returns {Promise<number>} Files removed
+   */
+  async removeOrphanedMedia(zip) {
+    const referenced = await this.getReferencedParts(zip);
+    const orphaned = zip.file(/^ppt\/media\//).filter(file => !referenced.has(file.name));
+    orphaned.forEach(file => zip.remove(file.name));
+    return orphaned.length;
+  }
+
+  /**
+   * Downscale and re-encode embedded JPEG and PNG images
+   * Opaque PNG photos become JPEGs when that is much smaller; the new name is
+   * written into every relationship that pointed at the old one.
+   * @returns {Promise<Object>} { recompressed, downscaled, converted }
+   */
+  async recompressImages(zip) {
+    const stats = { recompressed: 0, downscaled: 0, converted: 0 };
+    const renamed = {};
+
+    for (const file of zip.file(/^ppt\/media\//)) {
+      const extension = path.posix.extname(file.name).toLowerCase();
+      if (!RECOMPRESSIBLE_EXTENSIONS.includes(extension)) continue;
+
+      const original = await file.async('nodebuffer');
+      if (original.length < this.minImageSize) continue;
+
+      try {
+        const image = sharp(original, { failOn: 'none' });
+        const metadata = await image.metadata();
+        const downscale = Math.max(metadata.width, metadata.height) > this.maxImageDimension;
+        const resized = () => sharp(original, { failOn: 'none' })
+          .resize(this.maxImageDimension, this.maxImageDimension, { fit: 'inside', withoutEnlargement: true });
+        const toJpeg = () => resized()
+          .flatten({ background: '#ffffff' })
+          .jpeg({ quality: this.jpegQuality, progressive: true, mozjpeg: true })
+          .toBuffer();
+
+        let output;
+        let newName = file.name;
+
+        if (extension === '.png') {
+          output = await resized().png({ compressionLevel: 9, adaptiveFiltering: true }).toBuffer();
+
+          const { isOpaque } = await image.stats();
+          if (isOpaque) {
+            const jpeg = await toJpeg();
+            if (jpeg.length < output.length / 2) {
+              output = jpeg;
+              newName = this.getAvailableName(zip, file.name.replace(/\.png$/i, '.jpeg'));
+            }
+          }
+        } else {
+          output = await toJpeg();
+        }
+
+        if (output.length >= original.length) continue;
+
+        if (newName !== file.name) {
+          zip.remove(file.name);
+          renamed[file.name] = newName;
+          stats.converted++;
+        }
+        zip.file(newName, output);
+        stats.recompressed++;
+        if (downscale) stats.downscaled++;
+
+      } catch (error) {
+        // An image sharp cannot read is kept as it is
+        logError('PowerPoint image recompression error', error, { image: file.name });
+      }
+    }
+
+    if (Object.keys(renamed).length > 0) {
+      await this.renameTargets(zip, renamed);
+      await this.ensureDefaultContentType(zip, 'jpeg', 'image/jpeg');
+    }
+
+    return stats;
+  }
+
+  // image1.jpeg, or image1_1.jpeg if that name is taken
+  getAvailableName(zip, fileName) {
+    let candidate = fileName;
+    for (let i = 1; zip.file(candidate); i++) {
+      candidate = fileName.replace(/(\.[^.]+)$/, `_${i}$1`);
+    }
+    return candidate;
+  }
+
+  // Point relationships at renamed parts
+  async renameTargets(zip, renamed) {
+    for (const file of zip.file(/(^|\/)_rels\/[^/]*\.rels$/)) {
+      const relationships = await this.readRelationships(zip, file.name);
+      const changes = relationships.filter(rel => !rel.external && renamed[rel.target]);
+      if (changes.length === 0) continue;
+
+      const baseDir = path.posix.dirname(this.getSourcePart(file.name));
+      let xml = await file.async('string');
+      changes.forEach(rel => {
+        const newTarget = path.posix.relative(baseDir === '.' ? '' : baseDir, renamed[rel.target]);
+        xml = xml.replace(rel.tag, rel.tag.replace(/\bTarget="[^"]*"/, `Target="${newTarget}"`));
+      });
+      zip.file(file.name, xml);
+    }
+  }
+
+  async ensureDefaultContentType(zip, extension, contentType) {
+    const xml = await zip.file('[Content_Types].xml').async('string');
+    if (new RegExp(`<Default\\b[^>]*Extension="${extension}"`, 'i').test(xml)) return;
+
+    zip.file('[Content_Types].xml', xml.replace(
+      /(<Types\b[^>]*>)/,
+      `$1<Default Extension="${extension}" ContentType="${contentType}"/>`
+    ));
+  }
+
+  /**
+   * Get compression statistics for display (same shape as PDF compression stats)
+   * @param {Object} compressionResult - Result from compressPPTX
+   * @returns {Object} Formatted statistics
+   */
+  getCompressionStats(compressionResult) {
+    const {
+      originalSize,
+      compressedSize,
+      compressionRatio,
+      compressed,
+      skipped,
+      error
+    } = compressionResult;
+
+    return {
+      originalSize: this.formatFileSize(originalSize),
+      compressedSize: this.formatFileSize(compressedSize),
+      compressionRatio: compressed ? `${compressionRatio}%` : '0%',
+      spaceSaved: this.formatFileSize(originalSize - compressedSize),
+      status: error ? 'failed' :
+              skipped ? 'skipped' :
+              compressed ? 'compressed' : 'unchanged',
+      compressionEffective: compressed && compressionRatio > 10
+    };
+  }
+
+  formatFileSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  }
+}
+
+module.exports = new PPTXCompressionUtils();
@@ -0,0 +1,220 @@
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs');
+const compressionUtils = require('./compressionUtils');
+const { logInfo, logError } = require('./logger');
+
+/**
+ * Preview images for lecture videos
+ * A poster frame, a few keyframe thumbnails and seek-preview sprite sheets
+ * (a grid of small frames per sheet, described by a WebVTT file that players
+ * such as video.js read to show a frame while the user drags the seek bar).
+ *
+ * Frames are taken from the compressed renditions rather than the original:
+ * they are small to decode and have a keyframe every segment, so seeking to
+ * a multiple of the keyframe interval never decodes more than one frame.
+ */
+
+class PreviewUtils {
+  constructor() {
+    this.keyframeInterval = compressionUtils.keyframeInterval;
+    this.posterWidth = parseInt(process.env.PREVIEW_POSTER_WIDTH) || 640;
+    this.thumbnailWidth = parseInt(process.env.PREVIEW_THUMBNAIL_WIDTH) || 320;
+    this.thumbnailCount = parseInt(process.env.PREVIEW_THUMBNAIL_COUNT) || 4;
+    this.spriteInterval = parseInt(process.env.PREVIEW_SPRITE_INTERVAL) || 10; // seconds between tiles
+    this.spriteMaxTiles = 500; // long videos get a wider interval instead of more sheets
+    this.tileWidth = 160;
+    this.tileHeight = 90;
+    this.columns = 10;
+    this.rows = 10;
+    this.imageContentType = 'image/jpeg';
+    this.vttContentType = 'text/vtt';
+    this.spritePattern = 'sprite_%03d.jpg';
+  }
+
+  // Round a time down to the keyframe grid the renditions were encoded with
+  alignToKeyframe(seconds) {
+    return Math.max(0, Math.floor(seconds / this.keyframeInterval) * this.keyframeInterval);
+  }
+
+  /**
+   * Save a single frame as JPEG
+   * @param {string} inputPath - Video file
+   * @param {string} outputPath - JPEG output path
+   * @param {number} time - Position in seconds
+   * @param {number} width - Output width (height keeps the aspect ratio)
+   * @returns {Promise<string>} outputPath
+   */
+  async captureFrame(inputPath, outputPath, time, width) {
+    return new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .seekInput(time)
+        .inputOptions(['-noaccurate_seek'])
+        .noAudio()
+        .videoFilters([`scale=${width}:-2`])
+        .outputOptions([
+          '-frames:v 1',
+          '-q:v 3'
+        ])
+        .output(outputPath)
+        .on('end', () => resolve(outputPath))
+        .on('error', (err) => {
+          logError('Frame capture error', err, { inputPath, time });
+          reject(err);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Poster frame, taken a tenth of the way in to skip black intro frames
+   * @param {string} inputPath - Video file
+   * @param {string} outputDir - Directory for the image
+   * @param {number} duration - Video duration in seconds
+   * @returns {Promise<Object>} { filePath, time }
+   */
+  async generatePoster(inputPath, outputDir, duration) {
+    const time = this.alignToKeyframe(duration * 0.1);
+    const filePath = path.join(outputDir, 'poster.jpg');
+    await this.captureFrame(inputPath, filePath, time, this.posterWidth);
+    return { filePath, time };
+  }
+
+  /**
+   * Thumbnails at evenly spaced keyframes
+   * @param {string} inputPath - Video file
+   * @param {string} outputDir - Directory for the images
+   * @param {number} duration - Video duration in seconds
+   * @returns {Promise<Array>} [{ filePath, time }]
+   */
+  async generateThumbnails(inputPath, outputDir, duration) {
+    const times = [];
+    for (let i = 1; i <= this.thumbnailCount; i++) {
+      const time = this.alignToKeyframe(duration * i / (this.thumbnailCount + 1));
+      if (!times.includes(time)) {
+        times.push(time);
+      }
+    }
+
+    const thumbnails = [];
+    for (let i = 0; i < times.length; i++) {
+      const filePath = path.join(outputDir, `thumb_${String(i + 1).padStart(2, '0')}.jpg`);
+      await this.captureFrame(inputPath, filePath, times[i], this.thumbnailWidth);
+      thumbnails.push({ filePath, time: times[i] });
+    }
+
+    return thumbnails;
+  }
+
+  // Seconds between sprite tiles for a video, keeping the tile count bounded
+  getSpriteInterval(duration) {
+    return Math.max(this.spriteInterval, Math.ceil(duration / this.spriteMaxTiles));
+  }
+
+  /**
+   * Seek-preview sprite sheets in one ffmpeg run
+   * Frames are sampled every interval, letterboxed to a fixed tile size and
+   * laid out left to right, top to bottom; a new sheet starts when one is full
+   * @param {string} inputPath - Video file (the lowest rendition is cheapest to decode)
+   * @param {string} outputDir - Directory for the sheets
+   * @param {number} duration - Video duration in seconds
+   * @returns {Promise<Object>} { sheets: [filePath], interval, columns, rows, tileWidth, tileHeight, count }
+   */
+  async generateSpriteSheets(inputPath, outputDir, duration) {
+    const interval = this.getSpriteInterval(duration);
+    const { tileWidth, tileHeight, columns, rows } = this;
+
+    await new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .noAudio()
+        .videoFilters([
+          `fps=1/${interval}`,
+          `scale=${tileWidth}:${tileHeight}:force_original_aspect_ratio=decrease`,
+          `pad=${tileWidth}:${tileHeight}:(ow-iw)/2:(oh-ih)/2`,
+          `tile=${columns}x${rows}`
+        ])
+        .outputOptions(['-q:v 5'])
+        .output(path.join(outputDir, this.spritePattern))
+        .on('end', () => resolve())
+        .on('error', (err) => {
+          logError('Sprite sheet generation error', err, { inputPath });
+          reject(err);
+        })
+        .run();
+    });
+
+    const sheets = fs.readdirSync(outputDir)
+      .filter(name => /^sprite_\d{3}\.jpg$/.test(name))
+      .sort()
+      .map(name => path.join(outputDir, name));
+
+    if (sheets.length === 0) {
+      throw new Error('Sprite sheet generation produced no images');
+    }
+
+    const count = Math.min(Math.max(1, Math.ceil(duration / interval)), sheets.length * columns * rows);
+
+    logInfo('Sprite sheets generated', { inputPath, sheets: sheets.length, tiles: count, interval });
+
+    return { sheets, interval, columns, rows, tileWidth, tileHeight, count };
+  }
+
+  // 75.5 -> '00:01:15.500'
+  formatVttTime(seconds) {
+    const totalMs = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor(totalMs % 3600000 / 60000);
+    const secs = Math.floor(totalMs % 60000 / 1000);
+    const ms = totalMs % 1000;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:` +
+      `${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+  }
+
+  /**
+   * Build the seek-preview WebVTT: one cue per tile pointing into its sheet with #xywh
+   * @param {Object} sprite - Stored sprite details ({ sheets, interval, columns, rows, tileWidth, tileHeight, count })
+   * @param {number} duration - Video duration in seconds
+   * @param {Array<string>} sheetUrls - URL of each sheet, same order as sprite.sheets
+   * @returns {string} WebVTT text
+   */
+  buildSpriteVtt(sprite, duration, sheetUrls) {
+    const perSheet = sprite.columns * sprite.rows;
+    const lines = ['WEBVTT', ''];
+
+    for (let i = 0; i < sprite.count; i++) {
+      const start = i * sprite.interval;
+      const end = duration > start ? Math.min(start + sprite.interval, duration) : start + sprite.interval;
+      const position = i % perSheet;
+      const x = position % sprite.columns * sprite.tileWidth;
+      const y = Math.floor(position / sprite.columns) * sprite.tileHeight;
+
+      lines.push(`${this.formatVttTime(start)} --> ${this.formatVttTime(end)}`);
+      lines.push(`${sheetUrls[Math.floor(i / perSheet)]}#xywh=${x},${y},${sprite.tileWidth},${sprite.tileHeight}`);
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Storage names of every preview image of a video (for deletion)
+   * @param {Object} previews - Stored previews of a video
+   * @returns {Array<string>} File names
+   */
+  getStorageFileNames(previews) {
+    if (!previews) return [];
+
+    const fileNames = [];
+    if (previews.posterFileName) {
+      fileNames.push(previews.posterFileName);
+    }
+    (previews.thumbnails || []).forEach(thumbnail => fileNames.push(thumbnail.fileName));
+    if (previews.sprite && previews.sprite.sheets) {
+      fileNames.push(...previews.sprite.sheets);
+    }
+
+    return fileNames;
+  }
+}
+
+module.exports = new PreviewUtils();
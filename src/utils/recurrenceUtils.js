@@ -0,0 +1,334 @@
+/**
+ * Recurrence Utilities
+ * Weekly recurrence rules in the spirit of iCalendar RRULE (RFC 5545):
+ * FREQ=WEEKLY with INTERVAL, BYDAY, UNTIL or COUNT, plus exception dates
+ * (EXDATE). Occurrences keep the wall-clock time of the first session in the
+ * rule's time zone, so a 09:00 lecture stays at 09:00 across DST changes.
+ *
+ * Unlike RFC 5545 the first session only counts as an occurrence when its
+ * weekday is one of BYDAY. COUNT is applied before exception dates are
+ * removed, as in the RFC.
+ */
+
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU']; // RRULE order, weeks start on Monday
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const RRULE_DATE_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RecurrenceUtils {
+  constructor() {
+    this.maxOccurrences = 200; // a two-year course meeting twice a week
+    this.maxSpanDays = 2 * 366;
+    this.frequencies = ['weekly'];
+  }
+
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check and normalise a recurrence rule
+   * Accepts an RRULE string ("FREQ=WEEKLY;BYDAY=MO,WE;COUNT=30") or an object
+   * { frequency, interval, byDay, until, count, exceptions, timezone }.
+   * @param {string|Object} input - Rule from the request
+   * @param {Object} defaults - { timezone, exceptions } used when the input has none
+   * @returns {Object} { success, rule } or { success: false, error }
+   */
+  parseRule(input, defaults = {}) {
+    let raw = input;
+    if (typeof input === 'string') {
+      const parsed = this.parseRRule(input);
+      if (!parsed.success) return parsed;
+      raw = parsed.rule;
+    }
+
+    if (!raw || typeof raw !== 'object') {
+      return { success: false, error: 'Recurrence must be an RRULE string or an object' };
+    }
+
+    const timezone = raw.timezone || defaults.timezone || 'UTC';
+    if (!this.isValidTimezone(timezone)) {
+      return { success: false, error: 'Recurrence timezone must be an IANA time zone, e.g. Europe/Berlin' };
+    }
+
+    const frequency = String(raw.frequency || 'weekly').toLowerCase();
+    if (!this.frequencies.includes(frequency)) {
+      return { success: false, error: 'Only weekly recurrence is supported' };
+    }
+
+    const interval = raw.interval === undefined ? 1 : Number(raw.interval);
+    if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+      return { success: false, error: 'Recurrence interval must be between 1 and 52 weeks' };
+    }
+
+    const byDay = Array.isArray(raw.byDay)
+      ? raw.byDay.map(day => String(day).toUpperCase())
+      : [];
+    if (byDay.some(day => !WEEKDAYS.includes(day))) {
+      return { success: false, error: `Recurrence days must be among ${WEEKDAYS.join(', ')}` };
+    }
+
+    const count = raw.count === undefined || raw.count === null ? null : Number(raw.count);
+    if (count !== null && (!Number.isInteger(count) || count < 1 || count > this.maxOccurrences)) {
+      return { success: false, error: `Recurrence count must be between 1 and ${this.maxOccurrences}` };
+    }
+
+    let until = null;
+    if (raw.until) {
+      until = this.parseUntil(raw.until, timezone);
+      if (!until) {
+        return { success: false, error: 'Recurrence until must be a date (YYYY-MM-DD) or an ISO 8601 date-time' };
+      }
+    }
+
+    if ((count === null) === (until === null)) {
+      return { success: false, error: 'Recurrence needs exactly one of until or count' };
+    }
+
+    const exceptionInput = raw.exceptions || defaults.exceptions || [];
+    if (!Array.isArray(exceptionInput)) {
+      return { success: false, error: 'Recurrence exceptions must be an array of dates' };
+    }
+    const exceptions = [];
+    for (const exception of exceptionInput) {
+      const date = this.toLocalDateString(exception, timezone);
+      if (!date) {
+        return { success: false, error: `Invalid exception date: ${exception}` };
+      }
+      if (!exceptions.includes(date)) exceptions.push(date);
+    }
+
+    return {
+      success: true,
+      rule: {
+        frequency,
+        interval,
+        byDay: WEEKDAYS.filter(day => byDay.includes(day)),
+        until,
+        count,
+        exceptions: exceptions.sort(),
+        timezone
+      }
+    };
+  }
+
+  // "FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;UNTIL=20270630" -> rule object (unchecked)
+  parseRRule(text) {
+    const rule = {};
+    const body = text.trim().replace(/^RRULE:/i, '');
+
+    for (const part of body.split(';').filter(Boolean)) {
+      const [key, value] = part.split('=');
+      if (!value) {
+        return { success: false, error: `Invalid RRULE part: ${part}` };
+      }
+
+      switch (key.toUpperCase()) {
+        case 'FREQ':
+          rule.frequency = value;
+          break;
+        case 'INTERVAL':
+          rule.interval = Number(value);
+          break;
+        case 'BYDAY':
+          rule.byDay = value.split(',');
+          break;
+        case 'COUNT':
+          rule.count = Number(value);
+          break;
+        case 'UNTIL':
+          rule.until = value;
+          break;
+        case 'WKST':
+          if (value.toUpperCase() !== 'MO') {
+            return { success: false, error: 'Only WKST=MO is supported' };
+          }
+          break;
+        default:
+          return { success: false, error: `Unsupported RRULE part: ${key}` };
+      }
+    }
+
+    return { success: true, rule };
+  }
+
+  // End of the rule as an instant; a plain date means the end of that day in the time zone
+  parseUntil(value, timezone) {
+    const text = String(value);
+    const rruleMatch = text.match(RRULE_DATE_PATTERN);
+    if (rruleMatch) {
+      const [, year, month, day, hour, minute, second, utc] = rruleMatch;
+      const parts = {
+        year: Number(year), month: Number(month), day: Number(day),
+        hour: hour ? Number(hour) : 23, minute: hour ? Number(minute) : 59, second: hour ? Number(second) : 59
+      };
+      return utc ? new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)) : this.toUtc(parts, timezone);
+    }
+
+    const dateMatch = text.match(DATE_PATTERN);
+    if (dateMatch) {
+      return this.toUtc({ year: Number(dateMatch[1]), month: Number(dateMatch[2]), day: Number(dateMatch[3]), hour: 23, minute: 59, second: 59 }, timezone);
+    }
+
+    const date = new Date(text);
+    return isNaN(date) ? null : date;
+  }
+
+  /**
+   * Start times of every occurrence of a rule
+   * @param {Date} startTime - First session (DTSTART); its local time is used for all occurrences
+   * @param {Object} rule - Rule from parseRule
+   * @returns {Object} { success, occurrences: [{ index, startTime }] } or { success: false, error }
+   */
+  generate(startTime, rule) {
+    const start = this.getLocalParts(startTime, rule.timezone);
+    const startDay = this.dayNumber(start);
+    const weekday = (new Date(startDay * DAY_MS).getUTCDay() + 6) % 7; // 0 = Monday
+    const weekStart = startDay - weekday;
+    const days = (rule.byDay.length > 0 ? rule.byDay : [WEEKDAYS[weekday]]).map(day => WEEKDAYS.indexOf(day));
+
+    const occurrences = [];
+    let generated = 0;
+
+    // Every rule ends (until or count); the span check stops rules that end too late
+    for (let week = 0; ; week += rule.interval) {
+      for (const day of days) {
+        const dayNumber = weekStart + week * 7 + day;
+        if (dayNumber < startDay) continue;
+
+        const date = new Date(dayNumber * DAY_MS);
+        const occurrenceStart = this.toUtc({
+          year: date.getUTCFullYear(),
+          month: date.getUTCMonth() + 1,
+          day: date.getUTCDate(),
+          hour: start.hour,
+          minute: start.minute,
+          second: start.second
+        }, rule.timezone);
+
+        if ((rule.until && occurrenceStart > rule.until) || (rule.count && generated >= rule.count)) {
+          return { success: true, occurrences };
+        }
+
+        if (dayNumber - startDay > this.maxSpanDays) {
+          return { success: false, error: `Recurrence cannot span more than ${this.maxSpanDays} days` };
+        }
+
+        generated += 1;
+        if (rule.exceptions.includes(this.formatDate(date))) continue;
+
+        if (occurrences.length >= this.maxOccurrences) {
+          return { success: false, error: `Recurrence produces more than ${this.maxOccurrences} sessions` };
+        }
+        occurrences.push({ index: generated - 1, startTime: occurrenceStart });
+      }
+    }
+  }
+
+  /**
+   * Move a start time the way another occurrence was moved: by the same
+   * number of calendar days, to the same wall-clock time
+   * @param {Date} occurrenceStart - Start time of the occurrence to move
+   * @param {Date} fromStart - Old start time of the edited occurrence
+   * @param {Date} toStart - New start time of the edited occurrence
+   * @param {string} timezone - Time zone of the series
+   * @returns {Date} New start time
+   */
+  shift(occurrenceStart, fromStart, toStart, timezone) {
+    const from = this.getLocalParts(fromStart, timezone);
+    const to = this.getLocalParts(toStart, timezone);
+    const occurrence = this.getLocalParts(occurrenceStart, timezone);
+    const date = new Date((this.dayNumber(occurrence) + this.dayNumber(to) - this.dayNumber(from)) * DAY_MS);
+
+    return this.toUtc({
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour: to.hour,
+      minute: to.minute,
+      second: to.second
+    }, timezone);
+  }
+
+  // Rule as an RRULE string, for display and calendar export
+  format(rule) {
+    const parts = [`FREQ=${rule.frequency.toUpperCase()}`, `INTERVAL=${rule.interval}`];
+    if (rule.byDay && rule.byDay.length > 0) {
+      parts.push(`BYDAY=${rule.byDay.join(',')}`);
+    }
+    if (rule.count) {
+      parts.push(`COUNT=${rule.count}`);
+    }
+    if (rule.until) {
+      parts.push(`UNTIL=${new Date(rule.until).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+    }
+    return parts.join(';');
+  }
+
+  // 'YYYY-MM-DD' of a date string or instant in the time zone; null if invalid
+  toLocalDateString(value, timezone) {
+    const text = String(value);
+    if (DATE_PATTERN.test(text)) {
+      return text;
+    }
+    const date = new Date(text);
+    if (isNaN(date)) {
+      return null;
+    }
+    const parts = this.getLocalParts(date, timezone);
+    return this.formatDate(new Date(this.dayNumber(parts) * DAY_MS));
+  }
+
+  // Wall-clock date and time of an instant in a time zone
+  getLocalParts(date, timezone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+
+    const parts = {};
+    formatter.formatToParts(date).forEach(({ type, value }) => {
+      if (type !== 'literal') parts[type] = Number(value);
+    });
+    return parts;
+  }
+
+  // Instant of a wall-clock time in a time zone; times skipped by a DST change move forward
+  toUtc({ year, month, day, hour, minute, second = 0 }, timezone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    const offsetAt = (timestamp) => {
+      const local = this.getLocalParts(new Date(timestamp), timezone);
+      return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - timestamp;
+    };
+
+    const firstOffset = offsetAt(wallClock);
+    let timestamp = wallClock - firstOffset;
+    const secondOffset = offsetAt(timestamp);
+    if (secondOffset !== firstOffset) {
+      timestamp = wallClock - secondOffset;
+    }
+    return new Date(timestamp);
+  }
+
+  // Days since 1970-01-01 of a local date
+  dayNumber({ year, month, day }) {
+    return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+  }
+
+  formatDate(date) {
+    return date.toISOString().substring(0, 10);
+  }
+}
+
+module.exports = new RecurrenceUtils();
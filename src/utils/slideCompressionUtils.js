@@ -2,6 +2,7 @@ const sharp = require('sharp');
 const pdf2pic = require('pdf2pic');
 const path = require('path');
 const fs = require('fs');
+const pptxCompressionUtils = require('./pptxCompressionUtils');
 const { logInfo, logError } = require('./logger');
 
 /**
@@ -250,40 +251,13 @@ class SlideCompressionUtils {
   }
 
   /**
-   * Compress PowerPoint files (simplified approach)
+   * Compress PowerPoint files: recompress embedded images and drop unused parts
    * @param {Buffer} pptBuffer - PowerPoint buffer
    * @param {string} originalName - Original file name
    * @returns {Promise<Object>} Compression result
    */
   async compressPowerPoint(pptBuffer, originalName) {
-    // For PowerPoint files, we'll implement a basic approach
-    // In production, you might want to use a more sophisticated library
-    
-    try {
-      // For now, return the original file with a note that compression is not implemented
-      // In a real implementation, you would:
-      // 1. Extract images from the PPT
-      // 2. Compress the images
-      // 3. Rebuild the PPT with compressed images
-      
-      logInfo('PowerPoint compression not implemented', { originalName });
-      
-      return {
-        success: true,
-        buffer: pptBuffer,
-        compressed: false,
-        originalSize: pptBuffer.length,
-        compressedSize: pptBuffer.length,
-        compressionRatio: 0,
-        metadata: {
-          format: 'powerpoint',
-          note: 'Compression not implemented for PowerPoint files'
-        }
-      };
-
-    } catch (error) {
-      throw error;
-    }
+    return pptxCompressionUtils.compressPPTX(pptBuffer, originalName);
   }
 
   /**
@@ -391,8 +365,9 @@ class SlideCompressionUtils {
         format: 'jpeg'
       },
       powerpoint: {
-        enabled: false, // Not implemented yet
-        note: 'PowerPoint compression not available'
+        enabled: true, // PPTX only; legacy .ppt files are kept as uploaded
+        maxImageDimension: pptxCompressionUtils.maxImageDimension,
+        quality: pptxCompressionUtils.jpegQuality
       }
     };
 
@@ -1,14 +1,15 @@
-const azureService = require('../config/azure');
+const storage = require('../config/storage');
 const { logInfo, logError } = require('./logger');
 
 /**
- * Enhanced Azure Blob Storage utilities
+ * Enhanced storage utilities
  * Includes dynamic expiry calculation and optimized operations
+ * Works with whichever storage provider is configured (Azure Blob or local disk)
  */
 
-class AzureUtils {
+class StorageUtils {
   constructor() {
-    this.azureService = azureService;
+    this.storage = storage;
   }
 
   /**
@@ -59,14 +60,14 @@ class AzureUtils {
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        logInfo('Uploading file to Azure', {
+        logInfo('Uploading file to storage', {
           fileName,
           size: fileBuffer.length,
           attempt,
           contentType
         });
 
-        const result = await this.azureService.uploadFile(fileName, fileBuffer, contentType);
+        const result = await this.storage.uploadFile(fileName, fileBuffer, contentType);
         
         if (result.success) {
           logInfo('File uploaded successfully', {
@@ -97,6 +98,58 @@ class AzureUtils {
     };
   }
 
+  /**
+   * Stream a file from disk to storage with automatic retry
+   * The file is never loaded into memory, whatever its size
+   * @param {string} fileName - File name in storage
+   * @param {string} filePath - Local file path
+   * @param {string} contentType - MIME type
+   * @returns {Promise<Object>} Upload result
+   */
+  async uploadFileFromPathWithRetry(fileName, filePath, contentType) {
+    const maxRetries = 3;
+    let lastError;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        logInfo('Streaming file to storage', {
+          fileName,
+          filePath,
+          attempt,
+          contentType
+        });
+
+        const result = await this.storage.uploadFileFromPath(fileName, filePath, contentType);
+
+        if (result.success) {
+          logInfo('File uploaded successfully', {
+            fileName,
+            size: result.size,
+            url: result.url
+          });
+          return result;
+        } else {
+          lastError = new Error(result.error);
+        }
+      } catch (error) {
+        lastError = error;
+        logError('Upload attempt failed', error, { fileName, attempt });
+      }
+
+      // Wait before retry (exponential backoff)
+      if (attempt < maxRetries) {
+        const waitTime = Math.pow(2, attempt) * 1000; // 2s, 4s, 8s
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+      }
+    }
+
+    logError('All upload attempts failed', lastError, { fileName });
+    return {
+      success: false,
+      error: lastError.message
+    };
+  }
+
   /**
    * Generate signed URL with dynamic expiry
    * @param {string} fileName - File name in blob storage
@@ -115,7 +168,7 @@ class AzureUtils {
         expiryMinutes
       });
 
-      const result = await this.azureService.generateSignedUrl(fileName, expiryMinutes);
+      const result = await this.storage.generateSignedUrl(fileName, expiryMinutes);
       
       if (result.success) {
         return {
@@ -145,17 +198,18 @@ class AzureUtils {
    * @param {Array} fileNames - Array of file names (original, 240p, 360p, audio)
    * @param {string} useCase - Use case for expiry calculation
    * @param {number} videoDuration - Video duration in seconds
-   * @returns {Promise<Object>} Multiple signed URLs result
+   * @returns {Promise<Object>} Multiple signed URLs result; `urls` is keyed by quality/type, `urlsByFileName` by file name
    */
   async generateMultipleSignedUrls(fileNames, useCase = 'download', videoDuration = 0) {
     try {
       const results = {};
+      const resultsByFileName = {};
       const expiryMinutes = this.calculateExpiryTime(useCase, videoDuration);
 
       for (const fileInfo of fileNames) {
         const { fileName, quality, type } = fileInfo;
         
-        const urlResult = await this.azureService.generateSignedUrl(fileName, expiryMinutes);
+        const urlResult = await this.storage.generateSignedUrl(fileName, expiryMinutes);
         
         if (urlResult.success) {
           results[quality || type || 'original'] = {
@@ -165,6 +219,7 @@ class AzureUtils {
             quality,
             type
           };
+          resultsByFileName[fileName] = results[quality || type || 'original'];
         } else {
           logError('Failed to generate URL for file', null, { fileName, error: urlResult.error });
         }
@@ -173,6 +228,7 @@ class AzureUtils {
       return {
         success: true,
         urls: results,
+        urlsByFileName: resultsByFileName,
         expiresAt: new Date(Date.now() + expiryMinutes * 60 * 1000),
         expiryMinutes
       };
@@ -186,7 +242,7 @@ class AzureUtils {
   }
 
   /**
-   * Delete multiple files from Azure
+   * Delete multiple files from storage
    * @param {Array} fileNames - Array of file names to delete
    * @returns {Promise<Object>} Deletion result
    */
@@ -198,7 +254,7 @@ class AzureUtils {
 
     for (const fileName of fileNames) {
       try {
-        const deleteResult = await this.azureService.deleteFile(fileName);
+        const deleteResult = await this.storage.deleteFile(fileName);
         
         if (deleteResult.success) {
           results.successful.push(fileName);
@@ -223,17 +279,20 @@ class AzureUtils {
   }
 
   /**
-   * Check if file exists in Azure Blob Storage
+   * Check if file exists in storage
    * @param {string} fileName - File name to check
    * @returns {Promise<Object>} File existence result
    */
   async fileExists(fileName) {
     try {
-      // This would require implementing a method in azureService
-      // For now, we'll assume it exists if no error is thrown
+      const result = await this.storage.fileExists(fileName);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
       return {
         success: true,
-        exists: true,
+        exists: result.exists,
         fileName
       };
     } catch (error) {
@@ -247,19 +306,24 @@ class AzureUtils {
   }
 
   /**
-   * Get file metadata from Azure
+   * Get file metadata from storage
    * @param {string} fileName - File name
    * @returns {Promise<Object>} File metadata
    */
   async getFileMetadata(fileName) {
     try {
-      // This would require implementing a method in azureService
-      // For now, return basic info
+      const result = await this.storage.getFileProperties(fileName);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
       return {
         success: true,
         fileName,
-        lastModified: new Date(),
-        size: 0 // Would be actual size from Azure
+        lastModified: result.properties.lastModified,
+        size: result.properties.size,
+        contentType: result.properties.contentType,
+        metadata: result.properties.metadata
       };
     } catch (error) {
       logError('File metadata retrieval error', error, { fileName });
@@ -272,7 +336,7 @@ class AzureUtils {
   }
 
   /**
-   * Generate optimized file name for Azure storage
+   * Generate optimized file name for storage
    * @param {string} sessionId - Session ID
    * @param {string} fileType - Type of file (video, audio, slide)
    * @param {string} originalName - Original file name
@@ -325,7 +389,16 @@ class AzureUtils {
     const allowedTypes = {
       video: ['video/mp4', 'video/avi', 'video/quicktime', 'video/x-ms-wmv'],
       audio: ['audio/mpeg', 'audio/wav', 'audio/mp4', 'audio/aac'],
-      slide: ['image/jpeg', 'image/png', 'image/gif', 'application/pdf'],
+      slide: [
+        'image/jpeg',
+        'image/png',
+        'image/gif',
+        'application/pdf',
+        'application/vnd.ms-powerpoint',
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+        'application/msword',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+      ],
       document: ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document']
     };
 
@@ -352,4 +425,4 @@ class AzureUtils {
   }
 }
 
-module.exports = new AzureUtils();
+module.exports = new StorageUtils();
@@ -23,42 +23,32 @@ class VideoToAudioUtils {
   }
 
   /**
-   * Extract audio from video file as MP3
-   * @param {Buffer} videoBuffer - Original video buffer
-   * @param {string} originalName - Original file name
+   * Extract audio from a video file on disk as MP3
+   * Works on disk only, so memory use does not grow with the video size
+   * @param {string} inputPath - Video file path
+   * @param {string} outputPath - MP3 output path
+   * @param {string} originalName - Original file name (for logging)
    * @param {string} quality - Audio quality ('64k', '128k', '192k', '256k')
-   * @returns {Promise<Object>} Extraction result
+   * @param {Function} onProgress - Optional callback receiving percent complete (0-100)
+   * @returns {Promise<Object>} Extraction result with outputPath and audioSize
    */
-  async extractAudioFromVideo(videoBuffer, originalName, quality = '128k') {
-    const tempInputPath = path.join(this.tempDir, `video_input_${Date.now()}${path.extname(originalName)}`);
-    const tempOutputPath = path.join(this.tempDir, `audio_output_${Date.now()}.mp3`);
-
+  async extractAudioFromVideoFile(inputPath, outputPath, originalName, quality = '128k', onProgress = null) {
     try {
-      // Write video to temp file
-      fs.writeFileSync(tempInputPath, videoBuffer);
-
       // Get video metadata to verify it has audio
-      const metadata = await this.getVideoMetadata(tempInputPath);
+      const metadata = await this.getVideoMetadata(inputPath);
       
       if (!metadata.audio || !metadata.audio.codec) {
         throw new Error('Video file does not contain audio stream');
       }
 
       // Extract audio using optimized FFmpeg command
-      await this.performAudioExtraction(tempInputPath, tempOutputPath, quality);
-
-      // Read extracted audio
-      const audioBuffer = fs.readFileSync(tempOutputPath);
+      await this.performAudioExtraction(inputPath, outputPath, quality, onProgress);
 
       // Verify the output is audio-only
-      const audioMetadata = await this.getAudioMetadata(tempOutputPath);
+      const audioMetadata = await this.getAudioMetadata(outputPath);
 
-      // Clean up temp files
-      this.cleanupFile(tempInputPath);
-      this.cleanupFile(tempOutputPath);
-
-      const originalSize = videoBuffer.length;
-      const audioSize = audioBuffer.length;
+      const originalSize = fs.statSync(inputPath).size;
+      const audioSize = fs.statSync(outputPath).size;
       const compressionRatio = ((originalSize - audioSize) / originalSize * 100).toFixed(2);
 
       logInfo('Audio extraction from video completed', {
@@ -74,7 +64,7 @@ class VideoToAudioUtils {
 
       return {
         success: true,
-        buffer: audioBuffer,
+        outputPath,
         extracted: true,
         originalVideoSize: originalSize,
         audioSize: audioSize,
@@ -93,8 +83,7 @@ class VideoToAudioUtils {
 
     } catch (error) {
       // Clean up on error
-      this.cleanupFile(tempInputPath);
-      this.cleanupFile(tempOutputPath);
+      this.cleanupFile(outputPath);
       
       logError('Audio extraction from video error', error, { originalName, quality });
       return {
@@ -104,14 +93,55 @@ class VideoToAudioUtils {
     }
   }
 
+  /**
+   * Extract audio from video buffer as MP3
+   * Buffer wrapper around extractAudioFromVideoFile; prefer the path-based method for large files
+   * @param {Buffer} videoBuffer - Original video buffer
+   * @param {string} originalName - Original file name
+   * @param {string} quality - Audio quality ('64k', '128k', '192k', '256k')
+   * @param {Function} onProgress - Optional callback receiving percent complete (0-100)
+   * @returns {Promise<Object>} Extraction result
+   */
+  async extractAudioFromVideo(videoBuffer, originalName, quality = '128k', onProgress = null) {
+    const tempInputPath = path.join(this.tempDir, `video_input_${Date.now()}${path.extname(originalName)}`);
+    const tempOutputPath = path.join(this.tempDir, `audio_output_${Date.now()}.mp3`);
+
+    try {
+      // Write video to temp file
+      fs.writeFileSync(tempInputPath, videoBuffer);
+
+      const result = await this.extractAudioFromVideoFile(
+        tempInputPath,
+        tempOutputPath,
+        originalName,
+        quality,
+        onProgress
+      );
+      if (!result.success) {
+        return result;
+      }
+
+      const { outputPath, ...details } = result;
+      return {
+        ...details,
+        buffer: fs.readFileSync(tempOutputPath)
+      };
+    } finally {
+      // Clean up temp files
+      this.cleanupFile(tempInputPath);
+      this.cleanupFile(tempOutputPath);
+    }
+  }
+
   /**
    * Perform audio extraction using FFmpeg with optimized settings
    * @param {string} inputPath - Input video file path
    * @param {string} outputPath - Output audio file path
    * @param {string} quality - Audio quality/bitrate
+   * @param {Function} onProgress - Optional callback receiving percent complete (0-100)
    * @returns {Promise<void>}
    */
-  async performAudioExtraction(inputPath, outputPath, quality) {
+  async performAudioExtraction(inputPath, outputPath, quality, onProgress = null) {
     return new Promise((resolve, reject) => {
       ffmpeg(inputPath)
         .audioCodec('libmp3lame')
@@ -134,6 +164,9 @@ class VideoToAudioUtils {
               percent: Math.round(progress.percent),
               timemark: progress.timemark 
             });
+            if (onProgress) {
+              onProgress(Math.min(100, progress.percent));
+            }
           }
         })
         .on('end', () => {
@@ -0,0 +1,62 @@
+const recurrenceUtils = require('../../src/utils/recurrenceUtils');
+
+const parse = (rrule, timezone = 'UTC') => {
+  const parsed = recurrenceUtils.parseRule(rrule, { timezone });
+  expect(parsed.success).toBe(true);
+  return parsed.rule;
+};
+
+describe('recurrenceUtils.generate', () => {
+  const start = new Date('2026-10-20T09:00:00Z'); // a Tuesday
+
+  test('accepts a count that ends exactly at the span limit', () => {
+    const result = recurrenceUtils.generate(start, parse('FREQ=WEEKLY;COUNT=105'));
+
+    expect(result.success).toBe(true);
+    expect(result.occurrences).toHaveLength(105);
+    expect(result.occurrences[104].startTime.toISOString()).toBe('2028-10-17T09:00:00.000Z');
+  });
+
+  test('accepts a count below the span limit', () => {
+    const result = recurrenceUtils.generate(start, parse('FREQ=WEEKLY;COUNT=104'));
+
+    expect(result.success).toBe(true);
+    expect(result.occurrences).toHaveLength(104);
+  });
+
+  test('accepts an until date reached in the last week of the span', () => {
+    const result = recurrenceUtils.generate(start, parse('FREQ=WEEKLY;BYDAY=TU;UNTIL=20281020'));
+
+    expect(result.success).toBe(true);
+    expect(result.occurrences).toHaveLength(105);
+    expect(result.occurrences[104].startTime.toISOString()).toBe('2028-10-17T09:00:00.000Z');
+  });
+
+  test('rejects a count whose occurrences go past the span limit', () => {
+    const result = recurrenceUtils.generate(start, parse('FREQ=WEEKLY;COUNT=106'));
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/cannot span more than 732 days/);
+  });
+
+  test('rejects an until date past the span limit', () => {
+    const result = recurrenceUtils.generate(start, parse('FREQ=WEEKLY;BYDAY=TU;UNTIL=20281101'));
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/cannot span more than 732 days/);
+  });
+
+  test('skips exception dates but counts them', () => {
+    const rule = recurrenceUtils.parseRule('FREQ=WEEKLY;COUNT=3', { exceptions: ['2026-10-27'] }).rule;
+    const result = recurrenceUtils.generate(start, rule);
+
+    expect(result.occurrences.map(occurrence => occurrence.index)).toEqual([0, 2]);
+  });
+
+  test('keeps the local start time across a daylight saving change', () => {
+    const rule = parse('FREQ=WEEKLY;COUNT=2', 'Europe/Berlin');
+    const result = recurrenceUtils.generate(new Date('2026-10-20T07:00:00Z'), rule); // 09:00 CEST
+
+    expect(result.occurrences[1].startTime.toISOString()).toBe('2026-10-27T08:00:00.000Z'); // 09:00 CET
+  });
+});